@@ -304,6 +304,13 @@ contract RariFundManager is Initializable, Ownable {
         emit FundRebalancerSet(newAddress);
     }
 
+    /**
+     * @dev Returns the address of the rebalancer of the RariFundManager.
+     */
+    function getFundRebalancer() external view returns (address) {
+        return _rariFundRebalancerAddress;
+    }
+
     /**
      * @dev Throws if called by any account other than the rebalancer.
      */
@@ -354,6 +361,13 @@ contract RariFundManager is Initializable, Ownable {
         emit FundEnabled();
     }
 
+    /**
+     * @dev Returns a boolean indicating if the primary functionality of this RariFundManager is disabled.
+     */
+    function isFundDisabled() external view returns (bool) {
+        return _fundDisabled;
+    }
+
     /**
      * @dev Throws if fund is disabled.
      */
@@ -541,12 +555,18 @@ contract RariFundManager is Initializable, Ownable {
         return _accountBalanceLimitDefault;
     }
 
+    /**
+     * @dev Emitted when the default account balance limit is set.
+     */
+    event DefaultAccountBalanceLimitSet(uint256 limitUsd);
+
     /**
      * @dev Sets or upgrades the default account balance limit in USD.
      * @param limitUsd The default fund balance limit per Ethereum address in USD.
      */
     function setDefaultAccountBalanceLimit(uint256 limitUsd) external onlyOwner {
         _accountBalanceLimitDefault = limitUsd;
+        emit DefaultAccountBalanceLimitSet(limitUsd);
     }
 
     /**
@@ -564,6 +584,11 @@ contract RariFundManager is Initializable, Ownable {
         return uint256(_accountBalanceLimits[account]);
     }
 
+    /**
+     * @dev Emitted when the individual balance limit of `account` is set.
+     */
+    event IndividualAccountBalanceLimitSet(address indexed account, int256 limitUsd);
+
     /**
      * @dev Sets the balance limit in USD of `account`.
      * @param account The Ethereum address for which to set the limit.
@@ -571,6 +596,7 @@ contract RariFundManager is Initializable, Ownable {
      */
     function setIndividualAccountBalanceLimit(address account, int256 limitUsd) external onlyOwner {
         _accountBalanceLimits[account] = limitUsd;
+        emit IndividualAccountBalanceLimitSet(account, limitUsd);
     }
 
     /**
@@ -842,6 +868,11 @@ contract RariFundManager is Initializable, Ownable {
         return _interestFeeRate;
     }
 
+    /**
+     * @dev Emitted when the fee rate on interest is set.
+     */
+    event InterestFeeRateSet(uint256 rate);
+
     /**
      * @dev Sets the fee rate on interest.
      * @param rate The proportion of interest accrued to be taken as a service fee (scaled by 1e18).
@@ -853,6 +884,7 @@ contract RariFundManager is Initializable, Ownable {
         _interestFeesGeneratedAtLastFeeRateChange = getInterestFeesGenerated(); // MUST update this first before updating _rawInterestAccruedAtLastFeeRateChange since it depends on it 
         _rawInterestAccruedAtLastFeeRateChange = getRawInterestAccrued();
         _interestFeeRate = rate;
+        emit InterestFeeRateSet(rate);
     }
 
     /**
@@ -895,6 +927,18 @@ contract RariFundManager is Initializable, Ownable {
      */
     address private _interestFeeMasterBeneficiary;
 
+    /**
+     * @dev Returns the master beneficiary of fees on interest.
+     */
+    function getInterestFeeMasterBeneficiary() external view returns (address) {
+        return _interestFeeMasterBeneficiary;
+    }
+
+    /**
+     * @dev Emitted when the master beneficiary of fees on interest is set.
+     */
+    event InterestFeeMasterBeneficiarySet(address beneficiary);
+
     /**
      * @dev Sets the master beneficiary of interest fees.
      * @param beneficiary The master beneficiary of fees on interest; i.e., the recipient of all fees on interest.
@@ -902,6 +946,7 @@ contract RariFundManager is Initializable, Ownable {
     function setInterestFeeMasterBeneficiary(address beneficiary) external fundEnabled onlyOwner {
         require(beneficiary != address(0), "Master beneficiary cannot be the zero address.");
         _interestFeeMasterBeneficiary = beneficiary;
+        emit InterestFeeMasterBeneficiarySet(beneficiary);
     }
 
     /**
@@ -0,0 +1,28 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+pragma solidity 0.5.17;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20Detailed.sol";
+
+/**
+ * @title MockERC20
+ * @author David Lucid <david@rari.capital> (https://github.com/davidlucid)
+ * @dev Mintable ERC20 token standing in for stablecoins on the mock test network (for testing only).
+ * Initialize with `ERC20Detailed.initialize(name, symbol, decimals)`.
+ */
+contract MockERC20 is ERC20, ERC20Detailed {
+    /**
+     * @dev Mints `amount` tokens to `account` (anyone can mint).
+     */
+    function mint(address account, uint256 amount) external {
+        _mint(account, amount);
+    }
+}
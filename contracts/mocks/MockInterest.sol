@@ -0,0 +1,43 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+pragma solidity 0.5.17;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/SafeERC20.sol";
+
+import "./MockERC20.sol";
+
+/**
+ * @title MockInterest
+ * @author David Lucid <david@rari.capital> (https://github.com/davidlucid)
+ * @dev Interest accrual and payouts shared by the mock liquidity pools (for testing only).
+ */
+library MockInterest {
+    using SafeMath for uint256;
+    using SafeERC20 for IERC20;
+
+    /**
+     * @dev Returns `index` (scaled by 1e18) after accruing simple interest at `ratePerSecond` (scaled by 1e18) since `lastUpdated`.
+     * Interest compounds whenever a pool stores its updated index.
+     */
+    function accrue(uint256 index, uint256 ratePerSecond, uint256 lastUpdated) internal view returns (uint256) {
+        return index.add(index.mul(ratePerSecond).mul(block.timestamp.sub(lastUpdated)).div(1e18));
+    }
+
+    /**
+     * @dev Transfers `amount` of the MockERC20 `token` to `to`, minting any shortfall (i.e., interest not covered by deposits) to this contract first.
+     */
+    function payOut(address token, address to, uint256 amount) internal {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        if (balance < amount) MockERC20(token).mint(address(this), amount.sub(balance));
+        IERC20(token).safeTransfer(to, amount);
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+pragma solidity 0.5.17;
+
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+
+import "../MockInterest.sol";
+import "./MockLendingPoolCore.sol";
+
+/**
+ * @title MockAToken
+ * @author David Lucid <david@rari.capital> (https://github.com/davidlucid)
+ * @dev Aave aToken whose balances grow at an adjustable liquidity rate (for testing only).
+ * Balances are stored scaled down by the liquidity index; aTokens cannot be transferred.
+ */
+contract MockAToken is Initializable {
+    using SafeMath for uint256;
+
+    /**
+     * @dev Name of the aToken.
+     */
+    string public name;
+
+    /**
+     * @dev Symbol of the aToken.
+     */
+    string public symbol;
+
+    /**
+     * @dev Decimals of the aToken (same as the underlying token).
+     */
+    uint8 public decimals;
+
+    /**
+     * @dev Underlying ERC20 token contract address.
+     */
+    address public underlyingAssetAddress;
+
+    /**
+     * @dev MockLendingPool contract address.
+     */
+    address private _lendingPool;
+
+    /**
+     * @dev MockLendingPoolCore contract object.
+     */
+    MockLendingPoolCore private _core;
+
+    /**
+     * @dev Liquidity index (scaled by 1e18) as of `_lastUpdated`.
+     */
+    uint256 private _index;
+
+    /**
+     * @dev Liquidity rate per second (scaled by 1e18).
+     */
+    uint256 private _interestRate;
+
+    /**
+     * @dev Timestamp of the last update to `_index`.
+     */
+    uint256 private _lastUpdated;
+
+    /**
+     * @dev Balances (excluding interest) as of each user's last deposit or redemption.
+     * As on Aave v1, balances are principal balances accruing interest since the user's index (rather than balances scaled by the index), so deposits are not rounded down.
+     */
+    mapping(address => uint256) private _principalBalances;
+
+    /**
+     * @dev Liquidity index (scaled by 1e18) as of each user's last deposit or redemption.
+     */
+    mapping(address => uint256) private _userIndexes;
+
+    /**
+     * @dev Total supply (excluding interest) as of the last deposit or redemption.
+     */
+    uint256 private _principalTotalSupply;
+
+    /**
+     * @dev Liquidity index (scaled by 1e18) as of the last deposit or redemption.
+     */
+    uint256 private _totalSupplyIndex;
+
+    /**
+     * @dev Initializer that sets the underlying token, lending pool, lending pool core, name, symbol, and decimals.
+     */
+    function initialize(address underlying, address lendingPool, address core, string memory _name, string memory _symbol, uint8 _decimals) public initializer {
+        underlyingAssetAddress = underlying;
+        _lendingPool = lendingPool;
+        _core = MockLendingPoolCore(core);
+        name = _name;
+        symbol = _symbol;
+        decimals = _decimals;
+        _index = 1e18;
+        _lastUpdated = block.timestamp;
+    }
+
+    /**
+     * @dev Sets the liquidity rate per second (scaled by 1e18).
+     */
+    function setInterestRate(uint256 ratePerSecond) external {
+        accrue();
+        _interestRate = ratePerSecond;
+    }
+
+    /**
+     * @dev Returns the current liquidity index (scaled by 1e18).
+     */
+    function getIndex() internal view returns (uint256) {
+        return MockInterest.accrue(_index, _interestRate, _lastUpdated);
+    }
+
+    /**
+     * @dev Stores the current liquidity index.
+     */
+    function accrue() internal {
+        _index = getIndex();
+        _lastUpdated = block.timestamp;
+    }
+
+    /**
+     * @dev Returns the balance of `user` including interest.
+     */
+    function balanceOf(address user) public view returns (uint256) {
+        if (_principalBalances[user] <= 0) return 0;
+        return _principalBalances[user].mul(getIndex()).div(_userIndexes[user]);
+    }
+
+    /**
+     * @dev Returns the total supply including interest.
+     */
+    function totalSupply() public view returns (uint256) {
+        if (_principalTotalSupply <= 0) return 0;
+        return _principalTotalSupply.mul(getIndex()).div(_totalSupplyIndex);
+    }
+
+    /**
+     * @dev Adds interest accrued since the last deposit or redemption to the principal balance of `user` and the principal total supply.
+     */
+    function cumulateBalance(address user) internal {
+        accrue();
+        _principalBalances[user] = balanceOf(user);
+        _userIndexes[user] = _index;
+        _principalTotalSupply = totalSupply();
+        _totalSupplyIndex = _index;
+    }
+
+    /**
+     * @dev Mints aTokens worth `amount` to `account` (called by MockLendingPool on deposit).
+     */
+    function mintOnDeposit(address account, uint256 amount) external {
+        require(msg.sender == _lendingPool, "Sender is not the lending pool.");
+        cumulateBalance(account);
+        _principalBalances[account] = _principalBalances[account].add(amount);
+        _principalTotalSupply = _principalTotalSupply.add(amount);
+    }
+
+    /**
+     * @dev Redeems `amount` aTokens (or the entire balance if `amount` is the maximum uint256) for the same amount of the underlying token.
+     */
+    function redeem(uint256 amount) external {
+        cumulateBalance(msg.sender);
+        if (amount == uint256(-1)) amount = _principalBalances[msg.sender];
+        require(amount <= _principalBalances[msg.sender], "Redeem amount exceeds balance.");
+        _principalBalances[msg.sender] = _principalBalances[msg.sender].sub(amount);
+        _principalTotalSupply = amount < _principalTotalSupply ? _principalTotalSupply.sub(amount) : 0; // Balances and total supply are rounded separately
+        _core.transferToUser(underlyingAssetAddress, msg.sender, amount);
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+pragma solidity 0.5.17;
+
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+
+import "./MockLendingPoolCore.sol";
+import "./MockAToken.sol";
+
+/**
+ * @title MockLendingPool
+ * @author David Lucid <david@rari.capital> (https://github.com/davidlucid)
+ * @dev Aave LendingPool accepting deposits to the mock Aave reserves (for testing only).
+ */
+contract MockLendingPool is Initializable {
+    /**
+     * @dev MockLendingPoolCore contract object.
+     */
+    MockLendingPoolCore private _core;
+
+    /**
+     * @dev Maps reserve (underlying ERC20 token) contract addresses to MockAToken contract addresses.
+     */
+    mapping(address => address) private _aTokens;
+
+    /**
+     * @dev Initializer that sets the MockLendingPoolCore.
+     */
+    function initialize(address core) public initializer {
+        _core = MockLendingPoolCore(core);
+    }
+
+    /**
+     * @dev Adds `reserve` with `aToken` as its aToken.
+     */
+    function addReserve(address reserve, address aToken) external {
+        _aTokens[reserve] = aToken;
+        _core.addAToken(aToken);
+    }
+
+    /**
+     * @dev Deposits `amount` of `reserve` (approved to MockLendingPoolCore beforehand) in exchange for aTokens.
+     */
+    function deposit(address reserve, uint256 amount, uint16 referralCode) external payable {
+        address aToken = _aTokens[reserve];
+        require(aToken != address(0), "Reserve not found.");
+        _core.transferToReserve(reserve, msg.sender, amount);
+        MockAToken(aToken).mintOnDeposit(msg.sender, amount);
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+pragma solidity 0.5.17;
+
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/SafeERC20.sol";
+
+import "../MockInterest.sol";
+
+/**
+ * @title MockLendingPoolCore
+ * @author David Lucid <david@rari.capital> (https://github.com/davidlucid)
+ * @dev Aave LendingPoolCore holding the reserves of the mock Aave pool (for testing only).
+ */
+contract MockLendingPoolCore is Initializable {
+    using SafeERC20 for IERC20;
+
+    /**
+     * @dev MockLendingPool contract address.
+     */
+    address public lendingPool;
+
+    /**
+     * @dev Maps MockAToken contract addresses to booleans indicating if they are allowed to transfer reserves to users.
+     */
+    mapping(address => bool) private _aTokens;
+
+    /**
+     * @dev Initializer that sets the MockLendingPool.
+     */
+    function initialize(address _lendingPool) public initializer {
+        lendingPool = _lendingPool;
+    }
+
+    /**
+     * @dev Allows `aToken` to transfer reserves to users (called by MockLendingPool when adding a reserve).
+     */
+    function addAToken(address aToken) external {
+        require(msg.sender == lendingPool, "Sender is not the lending pool.");
+        _aTokens[aToken] = true;
+    }
+
+    /**
+     * @dev Transfers `amount` of `reserve` from `user` (who must approve this contract beforehand) to the reserves.
+     */
+    function transferToReserve(address reserve, address user, uint256 amount) external {
+        require(msg.sender == lendingPool, "Sender is not the lending pool.");
+        IERC20(reserve).safeTransferFrom(user, address(this), amount);
+    }
+
+    /**
+     * @dev Transfers `amount` of `reserve` from the reserves (plus any interest) to `user`.
+     */
+    function transferToUser(address reserve, address user, uint256 amount) external {
+        require(_aTokens[msg.sender], "Sender is not an aToken.");
+        MockInterest.payOut(reserve, user, amount);
+    }
+}
@@ -0,0 +1,63 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+pragma solidity 0.5.17;
+
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+
+/**
+ * @title MockAggregator
+ * @author David Lucid <david@rari.capital> (https://github.com/davidlucid)
+ * @dev Chainlink price feed with an adjustable answer (for testing only).
+ */
+contract MockAggregator is Initializable {
+    /**
+     * @dev Number of decimals in the answer.
+     */
+    uint8 public decimals;
+
+    /**
+     * @dev Latest answer.
+     */
+    int256 private _answer;
+
+    /**
+     * @dev Latest round ID.
+     */
+    uint80 private _roundId;
+
+    /**
+     * @dev Timestamp of the latest round.
+     */
+    uint256 private _updatedAt;
+
+    /**
+     * @dev Initializer that sets the number of decimals and the initial answer.
+     */
+    function initialize(uint8 _decimals, int256 answer) public initializer {
+        decimals = _decimals;
+        setAnswer(answer);
+    }
+
+    /**
+     * @dev Starts a new round with `answer`.
+     */
+    function setAnswer(int256 answer) public {
+        _answer = answer;
+        _roundId++;
+        _updatedAt = block.timestamp;
+    }
+
+    /**
+     * @dev Returns the latest round ID, answer, start timestamp, update timestamp, and round in which the answer was computed.
+     */
+    function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80) {
+        return (_roundId, _answer, _updatedAt, _updatedAt, _roundId);
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+pragma solidity 0.5.17;
+
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/SafeERC20.sol";
+
+import "../MockInterest.sol";
+
+/**
+ * @title MockCErc20
+ * @author David Lucid <david@rari.capital> (https://github.com/davidlucid)
+ * @dev Compound cToken whose exchange rate grows at an adjustable supply interest rate (for testing only).
+ * Like Compound's, functions return 0 on success; unlike Compound's, they revert on failure.
+ */
+contract MockCErc20 is Initializable, ERC20 {
+    using SafeMath for uint256;
+    using SafeERC20 for IERC20;
+
+    /**
+     * @dev Name of the cToken.
+     */
+    string public name;
+
+    /**
+     * @dev Symbol of the cToken.
+     */
+    string public symbol;
+
+    /**
+     * @dev cTokens have 8 decimals.
+     */
+    uint8 public constant decimals = 8;
+
+    /**
+     * @dev Underlying ERC20 token contract address.
+     */
+    address public underlying;
+
+    /**
+     * @dev Exchange rate of underlying tokens per cToken (scaled by 1e18) as of `_lastUpdated`.
+     */
+    uint256 private _exchangeRate;
+
+    /**
+     * @dev Supply interest rate per second (scaled by 1e18).
+     */
+    uint256 private _interestRate;
+
+    /**
+     * @dev Timestamp of the last update to `_exchangeRate`.
+     */
+    uint256 private _lastUpdated;
+
+    /**
+     * @dev Initializer that sets the underlying token, name, symbol, and initial exchange rate (scaled by 1e18).
+     */
+    function initialize(address _underlying, string memory _name, string memory _symbol, uint256 initialExchangeRate) public initializer {
+        underlying = _underlying;
+        name = _name;
+        symbol = _symbol;
+        _exchangeRate = initialExchangeRate;
+        _lastUpdated = block.timestamp;
+    }
+
+    /**
+     * @dev Sets the supply interest rate per second (scaled by 1e18).
+     */
+    function setInterestRate(uint256 ratePerSecond) external {
+        accrueInterest();
+        _interestRate = ratePerSecond;
+    }
+
+    /**
+     * @dev Returns the supply interest rate per block (scaled by 1e18), assuming 13-second blocks.
+     */
+    function supplyRatePerBlock() external view returns (uint256) {
+        return _interestRate.mul(13);
+    }
+
+    /**
+     * @dev Stores the current exchange rate.
+     */
+    function accrueInterest() public returns (uint256) {
+        _exchangeRate = MockInterest.accrue(_exchangeRate, _interestRate, _lastUpdated);
+        _lastUpdated = block.timestamp;
+        return 0;
+    }
+
+    /**
+     * @dev Returns the exchange rate as of the last accrual.
+     */
+    function exchangeRateStored() external view returns (uint256) {
+        return _exchangeRate;
+    }
+
+    /**
+     * @dev Accrues interest and returns the current exchange rate.
+     */
+    function exchangeRateCurrent() external returns (uint256) {
+        accrueInterest();
+        return _exchangeRate;
+    }
+
+    /**
+     * @dev Accrues interest and returns the underlying balance of `owner`.
+     */
+    function balanceOfUnderlying(address owner) external returns (uint256) {
+        accrueInterest();
+        return balanceOf(owner).mul(_exchangeRate).div(1e18);
+    }
+
+    /**
+     * @dev Supplies `mintAmount` underlying tokens (approved beforehand) in exchange for cTokens.
+     */
+    function mint(uint256 mintAmount) external returns (uint256) {
+        accrueInterest();
+        IERC20(underlying).safeTransferFrom(msg.sender, address(this), mintAmount);
+        _mint(msg.sender, mintAmount.mul(1e18).div(_exchangeRate));
+        return 0;
+    }
+
+    /**
+     * @dev Redeems `redeemTokens` cTokens in exchange for underlying tokens.
+     */
+    function redeem(uint256 redeemTokens) external returns (uint256) {
+        accrueInterest();
+        _burn(msg.sender, redeemTokens);
+        MockInterest.payOut(underlying, msg.sender, redeemTokens.mul(_exchangeRate).div(1e18));
+        return 0;
+    }
+
+    /**
+     * @dev Redeems cTokens in exchange for `redeemAmount` underlying tokens.
+     */
+    function redeemUnderlying(uint256 redeemAmount) external returns (uint256) {
+        accrueInterest();
+        _burn(msg.sender, redeemAmount.mul(1e18).add(_exchangeRate).sub(1).div(_exchangeRate)); // Round up
+        MockInterest.payOut(underlying, msg.sender, redeemAmount);
+        return 0;
+    }
+}
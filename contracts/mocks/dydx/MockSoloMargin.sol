@@ -0,0 +1,147 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+pragma solidity 0.5.17;
+pragma experimental ABIEncoderV2;
+
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/SafeERC20.sol";
+
+import "../../external/dydx/lib/Account.sol";
+import "../../external/dydx/lib/Actions.sol";
+import "../../external/dydx/lib/Types.sol";
+
+import "../MockInterest.sol";
+
+/**
+ * @title MockSoloMargin
+ * @author David Lucid <david@rari.capital> (https://github.com/davidlucid)
+ * @dev dYdX SoloMargin supporting the deposits and withdrawals made by DydxPoolController, with an adjustable supply interest rate per market (for testing only).
+ */
+contract MockSoloMargin is Initializable {
+    using SafeMath for uint256;
+    using SafeERC20 for IERC20;
+
+    /**
+     * @dev ERC20 token contract address of each market (indexed by market ID).
+     */
+    address[] private _tokens;
+
+    /**
+     * @dev Supply index of each market (scaled by 1e18) as of `_lastUpdated`.
+     */
+    uint256[] private _indexes;
+
+    /**
+     * @dev Supply interest rate per second of each market (scaled by 1e18).
+     */
+    uint256[] private _interestRates;
+
+    /**
+     * @dev Timestamp of the last update to each market's index.
+     */
+    uint256[] private _lastUpdated;
+
+    /**
+     * @dev Principal (par) balances mapped by account owner, account number, and market ID.
+     */
+    mapping(address => mapping(uint256 => mapping(uint256 => uint256))) private _pars;
+
+    /**
+     * @dev Initializer that adds a market for each of `tokens` (market IDs are their indexes).
+     */
+    function initialize(address[] memory tokens) public initializer {
+        for (uint256 i = 0; i < tokens.length; i++) {
+            _tokens.push(tokens[i]);
+            _indexes.push(1e18);
+            _interestRates.push(0);
+            _lastUpdated.push(block.timestamp);
+        }
+    }
+
+    /**
+     * @dev Sets the supply interest rate per second (scaled by 1e18) of market `marketId`.
+     */
+    function setInterestRate(uint256 marketId, uint256 ratePerSecond) external {
+        accrue(marketId);
+        _interestRates[marketId] = ratePerSecond;
+    }
+
+    /**
+     * @dev Returns the current supply index of market `marketId` (scaled by 1e18).
+     */
+    function getIndex(uint256 marketId) internal view returns (uint256) {
+        return MockInterest.accrue(_indexes[marketId], _interestRates[marketId], _lastUpdated[marketId]);
+    }
+
+    /**
+     * @dev Stores the current supply index of market `marketId`.
+     */
+    function accrue(uint256 marketId) internal {
+        _indexes[marketId] = getIndex(marketId);
+        _lastUpdated[marketId] = block.timestamp;
+    }
+
+    /**
+     * @dev Returns the token address, par balance, and wei balance of `account` for each market.
+     */
+    function getAccountBalances(Account.Info memory account) public view returns (address[] memory, Types.Par[] memory, Types.Wei[] memory) {
+        Types.Par[] memory pars = new Types.Par[](_tokens.length);
+        Types.Wei[] memory weis = new Types.Wei[](_tokens.length);
+
+        for (uint256 i = 0; i < _tokens.length; i++) {
+            uint256 par = _pars[account.owner][account.number][i];
+            pars[i] = Types.Par(true, uint128(par));
+            weis[i] = Types.Wei(true, par.mul(getIndex(i)).div(1e18));
+        }
+
+        return (_tokens, pars, weis);
+    }
+
+    /**
+     * @dev Processes `actions` on `accounts` (owned by msg.sender).
+     * Only deposits (positive wei deltas) and withdrawals (negative wei deltas or a par target of 0) are supported.
+     */
+    function operate(Account.Info[] memory accounts, Actions.ActionArgs[] memory actions) public {
+        for (uint256 i = 0; i < actions.length; i++) {
+            Actions.ActionArgs memory action = actions[i];
+            Account.Info memory account = accounts[action.accountId];
+            require(account.owner == msg.sender, "Sender is not the account owner.");
+            uint256 marketId = action.primaryMarketId;
+            require(marketId < _tokens.length, "Invalid market ID.");
+            accrue(marketId);
+            uint256 par = _pars[account.owner][account.number][marketId];
+
+            if (action.actionType == Actions.ActionType.Deposit) {
+                require(action.amount.sign && action.amount.denomination == Types.AssetDenomination.Wei && action.amount.ref == Types.AssetReference.Delta, "Only positive wei deltas are supported for deposits.");
+                IERC20(_tokens[marketId]).safeTransferFrom(action.otherAddress, address(this), action.amount.value);
+                _pars[account.owner][account.number][marketId] = par.add(action.amount.value.mul(1e18).div(_indexes[marketId]));
+            } else if (action.actionType == Actions.ActionType.Withdraw) {
+                uint256 amount;
+
+                if (action.amount.ref == Types.AssetReference.Target) {
+                    require(action.amount.value == 0, "Only par targets of 0 are supported for withdrawals.");
+                    amount = par.mul(_indexes[marketId]).div(1e18);
+                    par = 0;
+                } else {
+                    require(!action.amount.sign && action.amount.denomination == Types.AssetDenomination.Wei, "Only negative wei deltas are supported for withdrawals.");
+                    amount = action.amount.value;
+                    uint256 parWithdrawn = amount.mul(1e18).add(_indexes[marketId]).sub(1).div(_indexes[marketId]); // Round up
+                    require(parWithdrawn <= par, "Withdrawal amount exceeds balance.");
+                    par = par.sub(parWithdrawn);
+                }
+
+                _pars[account.owner][account.number][marketId] = par;
+                MockInterest.payOut(_tokens[marketId], action.otherAddress, amount);
+            } else revert("Only deposits and withdrawals are supported.");
+        }
+    }
+}
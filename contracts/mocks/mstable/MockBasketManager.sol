@@ -0,0 +1,47 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+pragma solidity 0.5.17;
+pragma experimental ABIEncoderV2;
+
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/IERC20.sol";
+
+import "../../external/mstable/MassetStructs.sol";
+
+import "./MockMasset.sol";
+
+/**
+ * @title MockBasketManager
+ * @author David Lucid <david@rari.capital> (https://github.com/davidlucid)
+ * @dev mStable BasketManager reporting the bAssets held by MockMasset (for testing only).
+ */
+contract MockBasketManager is Initializable, MassetStructs {
+    /**
+     * @dev MockMasset contract object.
+     */
+    MockMasset private _mAsset;
+
+    /**
+     * @dev Initializer that sets the MockMasset.
+     */
+    function initialize(address mAsset) public initializer {
+        _mAsset = MockMasset(mAsset);
+    }
+
+    /**
+     * @dev Returns the bAssets of the mAsset (with their ratios and vault balances) and their count.
+     */
+    function getBassets() external view returns (Basset[] memory bAssets, uint256 len) {
+        address[] memory addresses = _mAsset.getBassets();
+        bAssets = new Basset[](addresses.length);
+        for (uint256 i = 0; i < addresses.length; i++) bAssets[i] = Basset(addresses[i], BassetStatus.Normal, false, _mAsset.getRatio(addresses[i]), 1e18, IERC20(addresses[i]).balanceOf(address(_mAsset)));
+        return (bAssets, addresses.length);
+    }
+}
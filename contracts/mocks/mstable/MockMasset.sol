@@ -0,0 +1,141 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+pragma solidity 0.5.17;
+
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/ERC20Detailed.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/SafeERC20.sol";
+
+/**
+ * @title MockMasset
+ * @author David Lucid <david@rari.capital> (https://github.com/davidlucid)
+ * @dev mStable mAsset (mUSD) minted 1:1 in value for its bAssets, charging the swap fee on redemptions and swaps (for testing only).
+ */
+contract MockMasset is Initializable, ERC20 {
+    using SafeMath for uint256;
+    using SafeERC20 for IERC20;
+
+    /**
+     * @dev Name of the mAsset.
+     */
+    string public constant name = "mStable USD";
+
+    /**
+     * @dev Symbol of the mAsset.
+     */
+    string public constant symbol = "mUSD";
+
+    /**
+     * @dev mAssets have 18 decimals.
+     */
+    uint8 public constant decimals = 18;
+
+    /**
+     * @dev Swap fee (scaled by 1e18).
+     */
+    uint256 public swapFee;
+
+    /**
+     * @dev bAsset ERC20 token contract addresses.
+     */
+    address[] private _bAssets;
+
+    /**
+     * @dev Maps bAsset contract addresses to their ratios (1e8 * 10 ** (18 - decimals); 0 if not a bAsset).
+     */
+    mapping(address => uint256) private _ratios;
+
+    /**
+     * @dev Initializer that sets the bAssets and swap fee (scaled by 1e18).
+     */
+    function initialize(address[] memory bAssets, uint256 _swapFee) public initializer {
+        for (uint256 i = 0; i < bAssets.length; i++) {
+            _bAssets.push(bAssets[i]);
+            _ratios[bAssets[i]] = uint256(1e8).mul(10 ** uint256(18 - ERC20Detailed(bAssets[i]).decimals()));
+        }
+
+        swapFee = _swapFee;
+    }
+
+    /**
+     * @dev Sets the swap fee (scaled by 1e18).
+     */
+    function setSwapFee(uint256 _swapFee) external {
+        swapFee = _swapFee;
+    }
+
+    /**
+     * @dev Returns the bAsset contract addresses.
+     */
+    function getBassets() external view returns (address[] memory) {
+        return _bAssets;
+    }
+
+    /**
+     * @dev Returns the ratio of `bAsset` (1e8 * 10 ** (18 - decimals); 0 if not a bAsset).
+     */
+    function getRatio(address bAsset) public view returns (uint256) {
+        return _ratios[bAsset];
+    }
+
+    /**
+     * @dev Converts `bAssetQuantity` of `bAsset` to mAsset units.
+     */
+    function toMasset(address bAsset, uint256 bAssetQuantity) public view returns (uint256) {
+        require(_ratios[bAsset] > 0, "Invalid bAsset.");
+        return bAssetQuantity.mul(_ratios[bAsset]).div(1e8);
+    }
+
+    /**
+     * @dev Converts `mAssetQuantity` to units of `bAsset`.
+     */
+    function fromMasset(address bAsset, uint256 mAssetQuantity) public view returns (uint256) {
+        require(_ratios[bAsset] > 0, "Invalid bAsset.");
+        return mAssetQuantity.mul(1e8).div(_ratios[bAsset]);
+    }
+
+    /**
+     * @dev Mints mAssets in exchange for `bAssetQuantity` of `bAsset` (approved beforehand).
+     */
+    function mint(address bAsset, uint256 bAssetQuantity) external returns (uint256 massetMinted) {
+        massetMinted = toMasset(bAsset, bAssetQuantity);
+        IERC20(bAsset).safeTransferFrom(msg.sender, address(this), bAssetQuantity);
+        _mint(msg.sender, massetMinted);
+    }
+
+    /**
+     * @dev Redeems mAssets in exchange for `bAssetQuantity` of `bAsset` less the swap fee.
+     */
+    function redeem(address bAsset, uint256 bAssetQuantity) external returns (uint256 massetRedeemed) {
+        massetRedeemed = toMasset(bAsset, bAssetQuantity);
+        _burn(msg.sender, massetRedeemed);
+        IERC20(bAsset).safeTransfer(msg.sender, bAssetQuantity.sub(bAssetQuantity.mul(swapFee).div(1e18)));
+    }
+
+    /**
+     * @dev Swaps `quantity` of `input` (approved beforehand) for `output` (less the swap fee unless minting mAssets), sent to `recipient`.
+     */
+    function swap(address input, address output, uint256 quantity, address recipient) external returns (uint256 outputQuantity) {
+        uint256 massetQuantity = toMasset(input, quantity);
+        IERC20(input).safeTransferFrom(msg.sender, address(this), quantity);
+
+        if (output == address(this)) {
+            _mint(recipient, massetQuantity);
+            return massetQuantity;
+        }
+
+        outputQuantity = fromMasset(output, massetQuantity);
+        outputQuantity = outputQuantity.sub(outputQuantity.mul(swapFee).div(1e18));
+        IERC20(output).safeTransfer(recipient, outputQuantity);
+    }
+}
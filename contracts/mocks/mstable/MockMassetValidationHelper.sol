@@ -0,0 +1,48 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+pragma solidity 0.5.17;
+
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/IERC20.sol";
+
+import "./MockMasset.sol";
+
+/**
+ * @title MockMassetValidationHelper
+ * @author David Lucid <david@rari.capital> (https://github.com/davidlucid)
+ * @dev mStable MassetValidationHelper validating mints, swaps, and redemptions against the bAssets held by a MockMasset (for testing only).
+ */
+contract MockMassetValidationHelper {
+    using SafeMath for uint256;
+
+    /**
+     * @dev Returns a boolean indicating if swapping `_input` for `_output` (which may be the mAsset itself, i.e., minting) is valid, the reason if not, the maximum input quantity, and the maximum output quantity (before fees).
+     */
+    function getMaxSwap(address _mAsset, address _input, address _output) external view returns (bool, string memory, uint256, uint256) {
+        MockMasset mAsset = MockMasset(_mAsset);
+        if (mAsset.getRatio(_input) == 0) return (false, "Input must be a bAsset", 0, 0);
+        if (_output == _mAsset) return (true, "", uint256(-1), uint256(-1));
+        if (mAsset.getRatio(_output) == 0) return (false, "Output must be a bAsset or the mAsset", 0, 0);
+        uint256 maxOutput = IERC20(_output).balanceOf(_mAsset);
+        return (maxOutput > 0, maxOutput > 0 ? "" : "Not enough liquidity", mAsset.fromMasset(_input, mAsset.toMasset(_output, maxOutput)), maxOutput);
+    }
+
+    /**
+     * @dev Returns a boolean indicating if redeeming `_mAssetQuantity` for `_outputBasset` is valid, the reason if not, the output quantity (after fees), and the bAsset quantity to pass to `redeem`.
+     */
+    function getRedeemValidity(address _mAsset, uint256 _mAssetQuantity, address _outputBasset) external view returns (bool, string memory, uint256 output, uint256 bassetQuantityArg) {
+        MockMasset mAsset = MockMasset(_mAsset);
+        if (mAsset.getRatio(_outputBasset) == 0) return (false, "Output must be a bAsset", 0, 0);
+        bassetQuantityArg = mAsset.fromMasset(_outputBasset, _mAssetQuantity);
+        output = bassetQuantityArg.sub(bassetQuantityArg.mul(mAsset.swapFee()).div(1e18));
+        if (bassetQuantityArg > IERC20(_outputBasset).balanceOf(_mAsset)) return (false, "Not enough liquidity", output, bassetQuantityArg);
+        return (true, "", output, bassetQuantityArg);
+    }
+}
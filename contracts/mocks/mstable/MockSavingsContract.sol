@@ -0,0 +1,113 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+pragma solidity 0.5.17;
+
+import "@openzeppelin/upgrades/contracts/Initializable.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts-ethereum-package/contracts/token/ERC20/SafeERC20.sol";
+
+import "../MockInterest.sol";
+
+/**
+ * @title MockSavingsContract
+ * @author David Lucid <david@rari.capital> (https://github.com/davidlucid)
+ * @dev mStable SavingsContract whose exchange rate grows at an adjustable interest rate (for testing only).
+ * Interest is paid out of the contract's own mAsset balance, so fund it with enough mAssets to cover interest.
+ */
+contract MockSavingsContract is Initializable {
+    using SafeMath for uint256;
+    using SafeERC20 for IERC20;
+
+    /**
+     * @dev Maps accounts to their credit balances.
+     */
+    mapping(address => uint256) public creditBalances;
+
+    /**
+     * @dev Total credits issued.
+     */
+    uint256 public totalCredits;
+
+    /**
+     * @dev mAsset contract object.
+     */
+    IERC20 private _mAsset;
+
+    /**
+     * @dev Exchange rate of mAssets per credit (scaled by 1e18) as of `_lastUpdated`.
+     */
+    uint256 private _exchangeRate;
+
+    /**
+     * @dev Interest rate per second (scaled by 1e18).
+     */
+    uint256 private _interestRate;
+
+    /**
+     * @dev Timestamp of the last update to `_exchangeRate`.
+     */
+    uint256 private _lastUpdated;
+
+    /**
+     * @dev Initializer that sets the mAsset (the initial exchange rate is 0.1, as on mainnet).
+     */
+    function initialize(address mAsset) public initializer {
+        _mAsset = IERC20(mAsset);
+        _exchangeRate = 1e17;
+        _lastUpdated = block.timestamp;
+    }
+
+    /**
+     * @dev Sets the interest rate per second (scaled by 1e18).
+     */
+    function setInterestRate(uint256 ratePerSecond) external {
+        accrue();
+        _interestRate = ratePerSecond;
+    }
+
+    /**
+     * @dev Returns the current exchange rate of mAssets per credit (scaled by 1e18).
+     */
+    function exchangeRate() public view returns (uint256) {
+        return MockInterest.accrue(_exchangeRate, _interestRate, _lastUpdated);
+    }
+
+    /**
+     * @dev Stores the current exchange rate.
+     */
+    function accrue() internal {
+        _exchangeRate = exchangeRate();
+        _lastUpdated = block.timestamp;
+    }
+
+    /**
+     * @dev Deposits `amount` mAssets (approved beforehand) in exchange for credits.
+     */
+    function depositSavings(uint256 amount) external returns (uint256 creditsIssued) {
+        accrue();
+        _mAsset.safeTransferFrom(msg.sender, address(this), amount);
+        creditsIssued = amount.mul(1e18).div(_exchangeRate);
+        creditBalances[msg.sender] = creditBalances[msg.sender].add(creditsIssued);
+        totalCredits = totalCredits.add(creditsIssued);
+    }
+
+    /**
+     * @dev Redeems `credits` in exchange for mAssets.
+     */
+    function redeem(uint256 credits) external returns (uint256 massetReturned) {
+        accrue();
+        require(credits <= creditBalances[msg.sender], "Redeem amount exceeds credit balance.");
+        creditBalances[msg.sender] = creditBalances[msg.sender].sub(credits);
+        totalCredits = totalCredits.sub(credits);
+        massetReturned = credits.mul(_exchangeRate).div(1e18);
+        _mAsset.safeTransfer(msg.sender, massetReturned);
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+require('dotenv').config();
+
+var MockERC20 = artifacts.require("./mocks/MockERC20.sol");
+var MockAggregator = artifacts.require("./mocks/chainlink/MockAggregator.sol");
+var MockSoloMargin = artifacts.require("./mocks/dydx/MockSoloMargin.sol");
+var MockCErc20 = artifacts.require("./mocks/compound/MockCErc20.sol");
+var MockLendingPool = artifacts.require("./mocks/aave/MockLendingPool.sol");
+var MockLendingPoolCore = artifacts.require("./mocks/aave/MockLendingPoolCore.sol");
+var MockAToken = artifacts.require("./mocks/aave/MockAToken.sol");
+var MockMasset = artifacts.require("./mocks/mstable/MockMasset.sol");
+var MockBasketManager = artifacts.require("./mocks/mstable/MockBasketManager.sol");
+var MockSavingsContract = artifacts.require("./mocks/mstable/MockSavingsContract.sol");
+var MockMassetValidationHelper = artifacts.require("./mocks/mstable/MockMassetValidationHelper.sol");
+
+// Mainnet addresses hardcoded in the contracts (and used by the tests and SDK)
+var tokens = {
+  "DAI": { address: "0x6B175474E89094C44Da98b954EedeAC495271d0F", name: "Dai Stablecoin", decimals: 18 },
+  "USDC": { address: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", name: "USD Coin", decimals: 6 },
+  "USDT": { address: "0xdAC17F958D2ee523a2206206994597C13D831ec7", name: "Tether USD", decimals: 6 },
+  "TUSD": { address: "0x0000000000085d4780B73119b644AE5ecd22b376", name: "TrueUSD", decimals: 18 },
+  "BUSD": { address: "0x4Fabb145d64652a948d72533023f6E7A623C7C53", name: "Binance USD", decimals: 18 },
+  "sUSD": { address: "0x57Ab1ec28D129707052df4dF418D58a2D46d5f51", name: "Synth sUSD", decimals: 18 }
+};
+
+var MUSD_ADDRESS = "0xe2f2a5C287993345a840Db3B0845fbC70f5935a5";
+var WETH_ADDRESS = "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2";
+var SAI_ADDRESS = "0x89d24A6b4CcB1B6fAA2625fE562bDD9a23260359";
+
+// Chainlink price feeds: DAI/USD and ETH/USD (8 decimals) and ETH-based pairs (18 decimals)
+var ETH_USD_PRICE = 400;
+var priceFeeds = {
+  "0xAed0c38402a5d19df6E4c03F4E2DceD6e29c1ee9": { decimals: 8, answer: web3.utils.toBN(1e8) }, // DAI/USD
+  "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419": { decimals: 8, answer: web3.utils.toBN(ETH_USD_PRICE * 1e8) }, // ETH/USD
+  "0x986b5E1e1755e3C2440e960477f25201B0a8bbD4": { decimals: 18, answer: web3.utils.toBN(1e18 / ETH_USD_PRICE) }, // USDC/ETH
+  "0xEe9F2375b4bdF6387aa8265dD4FB8F16512A1d46": { decimals: 18, answer: web3.utils.toBN(1e18 / ETH_USD_PRICE) }, // USDT/ETH
+  "0x3886BA987236181D98F2401c507Fb8BeA7871dF2": { decimals: 18, answer: web3.utils.toBN(1e18 / ETH_USD_PRICE) }, // TUSD/ETH
+  "0x614715d2Af89E6EC99A233818275142cE88d1Cfd": { decimals: 18, answer: web3.utils.toBN(1e18 / ETH_USD_PRICE) }, // BUSD/ETH
+  "0x8e0b7e6062272B5eF4524250bFFF8e5Bd3497757": { decimals: 18, answer: web3.utils.toBN(1e18 / ETH_USD_PRICE) } // sUSD/ETH
+};
+
+// dYdX markets (market IDs are array indexes)
+var SOLO_MARGIN_ADDRESS = "0x1E0447b19BB6EcFdAe1e4AE1694b0C3659614e4e";
+var dydxMarkets = [WETH_ADDRESS, SAI_ADDRESS, tokens["USDC"].address, tokens["DAI"].address];
+
+// Compound cTokens
+var cTokens = {
+  "DAI": { address: "0x5d3a536E4D6DbD6114cc1Ead35777bAB948E3643", name: "Compound Dai", symbol: "cDAI" },
+  "USDC": { address: "0x39AA39c021dfbaE8faC545936693aC917d5E7563", name: "Compound USD Coin", symbol: "cUSDC" },
+  "USDT": { address: "0xf650C3d88D12dB855b8bf7D11Be6C55A4e07dCC9", name: "Compound USDT", symbol: "cUSDT" }
+};
+
+// Aave LendingPool, LendingPoolCore, and aTokens
+var LENDING_POOL_ADDRESS = "0x398eC7346DcD622eDc5ae82352F02bE94C62d119";
+var LENDING_POOL_CORE_ADDRESS = "0x3dfd23A6c5E8BbcFc9581d2E864a68feb6a076d3";
+var aTokens = {
+  "DAI": "0xfC1E690f61EFd961294b3e1Ce3313fBD8aa4f85d",
+  "USDC": "0x9bA00D6856a4eDF4665BcA2C2309936572473B7E",
+  "USDT": "0x71fc860F7D3A592A4a98740e39dB31d25db65ae8",
+  "TUSD": "0x4DA9b813057D04BAef4e5800E36083717b4a0341",
+  "BUSD": "0x6Ee0f7BB50a54AB5253dA0667B0Dc2ee526C30a8",
+  "sUSD": "0x625aE63000f46200499120B906716420bd059240"
+};
+
+// mStable contracts (bAssets in the order expected by RariFundPriceConsumer)
+var BASKET_MANAGER_ADDRESS = "0x66126B4aA2a1C07536Ef8E5e8bD4EfDA1FdEA96D";
+var SAVINGS_CONTRACT_ADDRESS = "0xcf3F73290803Fc04425BEE135a4Caeb2BaB2C2A1";
+var MASSET_VALIDATION_HELPER_ADDRESS = "0xabcc93c3be238884cc3309c19afd128fafc16911";
+var bAssets = ["DAI", "USDC", "TUSD", "USDT"];
+
+// Default supply interest rate of every mock pool: 10% APR (per second, scaled by 1e18)
+// Interest accrued on 0.1 DAI in one second must exceed the rounding of cToken mints (up to 2e8 wei), as the fund tests wait one second for interest
+var INTEREST_RATE_PER_SECOND = web3.utils.toBN(0.1e18).divn(365 * 86400);
+
+/**
+ * Sets the code of `address` to the deployed bytecode of `artifact` (via the evm_setAccountCode method added by `scripts/ganache.js --mock`) and returns a contract instance at `address`.
+ * Contracts at these addresses are never constructed, so mocks are initialized via initializers instead.
+ */
+async function setCode(address, artifact) {
+  await new Promise((resolve, reject) => web3.currentProvider.send({ jsonrpc: "2.0", id: new Date().getTime(), method: "evm_setAccountCode", params: [address, artifact.deployedBytecode] }, (err, response) => err ? reject(err) : response.error ? reject(new Error("Failed to set code (use scripts/ganache.js --mock): " + response.error.message)) : resolve(response.result)));
+  return await artifact.at(address);
+}
+
+module.exports = async function(deployer, network, accounts) {
+  // Only deploy mocks to the mock network (a blank chain started with `npm run ganache-mock`)
+  // Mocks are deployed before the fund contracts because RariFundController.setFundManager approves the tokens at these addresses
+  if (network !== "mock") return;
+
+  // Deploy mintable stablecoins
+  var tokenInstances = {};
+
+  for (const currencyCode of Object.keys(tokens)) {
+    tokenInstances[currencyCode] = await setCode(tokens[currencyCode].address, MockERC20);
+    await tokenInstances[currencyCode].initialize(tokens[currencyCode].name, currencyCode, tokens[currencyCode].decimals);
+  }
+
+  // Deploy Chainlink price feeds
+  for (const address of Object.keys(priceFeeds)) await (await setCode(address, MockAggregator)).initialize(priceFeeds[address].decimals, priceFeeds[address].answer);
+
+  // Deploy dYdX SoloMargin
+  var soloMargin = await setCode(SOLO_MARGIN_ADDRESS, MockSoloMargin);
+  await soloMargin.initialize(dydxMarkets);
+  for (var i = 0; i < dydxMarkets.length; i++) await soloMargin.setInterestRate(i, INTEREST_RATE_PER_SECOND);
+
+  // Deploy Compound cTokens (with an initial exchange rate of 0.02 underlying tokens per cToken, as on Compound)
+  for (const currencyCode of Object.keys(cTokens)) {
+    var cToken = await setCode(cTokens[currencyCode].address, MockCErc20);
+    await cToken.initialize(tokens[currencyCode].address, cTokens[currencyCode].name, cTokens[currencyCode].symbol, web3.utils.toBN(2).mul(web3.utils.toBN(10).pow(web3.utils.toBN(tokens[currencyCode].decimals + 8))));
+    await cToken.setInterestRate(INTEREST_RATE_PER_SECOND);
+  }
+
+  // Deploy Aave LendingPool, LendingPoolCore, and aTokens
+  var lendingPool = await setCode(LENDING_POOL_ADDRESS, MockLendingPool);
+  await lendingPool.initialize(LENDING_POOL_CORE_ADDRESS);
+  await (await setCode(LENDING_POOL_CORE_ADDRESS, MockLendingPoolCore)).initialize(LENDING_POOL_ADDRESS);
+
+  for (const currencyCode of Object.keys(aTokens)) {
+    var aToken = await setCode(aTokens[currencyCode], MockAToken);
+    await aToken.initialize(tokens[currencyCode].address, LENDING_POOL_ADDRESS, LENDING_POOL_CORE_ADDRESS, "Aave Interest bearing " + currencyCode, "a" + currencyCode, tokens[currencyCode].decimals);
+    await aToken.setInterestRate(INTEREST_RATE_PER_SECOND);
+    await lendingPool.addReserve(tokens[currencyCode].address, aTokens[currencyCode]);
+  }
+
+  // Deploy mStable mUSD, BasketManager, SavingsContract, and MassetValidationHelper
+  var mUsd = await setCode(MUSD_ADDRESS, MockMasset);
+  await mUsd.initialize(bAssets.map(currencyCode => tokens[currencyCode].address), web3.utils.toBN(1e15)); // 0.1% swap fee
+  await (await setCode(BASKET_MANAGER_ADDRESS, MockBasketManager)).initialize(MUSD_ADDRESS);
+  var savingsContract = await setCode(SAVINGS_CONTRACT_ADDRESS, MockSavingsContract);
+  await savingsContract.initialize(MUSD_ADDRESS);
+  await savingsContract.setInterestRate(INTEREST_RATE_PER_SECOND);
+  await setCode(MASSET_VALIDATION_HELPER_ADDRESS, MockMassetValidationHelper);
+
+  // Mint 1,000,000 of each stablecoin to the development accounts
+  for (const address of [process.env.DEVELOPMENT_ADDRESS, process.env.DEVELOPMENT_ADDRESS_SECONDARY]) for (const currencyCode of Object.keys(tokens)) await tokenInstances[currencyCode].mint(address, web3.utils.toBN(1e6).mul(web3.utils.toBN(10).pow(web3.utils.toBN(tokens[currencyCode].decimals))));
+
+  // Mint mUSD with 10,000 of each bAsset (giving mUSD liquidity for swaps and redemptions) from each development account
+  for (const address of [process.env.DEVELOPMENT_ADDRESS, process.env.DEVELOPMENT_ADDRESS_SECONDARY]) for (const currencyCode of bAssets) {
+    var amountBN = web3.utils.toBN(1e4).mul(web3.utils.toBN(10).pow(web3.utils.toBN(tokens[currencyCode].decimals)));
+    await tokenInstances[currencyCode].approve(MUSD_ADDRESS, amountBN, { from: address });
+    await mUsd.mint(tokens[currencyCode].address, amountBN, { from: address });
+  }
+
+  // Fund mStable savings interest with 1,000 mUSD
+  await mUsd.transfer(SAVINGS_CONTRACT_ADDRESS, web3.utils.toBN(web3.utils.toWei("1000")), { from: process.env.DEVELOPMENT_ADDRESS });
+};
@@ -0,0 +1,37 @@
+// Exports the activity of one or more accounts (one row per Deposit, Withdrawal, exchange, and RSPT transfer event) to CSV or JSON files for accounting
+// Usage: npm run export-account-activity -- --network <network> --accounts <address>[,<address>...] [--format csv|json] [--out <directory>] [--from-block <block number>]
+const fs = require("fs");
+const path = require("path");
+const RariSdk = require("../src/js/sdk");
+
+function getArg(name, defaultValue) {
+  var i = process.argv.indexOf("--" + name);
+  return i >= 0 && i + 1 < process.argv.length ? process.argv[i + 1] : defaultValue;
+}
+
+module.exports = async function(callback) {
+  try {
+    var accounts = getArg("accounts", "").split(",").filter(account => account.length > 0);
+    if (accounts.length == 0) throw new Error("No accounts specified (use --accounts <address>[,<address>...]).");
+    var format = getArg("format", "csv");
+    if (["csv", "json"].indexOf(format) < 0) throw new Error("Invalid format (use --format csv or --format json).");
+    var outputDirectory = getArg("out", ".");
+    var fromBlock = parseInt(getArg("from-block", "0"));
+    var chainId = await web3.eth.getChainId();
+    if (!RariSdk.getNetwork(chainId)) throw new Error("Chain ID " + chainId + " is not configured in RariSdk.networks.");
+    RariSdk.setNetwork(chainId);
+
+    for (const account of accounts) {
+      if (!web3.utils.isAddress(account)) throw new Error("Invalid address: " + account);
+      var history = await RariSdk.getAccountHistory(web3, RariSdk.addresses, account, fromBlock);
+      var rows = await RariSdk.getAccountActivity(web3, RariSdk.addresses, account, history);
+      var outputFile = path.join(outputDirectory, "rari-stable-pool-" + account + "." + format);
+      fs.writeFileSync(outputFile, format === "csv" ? RariSdk.accountActivityToCsv(rows) : JSON.stringify(rows, null, 2));
+      console.log("Exported " + rows.length + " rows for " + account + " to " + outputFile);
+    }
+  } catch (err) {
+    return callback(err);
+  }
+
+  callback();
+};
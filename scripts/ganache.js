@@ -1,4 +1,43 @@
 const ganache = require("ganache-core");
 require('dotenv').config();
-const server = ganache.server({ fork: process.env.DEVELOPMENT_WEB3_PROVIDER_URL_TO_BE_FORKED, gasLimit: 12.5e6, gasPrice: 1e6, unlocked_accounts: ["0x45D54B22582c79c8Fb8f4c4F2663ef54944f397a", "0x1Eeb75CFad36EDb6C996f7809f30952B0CA0B5B9", "0xb568a7a185305e1cc027e13a27db7c5bf99e81d8"], logger: console });
-server.listen(8546);
+
+if (process.argv.indexOf("--mock") >= 0) {
+  // The development accounts are unlocked and funded below, so they must be set before starting the server
+  if (!process.env.DEVELOPMENT_ADDRESS || !process.env.DEVELOPMENT_ADDRESS_SECONDARY) throw new Error("DEVELOPMENT_ADDRESS and DEVELOPMENT_ADDRESS_SECONDARY are required for the mock network.");
+
+  // Blank chain for the mock protocols (deployed to their mainnet addresses by migrations/2_deploy_mocks.js)
+  const server = ganache.server({ mnemonic: "rari stable pool mock protocols test network deterministic accounts", default_balance_ether: 10000, gasLimit: 12.5e6, gasPrice: 1e6, unlocked_accounts: [process.env.DEVELOPMENT_ADDRESS, process.env.DEVELOPMENT_ADDRESS_SECONDARY], logger: console });
+
+  // Sets the code of an account and mines a block so the code is part of the latest state (like evm_setAccountCode in later versions of Ganache)
+  server.provider.manager.evm_setAccountCode = function(address, code, callback) {
+    var manager = this;
+    manager.state.blockchain.vm.stateManager.putContractCode(Buffer.from(address.substring(2), "hex"), Buffer.from(code.substring(2), "hex"), function(err) {
+      if (err) return callback(err);
+      manager.evm_mine(function(err) {
+        callback(err, err ? undefined : true);
+      });
+    });
+  };
+
+  function send(method, params) {
+    return new Promise((resolve, reject) => server.provider.send({ jsonrpc: "2.0", id: new Date().getTime(), method, params }, (err, response) => err ? reject(err) : response.error ? reject(new Error(response.error.message)) : resolve(response.result)));
+  }
+
+  // Give ETH to the (unlocked) development accounts before accepting connections
+  (async function() {
+    var accounts = await send("eth_accounts", []);
+
+    // evm_setAccountCode relies on ganache-core internals, so fail now (rather than when migrations deploy the mocks) if they have changed
+    var manager = server.provider.manager;
+    if (!manager.state || !manager.state.blockchain || !manager.state.blockchain.vm || !manager.state.blockchain.vm.stateManager || typeof manager.state.blockchain.vm.stateManager.putContractCode !== "function" || typeof manager.evm_mine !== "function") throw new Error("This version of ganache-core does not support evm_setAccountCode as implemented in scripts/ganache.js.");
+
+    for (const address of [process.env.DEVELOPMENT_ADDRESS, process.env.DEVELOPMENT_ADDRESS_SECONDARY]) await send("eth_sendTransaction", [{ from: accounts[0], to: address, value: "0x" + (1000e18).toString(16) }]);
+    server.listen(8546);
+  })().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+} else {
+  const server = ganache.server({ fork: process.env.DEVELOPMENT_WEB3_PROVIDER_URL_TO_BE_FORKED, gasLimit: 12.5e6, gasPrice: 1e6, unlocked_accounts: ["0x45D54B22582c79c8Fb8f4c4F2663ef54944f397a", "0x1Eeb75CFad36EDb6C996f7809f30952B0CA0B5B9", "0xb568a7a185305e1cc027e13a27db7c5bf99e81d8"], logger: console });
+  server.listen(8546);
+}
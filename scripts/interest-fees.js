@@ -0,0 +1,56 @@
+// Shows interest fees generated, unclaimed, and projected at the current APY, along with the history of fee claims, or claims all unclaimed fees on behalf of the master beneficiary
+// Usage: npm run interest-fees -- --network <network> [--claim deposit|withdraw] [--currency <currency code>] [--from <RariFundManager rebalancer>] [--from-block <block number>]
+const RariSdk = require("../src/js/sdk");
+const RariFees = require("../src/js/sdk/fees");
+
+function getArg(name, defaultValue) {
+  var i = process.argv.indexOf("--" + name);
+  return i >= 0 && i + 1 < process.argv.length ? process.argv[i + 1] : defaultValue;
+}
+
+module.exports = async function(callback) {
+  try {
+    var claim = getArg("claim", null);
+    if (claim !== null && ["deposit", "withdraw"].indexOf(claim) < 0) throw new Error("Invalid claim (use --claim deposit or --claim withdraw).");
+    var fromBlock = parseInt(getArg("from-block", "0"));
+    var chainId = await web3.eth.getChainId();
+    if (!RariSdk.getNetwork(chainId)) throw new Error("Chain ID " + chainId + " is not configured in RariSdk.networks.");
+    RariSdk.setNetwork(chainId);
+
+    // Print summary and projected fees
+    var summary = await RariFees.getSummary(web3, RariSdk.addresses);
+    var currentApy = await RariSdk.getCurrentApy(web3, RariSdk.addresses);
+    var projected = RariFees.getProjectedFees(web3, currentApy.totalBalanceUsdBN, currentApy.apyBN, summary.interestFeeRateBN);
+    console.log("Interest fee rate: " + web3.utils.fromWei(summary.interestFeeRateBN.muln(100)) + "%");
+    console.log("Fees generated: $" + web3.utils.fromWei(summary.interestFeesGeneratedBN));
+    console.log("Fees unclaimed: $" + web3.utils.fromWei(summary.interestFeesUnclaimedBN));
+    console.log("Master beneficiary: " + (summary.masterBeneficiary !== null ? summary.masterBeneficiary : "unknown"));
+    console.log("Projected at " + web3.utils.fromWei(currentApy.apyBN.muln(100)) + "% APY: $" + web3.utils.fromWei(projected.dailyBN) + " per day, $" + web3.utils.fromWei(projected.monthlyBN) + " per 30 days, $" + web3.utils.fromWei(projected.yearlyBN) + " per year");
+
+    // Print history of fee claims
+    var history = await RariFees.getHistory(web3, RariSdk.addresses, fromBlock);
+    for (const entry of history) console.log(new Date(entry.timestamp * 1000).toISOString() + " " + (entry.type === "deposit" ? "Deposited $" + web3.utils.fromWei(entry.amountUsdBN) + " as RSPT" : "Withdrew $" + web3.utils.fromWei(entry.amountUsdBN) + " as " + RariSdk.toDecimalString(entry.amountBN, RariSdk.tokens[entry.currencyCode] ? RariSdk.tokens[entry.currencyCode].decimals : 18) + " " + entry.currencyCode) + " (" + entry.transactionHash + ")");
+
+    // Claim fees if requested
+    if (claim !== null) {
+      var from = getArg("from", (await web3.eth.getAccounts())[0]);
+      if (summary.rebalancer !== null && summary.rebalancer.toLowerCase() !== from.toLowerCase()) throw new Error("Only the RariFundManager rebalancer (" + summary.rebalancer + ") can claim fees.");
+
+      var receipt;
+
+      if (claim === "deposit") {
+        receipt = await RariFees.depositFees(web3, RariSdk.addresses, from);
+      } else {
+        var options = await RariFees.getCurrentWithdrawalOptions(web3, RariSdk.addresses);
+        var currencyCode = RariFees.pickWithdrawalCurrency(options, getArg("currency", null));
+        receipt = await RariFees.withdrawFees(web3, RariSdk.addresses, from, currencyCode);
+      }
+
+      console.log("Claimed fees in transaction " + receipt.transactionHash);
+    }
+  } catch (err) {
+    return callback(err);
+  }
+
+  callback();
+};
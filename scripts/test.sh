@@ -11,6 +11,11 @@ cleanup() {
   if [ -n "$ganache_pid" ] && ps -p $ganache_pid > /dev/null; then
     kill -9 $ganache_pid
   fi
+
+  # Kill the 0x swap API stand-in that we started (if we started one and if it's still running).
+  if [ -n "$zeroex_server_pid" ] && ps -p $zeroex_server_pid > /dev/null; then
+    kill -9 $zeroex_server_pid
+  fi
 }
 
 ganache_port=8546
@@ -22,19 +27,54 @@ ganache_running() {
 start_ganache() {
   echo "Starting ganache..."
 
-  node scripts/ganache.js > /dev/null &
+  node scripts/ganache.js $ganache_args > /dev/null &
 
   ganache_pid=$!
 
   echo "Waiting for ganache to launch on port "$ganache_port"..."
 
   while ! ganache_running; do
+    if ! ps -p $ganache_pid > /dev/null; then
+      echo "Ganache failed to launch!"
+      exit 1
+    fi
+
     sleep 0.1 # wait for 1/10 of the second before check again
   done
 
   echo "Ganache launched!"
 }
 
+zeroex_server_port=8547
+
+zeroex_server_running() {
+  nc -z localhost "$zeroex_server_port"
+}
+
+start_zeroex_server() {
+  echo "Starting 0x swap API stand-in..."
+
+  truffle exec scripts/zeroex-server.js --network development --port "$zeroex_server_port" > /dev/null &
+
+  zeroex_server_pid=$!
+
+  echo "Waiting for 0x swap API stand-in to launch on port "$zeroex_server_port"..."
+
+  while ! zeroex_server_running; do
+    sleep 0.1 # wait for 1/10 of the second before check again
+  done
+
+  echo "0x swap API stand-in launched!"
+}
+
+# Run against mock protocols on a blank chain (instead of a mainnet fork) if --mock is passed
+if [ "$1" = "--mock" ]; then
+  ganache_args="--mock"
+
+  # Gas usage differs on the mock protocols, so compare it to a separate baseline
+  export GAS_REPORT_BASELINE="${GAS_REPORT_BASELINE:-test/gas/baseline-mock.json}"
+fi
+
 if ganache_running; then
   echo "Ganache already running!"
   exit 1;
@@ -42,4 +82,15 @@ fi
 
 truffle version
 start_ganache
-truffle test --network development
+
+# Quote 0x orders locally if ZEROEX_API_URL points at the stand-in (the mock tests do not use 0x)
+if [ "$ganache_args" != "--mock" ] && [ "$ZEROEX_API_URL" = "http://localhost:$zeroex_server_port" ]; then
+  start_zeroex_server
+fi
+
+if [ "$ganache_args" = "--mock" ]; then
+  # Skip the tests that exchange via 0x (test/1_*.js and test/2_*.js), which needs the mainnet fork, but run the pure unit tests
+  truffle test --network mock test/gas/reporter.js test/fixtures/*.sol test/[3-9]_*.js test/[1-9][0-9]_*.js
+else
+  truffle test --network development
+fi
@@ -0,0 +1,37 @@
+// Starts a local stand-in for the 0x swap API (see test/exchanges/0x-server.js) on a ganache mainnet fork, quoting orders signed by ganache accounts at fixed USD prices
+// Usage: npm run zeroex-server -- [--port <port>] [--eth-price <USD price of ETH>] [--spread <proportion>] (with npm run ganache running); then set ZEROEX_API_URL=http://localhost:8547 in .env for tests, or zeroExApiUrl in src/networks.json for the dApp
+// Makers are the last ZEROEX_MAKER_COUNT (default 2) ganache accounts, funded with tokens from ZEROEX_FUNDER_ADDRESSES (comma-separated unlocked accounts; defaults to DEVELOPMENT_ADDRESS and DEVELOPMENT_ADDRESS_SECONDARY)
+const RariSdk = require("../src/js/sdk");
+const ZeroExServer = require("../test/exchanges/0x-server");
+
+function getArg(name, defaultValue) {
+  var i = process.argv.indexOf("--" + name);
+  return i >= 0 && i + 1 < process.argv.length ? process.argv[i + 1] : defaultValue;
+}
+
+module.exports = async function(callback) {
+  try {
+    var port = parseInt(getArg("port", "8547"));
+    var accounts = await web3.eth.getAccounts();
+    var makerCount = parseInt(process.env.ZEROEX_MAKER_COUNT ? process.env.ZEROEX_MAKER_COUNT : "2");
+    var tokens = {};
+    for (const currencyCode of Object.keys(RariSdk.networks["1"].tokens)) tokens[currencyCode] = { address: RariSdk.networks["1"].tokens[currencyCode].address, decimals: RariSdk.networks["1"].tokens[currencyCode].decimals };
+
+    var server = new ZeroExServer(web3, {
+      tokens,
+      usdPrices: { "WETH": parseFloat(getArg("eth-price", "400")) },
+      spread: parseFloat(getArg("spread", "0.001")),
+      makers: accounts.slice(-makerCount),
+      funders: process.env.ZEROEX_FUNDER_ADDRESSES ? process.env.ZEROEX_FUNDER_ADDRESSES.split(",") : [process.env.DEVELOPMENT_ADDRESS, process.env.DEVELOPMENT_ADDRESS_SECONDARY]
+    });
+
+    console.log("Funding makers " + server.makers.join(", ") + "...");
+    await server.prepare();
+    await server.listen(port);
+    console.log("0x swap API stand-in listening on http://localhost:" + port);
+  } catch (err) {
+    return callback(err);
+  }
+
+  // Keep serving until killed (truffle exec exits once the callback is called)
+};
@@ -18,51 +18,81 @@ App = {
   accounts: [],
   selectedAccount: null,
   contracts: {},
-  contractsGsn: {},
-  tokens: {
-    "DAI": { decimals: 18, address: "0x6B175474E89094C44Da98b954EedeAC495271d0F" },
-    "USDC": { decimals: 6, address: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48" },
-    "USDT": { decimals: 6, address: "0xdAC17F958D2ee523a2206206994597C13D831ec7" },
-    "TUSD": { decimals: 18, address: "0x0000000000085d4780B73119b644AE5ecd22b376" },
-    "BUSD": { decimals: 18, address: "0x4Fabb145d64652a948d72533023f6E7A623C7C53" },
-    "sUSD": { decimals: 18, address: "0x57Ab1ec28D129707052df4dF418D58a2D46d5f51" },
-    "mUSD": { decimals: 18, address: "0xe2f2a5C287993345a840Db3B0845fbC70f5935a5" }
-  },
-  erc20Abi: null,
-  zeroExPrices: {},
-  usdPrices: {},
-  usdPricesLastUpdated: 0,
+  network: null,
+  walletChainId: null,
+  abiVersion: "1603065600",
+  tokens: RariSdk.tokens,
+  zeroExTokens: [],
   acceptedCurrencies: [],
-  supportedCurrencies: ["DAI", "USDC", "USDT", "TUSD", "BUSD", "sUSD", "mUSD"],
+  supportedCurrencies: RariSdk.supportedCurrencies,
   chainlinkPricesInUsd: {},
+  accountBalanceLimit: null,
+  adminOwners: null,
+  pendingAdminAction: null,
+  rebalanceAllocation: null,
+  rebalancePoolApyBNs: {},
+  rebalanceMoves: [],
+  rebalanceStatuses: [],
+  sendingRebalanceMoves: false,
+  batchDeposit: null,
+  batchDepositStatuses: [],
+  sendingBatchDeposit: false,
+  basketWithdrawal: null,
+  basketWithdrawalStatuses: [],
+  sendingBasketWithdrawal: false,
+  currentApy: null,
+  feeSummary: null,
+  maxSlippage: RariSdk.defaultMaxSlippage,
+  updatingTransactions: false,
 
   init: function() {
-    if (location.hash === "#account") {
-      $('#page-fund').hide();
-      $('#page-account').show();
-      $('#tab-fund').css('text-decoration', '');
-      $('#tab-account').css('text-decoration', 'underline');
-    }
-
-    $('#tab-fund').click(function() {
-      $('#page-account').hide();
-      $('#page-fund').show();
-      $('#tab-account').css('text-decoration', '');
-      $('#tab-fund').css('text-decoration', 'underline');
-    });
+    if (location.hash === "#account") App.showPage("account");
 
-    $('#tab-account').click(function() {
-      $('#page-fund').hide();
-      $('#page-account').show();
-      $('#tab-fund').css('text-decoration', '');
-      $('#tab-account').css('text-decoration', 'underline');
+    $('[id^="tab-"]').click(function() {
+      App.showPage(this.id.substring(4));
     });
 
     App.initChartColors();
+    App.initMaxSlippage();
+    RariSdk.onTransaction(App.handleTransactionSubmitted);
     App.initWeb3();
     App.bindEvents();
   },
 
+  /**
+   * Show page `page` (e.g., "fund" for #page-fund) and underline its tab.
+   */
+  showPage: function(page) {
+    $('[id^="page-"]').hide();
+    $('#page-' + page).show();
+    $('[id^="tab-"]').css('text-decoration', '');
+    $('#tab-' + page).css('text-decoration', 'underline');
+  },
+
+  /**
+   * Load the user's maximum exchange slippage (saved as a percentage string in localStorage).
+   */
+  initMaxSlippage: function() {
+    var maxSlippagePercentage = parseFloat(window.localStorage.getItem("maxSlippage"));
+    if (maxSlippagePercentage >= 0 && maxSlippagePercentage < 100) App.maxSlippage = maxSlippagePercentage / 100;
+    $('#MaxSlippage').val(parseFloat((App.maxSlippage * 100).toFixed(3)));
+  },
+
+  /**
+   * Save the maximum exchange slippage entered by the user.
+   */
+  handleMaxSlippageChange: function() {
+    var maxSlippagePercentage = parseFloat($('#MaxSlippage').val());
+
+    if (isNaN(maxSlippagePercentage) || maxSlippagePercentage < 0 || maxSlippagePercentage >= 100) {
+      $('#MaxSlippage').val(parseFloat((App.maxSlippage * 100).toFixed(3)));
+      return toastr["error"]("Maximum slippage must be a percentage between 0 and 100.", "Invalid slippage");
+    }
+
+    App.maxSlippage = maxSlippagePercentage / 100;
+    window.localStorage.setItem("maxSlippage", maxSlippagePercentage.toString());
+  },
+
   initChartColors: function() {
     Chart.defaults.global.defaultFontColor = "#999";
     window.chartColors = {
@@ -77,53 +107,14 @@ App = {
   },
 
   getCurrentApy: async function() {
-    var factors = [];
-    var totalBalanceUsdBN = Web3.utils.toBN(0);
-    var dydxApyBNs = await App.getDydxApyBNs();
-    var compoundApyBNs = await App.getCompoundApyBNs();
-    var aaveApyBNs = await App.getAaveApyBNs();
-    var mstableApyBNs = await App.getMStableApyBNs();
-    App.allocationsByPool = { 0: Web3.utils.toBN(0), 1: Web3.utils.toBN(0), 2: Web3.utils.toBN(0), 3: Web3.utils.toBN(0) };
-    App.allocationsByCurrency = { "DAI": Web3.utils.toBN(0), "USDC": Web3.utils.toBN(0), "USDT": Web3.utils.toBN(0), "TUSD": Web3.utils.toBN(0), "BUSD": Web3.utils.toBN(0), "sUSD": Web3.utils.toBN(0), "mUSD": Web3.utils.toBN(0) };
-    var allBalances = await App.contracts.RariFundProxy.methods.getRawFundBalancesAndPrices().call();
-
-    for (var i = 0; i < allBalances["0"].length; i++) {
-      var currencyCode = allBalances["0"][i];
-      var priceInUsdBN = Web3.utils.toBN(allBalances["4"][i]);
-      App.chainlinkPricesInUsd[currencyCode] = priceInUsdBN;
-      var contractBalanceBN = Web3.utils.toBN(allBalances["1"][i]);
-      var contractBalanceUsdBN = contractBalanceBN.mul(priceInUsdBN).div(Web3.utils.toBN(10 ** App.tokens[currencyCode].decimals));
-      factors.push([contractBalanceUsdBN, Web3.utils.toBN(0)]);
-      totalBalanceUsdBN = totalBalanceUsdBN.add(contractBalanceUsdBN);
-      App.allocationsByCurrency[currencyCode] = contractBalanceUsdBN;
-      var pools = allBalances["2"][i];
-      var poolBalances = allBalances["3"][i];
-
-      for (var j = 0; j < pools.length; j++) {
-        var pool = pools[j];
-        var poolBalanceBN = Web3.utils.toBN(poolBalances[j]);
-        var poolBalanceUsdBN = poolBalanceBN.mul(priceInUsdBN).div(Web3.utils.toBN(10 ** App.tokens[currencyCode].decimals));
-        var apyBN = pool == 3 ? mstableApyBNs[currencyCode] : (
-          pool == 2 ? aaveApyBNs[currencyCode] : (
-            pool == 1 ? compoundApyBNs[currencyCode][0].add(compoundApyBNs[currencyCode][1]) : dydxApyBNs[currencyCode]
-          )
-        );
-        factors.push([poolBalanceUsdBN, apyBN]);
-        totalBalanceUsdBN = totalBalanceUsdBN.add(poolBalanceUsdBN);
-        App.allocationsByCurrency[currencyCode].iadd(poolBalanceUsdBN);
-        App.allocationsByPool[pool].iadd(poolBalanceUsdBN);
-      }
-    }
-
-    if (totalBalanceUsdBN.isZero()) {
-      var maxApyBN = Web3.utils.toBN(0);
-      for (var i = 0; i < factors.length; i++) if (factors[i][1].gt(maxApyBN)) maxApyBN = factors[i][1];
-      return $('#APYNow').text((parseFloat(maxApyBN.toString()) / 1e16).toFixed(2) + "%");
-    }
-
-    var apyBN = Web3.utils.toBN(0);
-    for (var i = 0; i < factors.length; i++) apyBN.iadd(factors[i][0].mul(factors[i][1]).div(totalBalanceUsdBN));
-    $('#APYNow').text((parseFloat(apyBN.toString()) / 1e16).toFixed(2) + "%");
+    var currentApy = await RariSdk.getCurrentApy(App.web3, RariSdk.addresses);
+    App.currentApy = currentApy;
+    App.chainlinkPricesInUsd = currentApy.pricesInUsd;
+    App.allocationsByCurrency = currentApy.allocationsByCurrency;
+    App.allocationsByPool = currentApy.allocationsByPool;
+    App.initCurrencyOptions();
+    $('#APYNow').text((parseFloat(currentApy.apyBN.toString()) / 1e16).toFixed(2) + "%");
+    if (currentApy.totalBalanceUsdBN.isZero()) return;
 
     App.initCurrencyAllocationChart();
     App.initPoolAllocationChart();
@@ -132,48 +123,25 @@ App = {
   initCurrencyAllocationChart: function() {
     var ctx = document.getElementById('chart-currencies').getContext('2d');
     var color = Chart.helpers.color;
+    var data = [];
+    var backgroundColors = [];
+    var borderColors = [];
+
+    for (const currencyCode of App.supportedCurrencies) {
+      data.push(App.allocationsByCurrency[currencyCode] ? App.allocationsByCurrency[currencyCode].toString() / 1e18 : 0);
+      backgroundColors.push(color(window.chartColors[RariSdk.currencies[currencyCode].color]).alpha(0.5).rgbString());
+      borderColors.push(window.chartColors[RariSdk.currencies[currencyCode].color]);
+    }
 
     var cfg = {
       type: 'pie',
       data: {
         datasets: [{
-          data: [
-            App.allocationsByCurrency["DAI"].toString() / 1e18,
-            App.allocationsByCurrency["USDC"].toString() / 1e18,
-            App.allocationsByCurrency["USDT"].toString() / 1e18,
-            App.allocationsByCurrency["TUSD"].toString() / 1e18,
-            App.allocationsByCurrency["BUSD"].toString() / 1e18,
-            App.allocationsByCurrency["sUSD"].toString() / 1e18,
-            App.allocationsByCurrency["mUSD"].toString() / 1e18
-          ],
-          backgroundColor: [
-            color(window.chartColors.red).alpha(0.5).rgbString(),
-            color(window.chartColors.orange).alpha(0.5).rgbString(),
-            color(window.chartColors.yellow).alpha(0.5).rgbString(),
-            color(window.chartColors.green).alpha(0.5).rgbString(),
-            color(window.chartColors.blue).alpha(0.5).rgbString(),
-            color(window.chartColors.purple).alpha(0.5).rgbString(),
-            color(window.chartColors.grey).alpha(0.5).rgbString()
-          ],
-          borderColor: [
-            window.chartColors.red,
-            window.chartColors.orange,
-            window.chartColors.yellow,
-            window.chartColors.green,
-            window.chartColors.blue,
-            window.chartColors.purple,
-            window.chartColors.gray
-          ]
+          data,
+          backgroundColor: backgroundColors,
+          borderColor: borderColors
         }],
-        labels: [
-          'DAI',
-          'USDC',
-          'USDT',
-          'TUSD',
-          'BUSD',
-          'sUSD',
-          'mUSD'
-        ]
+        labels: App.supportedCurrencies.slice()
       },
       options: {
         tooltips: {
@@ -197,36 +165,27 @@ App = {
   initPoolAllocationChart: function() {
     var ctx = document.getElementById('chart-pools').getContext('2d');
     var color = Chart.helpers.color;
+    var data = [];
+    var backgroundColors = [];
+    var borderColors = [];
+    var labels = [];
+
+    for (var i = 0; i < RariSdk.pools.length; i++) {
+      data.push(App.allocationsByPool[i] ? App.allocationsByPool[i].toString() / 1e18 : 0);
+      backgroundColors.push(color(window.chartColors[RariSdk.pools[i].color]).alpha(0.5).rgbString());
+      borderColors.push(window.chartColors[RariSdk.pools[i].color]);
+      labels.push(RariSdk.pools[i].name);
+    }
 
     var cfg = {
       type: 'pie',
       data: {
         datasets: [{
-          data: [
-            App.allocationsByPool[0].toString() / 1e18,
-            App.allocationsByPool[1].toString() / 1e18,
-            App.allocationsByPool[2].toString() / 1e18,
-            App.allocationsByPool[3].toString() / 1e18
-          ],
-          backgroundColor: [
-            color(window.chartColors.blue).alpha(0.5).rgbString(),
-            color(window.chartColors.red).alpha(0.5).rgbString(),
-            color(window.chartColors.yellow).alpha(0.5).rgbString(),
-            color(window.chartColors.purple).alpha(0.5).rgbString()
-          ],
-          borderColor: [
-            window.chartColors.blue,
-            window.chartColors.red,
-            window.chartColors.yellow,
-            window.chartColors.purple
-          ]
+          data,
+          backgroundColor: backgroundColors,
+          borderColor: borderColors
         }],
-        labels: [
-          'dYdX',
-          'Compound',
-          'Aave',
-          'mStable'
-        ]
+        labels
       },
       options: {
         tooltips: {
@@ -247,161 +206,6 @@ App = {
     var chart = new Chart(ctx, cfg);
   },
 
-  getDydxApyBNs: async function() {
-    const data = await $.getJSON("https://api.dydx.exchange/v1/markets");
-    var apyBNs = {};
-
-    for (var i = 0; i < data.markets.length; i++)
-      if (["DAI", "USDC", "USDT"].indexOf(data.markets[i].symbol) >= 0)
-        apyBNs[data.markets[i].symbol] = Web3.utils.toBN(Math.trunc(parseFloat(data.markets[i].totalSupplyAPR) * 1e18));
-
-    return apyBNs;
-  },
-
-  getCompoundApyBNs: async function() {
-    const data = await $.getJSON("https://api.compound.finance/api/v2/ctoken");
-    var apyBNs = {};
-
-    for (var i = 0; i < data.cToken.length; i++) {
-      if (["DAI", "USDC", "USDT"].indexOf(data.cToken[i].underlying_symbol) >= 0) {
-        var supplyApy = Web3.utils.toBN(Math.trunc(parseFloat(data.cToken[i].supply_rate.value) * 1e18));
-        var compApy = Web3.utils.toBN(Math.trunc((await App.getApyFromComp(data.cToken[i].underlying_symbol, data.cToken)) * 1e18));
-        apyBNs[data.cToken[i].underlying_symbol] = [supplyApy, compApy];
-      }
-    }
-
-    return apyBNs;
-  },
-
-  getAaveApyBNs: async function() {
-    const data = await $.ajax("https://api.thegraph.com/subgraphs/name/aave/protocol-multy-raw", { data: JSON.stringify({ query: `{
-      reserves(where: {
-        symbol_in: ["DAI", "USDC", "USDT", "TUSD", "BUSD", "SUSD"]
-      }) {
-        symbol
-        liquidityRate
-      }
-    }` }), contentType: 'application/json', type: 'POST' });
-
-    var apyBNs = {};
-
-    for (var i = 0; i < data.data.reserves.length; i++)
-      apyBNs[data.data.reserves[i].symbol == "SUSD" ? "sUSD" : data.data.reserves[i].symbol] = Web3.utils.toBN(data.data.reserves[i].liquidityRate).div(Web3.utils.toBN(1e9));
-
-    return apyBNs;
-  },
-
-  // Based on calculateApy at https://github.com/mstable/mStable-app/blob/v1.8.1/src/web3/hooks.ts#L84
-  calculateMStableApyBN: function(startTimestamp, startExchangeRate, endTimestamp, endExchangeRate) {
-    const SCALE = 1e18;
-    const YEAR_BN = 365 * 24 * 60 * 60;
-  
-    const rateDiff = endExchangeRate * SCALE / startExchangeRate - SCALE;
-    const timeDiff = endTimestamp - startTimestamp;
-  
-    const portionOfYear = timeDiff * SCALE / YEAR_BN;
-    const portionsInYear = SCALE / portionOfYear;
-    const rateDecimals = (SCALE + rateDiff) / SCALE;
-
-    if (rateDecimals > 0) {
-        const diff = rateDecimals ** portionsInYear;
-        const parsed = diff * SCALE;
-        return Web3.utils.toBN((parsed - SCALE).toFixed(0)) || Web3.utils.toBN(0);
-    }
-
-    return Web3.utils.toBN(0);
-  },
-
-  getMStableApyBN: async function() {
-    // TODO: Get exchange rates from contracts instead of The Graph
-    // TODO: Use instantaneous APY instead of 24-hour APY?
-    // Calculate APY with calculateApy using exchange rates from The Graph
-    var epochNow = Math.floor((new Date()).getTime() / 1000);
-    var epoch24HrsAgo = epochNow - 86400;
-
-    const data = await $.ajax("https://api.thegraph.com/subgraphs/name/mstable/mstable-protocol", { data: JSON.stringify({
-      "operationName": "ExchangeRates",
-      "variables": { "day0": epoch24HrsAgo, "day1": epochNow },
-      "query": "query ExchangeRates($day0: Int!, $day1: Int!) {\n  day0: exchangeRates(where: {timestamp_lt: $day0}, orderDirection: desc, orderBy: timestamp, first: 1) {\n    ...ER\n    __typename\n  }\n  day1: exchangeRates(where: {timestamp_lt: $day1}, orderDirection: desc, orderBy: timestamp, first: 1) {\n    ...ER\n    __typename\n  }\n}\n\nfragment ER on ExchangeRate {\n  exchangeRate\n  timestamp\n  __typename\n}\n"
-    }), contentType: 'application/json', type: 'POST' });
-
-    if (!data || !data.data) return console.error("Failed to decode exchange rates from The Graph when calculating mStable 24-hour APY");
-    return App.calculateMStableApyBN(epoch24HrsAgo, data.data.day0[0].exchangeRate, epochNow, data.data.day1[0].exchangeRate);
-  },
-
-  getMStableApyBNs: async function() {
-    return { "mUSD": await App.getMStableApyBN() };
-  },
-
-  getCurrencyUsdRates: function(currencyCodes) {
-    return new Promise((resolve, reject) => {
-      $.getJSON('https://api.coingecko.com/api/v3/coins/list', function(decoded) {
-        if (!decoded) return reject("Failed to decode coins list from CoinGecko");
-        var currencyCodesByCoinGeckoIds = {};
-
-        for (const currencyCode of currencyCodes) {
-          if (currencyCode === "COMP") currencyCodesByCoinGeckoIds["compound-governance-token"] = "COMP";
-          else if (currencyCode === "REP") currencyCodesByCoinGeckoIds["augur"] = "REP";
-          else currencyCodesByCoinGeckoIds[decoded.find(coin => coin.symbol.toLowerCase() === currencyCode.toLowerCase()).id] = currencyCode;
-        }
-
-        $.getJSON('https://api.coingecko.com/api/v3/simple/price?vs_currencies=usd&ids=' + Object.keys(currencyCodesByCoinGeckoIds).join('%2C'), function(decoded) {
-          if (!decoded) return reject("Failed to decode USD exchange rates from CoinGecko");
-          var prices = {};
-          for (const key of Object.keys(decoded)) prices[currencyCodesByCoinGeckoIds[key]] = ["DAI", "USDC", "USDT", "SAI"].indexOf(currencyCodesByCoinGeckoIds[key]) >= 0 ? 1.0 : decoded[key].usd;
-          resolve(prices);
-        }).fail(function(err) {
-          reject("Error requesting currency rates from CoinGecko: " + err.message);
-        });
-      }).fail(function(err) {
-        reject("Error requesting currency rates from CoinGecko: " + err.message);
-      });
-    });
-  },
-
-  getApyFromComp: async function(currencyCode, cTokens) {
-    // Get cToken USD prices
-    var currencyCodes = ["COMP"];
-    var priceMissing = false;
-
-    for (const cToken of cTokens) {
-      currencyCodes.push(cToken.underlying_symbol);
-      if (!App.usdPrices[cToken.underlying_symbol]) priceMissing = true;
-    }
-
-    var now = (new Date()).getTime() / 1000;
-
-    if (now > App.usdPricesLastUpdated + 900 || priceMissing) {
-      App.usdPrices = await App.getCurrencyUsdRates(currencyCodes); // TODO: Get real USD prices, not DAI prices
-      App.usdPricesLastUpdated = now;
-    }
-    
-    // Get currency APY and total yearly interest
-    var currencyUnderlyingSupply = 0;
-    var currencyBorrowUsd = 0;
-    var totalBorrowUsd = 0;
-    
-    for (const cToken of cTokens) {
-      var underlyingBorrow = cToken.total_borrows.value * cToken.exchange_rate.value;
-      var borrowUsd = underlyingBorrow * App.usdPrices[cToken.underlying_symbol];
-
-      if (cToken.underlying_symbol === currencyCode) {
-        currencyUnderlyingSupply = cToken.total_supply.value * cToken.exchange_rate.value;
-        currencyBorrowUsd = borrowUsd;
-      }
-
-      totalBorrowUsd += borrowUsd;
-    }
-    
-    // Get APY from COMP per block for this currency
-    var compPerBlock = 0.5;
-    var marketCompPerBlock = compPerBlock * (currencyBorrowUsd / totalBorrowUsd);
-    var marketSupplierCompPerBlock = marketCompPerBlock / 2;
-    var marketSupplierCompPerBlockPerUsd = marketSupplierCompPerBlock / currencyUnderlyingSupply; // Assumes that the value of currencyCode is $1
-    var marketSupplierUsdFromCompPerBlockPerUsd = marketSupplierCompPerBlockPerUsd * App.usdPrices["COMP"];
-    return marketSupplierUsdFromCompPerBlockPerUsd * 2102400;
-  },
-
   initAprChart: function() {
     var epochToday = Math.floor((new Date()).getTime() / 1000 / 86400) * 86400;
 
@@ -428,70 +232,41 @@ App = {
         "operationName": "ExchangeRates",
         "variables": mStableSubgraphVariables,
         "query": "query ExchangeRates(" + mStableSubgraphArgs.join(", ") + ") {" + mStableSubgraphReturns + "}\nfragment ER on ExchangeRate {\n  exchangeRate\n  timestamp\n  __typename\n}"
-      }), contentType: 'application/json', type: 'POST' })
+      }), contentType: 'application/json', type: 'POST' }),
+      RariSdk.getRsptExchangeRateHistory(App.web3, RariSdk.addresses, mStableEpochs[364], mStableEpochs[0]).catch(function(err) {
+        console.error("Failed to get RSPT exchange rate history (requires an archive node):", err);
+        return [];
+      })
     ]).then(function(values) {
-      var ourData = {};
-
       var dydxAvgs = [];
       var epochs = Object.keys(values[0]).sort();
 
       for (var i = 0; i < epochs.length; i++) {
-        // Calculate average for dYdX graph and max for our graph
+        // Calculate average for dYdX graph
         var sum = 0;
-        var max = 0;
-
-        for (const currencyCode of Object.keys(values[0][epochs[i]])) {
-          sum += values[0][epochs[i]][currencyCode];
-          if (values[0][epochs[i]][currencyCode] > max) max = values[0][epochs[i]][currencyCode];
-        }
-
+        for (const currencyCode of Object.keys(values[0][epochs[i]])) sum += values[0][epochs[i]][currencyCode];
         dydxAvgs.push({ t: new Date(parseInt(epochs[i])), y: sum / Object.keys(values[0][epochs[i]]).length * 100 });
-
-        // Add data for Rari graph
-        var flooredEpoch = Math.floor(epochs[i] / 86400 / 1000) * 86400 * 1000;
-        ourData[flooredEpoch] = max;
       }
 
       var compoundAvgs = [];
       var epochs = Object.keys(values[1]).sort();
 
       for (var i = 0; i < epochs.length; i++) {
-        // Calculate average for Compound graph and max with COMP for our graph
+        // Calculate average for Compound graph
         var sum = 0;
-        var maxWithComp = 0;
-
-        for (const currencyCode of Object.keys(values[1][epochs[i]])) {
-          sum += values[1][epochs[i]][currencyCode][0];
-          var apyWithComp = values[1][epochs[i]][currencyCode][0] + values[1][epochs[i]][currencyCode][1];
-          if (apyWithComp > maxWithComp) maxWithComp = apyWithComp;
-        }
-
+        for (const currencyCode of Object.keys(values[1][epochs[i]])) sum += values[1][epochs[i]][currencyCode][0];
         var avg = sum / Object.keys(values[1][epochs[i]]).length;
         compoundAvgs.push({ t: new Date(parseInt(epochs[i])), y: avg * 100 });
-
-        // Add data for Rari graph
-        var flooredEpoch = Math.floor(epochs[i] / 86400 / 1000) * 86400 * 1000;
-        if (ourData[flooredEpoch] === undefined || maxWithComp > ourData[flooredEpoch]) ourData[flooredEpoch] = maxWithComp;
       }
 
       var aaveAvgs = [];
       var epochs = Object.keys(values[2]).sort();
 
       for (var i = 0; i < epochs.length; i++) {
-        // Calculate average for dYdX graph and max for our graph
+        // Calculate average for Aave graph
         var sum = 0;
-        var max = 0;
-
-        for (const currencyCode of Object.keys(values[2][epochs[i]])) {
-          sum += values[2][epochs[i]][currencyCode];
-          if (values[2][epochs[i]][currencyCode] > max) max = values[2][epochs[i]][currencyCode];
-        }
-
+        for (const currencyCode of Object.keys(values[2][epochs[i]])) sum += values[2][epochs[i]][currencyCode];
         aaveAvgs.push({ t: new Date(parseInt(epochs[i])), y: sum / Object.keys(values[2][epochs[i]]).length * 100 });
-
-        // Add data for Rari graph
-        var flooredEpoch = Math.floor(epochs[i] / 86400 / 1000) * 86400 * 1000;
-        if (ourData[flooredEpoch] === undefined || max > ourData[flooredEpoch]) ourData[flooredEpoch] = max;
       }
 
       if (!values[3] || !values[3].data) return console.error("Failed to decode exchange rates from The Graph when calculating mStable 24-hour APY");
@@ -500,22 +275,17 @@ App = {
       for (var i = 1; i < mStableEpochs.length; i++) {
         // mStable graph
         // 1590759420 == timestamp of launch Twitter annoucement: https://twitter.com/sassal0x/status/1266362912920137734
-        var apy = values[3].data["day" + (i - 1)][0] && values[3].data["day" + i][0] && mStableEpochs[365 - i] >= 1590759420 ? App.calculateMStableApyBN(mStableEpochs[365 - i], values[3].data["day" + (i - 1)][0].exchangeRate, mStableEpochs[364 - i], values[3].data["day" + i][0].exchangeRate).toString() / 1e18 : 0;
+        var apy = values[3].data["day" + (i - 1)][0] && values[3].data["day" + i][0] && mStableEpochs[365 - i] >= 1590759420 ? RariSdk.calculateMStableApyBN(App.web3, mStableEpochs[365 - i], values[3].data["day" + (i - 1)][0].exchangeRate, mStableEpochs[364 - i], values[3].data["day" + i][0].exchangeRate).toString() / 1e18 : 0;
         mStableAvgs.push({ t: new Date(parseInt(mStableEpochs[364 - i]) * 1000), y: apy * 100 });
-
-        // Add data for Rari graph
-        var flooredEpoch = Math.floor(mStableEpochs[364 - i] / 86400) * 86400 * 1000;
-        if (ourData[flooredEpoch] === undefined || apy > ourData[flooredEpoch]) ourData[flooredEpoch] = apy;
       }
 
-      // Turn Rari data into object for graph
+      // Rari graph: real daily APY (net of interest fees) from the RSPT exchange rate
+      var rsptExchangeRates = values[4];
       var ourAvgs = [];
-      var epochs = Object.keys(ourData).sort();
-      for (var i = 0; i < epochs.length; i++) ourAvgs.push({ t: new Date(parseInt(epochs[i])), y: ourData[epochs[i]] * 100 });
+      for (const sample of RariSdk.getApyHistoryFromExchangeRates(App.web3, rsptExchangeRates)) ourAvgs.push({ t: new Date(sample.timestamp * 1000), y: sample.apyBN.toString() / 1e16 });
 
-      // Display today's estimated APY
-      // TODO: Display real APY
-      $('#APYToday').text((ourData[epochs[epochs.length - 1]] * 100).toFixed(2) + "%");
+      // Display APY over the last 24 hours
+      if (ourAvgs.length > 0) $('#APYToday').text(ourAvgs[ourAvgs.length - 1].y.toFixed(2) + "%");
 
       // Init chart
       var ctx = document.getElementById('chart-aprs').getContext('2d');
@@ -639,8 +409,7 @@ App = {
       currentReturn = 10000;
       for (var i = 0; i < mStableAvgs.length; i++) mStableReturns.push({ t: mStableAvgs[i].t, y: currentReturn *= (1 + (mStableAvgs[i].y / 100) / 365) });
       var ourReturns = [];
-      currentReturn = 10000;
-      for (var i = 0; i < ourAvgs.length; i++) ourReturns.push({ t: ourAvgs[i].t, y: currentReturn *= (1 + (ourAvgs[i].y / 100) / 365) });
+      for (var i = 0; i < rsptExchangeRates.length; i++) ourReturns.push({ t: new Date(rsptExchangeRates[i].timestamp * 1000), y: 10000 * (rsptExchangeRates[i].exchangeRateBN.toString() / rsptExchangeRates[0].exchangeRateBN.toString()) });
 
       // Init chart
       var ctx = document.getElementById('chart-return').getContext('2d');
@@ -815,11 +584,24 @@ App = {
   
     // Get connected chain ID from Ethereum node
     const chainId = await App.web3.eth.getChainId();
+    App.walletChainId = chainId;
 
-    /* if (chainId !== 1) {
+    if (!RariSdk.isSupportedChain(chainId)) {
+      // Keep reading from the configured network's RPC endpoint, but refuse to send transactions
+      App.web3 = new Web3(new Web3.providers.HttpProvider(RariSdk.getNetwork(App.network).rpcUrl));
       $('#depositButton, #withdrawButton, #transferButton').prop("disabled", true);
-      toastr["error"]("Invalid chain selected.", "Ethereum connection failed");
-    } */
+      App.showUnsupportedNetworkError(chainId, "Ethereum connection failed");
+    } else if (chainId !== App.network) {
+      // Switch to the wallet's network and reload fund data
+      App.setNetwork(chainId);
+
+      if (App.contracts.RariFundManager) {
+        App.getFundBalance();
+        App.getDirectlyDepositableCurrencies();
+        App.getDirectlyWithdrawableCurrencies();
+        App.getCurrentApy();
+      }
+    }
   
     // Get list of accounts of the connected wallet
     // MetaMask does not give you all accounts, only the selected account
@@ -836,28 +618,30 @@ App = {
     }
 
     // Refresh contracts to use new Web3
-    for (const symbol of Object.keys(App.contracts)) App.contracts[symbol] = new App.web3.eth.Contract(App.contracts[symbol].options.jsonInterface, App.contracts[symbol].options.address);
-    App.contractsGsn.RariFundProxy = new App.web3Gsn.eth.Contract(App.contracts.RariFundProxy.options.jsonInterface, App.contracts.RariFundProxy.options.address);
-    for (const symbol of Object.keys(App.tokens)) if (App.tokens[symbol].contract) App.tokens[symbol].contract = new App.web3.eth.Contract(App.tokens[symbol].contract.options.jsonInterface, App.tokens[symbol].address);
+    if (App.contracts.RariFundManager) App.contracts = RariSdk.getContracts(App.web3, RariSdk.addresses);
 
     // Get user's account balance in the stablecoin fund, RFT balance, and account balance limit
     if (App.contracts.RariFundManager) {
       App.getMyFundBalance();
       if (!App.intervalGetMyFundBalance) App.intervalGetMyFundBalance = setInterval(App.getMyFundBalance, 5 * 60 * 1000);
-      /* App.getMyInterestAccrued();
-      if (!App.intervalGetMyInterestAccrued) App.intervalGetMyInterestAccrued = setInterval(App.getMyInterestAccrued, 5 * 60 * 1000); */
+      App.getMyInterestAccrued();
+      if (!App.intervalGetMyInterestAccrued) App.intervalGetMyInterestAccrued = setInterval(App.getMyInterestAccrued, 5 * 60 * 1000);
     }
     if (App.contracts.RariFundToken) {
       App.getTokenBalance();
       if (!App.intervalGetTokenBalance) App.intervalGetTokenBalance = setInterval(App.getTokenBalance, 5 * 60 * 1000);
     }
+    if (App.contracts.RariFundManager) App.getAccountHistory();
+    if (App.contracts.RariFundManager) App.checkAdmin();
+    if (App.contracts.RariFundManager) App.checkRebalancer();
+    if (App.contracts.RariFundManager) App.checkFees();
   
     // Load acounts dropdown
     $('#selected-account').empty();
     for (var i = 0; i < App.accounts.length; i++) $('#selected-account').append('<option' + (i == 0 ? ' selected' : '') + '>' + App.accounts[i] + '</option>');
   
     // Display fully loaded UI for wallet data
-    $('#depositButton, #withdrawButton, #transferButton').prop("disabled", false);
+    if (RariSdk.isSupportedChain(chainId)) $('#depositButton, #withdrawButton, #transferButton').prop("disabled", false);
   },
   
   /**
@@ -940,6 +724,7 @@ App = {
     }
   
     App.selectedAccount = null;
+    App.walletChainId = null;
   
     // Set the UI back to the initial state
     $("#selected-account").html('<option disabled selected>Please connect your wallet...</option>');
@@ -949,18 +734,46 @@ App = {
     $('#MyUSDBalance').text("?");
     $('#RSPTBalance').text("?");
     $('#MyInterestAccrued').text("?");
+    $('#MyInterestAccruedBreakdown').empty();
+    $('#MyAccountBalanceLimit').empty();
+    App.accountBalanceLimit = null;
+    App.checkDepositLimit();
+    App.hideAdmin();
+    App.hideRebalancer();
+    App.hideFees();
+    $('#AccountHistory').html('<tr><td colspan="6">Please connect your wallet...</td></tr>');
   },
   
   /**
    * Initialize the latest version of web3.js (MetaMask uses an oudated one that overwrites ours if we include it as an HTML tag), then initialize and connect Web3Modal.
    */
   initWeb3: function() {
-    $.getScript("js/web3.min.js", function() {
+    $.getScript("js/web3.min.js", async function() {
+      // Load additional (or overriding) network configurations from networks.json if present (see networks.example.json)
+      try {
+        RariSdk.addNetworks(await $.getJSON('networks.json'));
+      } catch (err) { }
+
+      // Use the injected provider if it is connected to a configured network; otherwise, use the mainnet RPC endpoint
+      var chainId = 1;
+
       if (typeof web3 !== 'undefined') {
         App.web3 = new Web3(web3.currentProvider);
-      } else {
-        App.web3 = new Web3(new Web3.providers.HttpProvider("https://mainnet.infura.io/v3/c52a3970da0a47978bee0fe7988b67b6"));
+
+        try {
+          chainId = await App.web3.eth.getChainId();
+        } catch (err) {
+          console.error("Failed to get chain ID from injected provider:", err);
+        }
+
+        if (!RariSdk.isSupportedChain(chainId)) {
+          App.web3 = null;
+          chainId = 1;
+        }
       }
+
+      if (!App.web3) App.web3 = new Web3(new Web3.providers.HttpProvider(RariSdk.getNetwork(chainId).rpcUrl));
+      App.setNetwork(chainId);
   
       App.initContracts();
       App.initWeb3Modal();
@@ -969,18 +782,53 @@ App = {
   },
   
   /**
-   * Initialize FundManager and FundToken contracts.
+   * Load contract ABIs into the SDK, then initialize FundManager, FundProxy, and FundToken contracts.
    */
   initContracts: function() {
-    $.getJSON('abi/RariFundManager.json?v=1600737538', function(data) {
-      App.contracts.RariFundManager = new App.web3.eth.Contract(data, "0xC6BF8C8A55f77686720E0a88e2Fd1fEEF58ddf4a");
+    Promise.all([
+      $.getJSON('abi/RariFundManager.json?v=' + App.abiVersion),
+      $.getJSON('abi/RariFundProxy.json?v=' + App.abiVersion),
+      $.getJSON('abi/ERC20.json?v=' + App.abiVersion),
+      $.getJSON('abi/MassetValidationHelper.json?v=' + App.abiVersion),
+      $.getJSON('abi/SoloMargin.json?v=' + App.abiVersion),
+      $.getJSON('abi/CErc20.json?v=' + App.abiVersion),
+      $.getJSON('abi/LendingPool.json?v=' + App.abiVersion),
+      $.getJSON('abi/SavingsContract.json?v=' + App.abiVersion),
+      $.getJSON('abi/RariFundPriceConsumer.json?v=' + App.abiVersion),
+      $.getJSON('abi/RariFundController.json?v=' + App.abiVersion),
+      $.getJSON('abi/Masset.json?v=' + App.abiVersion)
+    ]).then(function(values) {
+      RariSdk.abis.RariFundManager = values[0];
+      RariSdk.abis.RariFundProxy = values[1];
+      RariSdk.abis.ERC20 = values[2];
+      RariSdk.abis.MassetValidationHelper = values[3];
+      RariSdk.abis.SoloMargin = values[4];
+      RariSdk.abis.CErc20 = values[5];
+      RariSdk.abis.LendingPool = values[6];
+      RariSdk.abis.SavingsContract = values[7];
+      RariSdk.abis.RariFundPriceConsumer = values[8];
+      RariSdk.abis.RariFundController = values[9];
+      RariSdk.abis.Masset = values[10];
+      App.contracts = RariSdk.getContracts(App.web3, RariSdk.addresses);
+      App.renderTransactions();
+      App.updateTransactions();
+      RariSdk.loadCurrencies(App.web3, RariSdk.addresses).then(App.initCurrencyOptions).catch(function(err) {
+        console.error("Failed to load currencies from RariFundProxy:", err);
+      });
+
       App.getFundBalance();
       setInterval(App.getFundBalance, 5 * 60 * 1000);
       if (App.selectedAccount) {
         App.getMyFundBalance();
         if (!App.intervalGetMyFundBalance) App.intervalGetMyFundBalance = setInterval(App.getMyFundBalance, 5 * 60 * 1000);
-        /* App.getMyInterestAccrued();
-        if (!App.intervalGetMyInterestAccrued) App.intervalGetMyInterestAccrued = setInterval(App.getMyInterestAccrued, 5 * 60 * 1000); */
+        App.getMyInterestAccrued();
+        if (!App.intervalGetMyInterestAccrued) App.intervalGetMyInterestAccrued = setInterval(App.getMyInterestAccrued, 5 * 60 * 1000);
+        App.getTokenBalance();
+        if (!App.intervalGetTokenBalance) App.intervalGetTokenBalance = setInterval(App.getTokenBalance, 5 * 60 * 1000);
+        App.getAccountHistory();
+        App.checkAdmin();
+        App.checkRebalancer();
+        App.checkFees();
       }
       App.getDirectlyDepositableCurrencies();
       App.getDirectlyWithdrawableCurrencies();
@@ -988,48 +836,111 @@ App = {
         App.getDirectlyDepositableCurrencies();
         App.getDirectlyWithdrawableCurrencies();
       }, 5 * 60 * 1000);
-    });
-
-    $.getJSON('abi/RariFundProxy.json?v=1600737538', function(data) {
-      App.contracts.RariFundProxy = new App.web3.eth.Contract(data, "0xD4be7E211680e12c08bbE9054F0dA0D646c45228");
       App.getCurrentApy();
       setInterval(App.getCurrentApy, 5 * 60 * 1000);
     });
 
-    $.getJSON('abi/ERC20.json', function(data) {
-      App.erc20Abi = data;
-      App.contracts.RariFundToken = new App.web3.eth.Contract(data, "0x016bf078ABcaCB987f0589a6d3BEAdD4316922B0");
-      if (App.selectedAccount) {
-        App.getTokenBalance();
-        if (!App.intervalGetTokenBalance) App.intervalGetTokenBalance = setInterval(App.getTokenBalance, 5 * 60 * 1000);
-      }
-      for (const symbol of Object.keys(App.tokens)) App.tokens[symbol].contract = new App.web3.eth.Contract(data, App.tokens[symbol].address);
-    });
+    RariSdk.get0xTokens().then(function(tokens) {
+      App.zeroExTokens = tokens;
 
-    $.getJSON('https://api.0x.org/swap/v0/tokens', function(data) {
-      data.records.sort((a, b) => a.symbol > b.symbol ? 1 : -1);
-      for (const token of data.records) {
-        if (App.tokens[token.symbol]) continue;
-        App.tokens[token.symbol] = { address: token.address, decimals: token.decimals, contract: App.erc20Abi ? new App.web3.eth.Contract(App.erc20Abi, token.address) : null };
+      for (const token of tokens) if (!App.tokens[token.symbol]) {
         $('#DepositToken').append('<option>' + token.symbol + '</option>');
         $('#WithdrawToken').append('<option>' + token.symbol + '</option>');
       }
-    });
 
-    $.getJSON('abi/MassetValidationHelper.json', function(data) {
-      App.contracts.MassetValidationHelper = new App.web3.eth.Contract(data, "0xabcc93c3be238884cc3309c19afd128fafc16911");
+      App.addZeroExTokens();
+    }).catch(function(err) {
+      console.error(err);
     });
   },
 
+  /**
+   * Add tokens listed by the 0x swap API to the token registry (if not already present).
+   */
+  addZeroExTokens: function() {
+    for (const token of App.zeroExTokens) if (!App.tokens[token.symbol]) App.tokens[token.symbol] = { address: token.address, decimals: token.decimals };
+  },
+
+  /**
+   * Switch the SDK and contracts to the configured network with chain ID `chainId`.
+   */
+  setNetwork: function(chainId) {
+    RariSdk.setNetwork(chainId);
+    App.network = parseInt(chainId);
+    App.tokens = RariSdk.tokens;
+    App.addZeroExTokens();
+    if (App.contracts.RariFundManager) App.contracts = RariSdk.getContracts(App.web3, RariSdk.addresses);
+    App.initCurrencyOptions();
+  },
+
+  /**
+   * Returns true if the connected wallet is on the network the dApp is configured for; otherwise, shows an error titled `errorTitle` and returns false.
+   */
+  checkNetwork: function(errorTitle) {
+    if (RariSdk.isSupportedChain(App.walletChainId, App.network)) return true;
+    App.showUnsupportedNetworkError(App.walletChainId, errorTitle);
+    return false;
+  },
+
+  /**
+   * Show an error offering to switch the wallet to a configured network.
+   */
+  showUnsupportedNetworkError: function(chainId, errorTitle) {
+    var links = [];
+    for (const networkChainId of Object.keys(RariSdk.networks)) links.push('<a href="#" class="switch-network" data-chain-id="' + networkChainId + '">' + RariSdk.networks[networkChainId].name + '</a>');
+    toastr["error"]("Your wallet is connected to " + (chainId !== null ? "chain ID " + chainId : "an unknown network") + ", which is not configured. Switch to " + links.join(" or ") + ".", errorTitle ? errorTitle : "Unsupported network", { timeOut: 0, extendedTimeOut: 0 });
+  },
+
+  /**
+   * Ask the wallet to switch to the network with chain ID `chainId` (EIP-3326).
+   */
+  switchNetwork: async function(chainId) {
+    if (!RariSdk.isSupportedChain(chainId)) return;
+
+    try {
+      await App.web3Provider.request({ method: "wallet_switchEthereumChain", params: [{ chainId: "0x" + parseInt(chainId).toString(16) }] });
+    } catch (err) {
+      toastr["error"]("Please switch your wallet to " + RariSdk.networks[chainId].name + " manually: " + (err.message ? err.message : err), "Failed to switch network");
+    }
+  },
+
+  /**
+   * Fill the deposit and withdrawal currency dropdowns with the supported currencies in the currency registry (before ETH and 0x tokens), keeping the current selection, and add an input for each to the batch deposit and basket withdrawal forms.
+   */
+  initCurrencyOptions: function() {
+    // Skip if the supported currencies have not changed
+    var currentCurrencyCodes = $('#DepositToken > option.supported-currency').map(function() {
+      return $(this).val();
+    }).get();
+    if (currentCurrencyCodes.join(",") === App.supportedCurrencies.join(",")) return;
+
+    for (const select of ['#DepositToken', '#WithdrawToken']) {
+      var selected = $(select).val();
+      $(select + ' > option.supported-currency').remove();
+      for (const currencyCode of App.supportedCurrencies.slice().reverse()) $(select).prepend('<option class="supported-currency" value="' + currencyCode + '">' + currencyCode + '</option>');
+      $(select).val(selected && $(select + ' > option[value="' + selected + '"]').length > 0 ? selected : App.supportedCurrencies[0]);
+    }
+
+    $('#BatchDepositAmounts').empty();
+    for (const currencyCode of App.supportedCurrencies) $('#BatchDepositAmounts').append('<div class="input-group"><div class="input-group-prepend"><span class="input-group-text" style="min-width: 80px;">' + currencyCode + '</span></div><input type="text" class="form-control batch-deposit-amount" data-currency-code="' + currencyCode + '" placeholder="0" /></div>');
+    $('#BasketWithdrawWeights').empty();
+    for (const currencyCode of App.supportedCurrencies) $('#BasketWithdrawWeights').append('<div class="input-group"><div class="input-group-prepend"><span class="input-group-text" style="min-width: 80px;">' + currencyCode + '</span></div><input type="text" class="form-control basket-withdraw-weight" data-currency-code="' + currencyCode + '" placeholder="Weight" /></div>');
+
+    if (App.contracts.RariFundManager) {
+      App.getDirectlyDepositableCurrencies();
+      App.getDirectlyWithdrawableCurrencies();
+    }
+  },
+
   getDirectlyDepositableCurrencies: async function() {
-    App.acceptedCurrencies = await App.contracts.RariFundManager.methods.getAcceptedCurrencies().call();
-    for (const currencyCode of ["DAI", "USDC", "USDT", "TUSD", "BUSD", "sUSD", "mUSD"])
+    App.acceptedCurrencies = await RariSdk.getAcceptedCurrencies(App.web3, RariSdk.addresses);
+    for (const currencyCode of App.supportedCurrencies)
       $('#DepositToken > option[value="' + currencyCode + '"]').text(currencyCode + (App.acceptedCurrencies.indexOf(currencyCode) >= 0 ? " (no slippage)" : ""));
   },
 
   getDirectlyWithdrawableCurrencies: async function() {
-    for (const currencyCode of ["DAI", "USDC", "USDT", "TUSD", "BUSD", "sUSD", "mUSD"]) {
-      var rawFundBalance = await App.contracts.RariFundManager.methods["getRawFundBalance(string)"](currencyCode).call();
+    for (const currencyCode of App.supportedCurrencies) {
+      var rawFundBalance = (await RariSdk.getRawFundBalance(App.web3, RariSdk.addresses, currencyCode)).toString();
       $('#WithdrawToken > option[value="' + currencyCode + '"]').text(currencyCode + (parseFloat(rawFundBalance) > 0 ? " (no slippage up to " + (parseFloat(rawFundBalance) / (10 ** App.tokens[currencyCode].decimals) >= 10 ? (parseFloat(rawFundBalance) / (10 ** App.tokens[currencyCode].decimals)).toFixed(2) : (parseFloat(rawFundBalance) / (10 ** App.tokens[currencyCode].decimals)).toPrecision(4)) + ")" : ""));
     }
   },
@@ -1058,165 +969,162 @@ App = {
       if (App.contracts.RariFundManager) {
         App.getMyFundBalance();
         if (!App.intervalGetMyFundBalance) App.intervalGetMyFundBalance = setInterval(App.getMyFundBalance, 5 * 60 * 1000);
-        /* App.getMyInterestAccrued();
-        if (!App.intervalGetMyInterestAccrued) App.intervalGetMyInterestAccrued = setInterval(App.getMyInterestAccrued, 5 * 60 * 1000); */
+        App.getMyInterestAccrued();
+        if (!App.intervalGetMyInterestAccrued) App.intervalGetMyInterestAccrued = setInterval(App.getMyInterestAccrued, 5 * 60 * 1000);
       }
       if (App.contracts.RariFundToken) {
         App.getTokenBalance();
         if (!App.intervalGetTokenBalance) App.intervalGetTokenBalance = setInterval(App.getTokenBalance, 5 * 60 * 1000);
       }
+      if (App.contracts.RariFundManager) App.getAccountHistory();
+      if (App.contracts.RariFundManager) App.checkAdmin();
+      if (App.contracts.RariFundManager) App.checkRebalancer();
+      if (App.contracts.RariFundManager) App.checkFees();
     });
 
     $(document).on('click', '#depositButton, #confirmDepositButton', App.handleDeposit);
+    $(document).on('click', '#batchDepositButton', App.handleBatchDeposit);
+    $(document).on('click', '#confirmBatchDepositButton', App.handleBatchDepositConfirm);
+    $(document).on('hide.bs.modal', '#modal-confirm-batch-deposit', function(event) {
+      // Keep the confirmation open while its transactions are being sent
+      if (App.sendingBatchDeposit) event.preventDefault();
+    });
+    $(document).on('hidden.bs.modal', '#modal-confirm-batch-deposit', App.handleBatchDepositClosed);
     $(document).on('click', '#withdrawButton, #confirmWithdrawalButton', App.handleWithdraw);
+    $(document).on('change', '#BasketWithdrawMode', function() {
+      $('#BasketWithdrawWeights').toggle($(this).val() === "custom");
+    });
+    $(document).on('click', '#basketWithdrawButton', App.handleBasketWithdraw);
+    $(document).on('click', '#confirmBasketWithdrawalButton', App.handleBasketWithdrawConfirm);
+    $(document).on('hide.bs.modal', '#modal-confirm-basket-withdrawal', function(event) {
+      // Keep the confirmation open while its withdrawals are being sent
+      if (App.sendingBasketWithdrawal) event.preventDefault();
+    });
+    $(document).on('hidden.bs.modal', '#modal-confirm-basket-withdrawal', function() {
+      App.basketWithdrawal = null;
+    });
     $(document).on('click', '#transferButton', App.handleTransfer);
-  },
-
-  get0xPrices: function(inputTokenSymbol) {
-    return new Promise((resolve, reject) => {
-      $.getJSON('https://api.0x.org/swap/v0/prices?sellToken=' + inputTokenSymbol, function(decoded) {
-        if (!decoded) return reject("Failed to decode prices from 0x swap API");
-        if (!decoded.records) return reject("No prices found on 0x swap API");
-        var prices = {};
-        for (var i = 0; i < decoded.records.length; i++) prices[decoded.records[i].symbol] = decoded.records[i].price;
-        resolve(prices);
-      }).fail(function(err) {
-        reject("Error requesting prices from 0x swap API: " + err.message);
-      });
+    $(document).on('change', '#MaxSlippage', App.handleMaxSlippageChange);
+    $(document).on('input change', '#DepositAmount, #DepositToken', App.checkDepositLimit);
+    $(document).on('change', '#DepositToAnotherAddress', function() {
+      $('#DepositRecipientGroup').toggle(this.checked);
+      App.checkDepositLimit();
     });
-  },
-
-  get0xSwapOrders: function(inputTokenAddress, outputTokenAddress, maxInputAmountBN, maxMakerAssetFillAmountBN) {
-    return new Promise((resolve, reject) => {
-      $.getJSON('https://api.0x.org/swap/v0/quote?sellToken=' + inputTokenAddress + '&buyToken=' + outputTokenAddress + (maxMakerAssetFillAmountBN !== undefined ? '&buyAmount=' + maxMakerAssetFillAmountBN.toString() : '&sellAmount=' + maxInputAmountBN.toString()), function(decoded) {
-        if (!decoded) return reject("Failed to decode quote from 0x swap API");
-        if (!decoded.orders) return reject("No orders found on 0x swap API");
-
-        decoded.orders.sort((a, b) => a.makerAssetAmount / (a.takerAssetAmount + a.takerFee) < b.makerAssetAmount / (b.takerAssetAmount + b.takerFee) ? 1 : -1);
-
-        var orders = [];
-        var inputFilledAmountBN = Web3.utils.toBN(0);
-        var takerAssetFilledAmountBN = Web3.utils.toBN(0);
-        var makerAssetFilledAmountBN = Web3.utils.toBN(0);
-
-        for (var i = 0; i < decoded.orders.length; i++) {
-          if (decoded.orders[i].takerFee > 0 && decoded.orders[i].takerFeeAssetData.toLowerCase() !== "0xf47261b0000000000000000000000000" + inputTokenAddress.toLowerCase()) continue;
-          var takerAssetAmountBN = Web3.utils.toBN(decoded.orders[i].takerAssetAmount);
-          var takerFeeBN = Web3.utils.toBN(decoded.orders[i].takerFee);
-          var orderInputAmountBN = takerAssetAmountBN.add(takerFeeBN); // Maximum amount we can send to this order including the taker fee
-          var makerAssetAmountBN = Web3.utils.toBN(decoded.orders[i].makerAssetAmount);
-
-          if (maxMakerAssetFillAmountBN !== undefined) {
-            // maxMakerAssetFillAmountBN is specified, so use it
-            if (maxMakerAssetFillAmountBN.sub(makerAssetFilledAmountBN).lte(makerAssetAmountBN)) {
-              // Calculate orderTakerAssetFillAmountBN and orderInputFillAmountBN from maxMakerAssetFillAmountBN
-              var orderMakerAssetFillAmountBN = maxMakerAssetFillAmountBN.sub(makerAssetFilledAmountBN);
-              var orderTakerAssetFillAmountBN = orderMakerAssetFillAmountBN.mul(takerAssetAmountBN).div(makerAssetAmountBN);
-              var orderInputFillAmountBN = orderMakerAssetFillAmountBN.mul(orderInputAmountBN).div(makerAssetAmountBN);
-              
-              var tries = 0;
-              while (makerAssetAmountBN.mul(orderInputFillAmountBN).div(orderInputAmountBN).lt(orderMakerAssetFillAmountBN)) {
-                if (tries >= 1000) return toastr["error"]("Failed to get increment order input amount to achieve desired output amount", "Internal error");
-                orderInputFillAmountBN.iadd(Web3.utils.toBN(1)); // Make sure we have enough input fill amount to achieve this maker asset fill amount
-                tries++;
-              }
-            } else {
-              // Fill whole order
-              var orderMakerAssetFillAmountBN = makerAssetAmountBN;
-              var orderTakerAssetFillAmountBN = takerAssetAmountBN;
-              var orderInputFillAmountBN = orderInputAmountBN;
-            }
-
-            // If this order input amount is higher than the remaining input, calculate orderTakerAssetFillAmountBN and orderMakerAssetFillAmountBN from the remaining maxInputAmountBN as usual
-            if (orderInputFillAmountBN.gt(maxInputAmountBN.sub(inputFilledAmountBN))) {
-              orderInputFillAmountBN = maxInputAmountBN.sub(inputFilledAmountBN);
-              orderTakerAssetFillAmountBN = orderInputFillAmountBN.mul(takerAssetAmountBN).div(orderInputAmountBN);
-              orderMakerAssetFillAmountBN = orderInputFillAmountBN.mul(makerAssetAmountBN).div(orderInputAmountBN);
-            }
-          } else {
-            // maxMakerAssetFillAmountBN is not specified, so use maxInputAmountBN
-            if (maxInputAmountBN.sub(inputFilledAmountBN).lte(orderInputAmountBN)) {
-              // Calculate orderInputFillAmountBN and orderTakerAssetFillAmountBN from the remaining maxInputAmountBN as usual
-              var orderInputFillAmountBN = maxInputAmountBN.sub(inputFilledAmountBN);
-              var orderTakerAssetFillAmountBN = orderInputFillAmountBN.mul(takerAssetAmountBN).div(orderInputAmountBN);
-              var orderMakerAssetFillAmountBN = orderInputFillAmountBN.mul(makerAssetAmountBN).div(orderInputAmountBN);
-            } else {
-              // Fill whole order
-              var orderInputFillAmountBN = orderInputAmountBN;
-              var orderTakerAssetFillAmountBN = takerAssetAmountBN;
-              var orderMakerAssetFillAmountBN = makerAssetAmountBN;
-            }
-          }
-
-          // Add order to returned array
-          orders.push(decoded.orders[i]);
-
-          // Add order fill amounts to total fill amounts
-          inputFilledAmountBN.iadd(orderInputFillAmountBN);
-          takerAssetFilledAmountBN.iadd(orderTakerAssetFillAmountBN);
-          makerAssetFilledAmountBN.iadd(orderMakerAssetFillAmountBN);
-          
-          // Check if we have hit maxInputAmountBN or maxTakerAssetFillAmountBN
-          if (inputFilledAmountBN.gte(maxInputAmountBN) || (maxMakerAssetFillAmountBN !== undefined && makerAssetFilledAmountBN.gte(maxMakerAssetFillAmountBN))) break;
-        }
-
-        if (takerAssetFilledAmountBN.isZero()) return reject("No orders found on 0x swap API");
-        resolve([orders, inputFilledAmountBN, decoded.protocolFee, takerAssetFilledAmountBN, makerAssetFilledAmountBN, decoded.gasPrice]);
-      }).fail(function(err) {
-          reject("Error requesting quote from 0x swap API: " + err.message);
-      });
+    $(document).on('click', '#depositMaxAllowedButton', function(event) {
+      event.preventDefault();
+      App.capDepositAmount();
+    });
+    $(document).on('click', '#clearTransactionsButton', function() {
+      RariTransactionTracker.clearCompleted(window.localStorage);
+      App.renderTransactions();
+    });
+    $(document).on('click', '#refreshHistoryButton', App.getAccountHistory);
+    $(document).on('click', '.admin-set-button', App.handleAdminSettingChange);
+    $(document).on('click', '#adminLookupLimitButton', App.getAdminAccountBalanceLimit);
+    $(document).on('click', '#adminSetLimitButton', App.handleAdminAccountBalanceLimitChange);
+    $(document).on('click', '#adminForwardLostFundsButton', App.handleAdminForwardLostFunds);
+    $(document).on('click', '#confirmAdminButton', App.handleAdminConfirm);
+    $(document).on('click', '#refreshAdminSettingsButton', App.getAdminSettings);
+    $(document).on('click', '#refreshAdminHistoryButton', App.getAdminHistory);
+    $(document).on('click', '#refreshRebalanceAllocationButton', App.getRebalanceAllocation);
+    $(document).on('change', '#RebalanceMoveType', App.updateRebalanceMoveForm);
+    $(document).on('click', '#rebalanceStageButton', App.handleRebalanceStage);
+    $(document).on('click', '.rebalance-remove-button', App.handleRebalanceRemove);
+    $(document).on('click', '#rebalanceClearButton', App.handleRebalanceClear);
+    $(document).on('click', '#rebalanceSendButton', App.handleRebalanceSend);
+    $(document).on('click', '#refreshFeesButton', App.getFees);
+    $(document).on('click', '#depositFeesButton', App.handleDepositFees);
+    $(document).on('click', '#withdrawFeesButton', App.handleWithdrawFees);
+    $(document).on('click', '.switch-network', function(event) {
+      event.preventDefault();
+      App.switchNetwork($(this).data("chain-id"));
+    });
+    $(document).on('click', '#exportHistoryCsvButton', function() {
+      App.exportAccountActivity("csv");
+    });
+    $(document).on('click', '#exportHistoryJsonButton', function() {
+      App.exportAccountActivity("json");
     });
   },
 
-  getMStableSwapFeeBN: async function() {
-    const data = await $.ajax("https://api.thegraph.com/subgraphs/name/mstable/mstable-protocol", { data: JSON.stringify({ query: `{
-      massets(where: { id: "0xe2f2a5c287993345a840db3b0845fbc70f5935a5" }) {
-        feeRate
-      }
-    }` }), contentType: 'application/json', type: 'POST' });
-
-    return Web3.utils.toBN(data.data.massets[0].feeRate);
-  },
-  
   /**
    * Deposit funds to the stablecoin fund.
    */
   handleDeposit: async function(event) {
     event.preventDefault();
+    if (!App.checkNetwork("Deposit failed")) return;
 
     var token = $('#DepositToken').val();
     if (token !== "ETH" && !App.tokens[token]) return toastr["error"]("Invalid token!", "Deposit failed");
     var amount = parseFloat($('#DepositAmount').val());
     if (!amount || amount <= 0) return toastr["error"]("Deposit amount must be greater than 0!", "Deposit failed");
+    var recipient = null;
+
+    // Validate the recipient (and its checksum) if depositing to another address
+    if ($('#DepositToAnotherAddress').is(':checked')) {
+      try {
+        recipient = RariSdk.checkDepositRecipient(App.web3, $('#DepositRecipient').val());
+      } catch (err) {
+        return toastr["error"](err.message ? err.message : err, "Deposit failed");
+      }
+
+      if (recipient.toLowerCase() === App.selectedAccount.toLowerCase()) recipient = null;
+    }
+
     var amountBN = Web3.utils.toBN((new Big(amount)).mul((new Big(10)).pow(token == "ETH" ? 18 : App.tokens[token].decimals)).toFixed());
-    var accountBalanceBN = Web3.utils.toBN(await (token == "ETH" ? App.web3.eth.getBalance(App.selectedAccount) : App.tokens[token].contract.methods.balanceOf(App.selectedAccount).call()));
+    var accountBalanceBN = Web3.utils.toBN(await (token == "ETH" ? App.web3.eth.getBalance(App.selectedAccount) : RariSdk.getContract(App.web3, "ERC20", App.tokens[token].address).methods.balanceOf(App.selectedAccount).call()));
     if (amountBN.gt(accountBalanceBN)) return toastr["error"]("Not enough balance in your account to make a deposit of this amount. Current account balance: " + (new Big(accountBalanceBN.toString())).div((new Big(10)).pow(token == "ETH" ? 18 : App.tokens[token].decimals)).toString() + " " + token, "Deposit failed");
 
     $('#depositButton, #confirmDepositButton').prop("disabled", true).html('<div class="loading-icon"><div></div><div></div><div></div></div>');
 
     await (async function() {
-      // Check if currency is directly depositable
-      await App.getDirectlyDepositableCurrencies();
-      if (!App.acceptedCurrencies || App.acceptedCurrencies.length == 0) return toastr["error"]("No accepted currencies found.", "Deposit failed");
+      App.getDirectlyDepositableCurrencies();
+
+      // Get deposit route (directly, via mStable, or via 0x)
+      try {
+        var route = await RariSdk.getDepositRoute(App.web3, RariSdk.addresses, token, amountBN, App.selectedAccount, recipient);
+      } catch (err) {
+        return toastr["error"](err.message ? err.message : err, "Deposit failed");
+      }
+
+      // Check the USD value of the deposit (at Chainlink prices) against the account balance limit of the recipient before approving tokens
+      try {
+        var [accountBalanceLimit, pricesInUsd] = await Promise.all([RariSdk.getAccountBalanceLimit(App.web3, RariSdk.addresses, recipient !== null ? recipient : App.selectedAccount), RariSdk.getCurrencyPricesInUsd(App.web3, RariSdk.addresses)]);
+      } catch (err) {
+        console.error("Failed to check account balance limit:", err);
+      }
+
+      if (accountBalanceLimit && pricesInUsd) {
+        try {
+          RariSdk.checkAccountBalanceLimit(App.web3, accountBalanceLimit, RariSdk.getDepositAmountUsdBN(App.web3, route, pricesInUsd), recipient);
+        } catch (err) {
+          if ($('#modal-confirm-deposit').is(':visible')) $('#modal-confirm-deposit').modal('hide');
+          return toastr["error"](err.message ? err.message : err, "Deposit failed");
+        }
+      }
 
-      if (App.acceptedCurrencies.indexOf(token) >= 0) {
+      if (route.type === "direct") {
         if ($('#modal-confirm-deposit').is(':visible')) $('#modal-confirm-deposit').modal('hide');
+        console.log('Deposit ' + amount + ' ' + token + ' directly' + (recipient !== null ? ' to ' + recipient : ''));
 
-        var myFundBalanceBN = Web3.utils.toBN(await App.contracts.RariFundManager.methods.balanceOf(App.selectedAccount).call());
-        console.log('Deposit ' + amount + ' ' + token + ' directly');
-        var depositContract = amount >= 250 && myFundBalanceBN.isZero() ? App.contractsGsn.RariFundProxy : App.contracts.RariFundManager;
+        // Simulate the deposit to catch errors before approving tokens
+        try {
+          await RariSdk.simulateDeposit(App.web3, RariSdk.addresses, App.selectedAccount, route);
+        } catch (err) {
+          if ($('#modal-confirm-deposit').is(':visible')) $('#modal-confirm-deposit').modal('hide');
+          return toastr["error"](err.message ? err.message : err, "Deposit failed");
+        }
 
-        // Approve tokens to RariFundManager
+        // Approve tokens to RariFundManager (or RariFundProxy if depositing via the GSN)
         try {
-          var allowanceBN = Web3.utils.toBN(await App.tokens[token].contract.methods.allowance(App.selectedAccount, depositContract.options.address).call());
-          if (allowanceBN.lt(amountBN)) await App.tokens[token].contract.methods.approve(depositContract.options.address, amountBN).send({ from: App.selectedAccount });
+          await RariSdk.approveDeposit(App.web3, RariSdk.addresses, App.selectedAccount, route);
         } catch (err) {
           return toastr["error"]("Failed to approve tokens: " + (err.message ? err.message : err), "Deposit failed");
         }
-        
-        // Deposit tokens to RariFundManager
+
+        // Deposit tokens
         try {
-          var receipt = await depositContract.methods.deposit(token, amountBN).send({ from: App.selectedAccount });
+          var receipt = await RariSdk.sendDeposit(App.web3, RariSdk.addresses, App.selectedAccount, route, App.web3Gsn);
         } catch (err) {
           return toastr["error"](err.message ? err.message : err, "Deposit failed");
         }
@@ -1224,213 +1132,84 @@ App = {
         // Mixpanel
         if (typeof mixpanel !== 'undefined') mixpanel.track("Direct deposit", { transactionHash: receipt.transactionHash, currencyCode: token, amount });
       } else {
-        // Get mStable output currency if possible
-        var mStableOutputCurrency = null;
-        var mStableOutputAmountAfterFeeBN = null;
-
-        if (["DAI", "USDC", "USDT", "TUSD", "mUSD"].indexOf(token) >= 0) {
-          for (var acceptedCurrency of App.acceptedCurrencies) if (["DAI", "USDC", "USDT", "TUSD", "mUSD"].indexOf(acceptedCurrency) >= 0) {
-            if (token === "mUSD") {
-              try {
-                var redeemValidity = await App.contracts.MassetValidationHelper.methods.getRedeemValidity("0xe2f2a5c287993345a840db3b0845fbc70f5935a5", amountBN, App.tokens[acceptedCurrency].address).call();
-              } catch (err) {
-                console.error("Failed to check mUSD redeem validity:", err);
-                continue;
-              }
-
-              if (!redeemValidity || !redeemValidity["0"]) continue;
-              mStableOutputAmountAfterFeeBN = Web3.utils.toBN(redeemValidity["2"]);
-            } else {
-              try {
-                var maxSwap = await App.contracts.MassetValidationHelper.methods.getMaxSwap("0xe2f2a5c287993345a840db3b0845fbc70f5935a5", App.tokens[token].address, App.tokens[acceptedCurrency].address).call();
-              } catch (err) {
-                console.error("Failed to check mUSD max swap:", err);
-                continue;
-              }
-
-              if (!maxSwap || !maxSwap["0"] || amountBN.gt(Web3.utils.toBN(maxSwap["2"]))) continue;
-              var outputAmountBeforeFeesBN = amountBN.mul(Web3.utils.toBN(10 ** App.tokens[acceptedCurrency].decimals)).div(Web3.utils.toBN(10 ** App.tokens[token].decimals));
-
-              if (acceptedCurrency === "mUSD") mStableOutputAmountAfterFeeBN = outputAmountBeforeFeesBN;
-              else {
-                try {
-                  var swapFeeBN = await App.getMStableSwapFeeBN();
-                } catch (err) {
-                  console.error("Failed to check mUSD swap fee:", err);
-                  continue;
-                }
-
-                mStableOutputAmountAfterFeeBN = outputAmountBeforeFeesBN.sub(outputAmountBeforeFeesBN.mul(swapFeeBN).div(Web3.utils.toBN(1e18)));
-              }
-            }
-
-            mStableOutputCurrency = acceptedCurrency;
-            break;
-          }
+        // Make sure input amount is completely filled
+        if (route.inputFilledAmountBN.lt(amountBN)) {
+          $('#DepositAmount').val(route.inputFilledAmountBN.toString() / (10 ** (token == "ETH" ? 18 : App.tokens[token].decimals)));
+          return toastr["warning"]("Unable to find enough liquidity to exchange " + token + " before depositing.", "Deposit canceled");
         }
 
-        // Ideally mStable, but 0x works too
-        if (mStableOutputCurrency !== null) {
-          // Warn user of slippage
-          var epochNow = (new Date()).getTime();
-
-          if (!App.zeroExPrices[token] || epochNow > App.zeroExPrices[token]._lastUpdated + (60 * 1000)) {
-            try {
-              App.zeroExPrices[token] = await App.get0xPrices(token);
-              App.zeroExPrices[token]._lastUpdated = epochNow;
-            } catch (err) {
-              if (["DAI", "USDC", "USDT", "TUSD", "BUSD", "sUSD", "mUSD"].indexOf(token) < 0) return toastr["error"]("Failed to get prices from 0x swap API: " + err, "Deposit failed");
-            }
-          }
-
-          var amountOutputted = parseFloat(mStableOutputAmountAfterFeeBN.toString()) / (10 ** App.tokens[mStableOutputCurrency].decimals);
-          if (App.zeroExPrices[token] && App.zeroExPrices[token][mStableOutputCurrency]) var slippage = 1 - (amountOutputted / amount * App.zeroExPrices[token][mStableOutputCurrency]);
-          else if (["DAI", "USDC", "USDT", "TUSD", "BUSD", "sUSD", "mUSD"].indexOf(token) >= 0) var slippage = 1 - (amountOutputted / amount);
-          else return toastr["error"]("Price not found on 0x swap API", "Deposit failed");
-
-          var slippageAbsPercentageString = Math.abs(slippage * 100).toFixed(3);
+        // Refuse exchanges with slippage above the user's maximum
+        try {
+          RariSdk.checkSlippage(route, App.maxSlippage);
+        } catch (err) {
+          if ($('#modal-confirm-deposit').is(':visible')) $('#modal-confirm-deposit').modal('hide');
+          return toastr["error"](err.message + " To continue, increase your maximum slippage.", "Deposit canceled");
+        }
 
-          if (!$('#modal-confirm-deposit').is(':visible')) {
+        // Warn user of slippage
+        var amountsOutputted = [];
+        for (const leg of route.legs) amountsOutputted.push((leg.outputAmountBN.toString() / (10 ** App.tokens[leg.outputCurrencyCode].decimals)) + ' ' + leg.outputCurrencyCode + ' (via ' + leg.type + ')');
+        var protocolFee = route.totalProtocolFeeBN.toString();
+        var slippageAbsPercentageString = Math.abs(route.slippage * 100).toFixed(3);
+
+        if (!$('#modal-confirm-deposit').is(':visible')) {
+          if (route.type === "0x" || route.type === "split") {
+            $('#DepositZeroExGasPriceWarning').attr("style", "display: block !important;");
+            $('#DepositExchangeFee kbd').html((protocolFee / 1e18) + ' ETH <small>($' + (protocolFee / 1e18 * RariSdk.usdPrices["ETH"]).toFixed(2) + ' USD)</small>');
+            $('#DepositExchangeFee').show();
+          } else {
             $('#DepositZeroExGasPriceWarning').attr("style", "display: none !important;");
             $('#DepositExchangeFee').hide();
-            $('#DepositSlippage').html(slippage >= 0 ? '<strong>Slippage:</strong> <kbd class="text-' + (slippageAbsPercentageString === "0.000" ? "info" : "warning") + '">' + slippageAbsPercentageString + '%</kbd>' : '<strong>Bonus:</strong> <kbd class="text-success">' + slippageAbsPercentageString + '%</kbd>');
-            return $('#modal-confirm-deposit').modal('show');
           }
 
-          if ($('#DepositSlippage kbd').text() !== slippageAbsPercentageString + "%") {
-            $('#DepositSlippage').html(slippage >= 0 ? '<strong>Slippage:</strong> <kbd class="text-' + (slippageAbsPercentageString === "0.000" ? "info" : "warning") + '">' + slippageAbsPercentageString + '%</kbd>' : '<strong>Bonus:</strong> <kbd class="text-success">' + slippageAbsPercentageString + '%</kbd>');
-            return toastr["warning"]("Exchange slippage changed. If you are satisfied with the new slippage, please click the \"Confirm\" button again to process your deposit.", "Please try again");
-          }
+          $('#DepositRecipientConfirm').toggle(recipient !== null).find('kbd').text(recipient !== null ? recipient : '');
+          $('#DepositSlippage').html(route.slippage >= 0 ? '<strong>Slippage:</strong> <kbd class="text-' + (slippageAbsPercentageString === "0.000" ? "info" : "warning") + '">' + slippageAbsPercentageString + '%</kbd>' : '<strong>Bonus:</strong> <kbd class="text-success">' + slippageAbsPercentageString + '%</kbd>');
+          return $('#modal-confirm-deposit').modal('show');
+        }
 
-          // Approve tokens to RariFundProxy
-          try {
-            var allowanceBN = Web3.utils.toBN(await App.tokens[token].contract.methods.allowance(App.selectedAccount, App.contracts.RariFundProxy.options.address).call());
-            if (allowanceBN.lt(amountBN)) await App.tokens[token].contract.methods.approve(App.contracts.RariFundProxy.options.address, amountBN).send({ from: App.selectedAccount });
-          } catch (err) {
-            return toastr["error"]("Failed to approve tokens to RariFundProxy: " + (err.message ? err.message : err), "Deposit failed");
-          }
+        if ($('#DepositSlippage kbd').text() !== slippageAbsPercentageString + "%") {
+          $('#DepositSlippage').html(route.slippage >= 0 ? '<strong>Slippage:</strong> <kbd class="text-' + (slippageAbsPercentageString === "0.000" ? "info" : "warning") + '">' + slippageAbsPercentageString + '%</kbd>' : '<strong>Bonus:</strong> <kbd class="text-success">' + slippageAbsPercentageString + '%</kbd>');
+          return toastr["warning"]("Exchange slippage changed. If you are satisfied with the new slippage, please click the \"Confirm\" button again to process your deposit.", "Please try again");
+        }
 
-          // Exchange and deposit tokens via mStable via RariFundProxy
-          try {
-            console.log("RariFundProxy.exchangeAndDeposit parameters:", token, amountBN.toString(), mStableOutputCurrency);
-            var receipt = await App.contracts.RariFundProxy.methods["exchangeAndDeposit(string,uint256,string)"](token, amountBN, mStableOutputCurrency).send({ from: App.selectedAccount });
-          } catch (err) {
-            return toastr["error"]("RariFundProxy.exchangeAndDeposit failed: " + (err.message ? err.message : err), "Deposit failed");
-          }
-        } else {
-          // Use first accepted currency for 0x
-          var acceptedCurrency = App.acceptedCurrencies[0];
-
-          // Get orders from 0x swap API
-          try {
-            var [orders, inputFilledAmountBN, protocolFee, takerAssetFilledAmountBN, makerAssetFilledAmountBN, gasPrice] = await App.get0xSwapOrders(token === "ETH" ? "WETH" : App.tokens[token].address, App.tokens[acceptedCurrency].address, amountBN);
-          } catch (err) {
-            return toastr["error"]("Failed to get swap orders from 0x API: " + err, "Deposit failed");
-          }
+        if ((route.type === "0x" || route.type === "split") && $('#DepositExchangeFee kbd').html().substring(0, $('#DepositExchangeFee kbd').html().indexOf("<") - 1) !== (protocolFee / 1e18) + " ETH") {
+          $('#DepositExchangeFee kbd').html((protocolFee / 1e18) + ' ETH <small>($' + (protocolFee / 1e18 * RariSdk.usdPrices["ETH"]).toFixed(2) + ' USD)</small>');
+          return toastr["warning"]("Exchange fee changed. If you are satisfied with the new fee, please click the \"Confirm\" button again to process your deposit.", "Please try again");
+        }
 
-          var amountOutputted = makerAssetFilledAmountBN.toString() / (10 ** App.tokens[acceptedCurrency].decimals);
-          
-          // Make sure input amount is completely filled
-          if (inputFilledAmountBN.lt(amountBN)) {
-            $('#DepositAmount').val(inputFilledAmountBN.toString() / (10 ** (token == "ETH" ? 18 : App.tokens[token].decimals)));
-            return toastr["warning"]("Unable to find enough liquidity to exchange " + token + " before depositing.", "Deposit canceled");
-          }
+        console.log('Exchange ' + amount + ' ' + token + ' to deposit ' + amountsOutputted.join(' and ') + (recipient !== null ? ' to ' + recipient : ''));
 
-          // Warn user of slippage
-          var epochNow = (new Date()).getTime();
+        // Simulate the deposit to catch errors before approving tokens
+        try {
+          await RariSdk.simulateDeposit(App.web3, RariSdk.addresses, App.selectedAccount, route);
+        } catch (err) {
+          if ($('#modal-confirm-deposit').is(':visible')) $('#modal-confirm-deposit').modal('hide');
+          return toastr["error"](err.message ? err.message : err, "Deposit failed");
+        }
 
-          if (!App.zeroExPrices[token === "ETH" ? "WETH" : token] || epochNow > App.zeroExPrices[token === "ETH" ? "WETH" : token]._lastUpdated + (60 * 1000)) {
-            try {
-              App.zeroExPrices[token === "ETH" ? "WETH" : token] = await App.get0xPrices(token === "ETH" ? "WETH" : token);
-              App.zeroExPrices[token === "ETH" ? "WETH" : token]._lastUpdated = epochNow;
-            } catch (err) {
-              if (["DAI", "USDC", "USDT", "TUSD", "BUSD", "sUSD", "mUSD"].indexOf(token) < 0) return toastr["error"]("Failed to get prices from 0x swap API: " + err, "Deposit failed");
-            }
-          }
+        // Approve tokens to RariFundProxy if token is not ETH
+        try {
+          await RariSdk.approveDeposit(App.web3, RariSdk.addresses, App.selectedAccount, route);
+        } catch (err) {
+          return toastr["error"]("Failed to approve tokens to RariFundProxy: " + (err.message ? err.message : err), "Deposit failed");
+        }
 
-          if (App.zeroExPrices[token === "ETH" ? "WETH" : token] && App.zeroExPrices[token === "ETH" ? "WETH" : token][acceptedCurrency]) var slippage = 1 - (amountOutputted / amount * App.zeroExPrices[token === "ETH" ? "WETH" : token][acceptedCurrency]);
-          else if (["DAI", "USDC", "USDT", "TUSD", "BUSD", "sUSD", "mUSD"].indexOf(token) >= 0) var slippage = 1 - (amountOutputted / amount);
-          else return toastr["error"]("Price not found on 0x swap API", "Deposit failed");
+        // Exchange and deposit tokens via RariFundProxy (one transaction per leg if split between mStable and 0x)
+        try {
+          var receipt = await RariSdk.sendDeposit(App.web3, RariSdk.addresses, App.selectedAccount, route, null, App.maxSlippage);
+        } catch (err) {
+          return toastr["error"]("RariFundProxy.exchangeAndDeposit failed: " + (err.message ? err.message : err), "Deposit failed");
+        }
 
-          var slippageAbsPercentageString = Math.abs(slippage * 100).toFixed(3);
-
-          if (!$('#modal-confirm-deposit').is(':visible')) {
-            $('#DepositZeroExGasPriceWarning').attr("style", "display: block !important;")
-            $('#DepositExchangeFee kbd').html((protocolFee / 1e18) + ' ETH <small>($' + (protocolFee / 1e18 * App.usdPrices["ETH"]).toFixed(2) + ' USD)</small>');
-            $('#DepositExchangeFee').show();
-            $('#DepositSlippage').html(slippage >= 0 ? '<strong>Slippage:</strong> <kbd class="text-' + (slippageAbsPercentageString === "0.000" ? "info" : "warning") + '">' + slippageAbsPercentageString + '%</kbd>' : '<strong>Bonus:</strong> <kbd class="text-success">' + slippageAbsPercentageString + '%</kbd>');
-            return $('#modal-confirm-deposit').modal('show');
-          }
-
-          if ($('#DepositSlippage kbd').text() !== slippageAbsPercentageString + "%") {
-            $('#DepositSlippage').html(slippage >= 0 ? '<strong>Slippage:</strong> <kbd class="text-' + (slippageAbsPercentageString === "0.000" ? "info" : "warning") + '">' + slippageAbsPercentageString + '%</kbd>' : '<strong>Bonus:</strong> <kbd class="text-success">' + slippageAbsPercentageString + '%</kbd>');
-            return toastr["warning"]("Exchange slippage changed. If you are satisfied with the new slippage, please click the \"Confirm\" button again to process your deposit.", "Please try again");
-          }
-
-          if ($('#DepositExchangeFee kbd').html().substring(0, $('#DepositExchangeFee kbd').html().indexOf("<") - 1) !== (protocolFee / 1e18) + " ETH") {
-            $('#DepositExchangeFee kbd').html((protocolFee / 1e18) + ' ETH <small>($' + (protocolFee / 1e18 * App.usdPrices["ETH"]).toFixed(2) + ' USD)</small>');
-            return toastr["warning"]("Exchange fee changed. If you are satisfied with the new fee, please click the \"Confirm\" button again to process your deposit.", "Please try again");
-          }
-
-          console.log('Exchange ' + amount + ' ' + token + ' to deposit ' + amountOutputted + ' ' + acceptedCurrency);
-
-          // Approve tokens to RariFundProxy if token is not ETH
-          if (token !== "ETH") try {
-            var allowanceBN = Web3.utils.toBN(await App.tokens[token].contract.methods.allowance(App.selectedAccount, App.contracts.RariFundProxy.options.address).call());
-            if (allowanceBN.lt(amountBN)) await App.tokens[token].contract.methods.approve(App.contracts.RariFundProxy.options.address, amountBN).send({ from: App.selectedAccount });
-          } catch (err) {
-            return toastr["error"]("Failed to approve tokens to RariFundProxy: " + (err.message ? err.message : err), "Deposit failed");
-          }
-
-          // Build array of orders and signatures
-          var signatures = [];
-
-          for (var j = 0; j < orders.length; j++) {
-            signatures[j] = orders[j].signature;
-            
-            orders[j] = {
-              makerAddress: orders[j].makerAddress,
-              takerAddress: orders[j].takerAddress,
-              feeRecipientAddress: orders[j].feeRecipientAddress,
-              senderAddress: orders[j].senderAddress,
-              makerAssetAmount: orders[j].makerAssetAmount,
-              takerAssetAmount: orders[j].takerAssetAmount,
-              makerFee: orders[j].makerFee,
-              takerFee: orders[j].takerFee,
-              expirationTimeSeconds: orders[j].expirationTimeSeconds,
-              salt: orders[j].salt,
-              makerAssetData: orders[j].makerAssetData,
-              takerAssetData: orders[j].takerAssetData,
-              makerFeeAssetData: orders[j].makerFeeAssetData,
-              takerFeeAssetData: orders[j].takerFeeAssetData
-            };
-          }
-
-          // Exchange and deposit tokens via RariFundProxy
-          try {
-            console.log("RariFundProxy.exchangeAndDeposit parameters:", token === "ETH" ? "0x0000000000000000000000000000000000000000" : App.tokens[token].address, amountBN.toString(), acceptedCurrency, orders, signatures, takerAssetFilledAmountBN.toString());
-            var receipt = await App.contracts.RariFundProxy.methods.exchangeAndDeposit(token === "ETH" ? "0x0000000000000000000000000000000000000000" : App.tokens[token].address, amountBN, acceptedCurrency, orders, signatures, takerAssetFilledAmountBN).send({ from: App.selectedAccount, value: token === "ETH" ? Web3.utils.toBN(protocolFee).add(amountBN).toString() : protocolFee, gasPrice: gasPrice });
-          } catch (err) {
-            return toastr["error"]("RariFundProxy.exchangeAndDeposit failed: " + (err.message ? err.message : err), "Deposit failed");
-          }
-        }
-
-        // Mixpanel
-        if (typeof mixpanel !== 'undefined') mixpanel.track("Exchange and deposit", { transactionHash: receipt.transactionHash, inputCurrencyCode: token, inputAmount: amount, outputCurrencyCode: acceptedCurrency, outputAmount: amountOutputted });
+        // Mixpanel
+        if (typeof mixpanel !== 'undefined') mixpanel.track("Exchange and deposit", { transactionHash: receipt.transactionHash, inputCurrencyCode: token, inputAmount: amount, routeType: route.type, outputs: amountsOutputted });
 
         // Hide old slippage after exchange success
         $('#modal-confirm-deposit').modal('hide');
       }
 
-      // Alert success and refresh balances
-      toastr["success"]("Deposit of " + amount + " " + token + " confirmed!", "Deposit successful");
-      $('#USDBalance').text("?");
-      App.getFundBalance();
-      $('#MyUSDBalance').text("?");
-      App.getMyFundBalance();
-      $('#RSPTBalance').text("?");
-      App.getTokenBalance();
-      App.getDirectlyWithdrawableCurrencies();
+      // Update tracked transactions (alerting success and refreshing balances on confirmation)
+      App.updateTransactions();
     })();
 
     $('#depositButton').text("Deposit");
@@ -1438,11 +1217,121 @@ App = {
     $('#depositButton, #confirmDepositButton').prop("disabled", false);
   },
   
+  /**
+   * Plan a batch deposit of the amounts entered for each supported currency and show its transactions for confirmation.
+   */
+  handleBatchDeposit: async function(event) {
+    event.preventDefault();
+    if (App.sendingBatchDeposit || !App.checkNetwork("Batch deposit failed")) return;
+    var amountBNs = {};
+
+    for (const input of $('.batch-deposit-amount').get()) {
+      var currencyCode = $(input).data('currency-code');
+      var amount = $(input).val().trim();
+      if (amount === "") continue;
+      if (isNaN(amount) || (new Big(amount)).lt(0)) return toastr["error"]("Invalid " + currencyCode + " amount!", "Batch deposit failed");
+      amountBNs[currencyCode] = Web3.utils.toBN((new Big(amount)).mul((new Big(10)).pow(App.tokens[currencyCode].decimals)).toFixed(0));
+    }
+
+    $('#batchDepositButton').prop("disabled", true).html('<div class="loading-icon"><div></div><div></div><div></div></div>');
+
+    // Get a route for each currency, the approvals needed, and the totals of the batch
+    try {
+      App.batchDeposit = await RariBatchDeposit.getBatch(App.web3, RariSdk.addresses, amountBNs, App.selectedAccount);
+      App.batchDepositStatuses = App.batchDeposit.steps.map(() => "pending");
+      App.renderBatchDeposit();
+      $('#modal-confirm-batch-deposit').modal('show');
+    } catch (err) {
+      toastr["error"](err.message ? err.message : err, "Batch deposit failed");
+    } finally {
+      $('#batchDepositButton').prop("disabled", false).text("Review Batch Deposit");
+    }
+  },
+
+  /**
+   * Render the totals and transactions of the batch deposit under review, along with their statuses.
+   */
+  renderBatchDeposit: function() {
+    var batch = App.batchDeposit;
+    var statusClasses = { pending: "secondary", sending: "info", mined: "success", failed: "danger" };
+    var slippageAbsPercentageString = Math.abs(batch.summary.slippage * 100).toFixed(3);
+    var protocolFee = batch.summary.totalProtocolFeeBN.toString();
+
+    $('#BatchDepositTotal kbd').text('$' + (new Big(batch.summary.depositUsdBN.toString())).div(1e18).toFormat(2));
+    $('#BatchDepositSlippage').html(batch.summary.slippage >= 0 ? '<strong>Slippage:</strong> <kbd class="text-' + (slippageAbsPercentageString === "0.000" ? "info" : "warning") + '">' + slippageAbsPercentageString + '%</kbd>' : '<strong>Bonus:</strong> <kbd class="text-success">' + slippageAbsPercentageString + '%</kbd>');
+    $('#BatchDepositExchangeFee kbd').html((protocolFee / 1e18) + ' ETH <small>($' + (protocolFee / 1e18 * RariSdk.usdPrices["ETH"]).toFixed(2) + ' USD)</small>');
+    $('#BatchDepositExchangeFee, #BatchDepositZeroExGasPriceWarning').toggle(!batch.summary.totalProtocolFeeBN.isZero());
+    $('#BatchDepositSteps').empty();
+
+    for (var i = 0; i < batch.steps.length; i++) {
+      var row = $('<tr>');
+      row.append($('<td>').text(i + 1));
+      row.append($('<td>').text(RariBatchDeposit.describeStep(batch, batch.steps[i])));
+      row.append($('<td>').append($('<span>').addClass("badge badge-" + statusClasses[App.batchDepositStatuses[i]]).text(App.batchDepositStatuses[i])));
+      $('#BatchDepositSteps').append(row);
+    }
+
+    if (!App.sendingBatchDeposit) $('#confirmBatchDepositButton').text(batch.nextStep > 0 || App.batchDepositStatuses.indexOf("failed") >= 0 ? "Resume" : "Confirm");
+  },
+
+  /**
+   * Send the transactions of the batch deposit under review in order, resuming from the failed transaction if a previous attempt failed.
+   */
+  handleBatchDepositConfirm: async function(event) {
+    event.preventDefault();
+    if (App.sendingBatchDeposit || !App.batchDeposit || !App.checkNetwork("Batch deposit failed")) return;
+    var batch = App.batchDeposit;
+    App.sendingBatchDeposit = true;
+    $('#confirmBatchDepositButton').prop("disabled", true).html('<div class="loading-icon"><div></div><div></div><div></div></div>');
+
+    try {
+      await RariBatchDeposit.sendBatch(App.web3, RariSdk.addresses, batch, function(index, status) {
+        App.batchDepositStatuses[index] = status;
+        App.renderBatchDeposit();
+        App.updateTransactions();
+      }, App.maxSlippage);
+    } catch (err) {
+      return toastr["error"]((err.message ? err.message : err) + " Click \"Resume\" to retry from the failed transaction, or cancel to review the amounts not yet deposited again.", "Batch deposit failed");
+    } finally {
+      App.sendingBatchDeposit = false;
+      $('#confirmBatchDepositButton').prop("disabled", false);
+      App.renderBatchDeposit();
+    }
+
+    // Mixpanel
+    if (typeof mixpanel !== 'undefined') mixpanel.track("Batch deposit", { currencyCodes: batch.routes.map(route => route.inputCurrencyCode), transactionCount: batch.steps.length });
+
+    toastr["success"]("All " + batch.steps.length + " transactions were mined.", "Batch deposit complete");
+    App.batchDeposit = null;
+    $('.batch-deposit-amount').val("");
+    $('#modal-confirm-batch-deposit').modal('hide');
+  },
+
+  /**
+   * Discard the batch deposit under review when its confirmation is closed, leaving the amounts not yet deposited in the form if part of it was sent.
+   */
+  handleBatchDepositClosed: function() {
+    if (!App.batchDeposit) return;
+
+    if (App.batchDeposit.nextStep > 0) {
+      var remainingAmountBNs = RariBatchDeposit.getRemainingAmountBNs(App.web3, App.batchDeposit);
+
+      $('.batch-deposit-amount').each(function() {
+        var currencyCode = $(this).data('currency-code');
+        $(this).val(remainingAmountBNs[currencyCode] ? RariSdk.toDecimalString(remainingAmountBNs[currencyCode], App.tokens[currencyCode].decimals) : "");
+      });
+    }
+
+    App.batchDeposit = null;
+    App.batchDepositStatuses = [];
+  },
+
   /**
    * Withdraw funds from the stablecoin fund.
    */
   handleWithdraw: async function(event) {
     event.preventDefault();
+    if (!App.checkNetwork("Withdrawal failed")) return;
 
     var token = $('#WithdrawToken').val();
     if (token !== "ETH" && !App.tokens[token]) return toastr["error"]("Invalid token!", "Withdrawal failed");
@@ -1457,30 +1346,25 @@ App = {
 
       // Approve RFT to RariFundManager
       try {
-        var allowanceBN = Web3.utils.toBN(await App.contracts.RariFundToken.methods.allowance(App.selectedAccount, App.contracts.RariFundManager.options.address).call());
-        if (allowanceBN.lt(Web3.utils.toBN(2).pow(Web3.utils.toBN(255)).subn(1))) await App.contracts.RariFundToken.methods.approve(App.contracts.RariFundManager.options.address, Web3.utils.toBN(2).pow(Web3.utils.toBN(256)).subn(1)).send({ from: App.selectedAccount });
+        await RariSdk.approveRspt(App.web3, RariSdk.addresses, App.selectedAccount);
       } catch (error) {
         return toastr["error"]("Failed to approve RSPT to RariFundManager: " + (error.message ? error.message : error), "Withdrawal failed");
       }
 
-      // See how much we can withdraw directly if token is not ETH
-      var tokenRawFundBalanceBN = Web3.utils.toBN(0);
-
-      if (["DAI", "USDC", "USDT", "TUSD", "BUSD", "sUSD", "mUSD"].indexOf(token) >= 0) {
-        try {
-          tokenRawFundBalanceBN = Web3.utils.toBN(await App.contracts.RariFundManager.methods["getRawFundBalance(string)"](token).call());
-        } catch (error) {
-          return toastr["error"]("Failed to get raw fund balance of output currency: " + error, "Withdrawal failed");
-        }
+      // Get withdrawal route (directly or by exchanging as few currencies as possible via mStable and 0x)
+      try {
+        var route = await RariSdk.getWithdrawalRoute(App.web3, RariSdk.addresses, token, amountBN);
+      } catch (err) {
+        return toastr["error"](err.message ? err.message : err, "Withdrawal failed");
       }
 
-      if (tokenRawFundBalanceBN.gte(amountBN)) {
+      if (route.type === "direct") {
         // If we can withdraw everything directly, do so
         if ($('#modal-confirm-withdrawal').is(':visible')) $('#modal-confirm-withdrawal').modal('hide');
         console.log('Withdraw ' + amountBN + ' of ' + amount + ' ' + token + ' directly');
 
         try {
-          var receipt = await App.contracts.RariFundManager.methods.withdraw(token, amountBN).send({ from: App.selectedAccount });
+          var receipt = await RariSdk.sendWithdrawal(App.web3, RariSdk.addresses, App.selectedAccount, amountBN, route);
         } catch (err) {
           return toastr["error"]("RariFundManager.withdraw failed: " + (err.message ? err.message : err), "Withdrawal failed");
         }
@@ -1488,270 +1372,47 @@ App = {
         // Mixpanel
         if (typeof mixpanel !== 'undefined') mixpanel.track("Direct withdrawal", { transactionHash: receipt.transactionHash, currencyCode: token, amount });
       } else {
-        // Otherwise, exchange as few currencies as possible (ideally those with the lowest balances)
-        var inputCurrencyCodes = [];
-        var inputAmountBNs = [];
-        var allOrders = [];
-        var allSignatures = [];
-        var makerAssetFillAmountBNs = [];
-        var protocolFeeBNs = [];
-
-        // var amountInputtedUsdBN = Web3.utils.toBN(0);
-        var amountWithdrawnBN = Web3.utils.toBN(0);
-        var totalProtocolFeeBN = Web3.utils.toBN(0);
-
-        // Withdraw as much as we can of the output token first
-        if (tokenRawFundBalanceBN.gt(Web3.utils.toBN(0))) {
-          inputCurrencyCodes.push(token);
-          inputAmountBNs.push(tokenRawFundBalanceBN);
-          allOrders.push([]);
-          allSignatures.push([]);
-          makerAssetFillAmountBNs.push(0);
-          protocolFeeBNs.push(0);
-
-          // amountInputtedUsdBN.iadd(tokenRawFundBalanceBN.mul(App.chainlinkPricesInUsd[token]).div(Web3.utils.toBN(10 ** App.tokens[token].decimals)));
-          amountWithdrawnBN.iadd(tokenRawFundBalanceBN);
-        }
-
-        // Get input candidates
-        var inputCandidates = [];
-
-        for (const inputToken of ["DAI", "USDC", "USDT", "TUSD", "BUSD", "sUSD", "mUSD"]) if (inputToken !== token) {
-          var rawFundBalanceBN = Web3.utils.toBN(await App.contracts.RariFundManager.methods["getRawFundBalance(string)"](inputToken).call());
-          if (rawFundBalanceBN.gt(Web3.utils.toBN(0))) inputCandidates.push({ currencyCode: inputToken, rawFundBalanceBN });
-        }
-
-        // Sort candidates from lowest to highest rawFundBalanceBN
-        inputCandidates.sort((a, b) => a.rawFundBalanceBN.gt(b.rawFundBalanceBN) ? 1 : -1);
-
-        // mStable
-        var mStableSwapFeeBN = null;
-
-        if (["DAI", "USDC", "USDT", "TUSD", "mUSD"].indexOf(token) >= 0) for (var i = 0; i < inputCandidates.length; i++) {
-          if (["DAI", "USDC", "USDT", "TUSD", "mUSD"].indexOf(inputCandidates[i].currencyCode) < 0) continue;
-
-          // Get swap fee and calculate input amount needed to fill output amount
-          if (token !== "mUSD" && mStableSwapFeeBN === null) mStableSwapFeeBN = await App.getMStableSwapFeeBN();
-          var inputAmountBN = amountBN.sub(amountWithdrawnBN).mul(Web3.utils.toBN(1e18)).div(Web3.utils.toBN(1e18).sub(mStableSwapFeeBN)).mul(Web3.utils.toBN(10 ** App.tokens[inputCandidates[i].currencyCode].decimals)).div(Web3.utils.toBN(10 ** App.tokens[token].decimals));
-          var outputAmountBeforeFeesBN = inputAmountBN.mul(Web3.utils.toBN(10 ** App.tokens[token].decimals)).div(Web3.utils.toBN(10 ** App.tokens[inputCandidates[i].currencyCode].decimals));
-          var outputAmountBN = token === "mUSD" ? outputAmountBeforeFeesBN : outputAmountBeforeFeesBN.sub(outputAmountBeforeFeesBN.mul(mStableSwapFeeBN).div(Web3.utils.toBN(1e18)));
-          
-          var tries = 0;
-          while (outputAmountBN.lt(amountBN.sub(amountWithdrawnBN))) {
-            if (tries >= 1000) return toastr["error"]("Failed to get increment order input amount to achieve desired output amount", "Withdrawal failed");
-            inputAmountBN.iadd(Web3.utils.toBN(1)); // Make sure we have enough input amount to receive amountBN.sub(amountWithdrawnBN)
-            outputAmountBeforeFeesBN = inputAmountBN.mul(Web3.utils.toBN(10 ** App.tokens[token].decimals)).div(Web3.utils.toBN(10 ** App.tokens[inputCandidates[i].currencyCode].decimals));
-            outputAmountBN = token === "mUSD" ? outputAmountBeforeFeesBN : outputAmountBeforeFeesBN.sub(outputAmountBeforeFeesBN.mul(mStableSwapFeeBN).div(Web3.utils.toBN(1e18)));
-            tries++;
-          }
-
-          if (inputAmountBN.gt(inputCandidates[i].rawFundBalanceBN)) {
-            inputAmountBN = inputCandidates[i].rawFundBalanceBN;
-            outputAmountBeforeFeesBN = inputAmountBN.mul(Web3.utils.toBN(10 ** App.tokens[token].decimals)).div(Web3.utils.toBN(10 ** App.tokens[inputCandidates[i].currencyCode].decimals));
-            outputAmountBN = token === "mUSD" ? outputAmountBeforeFeesBN : outputAmountBeforeFeesBN.sub(outputAmountBeforeFeesBN.mul(mStableSwapFeeBN).div(Web3.utils.toBN(1e18)));
-          }
-
-          // Check max mint/redeem/swap
-          if (inputCandidates[i].currencyCode === "mUSD") {
-            try {
-              var redeemValidity = await App.contracts.MassetValidationHelper.methods.getRedeemValidity("0xe2f2a5c287993345a840db3b0845fbc70f5935a5", inputAmountBN, App.tokens[token].address).call();
-            } catch (err) {
-              console.error("Failed to check mUSD redeem validity:", err);
-              continue;
-            }
-
-            if (!redeemValidity || !redeemValidity["0"]) continue;
-          } else {
-            try {
-              var maxSwap = await App.contracts.MassetValidationHelper.methods.getMaxSwap("0xe2f2a5c287993345a840db3b0845fbc70f5935a5", App.tokens[inputCandidates[i].currencyCode].address, App.tokens[token].address).call();
-            } catch (err) {
-              console.error("Failed to check mUSD max swap:", err);
-              continue;
-            }
-
-            if (!maxSwap || !maxSwap["0"]) continue;
-            var maxSwapInputBN = Web3.utils.toBN(maxSwap["2"]);
-            if (maxSwapInputBN.isZero()) continue;
-
-            // Set input and output amounts to maximums
-            if (inputAmountBN.gt(maxSwapInputBN)) {
-              inputAmountBN = maxSwapInputBN;
-              outputAmountBN = Web3.utils.toBN(maxSwap["3"]);
-            }
-          }
-          
-          inputCurrencyCodes.push(inputCandidates[i].currencyCode);
-          inputAmountBNs.push(inputAmountBN);
-          allOrders.push([]);
-          allSignatures.push([]);
-          makerAssetFillAmountBNs.push(0);
-          protocolFeeBNs.push(0);
-
-          // amountInputtedUsdBN.iadd(inputAmountBN.mul(App.chainlinkPricesInUsd[inputCandidates[i].currencyCode]).div(Web3.utils.toBN(10 ** App.tokens[inputCandidates[i].currencyCode].decimals)));
-          amountWithdrawnBN.iadd(outputAmountBN);
-
-          inputCandidates[i].rawFundBalanceBN.isub(inputAmountBN);
-          if (inputCandidates[i].rawFundBalanceBN.isZero()) inputCandidates = inputCandidates.splice(i, 1);
-
-          // Stop if we have filled the withdrawal
-          if (amountWithdrawnBN.gte(amountBN)) break;
+        // Make sure input amount is completely filled
+        if (route.outputAmountBN.lt(amountBN)) {
+          $('#WithdrawAmount').val(route.outputAmountBN.toString() / (10 ** (token == "ETH" ? 18 : App.tokens[token].decimals)));
+          return toastr["warning"]("Unable to find enough liquidity to exchange withdrawn tokens to " + token + ".", "Withdrawal canceled");
         }
 
-        // Use 0x if necessary
-        if (amountWithdrawnBN.lt(amountBN)) {
-          // Get orders from 0x swap API for each input currency candidate
-          for (var i = 0; i < inputCandidates.length; i++) {
-            try {
-              var [orders, inputFilledAmountBN, protocolFee, takerAssetFilledAmountBN, makerAssetFilledAmountBN, gasPrice] = await App.get0xSwapOrders(App.tokens[inputCandidates[i].currencyCode].address, token === "ETH" ? "WETH" : App.tokens[token].address, inputCandidates[i].rawFundBalanceBN, amountBN.sub(amountWithdrawnBN));
-            } catch (err) {
-              return toastr["error"]("Failed to get swap orders from 0x API: " + err, "Withdrawal failed");
-            }
-
-            // Build array of orders and signatures
-            var signatures = [];
-
-            for (var j = 0; j < orders.length; j++) {
-              signatures[j] = orders[j].signature;
-              
-              orders[j] = {
-                makerAddress: orders[j].makerAddress,
-                takerAddress: orders[j].takerAddress,
-                feeRecipientAddress: orders[j].feeRecipientAddress,
-                senderAddress: orders[j].senderAddress,
-                makerAssetAmount: orders[j].makerAssetAmount,
-                takerAssetAmount: orders[j].takerAssetAmount,
-                makerFee: orders[j].makerFee,
-                takerFee: orders[j].takerFee,
-                expirationTimeSeconds: orders[j].expirationTimeSeconds,
-                salt: orders[j].salt,
-                makerAssetData: orders[j].makerAssetData,
-                takerAssetData: orders[j].takerAssetData,
-                makerFeeAssetData: orders[j].makerFeeAssetData,
-                takerFeeAssetData: orders[j].takerFeeAssetData
-              };
-            }
-
-            inputCandidates[i].orders = orders;
-            inputCandidates[i].signatures = signatures;
-            inputCandidates[i].inputFillAmountBN = inputFilledAmountBN;
-            inputCandidates[i].protocolFee = protocolFee;
-            inputCandidates[i].takerAssetFillAmountBN = takerAssetFilledAmountBN;
-            inputCandidates[i].makerAssetFillAmountBN = makerAssetFilledAmountBN;
-          }
-
-          // Sort candidates from lowest to highest takerAssetFillAmount
-          inputCandidates.sort((a, b) => a.makerAssetFillAmountBN.gt(b.makerAssetFillAmountBN) ? 1 : -1);
-
-          // Loop through input currency candidates until we fill the withdrawal
-          for (var i = 0; i < inputCandidates.length; i++) {
-            // If there is enough input in the fund and enough 0x orders to fulfill the rest of the withdrawal amount, withdraw and exchange
-            if (inputCandidates[i].makerAssetFillAmountBN.gte(amountBN.sub(amountWithdrawnBN))) {
-              var thisOutputAmountBN = amountBN.sub(amountWithdrawnBN);
-              var thisInputAmountBN = inputCandidates[i].inputFillAmountBN.mul(thisOutputAmountBN).div(inputCandidates[i].makerAssetFillAmountBN);
-              
-              var tries = 0;
-              while (inputCandidates[i].makerAssetFillAmountBN.mul(thisInputAmountBN).div(inputCandidates[i].inputFillAmountBN).lt(thisOutputAmountBN)) {
-                if (tries >= 1000) return toastr["error"]("Failed to get increment order input amount to achieve desired output amount", "Withdrawal failed");
-                thisInputAmountBN.iadd(Web3.utils.toBN(1)); // Make sure we have enough input fill amount to achieve this maker asset fill amount
-                tries++;
-              }
-
-              inputCurrencyCodes.push(inputCandidates[i].currencyCode);
-              inputAmountBNs.push(thisInputAmountBN);
-              allOrders.push(inputCandidates[i].orders);
-              allSignatures.push(inputCandidates[i].signatures);
-              makerAssetFillAmountBNs.push(thisOutputAmountBN);
-              protocolFeeBNs.push(Web3.utils.toBN(inputCandidates[i].protocolFee));
-
-              // amountInputtedUsdBN.iadd(thisInputAmountBN.mul(App.chainlinkPricesInUsd[inputCandidates[i].currencyCode]).div(Web3.utils.toBN(10 ** App.tokens[inputCandidates[i].currencyCode].decimals)));
-              amountWithdrawnBN.iadd(thisOutputAmountBN);
-              totalProtocolFeeBN.iadd(Web3.utils.toBN(inputCandidates[i].protocolFee));
-
-              break;
-            }
-
-            // Add all that we can of the last one, then go through them again
-            if (i == inputCandidates.length - 1) {
-              inputCurrencyCodes.push(inputCandidates[i].currencyCode);
-              inputAmountBNs.push(inputCandidates[i].inputFillAmountBN);
-              allOrders.push(inputCandidates[i].orders);
-              allSignatures.push(inputCandidates[i].signatures);
-              makerAssetFillAmountBNs.push(inputCandidates[i].makerAssetFillAmountBN);
-              protocolFeeBNs.push(Web3.utils.toBN(inputCandidates[i].protocolFee));
-
-              // amountInputtedUsdBN.iadd(inputCandidates[i].inputFillAmountBN.mul(App.chainlinkPricesInUsd[inputCandidates[i].currencyCode]).div(Web3.utils.toBN(10 ** App.tokens[inputCandidates[i].currencyCode].decimals)));
-              amountWithdrawnBN.iadd(inputCandidates[i].makerAssetFillAmountBN);
-              totalProtocolFeeBN.iadd(Web3.utils.toBN(inputCandidates[i].protocolFee));
-
-              i = -1;
-              inputCandidates.pop();
-            }
-
-            // Stop if we have filled the withdrawal
-            if (amountWithdrawnBN.gte(amountBN)) break;
-          }
-        
-          // Make sure input amount is completely filled
-          if (amountWithdrawnBN.lt(amountBN)) {
-            $('#WithdrawAmount').val(amountWithdrawnBN.toString() / (10 ** (token == "ETH" ? 18 : App.tokens[token].decimals)));
-            return toastr["warning"]("Unable to find enough liquidity to exchange withdrawn tokens to " + token + ".", "Withdrawal canceled");
-          }
+        // Refuse exchanges with slippage above the user's maximum
+        try {
+          RariSdk.checkSlippage(route, App.maxSlippage);
+        } catch (err) {
+          if ($('#modal-confirm-withdrawal').is(':visible')) $('#modal-confirm-withdrawal').modal('hide');
+          return toastr["error"](err.message + " To continue, increase your maximum slippage.", "Withdrawal canceled");
         }
 
         // Warn user of slippage
-        var predictedExchangeOutput = 0;
-        var epochNow = (new Date()).getTime();
-
-        for (var i = 0; i < inputCurrencyCodes.length; i++) {
-          if (!App.zeroExPrices[inputCurrencyCodes[i]] || epochNow > App.zeroExPrices[inputCurrencyCodes[i]]._lastUpdated + (60 * 1000)) {
-            try {
-              App.zeroExPrices[inputCurrencyCodes[i]] = await App.get0xPrices(inputCurrencyCodes[i]);
-              App.zeroExPrices[inputCurrencyCodes[i]]._lastUpdated = epochNow;
-            } catch (err) {
-              return toastr["error"]("Failed to get prices from 0x swap API: " + err, "Withdrawal failed");
-            }
-          }
-
-          if (App.zeroExPrices[inputCurrencyCodes[i]][token === "ETH" ? "WETH" : token]) predictedExchangeOutput += parseFloat(inputAmountBNs[i].toString()) / (10 ** App.tokens[inputCurrencyCodes[i]].decimals) / App.zeroExPrices[inputCurrencyCodes[i]][token === "ETH" ? "WETH" : token];
-          else if (["DAI", "USDC", "USDT", "TUSD", "BUSD", "sUSD", "mUSD"].indexOf(token) >= 0) predictedExchangeOutput += parseFloat(inputAmountBNs[i].toString()) / (10 ** App.tokens[inputCurrencyCodes[i]].decimals);
-          else return toastr["error"]("Price not found on 0x swap API", "Withdrawal failed");
-        }
-
-        var slippage = 1 - (amount / predictedExchangeOutput);
-        // var slippage = 1 - (amountOutputtedUsd / (amountInputtedUsdBN.toString() / 1e18));
-        var slippageAbsPercentageString = Math.abs(slippage * 100).toFixed(3);
+        var slippageAbsPercentageString = Math.abs(route.slippage * 100).toFixed(3);
 
         if (!$('#modal-confirm-withdrawal').is(':visible')) {
-          $('#WithdrawExchangeFee kbd').html((totalProtocolFeeBN.toString() / 1e18) + ' ETH <small>($' + (totalProtocolFeeBN.toString() / 1e18 * App.usdPrices["ETH"]).toFixed(2) + ' USD)</small>');
+          $('#WithdrawExchangeFee kbd').html((route.totalProtocolFeeBN.toString() / 1e18) + ' ETH <small>($' + (route.totalProtocolFeeBN.toString() / 1e18 * RariSdk.usdPrices["ETH"]).toFixed(2) + ' USD)</small>');
           $('#WithdrawExchangeFee').show();
-          totalProtocolFeeBN.gt(Web3.utils.toBN(0)) ? $('#WithdrawZeroExGasPriceWarning').attr("style", "display: block !important;") : $('#WithdrawZeroExGasPriceWarning').attr("style", "display: none !important;");
-          $('#WithdrawSlippage').html(slippage >= 0 ? '<strong>Slippage:</strong> <kbd class="text-' + (slippageAbsPercentageString === "0.000" ? "info" : "warning") + '">' + slippageAbsPercentageString + '%</kbd>' : '<strong>Bonus:</strong> <kbd class="text-success">' + slippageAbsPercentageString + '%</kbd>');
+          route.totalProtocolFeeBN.gt(Web3.utils.toBN(0)) ? $('#WithdrawZeroExGasPriceWarning').attr("style", "display: block !important;") : $('#WithdrawZeroExGasPriceWarning').attr("style", "display: none !important;");
+          $('#WithdrawSlippage').html(route.slippage >= 0 ? '<strong>Slippage:</strong> <kbd class="text-' + (slippageAbsPercentageString === "0.000" ? "info" : "warning") + '">' + slippageAbsPercentageString + '%</kbd>' : '<strong>Bonus:</strong> <kbd class="text-success">' + slippageAbsPercentageString + '%</kbd>');
           return $('#modal-confirm-withdrawal').modal('show');
         }
 
         if ($('#WithdrawSlippage kbd').text() !== slippageAbsPercentageString + "%") {
-          $('#WithdrawSlippage').html(slippage >= 0 ? '<strong>Slippage:</strong> <kbd class="text-' + (slippageAbsPercentageString === "0.000" ? "info" : "warning") + '">' + slippageAbsPercentageString + '%</kbd>' : '<strong>Bonus:</strong> <kbd class="text-success">' + slippageAbsPercentageString + '%</kbd>');
+          $('#WithdrawSlippage').html(route.slippage >= 0 ? '<strong>Slippage:</strong> <kbd class="text-' + (slippageAbsPercentageString === "0.000" ? "info" : "warning") + '">' + slippageAbsPercentageString + '%</kbd>' : '<strong>Bonus:</strong> <kbd class="text-success">' + slippageAbsPercentageString + '%</kbd>');
           return toastr["warning"]("Exchange slippage changed. If you are satisfied with the new slippage, please click the \"Confirm\" button again to make your withdrawal.", "Please try again");
         }
 
-        if ($('#WithdrawExchangeFee kbd').html().substring(0, $('#WithdrawExchangeFee kbd').html().indexOf("<") - 1) !== (totalProtocolFeeBN.toString() / 1e18) + " ETH") {
-          $('#WithdrawExchangeFee kbd').html((totalProtocolFeeBN.toString() / 1e18) + ' ETH <small>($' + (totalProtocolFeeBN.toString() / 1e18 * App.usdPrices["ETH"]).toFixed(2) + ' USD)</small>');
-          totalProtocolFeeBN.gt(Web3.utils.toBN(0)) ? $('#WithdrawZeroExGasPriceWarning').attr("style", "display: block !important;") : $('#WithdrawZeroExGasPriceWarning').attr("style", "display: none !important;");
+        if ($('#WithdrawExchangeFee kbd').html().substring(0, $('#WithdrawExchangeFee kbd').html().indexOf("<") - 1) !== (route.totalProtocolFeeBN.toString() / 1e18) + " ETH") {
+          $('#WithdrawExchangeFee kbd').html((route.totalProtocolFeeBN.toString() / 1e18) + ' ETH <small>($' + (route.totalProtocolFeeBN.toString() / 1e18 * RariSdk.usdPrices["ETH"]).toFixed(2) + ' USD)</small>');
+          route.totalProtocolFeeBN.gt(Web3.utils.toBN(0)) ? $('#WithdrawZeroExGasPriceWarning').attr("style", "display: block !important;") : $('#WithdrawZeroExGasPriceWarning').attr("style", "display: none !important;");
           return toastr["warning"]("Exchange fee changed. If you are satisfied with the new fee, please click the \"Confirm\" button again to make your withdrawal.", "Please try again");
         }
 
-        console.log('Withdraw and exchange to ' + (amountWithdrawnBN.toString() / (10 ** (token == "ETH" ? 18 : App.tokens[token].decimals))) + ' ' + token);
+        console.log('Withdraw and exchange to ' + (route.outputAmountBN.toString() / (10 ** (token == "ETH" ? 18 : App.tokens[token].decimals))) + ' ' + token);
 
         // Withdraw and exchange tokens via RariFundProxy
         try {
-          var inputAmountStrings = [];
-          for (var i = 0; i < inputAmountBNs.length; i++) inputAmountStrings[i] = inputAmountBNs[i].toString();
-          var makerAssetFillAmountStrings = [];
-          for (var i = 0; i < makerAssetFillAmountBNs.length; i++) makerAssetFillAmountStrings[i] = makerAssetFillAmountBNs[i].toString();
-          var protocolFeeStrings = [];
-          for (var i = 0; i < protocolFeeBNs.length; i++) protocolFeeStrings[i] = protocolFeeBNs[i].toString();
-          console.log("RariFundProxy.withdrawAndExchange parameters:", inputCurrencyCodes, inputAmountStrings, token === "ETH" ? "0x0000000000000000000000000000000000000000" : App.tokens[token].address, allOrders, allSignatures, makerAssetFillAmountStrings, protocolFeeStrings);
-          var receipt = await App.contracts.RariFundProxy.methods.withdrawAndExchange(inputCurrencyCodes, inputAmountStrings, token === "ETH" ? "0x0000000000000000000000000000000000000000" : App.tokens[token].address, allOrders, allSignatures, makerAssetFillAmountStrings, protocolFeeStrings).send({ from: App.selectedAccount, value: totalProtocolFeeBN, gasPrice: gasPrice, nonce: await App.web3.eth.getTransactionCount(App.selectedAccount) });
+          var receipt = await RariSdk.sendWithdrawal(App.web3, RariSdk.addresses, App.selectedAccount, amountBN, route, App.maxSlippage);
         } catch (err) {
           return toastr["error"]("RariFundProxy.withdrawAndExchange failed: " + (err.message ? err.message : err), "Withdrawal failed");
         }
@@ -1759,23 +1420,16 @@ App = {
         // Mixpanel
         if (typeof mixpanel !== 'undefined') {
           var inputs = [];
-          for (var i = 0; i < inputCurrencyCodes.length; i++) inputs.push({ currencyCode: inputCurrencyCodes[i], amount: inputAmountBNs[i].toString() / (10 ** App.tokens[inputCurrencyCodes[i]].decimals) });
+          for (var i = 0; i < route.inputCurrencyCodes.length; i++) inputs.push({ currencyCode: route.inputCurrencyCodes[i], amount: route.inputAmountBNs[i].toString() / (10 ** App.tokens[route.inputCurrencyCodes[i]].decimals) });
           mixpanel.track("Withdraw and exchange", { transactionHash: receipt.transactionHash, inputs, outputCurrencyCode: token, outputAmount: amount });
         }
 
         // Hide old slippage after exchange success
         $('#modal-confirm-withdrawal').modal('hide');
       }
-      
-      // Alert success and refresh balances
-      toastr["success"]("Withdrawal of " + amount + " " + token + " confirmed!", "Withdrawal successful");
-      $('#USDBalance').text("?");
-      App.getFundBalance();
-      $('#MyUSDBalance').text("?");
-      App.getMyFundBalance();
-      $('#RSPTBalance').text("?");
-      App.getTokenBalance();
-      App.getDirectlyWithdrawableCurrencies();
+
+      // Update tracked transactions (alerting success and refreshing balances on confirmation)
+      App.updateTransactions();
     })();
 
     $('#withdrawButton').text("Withdraw");
@@ -1783,50 +1437,268 @@ App = {
     $('#withdrawButton, #confirmWithdrawalButton').prop("disabled", false);
   },
 
+  /**
+   * Plan a withdrawal of the USD amount entered paid out directly in several currencies (in proportion to the fund's holdings or according to the weights entered) and show the expected basket for confirmation.
+   */
+  handleBasketWithdraw: async function(event) {
+    event.preventDefault();
+    if (App.sendingBasketWithdrawal || !App.checkNetwork("Withdrawal failed")) return;
+    var amount = $('#BasketWithdrawAmount').val().trim();
+    if (!amount || isNaN(amount) || !(new Big(amount)).gt(0)) return toastr["error"]("Withdrawal amount must be greater than 0!", "Withdrawal failed");
+    var amountUsdBN = Web3.utils.toBN((new Big(amount)).mul((new Big(10)).pow(18)).toFixed(0));
+    var weights = null;
+
+    if ($('#BasketWithdrawMode').val() === "custom") {
+      weights = {};
+
+      for (const input of $('.basket-withdraw-weight').get()) {
+        var weight = $(input).val().trim();
+        if (weight === "") continue;
+        if (isNaN(weight) || parseFloat(weight) < 0) return toastr["error"]("Weights must be numbers of at least 0!", "Withdrawal failed");
+        weights[$(input).data('currency-code')] = parseFloat(weight);
+      }
+    }
+
+    $('#basketWithdrawButton').prop("disabled", true).html('<div class="loading-icon"><div></div><div></div><div></div></div>');
+
+    try {
+      var balanceUsdBN = await RariSdk.getAccountBalance(App.web3, RariSdk.addresses, App.selectedAccount);
+      if (amountUsdBN.gt(balanceUsdBN)) throw new Error("Not enough balance in your account to make a withdrawal of this amount. Current account balance: $" + (new Big(balanceUsdBN.toString())).div((new Big(10)).pow(18)).toFormat(2));
+      App.basketWithdrawal = await RariSdk.getBasketWithdrawal(App.web3, RariSdk.addresses, amountUsdBN, weights);
+      App.basketWithdrawalStatuses = App.basketWithdrawal.legs.map(() => "pending");
+      App.renderBasketWithdrawal();
+      $('#modal-confirm-basket-withdrawal').modal('show');
+    } catch (err) {
+      toastr["error"](err.message ? err.message : err, "Withdrawal failed");
+    } finally {
+      $('#basketWithdrawButton').prop("disabled", false).text("Review");
+    }
+  },
+
+  /**
+   * Render the currencies, amounts, and values of the basket withdrawal under review, along with the status of each withdrawal.
+   */
+  renderBasketWithdrawal: function() {
+    var statusClasses = { pending: "secondary", sending: "info", mined: "success", failed: "danger" };
+    $('#BasketWithdrawalLegs').empty();
+
+    for (var i = 0; i < App.basketWithdrawal.legs.length; i++) {
+      var leg = App.basketWithdrawal.legs[i];
+      var row = $('<tr>');
+      row.append($('<td>').text(leg.currencyCode));
+      row.append($('<td>').text((new Big(leg.amountBN.toString())).div((new Big(10)).pow(App.tokens[leg.currencyCode].decimals)).toFormat()));
+      row.append($('<td>').text('$' + (new Big(leg.amountUsdBN.toString())).div((new Big(10)).pow(18)).toFormat(2)));
+      row.append($('<td>').append($('<span>').addClass("badge badge-" + statusClasses[App.basketWithdrawalStatuses[i]]).text(App.basketWithdrawalStatuses[i])));
+      $('#BasketWithdrawalLegs').append(row);
+    }
+
+    $('#BasketWithdrawalTotal kbd').text('$' + (new Big(App.basketWithdrawal.amountUsdBN.toString())).div((new Big(10)).pow(18)).toFormat(2));
+  },
+
+  /**
+   * Approve RSPT if necessary and send the withdrawals of the basket under review in order.
+   */
+  handleBasketWithdrawConfirm: async function(event) {
+    event.preventDefault();
+    if (App.sendingBasketWithdrawal || !App.basketWithdrawal || !App.checkNetwork("Withdrawal failed")) return;
+    var basket = App.basketWithdrawal;
+    var remainingUsdBN = basket.amountUsdBN.clone();
+    App.sendingBasketWithdrawal = true;
+    $('#confirmBasketWithdrawalButton').prop("disabled", true).html('<div class="loading-icon"><div></div><div></div><div></div></div>');
+
+    try {
+      await RariSdk.approveRspt(App.web3, RariSdk.addresses, App.selectedAccount);
+      await RariSdk.sendBasketWithdrawal(App.web3, RariSdk.addresses, App.selectedAccount, basket, function(index, status) {
+        App.basketWithdrawalStatuses[index] = status;
+        if (status === "mined") remainingUsdBN.isub(basket.legs[index].amountUsdBN);
+        App.renderBasketWithdrawal();
+        App.updateTransactions();
+      });
+    } catch (err) {
+      // Leave the value not yet withdrawn in the form so it can be reviewed again
+      if (remainingUsdBN.lt(basket.amountUsdBN)) $('#BasketWithdrawAmount').val((new Big(remainingUsdBN.toString())).div((new Big(10)).pow(18)).toFixed(2));
+      return toastr["error"](err.message ? err.message : err, "Withdrawal failed");
+    } finally {
+      App.sendingBasketWithdrawal = false;
+      $('#confirmBasketWithdrawalButton').prop("disabled", false).text("Confirm");
+    }
+
+    // Mixpanel
+    if (typeof mixpanel !== 'undefined') mixpanel.track("Basket withdrawal", { currencyCodes: basket.legs.map(leg => leg.currencyCode), amountUsd: basket.amountUsdBN.toString() / 1e18 });
+
+    toastr["success"]("All " + basket.legs.length + " withdrawals were mined.", "Withdrawal complete");
+    $('#BasketWithdrawAmount').val("");
+    $('#modal-confirm-basket-withdrawal').modal('hide');
+  },
+
   /**
    * Get the total balance of the stablecoin fund in USD.
    */
   getFundBalance: function() {
     console.log('Getting fund balance...');
 
-    App.contracts.RariFundManager.methods.getFundBalance().call().then(function(result) {
-      $('#USDBalance').text((new Big(result)).div((new Big(10)).pow(18)).toFormat(4));
+    RariSdk.getFundBalance(App.web3, RariSdk.addresses).then(function(result) {
+      $('#USDBalance').text((new Big(result.toString())).div((new Big(10)).pow(18)).toFormat(4));
     }).catch(function(err) {
       console.error(err);
     });
   },
 
   /**
-   * Get the user's account balance in the stablecoin fund in USD.
+   * Get the user's account balance in the stablecoin fund in USD, along with their account balance limit and the Chainlink prices used to check deposits against it.
    */
   getMyFundBalance: function() {
     console.log('Getting my fund balance...');
-
-    App.contracts.RariFundManager.methods.balanceOf(App.selectedAccount).call().then(function(result) {
-      $('#MyUSDBalance').text((new Big(result)).div((new Big(10)).pow(18)).toFormat());
+    var account = App.selectedAccount;
+
+    RariSdk.getAccountBalanceLimit(App.web3, RariSdk.addresses, account).then(function(result) {
+      if (account !== App.selectedAccount) return;
+      App.accountBalanceLimit = result;
+      $('#MyUSDBalance').text((new Big(result.balanceUsdBN.toString())).div((new Big(10)).pow(18)).toFormat());
+      if (result.limitUsdBN === null) $('#MyAccountBalanceLimit').text("Your account is not subject to a deposit limit.");
+      else $('#MyAccountBalanceLimit').html('Account balance limit: $' + (new Big(result.limitUsdBN.toString())).div((new Big(10)).pow(18)).toFormat(2) + ' (<span class="text-' + (result.remainingUsdBN.isZero() ? 'warning' : 'info') + '">$' + (new Big(result.remainingUsdBN.toString())).div((new Big(10)).pow(18)).toFormat(2) + ' left to deposit</span>)');
+      App.checkDepositLimit();
     }).catch(function(err) {
       console.error(err);
     });
+
+    RariSdk.getCurrencyPricesInUsd(App.web3, RariSdk.addresses).then(function(result) {
+      App.chainlinkPricesInUsd = result;
+      App.checkDepositLimit();
+    }).catch(function(err) {
+      console.error("Failed to get prices from RariFundPriceConsumer:", err);
+    });
+  },
+
+  /**
+   * Warn the user if the deposit amount entered exceeds their remaining account balance limit (for currencies supported by the fund, at Chainlink prices).
+   */
+  checkDepositLimit: function() {
+    var token = $('#DepositToken').val();
+    var amount = parseFloat($('#DepositAmount').val());
+    var limit = App.accountBalanceLimit;
+
+    // The user's own limit does not apply to deposits to another address (checked against the recipient's limit before sending)
+    if ($('#DepositToAnotherAddress').is(':checked')) return $('#DepositLimitWarning').hide();
+    if (!limit || limit.remainingUsdBN === null || !amount || amount <= 0 || !App.tokens[token] || !App.chainlinkPricesInUsd[token]) return $('#DepositLimitWarning').hide();
+    var amountBN = Web3.utils.toBN((new Big(amount)).mul((new Big(10)).pow(App.tokens[token].decimals)).toFixed(0));
+    var amountUsdBN = RariSdk.getAmountUsdBN(App.web3, token, amountBN, App.chainlinkPricesInUsd);
+    if (amountUsdBN.lte(limit.remainingUsdBN)) return $('#DepositLimitWarning').hide();
+    $('#DepositLimitWarning').html('This deposit (worth $' + (new Big(amountUsdBN.toString())).div((new Big(10)).pow(18)).toFormat(2) + ') exceeds the $' + (new Big(limit.remainingUsdBN.toString())).div((new Big(10)).pow(18)).toFormat(2) + ' left under your account balance limit and would fail. <a href="#" id="depositMaxAllowedButton">Deposit the maximum allowed</a>').show();
+  },
+
+  /**
+   * Set the deposit amount to the maximum allowed by the user's remaining account balance limit (at Chainlink prices).
+   */
+  capDepositAmount: function() {
+    var token = $('#DepositToken').val();
+    var limit = App.accountBalanceLimit;
+    if (!limit || limit.remainingUsdBN === null || !App.tokens[token] || !App.chainlinkPricesInUsd[token]) return;
+    $('#DepositAmount').val((new Big(limit.remainingUsdBN.toString())).div(new Big(App.chainlinkPricesInUsd[token].toString())).round(App.tokens[token].decimals, 0).toString());
+    App.checkDepositLimit();
   },
 
   /**
    * Get the user's interest accrued in the stablecoin fund in USD.
    */
-  /* getMyInterestAccrued: function() {
+  getMyInterestAccrued: function() {
     console.log('Getting my interest accrued...');
+    var account = App.selectedAccount;
 
-    App.contracts.RariFundManager.methods.interestAccruedBy(App.selectedAccount).call().then(function(result) {
-      $('#MyInterestAccrued').text((new Big(result)).div((new Big(10)).pow(18)).toFormat());
+    RariSdk.getInterestAccrued(App.web3, RariSdk.addresses, account).then(function(result) {
+      if (account !== App.selectedAccount) return;
+      var formatUsd = function(amountBN) {
+        return '$' + (new Big(amountBN.toString())).div((new Big(10)).pow(18)).toFormat(2);
+      };
+      $('#MyInterestAccrued').text((new Big(result.interestAccruedBN.toString())).div((new Big(10)).pow(18)).toFormat());
+      $('#MyInterestAccruedBreakdown').html(formatUsd(result.balanceBN) + ' balance &minus; ' + formatUsd(result.depositsUsdBN) + ' deposited + ' + formatUsd(result.withdrawalsUsdBN) + ' withdrawn &minus; ' + formatUsd(result.transfersInUsdBN) + ' transferred in + ' + formatUsd(result.transfersOutUsdBN) + ' transferred out' + (result.unvaluedTransfers > 0 ? ' <span class="text-warning">(excludes ' + result.unvaluedTransfers + ' transfer' + (result.unvaluedTransfers > 1 ? 's' : '') + ' whose USD value could not be retrieved)</span>' : ''));
     }).catch(function(err) {
       console.error(err);
     });
-  }, */
+  },
+
+  /**
+   * Get the user's transaction history (deposits, withdrawals, exchanges, and RSPT transfers) and display it from newest to oldest.
+   */
+  getAccountHistory: function() {
+    console.log('Getting account history...');
+    var account = App.selectedAccount;
+    $('#AccountHistory').html('<tr><td colspan="6">Loading...</td></tr>');
+
+    var formatAmount = function(amountBN, currencyCode) {
+      var decimals = currencyCode === "USD" || currencyCode === "ETH" ? 18 : (App.tokens[currencyCode] ? App.tokens[currencyCode].decimals : null);
+      if (decimals === null) return amountBN.toString() + ' (unknown token)';
+      return (new Big(amountBN.toString())).div((new Big(10)).pow(decimals)).toFormat() + ' ' + currencyCode;
+    };
+
+    RariSdk.getAccountHistory(App.web3, RariSdk.addresses, account).then(function(history) {
+      if (account !== App.selectedAccount) return;
+      if (history.length == 0) return $('#AccountHistory').html('<tr><td colspan="6">No transactions found.</td></tr>');
+      $('#AccountHistory').empty();
+      var explorerUrl = RariSdk.getNetwork(App.network).explorerUrl;
+
+      for (const entry of history) {
+        var type = entry.type;
+        var amount = "";
+        var usdValue = "";
+        var rspt = "";
+
+        if (entry.type === "Deposit" || entry.type === "Withdrawal") {
+          if (entry.type === "Deposit" && entry.payee.toLowerCase() === account.toLowerCase() && entry.sender.toLowerCase() !== account.toLowerCase() && entry.sender.toLowerCase() !== RariSdk.addresses.RariFundProxy.toLowerCase()) type = "Deposit from " + entry.sender;
+          else if (entry.type === "Deposit" && entry.payee.toLowerCase() !== account.toLowerCase()) type = "Deposit to " + entry.payee;
+          amount = formatAmount(entry.amountBN, entry.currencyCode);
+          usdValue = '$' + (new Big(entry.amountUsdBN.toString())).div((new Big(10)).pow(18)).toFormat(2);
+          rspt = (entry.type === "Deposit" ? '+' : '-') + (new Big(entry.rsptAmountBN.toString())).div((new Big(10)).pow(18)).toFormat();
+        } else if (entry.type === "PreDepositExchange" || entry.type === "PostWithdrawalExchange") {
+          type = entry.type === "PreDepositExchange" ? "Exchange before deposit" : "Exchange after withdrawal";
+          amount = formatAmount(entry.inputAmountBN, entry.inputCurrencyCode) + ' &rarr; ' + formatAmount(entry.outputAmountBN, entry.outputCurrencyCode);
+        } else {
+          var incoming = entry.to.toLowerCase() === account.toLowerCase();
+          type = incoming ? "Transfer from " + entry.from : "Transfer to " + entry.to;
+          usdValue = entry.amountUsdBN !== null ? '$' + (new Big(entry.amountUsdBN.toString())).div((new Big(10)).pow(18)).toFormat(2) : "?";
+          rspt = (incoming ? '+' : '-') + (new Big(entry.rsptAmountBN.toString())).div((new Big(10)).pow(18)).toFormat();
+        }
+
+        $('#AccountHistory').append('<tr><td>' + moment.unix(entry.timestamp).format("YYYY-MM-DD HH:mm") + '</td><td>' + type + '</td><td>' + amount + '</td><td>' + usdValue + '</td><td>' + rspt + '</td><td>' + (explorerUrl ? '<a href="' + explorerUrl + '/tx/' + entry.transactionHash + '" target="_blank">' + entry.transactionHash.substring(0, 10) + '&hellip;</a>' : entry.transactionHash.substring(0, 10) + '&hellip;') + '</td></tr>');
+      }
+    }).catch(function(err) {
+      console.error(err);
+      if (account === App.selectedAccount) $('#AccountHistory').html('<tr><td colspan="6">Failed to load transaction history.</td></tr>');
+    });
+  },
+
+  /**
+   * Export the user's account activity (one row per event) as a CSV or JSON file download.
+   */
+  exportAccountActivity: async function(format) {
+    if (!App.selectedAccount) return toastr["error"]("Please connect your wallet first.", "Export failed");
+    var account = App.selectedAccount;
+    $('#exportHistoryCsvButton, #exportHistoryJsonButton').prop("disabled", true);
+
+    try {
+      var rows = await RariSdk.getAccountActivity(App.web3, RariSdk.addresses, account);
+    } catch (err) {
+      $('#exportHistoryCsvButton, #exportHistoryJsonButton').prop("disabled", false);
+      return toastr["error"](err.message ? err.message : err, "Export failed");
+    }
+
+    var blob = new Blob([format === "csv" ? RariSdk.accountActivityToCsv(rows) : JSON.stringify(rows, null, 2)], { type: format === "csv" ? "text/csv" : "application/json" });
+    var link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = "rari-stable-pool-" + account + "." + format;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+    $('#exportHistoryCsvButton, #exportHistoryJsonButton').prop("disabled", false);
+  },
 
   /**
    * Transfer RariFundToken.
    */
   handleTransfer: async function(event) {
     event.preventDefault();
+    if (!App.checkNetwork("Transfer failed")) return;
 
     var currency = $('#TransferCurrency').val();
     if (["USD", "RSPT"].indexOf(currency) < 0) return toastr["error"]("Invalid currency!", "Transfer failed");
@@ -1842,24 +1714,16 @@ App = {
     await (async function() {
       console.log('Transfer ' + amount + ' ' + currency + ' to ' + toAddress);
 
-      if (currency === "USD") {
-        var fundBalanceBN = Web3.utils.toBN(await App.contracts.RariFundManager.methods.getFundBalance().call());
-        var rftTotalSupplyBN = Web3.utils.toBN(await App.contracts.RariFundToken.methods.totalSupply().call());
-        var rftAmountBN = amountBN.mul(rftTotalSupplyBN).div(fundBalanceBN);
-      } else var rftAmountBN = amountBN;
-
       try {
-        var receipt = await App.contracts.RariFundToken.methods.transfer(toAddress, rftAmountBN).send({ from: App.selectedAccount, gas: 60000 });
+        var receipt = await RariSdk.transfer(App.web3, RariSdk.addresses, App.selectedAccount, toAddress, currency, amountBN);
       } catch (err) {
-        return toastr["error"](err, "Transfer failed");
+        return toastr["error"](err.message ? err.message : err, "Transfer failed");
       }
 
       if (typeof mixpanel !== 'undefined') mixpanel.track("RSPT transfer", { transactionHash: receipt.transactionHash, currencyCode: currency, amount });
-      toastr["success"]("Transfer of " + (currency === "USD" ? "$" : "") + amount + " " + currency + " confirmed!", "Transfer successful");
-      $('#RSPTBalance').text("?");
-      App.getTokenBalance();
-      $('#MyUSDBalance').text("?");
-      App.getMyFundBalance();
+
+      // Update tracked transactions (alerting success and refreshing balances on confirmation)
+      App.updateTransactions();
     })();
 
     $('#transferButton').text("Transfer");
@@ -1871,11 +1735,684 @@ App = {
    */
   getTokenBalance: function() {
     console.log('Getting token balance...');
-    App.contracts.RariFundToken.methods.balanceOf(App.selectedAccount).call().then(function(result) {
-      $('#RSPTBalance').text((new Big(result)).div((new Big(10)).pow(18)).toFormat());
+    RariSdk.getRsptBalance(App.web3, RariSdk.addresses, App.selectedAccount).then(function(result) {
+      $('#RSPTBalance').text((new Big(result.toString())).div((new Big(10)).pow(18)).toFormat());
     }).catch(function(err) {
       console.error(err);
     });
+  },
+
+  /**
+   * Record a transaction submitted via the SDK (see RariSdk.onTransaction) and follow it until mined.
+   */
+  handleTransactionSubmitted: function(transaction) {
+    RariTransactionTracker.add(window.localStorage, Object.assign({ chainId: App.network }, transaction));
+    toastr["info"](transaction.description, "Transaction submitted");
+    App.renderTransactions();
+    if (!App.intervalUpdateTransactions) App.intervalUpdateTransactions = setInterval(App.updateTransactions, 15 * 1000);
+  },
+
+  /**
+   * Update the status of pending transactions, alert the user of status changes, and refresh balances once any are mined.
+   */
+  updateTransactions: async function() {
+    if (App.updatingTransactions) return;
+    App.updatingTransactions = true;
+
+    var changed = [];
+
+    try {
+      changed = await RariTransactionTracker.updatePending(App.web3, window.localStorage, App.network);
+    } catch (err) {
+      console.error("Failed to update transactions:", err);
+    }
+
+    App.updatingTransactions = false;
+    var refreshBalances = false;
+
+    for (const transaction of changed) {
+      if (transaction.status === "mined") toastr["success"](transaction.description, "Transaction confirmed");
+      else if (transaction.status === "replaced") toastr["info"](transaction.description + (transaction.replacedBy ? " (replaced by " + transaction.replacedBy.substring(0, 10) + "...)" : ""), "Transaction replaced");
+      else if (transaction.status === "failed") toastr["error"](transaction.description, "Transaction failed");
+      if (transaction.status !== "failed" && transaction.type !== "approval") refreshBalances = true;
+    }
+
+    // Refresh balances after confirmation
+    if (refreshBalances) {
+      $('#USDBalance').text("?");
+      App.getFundBalance();
+
+      if (App.selectedAccount) {
+        $('#MyUSDBalance').text("?");
+        App.getMyFundBalance();
+        $('#RSPTBalance').text("?");
+        App.getTokenBalance();
+        App.getDirectlyWithdrawableCurrencies();
+        App.getAccountHistory();
+      }
+    }
+
+    App.renderTransactions();
+
+    // Stop polling once nothing is pending
+    var pending = RariTransactionTracker.load(window.localStorage).filter(transaction => transaction.status === "pending" && transaction.chainId == App.network);
+
+    if (pending.length > 0) {
+      if (!App.intervalUpdateTransactions) App.intervalUpdateTransactions = setInterval(App.updateTransactions, 15 * 1000);
+    } else if (App.intervalUpdateTransactions) {
+      clearInterval(App.intervalUpdateTransactions);
+      App.intervalUpdateTransactions = null;
+    }
+  },
+
+  /**
+   * Show the admin tab (and load admin settings and history) if the selected account owns RariFundManager, RariFundController, or RariFundProxy.
+   */
+  checkAdmin: async function() {
+    var account = App.selectedAccount;
+
+    try {
+      var owners = await RariAdmin.getOwners(App.web3, RariSdk.addresses);
+    } catch (err) {
+      return console.error("Failed to get contract owners:", err);
+    }
+
+    if (account !== App.selectedAccount) return;
+    App.adminOwners = owners;
+    if (!RariAdmin.isOwner(owners, account)) return App.hideAdmin();
+    $('#tab-admin').show();
+    if (location.hash === "#admin") App.showPage("admin");
+    App.getAdminSettings();
+    App.getAdminHistory();
+  },
+
+  /**
+   * Hide the admin tab (returning to the fund page if the admin page is open).
+   */
+  hideAdmin: function() {
+    App.adminOwners = null;
+    $('#tab-admin').hide();
+    if ($('#page-admin').is(':visible')) App.showPage("fund");
+  },
+
+  /**
+   * Returns true if the selected account owns the contract named `contractName`.
+   */
+  isAdminOwner: function(contractName) {
+    return App.adminOwners !== null && App.selectedAccount !== null && App.adminOwners[contractName].toLowerCase() === App.selectedAccount.toLowerCase();
+  },
+
+  /**
+   * Get the current value of each owner setting.
+   */
+  getAdminSettings: async function() {
+    console.log('Getting admin settings...');
+
+    try {
+      var values = await RariAdmin.getSettings(App.web3, RariSdk.addresses);
+    } catch (err) {
+      return console.error("Failed to get admin settings:", err);
+    }
+
+    $('#AdminSettings').empty();
+
+    for (const setting of RariAdmin.settings) {
+      var row = $('<tr>');
+      row.append($('<td>').text(setting.name + (setting.type === "disabled" ? " status" : "")));
+      row.append($('<td>').text(setting.contract));
+      row.append($('<td>').text(RariAdmin.formatSettingValue(App.web3, setting, values[setting.id])));
+
+      if (setting.type === "disabled") {
+        row.append($('<td>'));
+        row.append($('<td>').append($('<button>').addClass('btn btn-sm admin-set-button ' + (values[setting.id] ? 'btn-success' : 'btn-danger')).attr({ type: 'button', 'data-setting': setting.id, 'data-value': values[setting.id] ? 'false' : 'true' }).prop('disabled', !App.isAdminOwner(setting.contract)).text(values[setting.id] ? 'Enable' : 'Disable')));
+      } else {
+        row.append($('<td>').append($('<input>').addClass('form-control form-control-sm').attr({ type: 'text', id: 'AdminSetting-' + setting.id, placeholder: setting.type === "rate" ? "Percentage" : (setting.type === "usd" ? "USD" : "Address") })));
+        row.append($('<td>').append($('<button>').addClass('btn btn-sm btn-primary admin-set-button').attr({ type: 'button', 'data-setting': setting.id }).prop('disabled', !App.isAdminOwner(setting.contract)).text('Change')));
+      }
+
+      $('#AdminSettings').append(row);
+    }
+  },
+
+  /**
+   * Get the history of changes to the owner settings.
+   */
+  getAdminHistory: async function() {
+    console.log('Getting admin history...');
+    $('#AdminHistory').html('<tr><td colspan="4">Loading...</td></tr>');
+
+    try {
+      var history = await RariAdmin.getHistory(App.web3, RariSdk.addresses);
+    } catch (err) {
+      console.error("Failed to get admin history:", err);
+      return $('#AdminHistory').html('<tr><td colspan="4">Failed to load history of changes.</td></tr>');
+    }
+
+    var network = RariSdk.getNetwork(App.network);
+    var explorerUrl = network ? network.explorerUrl : null;
+    $('#AdminHistory').empty();
+    if (history.length == 0) return $('#AdminHistory').html('<tr><td colspan="4">No changes found.</td></tr>');
+
+    for (const entry of history) {
+      var row = $('<tr>');
+      row.append($('<td>').text(moment.unix(entry.timestamp).format("YYYY-MM-DD HH:mm")));
+      row.append($('<td>').text(entry.contract));
+      row.append($('<td>').text(entry.description));
+      row.append($('<td>').append(explorerUrl ? $('<a>').attr({ href: explorerUrl + '/tx/' + entry.transactionHash, target: "_blank" }).html(entry.transactionHash.substring(0, 10) + '&hellip;') : $('<span>').html(entry.transactionHash.substring(0, 10) + '&hellip;')));
+      $('#AdminHistory').append(row);
+    }
+  },
+
+  /**
+   * Ask the owner to confirm `description` before running `action` (an async function sending the transaction), then `onSent` (defaults to reloading admin settings and history).
+   */
+  confirmAdminAction: function(description, action, onSent) {
+    if (!App.checkNetwork("Admin change failed")) return;
+    App.pendingAdminAction = { description, action, onSent };
+    $('#AdminConfirmDescription').text(description);
+    $('#modal-confirm-admin').modal('show');
+  },
+
+  /**
+   * Send the admin change confirmed by the owner.
+   */
+  handleAdminConfirm: async function() {
+    var pending = App.pendingAdminAction;
+    App.pendingAdminAction = null;
+    $('#modal-confirm-admin').modal('hide');
+    if (!pending) return;
+
+    try {
+      await pending.action();
+    } catch (err) {
+      return toastr["error"](err.message ? err.message : err, "Admin change failed");
+    }
+
+    App.updateTransactions();
+
+    if (pending.onSent) pending.onSent();
+    else {
+      App.getAdminSettings();
+      App.getAdminHistory();
+    }
+  },
+
+  /**
+   * Change an owner setting (after confirmation).
+   */
+  handleAdminSettingChange: function(event) {
+    event.preventDefault();
+    var setting = RariAdmin.getSetting($(this).data('setting'));
+
+    try {
+      var value = RariAdmin.parseSettingValue(App.web3, setting, setting.type === "disabled" ? String($(this).data('value')) : $('#AdminSetting-' + setting.id).val());
+    } catch (err) {
+      return toastr["error"](err.message ? err.message : err, "Invalid value");
+    }
+
+    var description = setting.type === "disabled" ? (value ? "Disable " : "Enable ") + setting.name : "Set " + setting.name + " (" + setting.contract + ") to " + RariAdmin.formatSettingValue(App.web3, setting, value);
+
+    App.confirmAdminAction(description, async function() {
+      await RariAdmin.setSetting(App.web3, RariSdk.addresses, App.selectedAccount, setting.id, value);
+    });
+  },
+
+  /**
+   * Get the account balance limit of the account entered in the admin console.
+   */
+  getAdminAccountBalanceLimit: async function() {
+    var account = $('#AdminLimitAccount').val().trim();
+    if (!App.web3.utils.isAddress(account)) return toastr["error"]("Invalid account address.", "Lookup failed");
+
+    try {
+      var limitUsdBN = await RariAdmin.getAccountBalanceLimit(App.web3, RariSdk.addresses, account);
+    } catch (err) {
+      return toastr["error"](err.message ? err.message : err, "Lookup failed");
+    }
+
+    $('#AdminLimitCurrent').text("Current limit of " + account + ": $" + App.web3.utils.fromWei(limitUsdBN));
+  },
+
+  /**
+   * Set the individual account balance limit entered in the admin console (after confirmation).
+   */
+  handleAdminAccountBalanceLimitChange: function() {
+    var account = $('#AdminLimitAccount').val().trim();
+    if (!App.web3.utils.isAddress(account)) return toastr["error"]("Invalid account address.", "Invalid value");
+
+    try {
+      var limitUsdBN = RariAdmin.parseAccountBalanceLimit(App.web3, $('#AdminLimitAmount').val());
+    } catch (err) {
+      return toastr["error"](err.message ? err.message : err, "Invalid value");
+    }
+
+    App.confirmAdminAction("Set the account balance limit of " + account + " to " + (limitUsdBN.isZero() ? "the default" : (limitUsdBN.isNeg() ? "$0 (deposits disabled)" : "$" + App.web3.utils.fromWei(limitUsdBN))), async function() {
+      await RariAdmin.setIndividualAccountBalanceLimit(App.web3, RariSdk.addresses, App.selectedAccount, account, limitUsdBN);
+      App.getAdminAccountBalanceLimit();
+    });
+  },
+
+  /**
+   * Forward lost funds as entered in the admin console (after confirmation).
+   */
+  handleAdminForwardLostFunds: function() {
+    var contractName = $('#AdminLostFundsContract').val();
+    var token = $('#AdminLostFundsToken').val().trim();
+    var to = $('#AdminLostFundsTo').val().trim();
+    if (!App.web3.utils.isAddress(token)) return toastr["error"]("Invalid token address.", "Invalid value");
+    if (!App.web3.utils.isAddress(to)) return toastr["error"]("Invalid recipient address.", "Invalid value");
+
+    App.confirmAdminAction("Forward all tokens at " + token + " held by " + contractName + " to " + to, async function() {
+      await RariAdmin.forwardLostFunds(App.web3, RariSdk.addresses, App.selectedAccount, contractName, token, to);
+    });
+  },
+
+  /**
+   * Show the rebalance tab (and load the fund's allocation) if the selected account is the rebalancer of RariFundController.
+   */
+  checkRebalancer: async function() {
+    var account = App.selectedAccount;
+
+    try {
+      var rebalancer = await RariRebalancer.getRebalancer(App.web3, RariSdk.addresses);
+    } catch (err) {
+      return console.error("Failed to get fund rebalancer:", err);
+    }
+
+    if (account !== App.selectedAccount) return;
+    if (account === null || rebalancer === null || rebalancer.toLowerCase() !== account.toLowerCase()) return App.hideRebalancer();
+    $('#tab-rebalance').show();
+    if (location.hash === "#rebalance") App.showPage("rebalance");
+    App.updateRebalanceMoveForm();
+    App.getRebalanceAllocation();
+  },
+
+  /**
+   * Hide the rebalance tab (returning to the fund page if the rebalance page is open).
+   */
+  hideRebalancer: function() {
+    $('#tab-rebalance').hide();
+    if ($('#page-rebalance').is(':visible')) App.showPage("fund");
+  },
+
+  /**
+   * Get the fund's current allocation and pool APYs, then render the preview of staged moves.
+   */
+  getRebalanceAllocation: async function() {
+    console.log('Getting fund allocation...');
+
+    try {
+      var allocation = await RariRebalancer.getAllocation(App.web3, RariSdk.addresses);
+    } catch (err) {
+      console.error("Failed to get fund allocation:", err);
+      return $('#RebalanceAllocation').html('<tr><td colspan="4">Failed to load allocation.</td></tr>');
+    }
+
+    try {
+      App.rebalancePoolApyBNs = await RariSdk.getPoolApyBNs(App.web3, RariSdk.addresses);
+    } catch (err) {
+      console.error("Failed to get pool APYs:", err);
+    }
+
+    App.rebalanceAllocation = allocation;
+    $('#RebalanceCurrency, #RebalanceOutputCurrency').each(function() {
+      var selected = $(this).val();
+      $(this).empty();
+      for (const currencyCode of Object.keys(allocation)) $(this).append($('<option>').text(currencyCode));
+      if (selected) $(this).val(selected);
+    });
+    App.renderRebalancePreview();
+  },
+
+  /**
+   * Show only the inputs used by the selected move type.
+   */
+  updateRebalanceMoveForm: function() {
+    var moveType = $('#RebalanceMoveType').val();
+    var fields = RariRebalancer.moveTypes[moveType];
+    $('#RebalancePool').toggle(fields.indexOf("pool") >= 0);
+    $('#RebalanceAmount').toggle(moveType !== "withdrawAllFromPool");
+    $('#RebalanceOutputCurrency').toggle(fields.indexOf("outputCurrencyCode") >= 0);
+  },
+
+  /**
+   * Render the current allocation next to the allocation after all staged moves, plus the total balance and blended APY before and after.
+   */
+  renderRebalancePreview: function() {
+    if (App.rebalanceAllocation === null) return;
+    var allocation = App.rebalanceAllocation;
+    $('#RebalancePreviewError').empty();
+
+    var preview = null;
+
+    try {
+      preview = RariRebalancer.applyMoves(App.web3, allocation, App.rebalanceMoves);
+    } catch (err) {
+      $('#RebalancePreviewError').text(err.message ? err.message : err);
+    }
+
+    var format = function(amountBN, currencyCode) {
+      return (new Big(amountBN.toString())).div((new Big(10)).pow(App.tokens[currencyCode].decimals)).toFormat(2);
+    };
+    $('#RebalanceAllocation').empty();
+
+    for (const currencyCode of Object.keys(allocation)) {
+      var rows = [{ name: "RariFundController", currentBN: allocation[currencyCode].contractBalanceBN, previewBN: preview ? preview[currencyCode].contractBalanceBN : null }];
+      for (const pool of Object.keys(allocation[currencyCode].poolBalanceBNs)) rows.push({ name: RariSdk.pools[pool].name, currentBN: allocation[currencyCode].poolBalanceBNs[pool], previewBN: preview ? preview[currencyCode].poolBalanceBNs[pool] : null });
+
+      for (const row of rows) {
+        var tr = $('<tr>');
+        tr.append($('<td>').text(currencyCode));
+        tr.append($('<td>').text(row.name));
+        tr.append($('<td>').text(format(row.currentBN, currencyCode)));
+        tr.append($('<td>').addClass(row.previewBN !== null && !row.previewBN.eq(row.currentBN) ? 'text-warning' : '').text(row.previewBN !== null ? format(row.previewBN, currencyCode) : "?"));
+        $('#RebalanceAllocation').append(tr);
+      }
+    }
+
+    var current = RariRebalancer.getAllocationSummary(App.web3, allocation, App.rebalancePoolApyBNs);
+    var summary = "Total: $" + new Big(App.web3.utils.fromWei(current.totalBalanceUsdBN)).toFormat(2) + " | Blended APY: " + new Big(App.web3.utils.fromWei(current.apyBN.muln(100))).toFormat(2) + "%";
+
+    if (preview && App.rebalanceMoves.length > 0) {
+      var after = RariRebalancer.getAllocationSummary(App.web3, preview, App.rebalancePoolApyBNs);
+      summary += " → $" + new Big(App.web3.utils.fromWei(after.totalBalanceUsdBN)).toFormat(2) + " | " + new Big(App.web3.utils.fromWei(after.apyBN.muln(100))).toFormat(2) + "% after staged moves";
+    }
+
+    $('#RebalanceSummary').text(summary);
+    App.renderRebalanceMoves();
+  },
+
+  /**
+   * Render the list of staged moves and their statuses.
+   */
+  renderRebalanceMoves: function() {
+    var statusClasses = { staged: "secondary", sending: "info", mined: "success", failed: "danger" };
+    $('#RebalanceMoves').empty();
+    if (App.rebalanceMoves.length == 0) return $('#RebalanceMoves').html('<tr><td colspan="4">No staged moves.</td></tr>');
+
+    for (var i = 0; i < App.rebalanceMoves.length; i++) {
+      var status = App.rebalanceStatuses[i] ? App.rebalanceStatuses[i] : "staged";
+      var row = $('<tr>');
+      row.append($('<td>').text(i + 1));
+      row.append($('<td>').text(RariRebalancer.describeMove(App.rebalanceMoves[i])));
+      row.append($('<td>').append($('<span>').addClass("badge badge-" + statusClasses[status]).text(status)));
+      row.append($('<td>').append($('<button>').addClass('btn btn-sm btn-danger rebalance-remove-button').attr({ type: 'button', 'data-index': i }).prop('disabled', App.sendingRebalanceMoves).text('Remove')));
+      $('#RebalanceMoves').append(row);
+    }
+  },
+
+  /**
+   * Stage the move entered in the rebalance console (quoting exchanges first).
+   */
+  handleRebalanceStage: async function(event) {
+    event.preventDefault();
+    if (App.sendingRebalanceMoves) return;
+    var moveType = $('#RebalanceMoveType').val();
+    var pool = parseInt($('#RebalancePool').val());
+    var currencyCode = $('#RebalanceCurrency').val();
+    var outputCurrencyCode = $('#RebalanceOutputCurrency').val();
+
+    var amountBN = null;
+
+    if (moveType !== "withdrawAllFromPool") {
+      var amount = $('#RebalanceAmount').val();
+      if (!currencyCode || !amount || isNaN(amount) || !(new Big(amount)).gt(0)) return toastr["error"]("Amount must be greater than 0!", "Invalid move");
+      amountBN = App.web3.utils.toBN((new Big(amount)).mul((new Big(10)).pow(App.tokens[currencyCode].decimals)).toFixed(0));
+    }
+
+    if ((moveType === "swapMStable" || moveType === "marketSell0xOrdersFillOrKill") && currencyCode === outputCurrencyCode) return toastr["error"]("Input and output currencies must differ.", "Invalid move");
+    $('#rebalanceStageButton').prop('disabled', true);
+    var move;
+
+    try {
+      if (moveType === "swapMStable") move = RariRebalancer.getMStableMove(App.web3, currencyCode, outputCurrencyCode, amountBN, currencyCode !== "mUSD" && outputCurrencyCode !== "mUSD" ? await RariSdk.getMStableSwapFeeBN(App.web3) : App.web3.utils.toBN(0));
+      else if (moveType === "marketSell0xOrdersFillOrKill") move = await RariRebalancer.get0xMove(App.web3, currencyCode, outputCurrencyCode, amountBN);
+      else if (moveType === "approveToMUsd" || moveType === "approveTo0x") move = { type: moveType, currencyCode, amountBN };
+      else move = { type: moveType, pool, currencyCode, amountBN };
+      RariRebalancer.checkMove(move);
+    } catch (err) {
+      return toastr["error"](err.message ? err.message : err, "Invalid move");
+    } finally {
+      $('#rebalanceStageButton').prop('disabled', false);
+    }
+
+    App.rebalanceMoves.push(move);
+    App.rebalanceStatuses.push("staged");
+    $('#RebalanceAmount').val("");
+    App.renderRebalancePreview();
+  },
+
+  handleRebalanceRemove: function(event) {
+    event.preventDefault();
+    if (App.sendingRebalanceMoves) return;
+    var index = parseInt($(this).data('index'));
+    App.rebalanceMoves.splice(index, 1);
+    App.rebalanceStatuses.splice(index, 1);
+    App.renderRebalancePreview();
+  },
+
+  handleRebalanceClear: function(event) {
+    event.preventDefault();
+    if (App.sendingRebalanceMoves) return;
+    App.rebalanceMoves = [];
+    App.rebalanceStatuses = [];
+    App.renderRebalancePreview();
+  },
+
+  /**
+   * Send all staged moves in order, tracking the status of each; moves that were mined are removed from the list afterwards.
+   */
+  handleRebalanceSend: async function(event) {
+    event.preventDefault();
+    if (App.sendingRebalanceMoves || App.rebalanceMoves.length == 0) return;
+    if (!App.checkNetwork("Rebalance failed")) return;
+
+    try {
+      RariRebalancer.applyMoves(App.web3, App.rebalanceAllocation, App.rebalanceMoves);
+    } catch (err) {
+      return toastr["error"](err.message ? err.message : err, "Rebalance failed");
+    }
+
+    var moves = App.rebalanceMoves.slice();
+    var minedCount = 0;
+    App.sendingRebalanceMoves = true;
+    $('#rebalanceSendButton, #rebalanceClearButton, #rebalanceStageButton').prop('disabled', true);
+    App.rebalanceStatuses = moves.map(() => "staged");
+    App.renderRebalanceMoves();
+
+    try {
+      await RariRebalancer.sendMoves(App.web3, RariSdk.addresses, App.selectedAccount, moves, function(index, status) {
+        App.rebalanceStatuses[index] = status;
+        if (status === "mined") minedCount++;
+        App.renderRebalanceMoves();
+        App.updateTransactions();
+      });
+      toastr["success"]("All " + moves.length + " moves were mined.", "Rebalance complete");
+    } catch (err) {
+      toastr["error"](err.message ? err.message : err, "Rebalance failed");
+    } finally {
+      App.sendingRebalanceMoves = false;
+      $('#rebalanceSendButton, #rebalanceClearButton, #rebalanceStageButton').prop('disabled', false);
+    }
+
+    App.rebalanceMoves = moves.slice(minedCount);
+    App.rebalanceStatuses = App.rebalanceStatuses.slice(minedCount);
+    App.getRebalanceAllocation();
+  },
+
+  /**
+   * Show the fees tab (and load the fee dashboard) if the selected account owns RariFundManager, is its rebalancer, or is the interest fee master beneficiary.
+   */
+  checkFees: async function() {
+    var account = App.selectedAccount;
+
+    try {
+      var summary = await RariFees.getSummary(App.web3, RariSdk.addresses);
+      var owner = await App.contracts.RariFundManager.methods.owner().call();
+    } catch (err) {
+      return console.error("Failed to get interest fees:", err);
+    }
+
+    if (account !== App.selectedAccount) return;
+    if (account === null || [owner, summary.rebalancer, summary.masterBeneficiary].filter(address => address && address.toLowerCase() === account.toLowerCase()).length == 0) return App.hideFees();
+    $('#tab-fees').show();
+    if (location.hash === "#fees") App.showPage("fees");
+    App.renderFees(summary);
+    App.getFeeWithdrawalOptions();
+    App.getFeeHistory();
+  },
+
+  /**
+   * Hide the fees tab (returning to the fund page if the fees page is open).
+   */
+  hideFees: function() {
+    App.feeSummary = null;
+    $('#tab-fees').hide();
+    if ($('#page-fees').is(':visible')) App.showPage("fund");
+  },
+
+  /**
+   * Reload the fee dashboard.
+   */
+  getFees: async function() {
+    console.log('Getting interest fees...');
+
+    try {
+      var summary = await RariFees.getSummary(App.web3, RariSdk.addresses);
+    } catch (err) {
+      return console.error("Failed to get interest fees:", err);
+    }
+
+    App.renderFees(summary);
+    App.getFeeWithdrawalOptions();
+    App.getFeeHistory();
+  },
+
+  /**
+   * Render fees generated and unclaimed along with fees projected at the current APY.
+   */
+  renderFees: async function(summary) {
+    App.feeSummary = summary;
+    var canClaim = summary.rebalancer !== null && App.selectedAccount !== null && summary.rebalancer.toLowerCase() === App.selectedAccount.toLowerCase();
+    $('#FeesRate').text(new Big(App.web3.utils.fromWei(summary.interestFeeRateBN.muln(100))).toFormat() + "%");
+    $('#FeesGenerated').text("$" + new Big(App.web3.utils.fromWei(summary.interestFeesGeneratedBN)).toFormat(2));
+    $('#FeesUnclaimed').text("$" + new Big(App.web3.utils.fromWei(summary.interestFeesUnclaimedBN)).toFormat(2));
+    $('#FeesMasterBeneficiary').text(summary.masterBeneficiary !== null ? summary.masterBeneficiary : "Unknown");
+    $('#depositFeesButton, #withdrawFeesButton').prop('disabled', !canClaim);
+    $('#FeesClaimNote').text(canClaim ? "" : "Only the RariFundManager rebalancer" + (summary.rebalancer !== null ? " (" + summary.rebalancer + ")" : "") + " can claim fees on behalf of the master beneficiary.");
+
+    try {
+      if (App.currentApy === null) App.currentApy = await RariSdk.getCurrentApy(App.web3, RariSdk.addresses);
+    } catch (err) {
+      return console.error("Failed to get current APY:", err);
+    }
+
+    var projected = RariFees.getProjectedFees(App.web3, App.currentApy.totalBalanceUsdBN, App.currentApy.apyBN, summary.interestFeeRateBN);
+    $('#FeesProjected').text("$" + new Big(App.web3.utils.fromWei(projected.dailyBN)).toFormat(2) + " per day, $" + new Big(App.web3.utils.fromWei(projected.monthlyBN)).toFormat(2) + " per 30 days, $" + new Big(App.web3.utils.fromWei(projected.yearlyBN)).toFormat(2) + " per year at " + (parseFloat(App.currentApy.apyBN.toString()) / 1e16).toFixed(2) + "% APY");
+  },
+
+  /**
+   * List the currencies the unclaimed fees can be withdrawn in (with currencies held by RariFundController in sufficient amounts first).
+   */
+  getFeeWithdrawalOptions: async function() {
+    try {
+      var options = await RariFees.getCurrentWithdrawalOptions(App.web3, RariSdk.addresses);
+    } catch (err) {
+      return console.error("Failed to get fee withdrawal options:", err);
+    }
+
+    var selected = $('#FeesWithdrawCurrency').val();
+    $('#FeesWithdrawCurrency').empty().append($('<option>').attr('value', '').text(options.length > 0 && options[0].sufficient ? "Auto (" + options[0].currencyCode + ")" : "Auto"));
+
+    for (const option of options) {
+      var amount = new Big(option.amountBN.toString()).div(new Big(10).pow(App.tokens[option.currencyCode].decimals)).toFormat(2);
+      $('#FeesWithdrawCurrency').append($('<option>').attr('value', option.currencyCode).prop('disabled', !option.sufficient).text(option.currencyCode + " (" + amount + (option.sufficient ? "" : ", not enough held by RariFundController") + ")"));
+    }
+
+    if (selected && options.find(option => option.currencyCode === selected && option.sufficient)) $('#FeesWithdrawCurrency').val(selected);
+  },
+
+  /**
+   * Get the history of interest fee claims.
+   */
+  getFeeHistory: async function() {
+    console.log('Getting interest fee history...');
+    $('#FeesHistory').html('<tr><td colspan="4">Loading...</td></tr>');
+
+    try {
+      var history = await RariFees.getHistory(App.web3, RariSdk.addresses);
+    } catch (err) {
+      console.error("Failed to get interest fee history:", err);
+      return $('#FeesHistory').html('<tr><td colspan="4">Failed to load history of fee claims.</td></tr>');
+    }
+
+    var network = RariSdk.getNetwork(App.network);
+    var explorerUrl = network ? network.explorerUrl : null;
+    $('#FeesHistory').empty();
+    if (history.length == 0) return $('#FeesHistory').html('<tr><td colspan="4">No fees claimed yet.</td></tr>');
+
+    for (const entry of history) {
+      var row = $('<tr>');
+      row.append($('<td>').text(moment.unix(entry.timestamp).format("YYYY-MM-DD HH:mm")));
+      row.append($('<td>').text(entry.type === "deposit" ? "Deposited as RSPT" : "Withdrawn as " + RariSdk.toDecimalString(entry.amountBN, App.tokens[entry.currencyCode] ? App.tokens[entry.currencyCode].decimals : 18) + " " + entry.currencyCode));
+      row.append($('<td>').text("$" + new Big(App.web3.utils.fromWei(entry.amountUsdBN)).toFormat(2)));
+      row.append($('<td>').append(explorerUrl ? $('<a>').attr({ href: explorerUrl + '/tx/' + entry.transactionHash, target: "_blank" }).html(entry.transactionHash.substring(0, 10) + '&hellip;') : $('<span>').html(entry.transactionHash.substring(0, 10) + '&hellip;')));
+      $('#FeesHistory').append(row);
+    }
+  },
+
+  /**
+   * Deposit all unclaimed fees back into the fund as RSPT minted to the master beneficiary (after confirmation).
+   */
+  handleDepositFees: function(event) {
+    event.preventDefault();
+    var amount = App.feeSummary ? " ($" + new Big(App.web3.utils.fromWei(App.feeSummary.interestFeesUnclaimedBN)).toFormat(2) + ")" : "";
+
+    App.confirmAdminAction("Deposit all unclaimed interest fees" + amount + " as RSPT minted to the master beneficiary", async function() {
+      await RariFees.depositFees(App.web3, RariSdk.addresses, App.selectedAccount);
+    }, App.getFees);
+  },
+
+  /**
+   * Withdraw all unclaimed fees to the master beneficiary in the selected currency (or the first currency held by RariFundController in a sufficient amount) after confirmation.
+   */
+  handleWithdrawFees: async function(event) {
+    event.preventDefault();
+
+    try {
+      var options = await RariFees.getCurrentWithdrawalOptions(App.web3, RariSdk.addresses);
+      var currencyCode = RariFees.pickWithdrawalCurrency(options, $('#FeesWithdrawCurrency').val());
+    } catch (err) {
+      return toastr["error"](err.message ? err.message : err, "Fee withdrawal failed");
+    }
+
+    var option = options.find(option => option.currencyCode === currencyCode);
+
+    App.confirmAdminAction("Withdraw all unclaimed interest fees (about " + RariSdk.toDecimalString(option.amountBN, App.tokens[currencyCode].decimals) + " " + currencyCode + ") to the master beneficiary", async function() {
+      await RariFees.withdrawFees(App.web3, RariSdk.addresses, App.selectedAccount, currencyCode);
+    }, App.getFees);
+  },
+
+  /**
+   * Render the list of transactions submitted from this browser on the current network.
+   */
+  renderTransactions: function() {
+    var transactions = RariTransactionTracker.load(window.localStorage).filter(transaction => transaction.chainId == App.network);
+    var network = RariSdk.getNetwork(App.network);
+    var explorerUrl = network ? network.explorerUrl : null;
+    var statusClasses = { pending: "secondary", mined: "success", replaced: "info", failed: "danger" };
+    $('#RecentTransactions').empty();
+    if (transactions.length == 0) return $('#RecentTransactions').html('<tr><td colspan="4">No recent transactions.</td></tr>');
+
+    for (const transaction of transactions) {
+      var hash = transaction.replacedBy ? transaction.replacedBy : transaction.hash;
+      var row = $('<tr>');
+      row.append($('<td>').text(moment(transaction.submittedAt).format("YYYY-MM-DD HH:mm")));
+      row.append($('<td>').text(transaction.description));
+      row.append($('<td>').append($('<span>').addClass("badge badge-" + statusClasses[transaction.status]).text(transaction.status)));
+      row.append($('<td>').append(explorerUrl ? $('<a>').attr({ href: explorerUrl + '/tx/' + hash, target: "_blank" }).html(hash.substring(0, 10) + '&hellip;') : $('<span>').html(hash.substring(0, 10) + '&hellip;')));
+      $('#RecentTransactions').append(row);
+    }
   }
 };
 
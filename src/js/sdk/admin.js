@@ -0,0 +1,231 @@
+// Rari Stable Pool owner administration
+// Reads and changes the owner settings of RariFundManager, RariFundController, and RariFundProxy, and builds the history of past changes from their events
+// In Node.js: const RariAdmin = require("./src/js/sdk/admin"); in the browser, this file exposes the RariAdmin global (load after src/js/sdk/index.js and set RariSdk.abis.RariFundController)
+(function(root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./index"));
+  else root.RariAdmin = factory(root.RariSdk);
+})(typeof self !== "undefined" ? self : this, function(RariSdk) {
+  var Admin = {
+    /**
+     * Owner settings, each containing id, name, contract, getter (if the contract has one; otherwise, the value is read from the latest event), setter (disableFund/enableFund if type is "disabled"), event (emitted by the setter), and type:
+     * - "rate": proportion scaled by 1e18 (entered as a percentage)
+     * - "usd": amount in USD scaled by 1e18
+     * - "address": Ethereum address
+     * - "disabled": boolean indicating if the contract's primary functionality is disabled (set via disableFund/enableFund, which emit FundDisabled/FundEnabled)
+     */
+    settings: [
+      { id: "interestFeeRate", name: "Interest fee rate", contract: "RariFundManager", type: "rate", getter: "getInterestFeeRate", setter: "setInterestFeeRate", event: "InterestFeeRateSet" },
+      { id: "defaultAccountBalanceLimit", name: "Default account balance limit", contract: "RariFundManager", type: "usd", getter: "getDefaultAccountBalanceLimit", setter: "setDefaultAccountBalanceLimit", event: "DefaultAccountBalanceLimitSet" },
+      { id: "interestFeeMasterBeneficiary", name: "Interest fee master beneficiary", contract: "RariFundManager", type: "address", getter: "getInterestFeeMasterBeneficiary", setter: "setInterestFeeMasterBeneficiary", event: "InterestFeeMasterBeneficiarySet" },
+      { id: "fundManagerRebalancer", name: "RariFundManager rebalancer", contract: "RariFundManager", type: "address", getter: "getFundRebalancer", setter: "setFundRebalancer", event: "FundRebalancerSet" },
+      { id: "fundManagerDisabled", name: "RariFundManager", contract: "RariFundManager", type: "disabled", getter: "isFundDisabled" },
+      { id: "fundControllerRebalancer", name: "RariFundController rebalancer", contract: "RariFundController", type: "address", setter: "setFundRebalancer", event: "FundRebalancerSet" },
+      { id: "fundControllerDisabled", name: "RariFundController", contract: "RariFundController", type: "disabled" },
+      { id: "gsnTrustedSigner", name: "GSN trusted signer", contract: "RariFundProxy", type: "address", setter: "setGsnTrustedSigner", event: "GsnTrustedSignerSet" }
+    ],
+    // Events included in the history of changes (see getHistory)
+    historyEvents: {
+      RariFundManager: ["FundManagerUpgraded", "FundControllerSet", "FundTokenSet", "FundProxySet", "FundRebalancerSet", "RariFundPriceConsumerSet", "FundDisabled", "FundEnabled", "InterestFeeRateSet", "DefaultAccountBalanceLimitSet", "IndividualAccountBalanceLimitSet", "InterestFeeMasterBeneficiarySet"],
+      RariFundController: ["FundManagerSet", "FundRebalancerSet", "FundDisabled", "FundEnabled"],
+      RariFundProxy: ["FundManagerSet", "GsnTrustedSignerSet"]
+    },
+
+    /**
+     * Returns the setting with ID `settingId` (see settings).
+     */
+    getSetting: function(settingId) {
+      for (const setting of Admin.settings) if (setting.id === settingId) return setting;
+      throw new Error("Unknown setting " + settingId + ".");
+    },
+
+    /**
+     * Returns web3.js contracts for RariFundManager, RariFundController (read from RariFundManager.rariFundController), and RariFundProxy.
+     */
+    getContracts: async function(web3, addresses) {
+      var contracts = RariSdk.getContracts(web3, addresses);
+      return { RariFundManager: contracts.RariFundManager, RariFundController: await RariSdk.getFundController(web3, addresses), RariFundProxy: contracts.RariFundProxy };
+    },
+
+    /**
+     * Returns the owner of each contract (mapped by contract name).
+     */
+    getOwners: async function(web3, addresses) {
+      var contracts = await Admin.getContracts(web3, addresses);
+      var owners = {};
+      for (const name of Object.keys(contracts)) owners[name] = await contracts[name].methods.owner().call();
+      return owners;
+    },
+
+    /**
+     * Returns true if `account` owns any of the contracts in `owners` (from getOwners).
+     */
+    isOwner: function(owners, account) {
+      if (!account) return false;
+      for (const name of Object.keys(owners)) if (owners[name].toLowerCase() === account.toLowerCase()) return true;
+      return false;
+    },
+
+    /**
+     * Returns the current value of each setting (mapped by setting ID): a BN for "rate" and "usd" settings, an address, or a boolean for "disabled" settings.
+     * Values are null if they cannot be read (e.g., if the deployed contract predates the getter).
+     */
+    getSettings: async function(web3, addresses) {
+      var contracts = await Admin.getContracts(web3, addresses);
+      var values = {};
+
+      for (const setting of Admin.settings) {
+        try {
+          var value = setting.getter ? await contracts[setting.contract].methods[setting.getter]().call() : await Admin.getSettingFromEvents(web3, contracts[setting.contract], setting);
+        } catch (err) {
+          console.error("Failed to get " + setting.name + ":", err);
+          values[setting.id] = null;
+          continue;
+        }
+
+        values[setting.id] = setting.type === "rate" || setting.type === "usd" ? web3.utils.toBN(value) : value;
+      }
+
+      return values;
+    },
+
+    /**
+     * Returns the current value of `setting` of `contract` (a web3.js contract) from the latest event emitted by its setter (FundDisabled or FundEnabled for "disabled" settings).
+     * Settings that were never set have their initial value (the zero address, or enabled).
+     */
+    getSettingFromEvents: async function(web3, contract, setting) {
+      var event = await RariSdk.getLatestEvent(contract, setting.type === "disabled" ? ["FundDisabled", "FundEnabled"] : [setting.event]);
+      if (setting.type === "disabled") return event !== null && event.event === "FundDisabled";
+      if (event === null) return setting.type === "address" ? "0x0000000000000000000000000000000000000000" : "0";
+      return event.returnValues[0];
+    },
+
+    /**
+     * Parses `input` (a percentage string for "rate" settings, a USD amount string for "usd" settings, an address, or a boolean for "disabled" settings) into the value passed to the setter of `setting`.
+     * Throws if `input` is invalid.
+     */
+    parseSettingValue: function(web3, setting, input) {
+      if (setting.type === "disabled") return input === true || input === "true";
+      if (setting.type === "address") {
+        if (!web3.utils.isAddress(input) || /^0x0{40}$/.test(input)) throw new Error("Invalid address for " + setting.name + ".");
+        return web3.utils.toChecksumAddress(input);
+      }
+
+      input = String(input).trim();
+      if (!/^\d+(\.\d+)?$/.test(input)) throw new Error("Invalid value for " + setting.name + ".");
+
+      if (setting.type === "rate") {
+        var rateBN = web3.utils.toBN(web3.utils.toWei(input, "ether")).divn(100);
+        if (rateBN.gt(web3.utils.toBN(1e18))) throw new Error(setting.name + " cannot be greater than 100%.");
+        return rateBN;
+      }
+
+      return web3.utils.toBN(web3.utils.toWei(input, "ether"));
+    },
+
+    /**
+     * Returns a human-readable string for `value` (from getSettings or parseSettingValue) of `setting`.
+     */
+    formatSettingValue: function(web3, setting, value) {
+      if (value === null || value === undefined) return "Unknown";
+      if (setting.type === "rate") return web3.utils.fromWei(web3.utils.toBN(value).muln(100)) + "%";
+      if (setting.type === "usd") return "$" + web3.utils.fromWei(web3.utils.toBN(value));
+      if (setting.type === "disabled") return value ? "Disabled" : "Enabled";
+      return value;
+    },
+
+    /**
+     * Sets `setting` (with ID `settingId`) to `value` (from parseSettingValue) from `from` (the contract owner).
+     * Returns the transaction receipt.
+     */
+    setSetting: async function(web3, addresses, from, settingId, value) {
+      var setting = Admin.getSetting(settingId);
+      var contract = (await Admin.getContracts(web3, addresses))[setting.contract];
+      var method = setting.type === "disabled" ? contract.methods[value ? "disableFund" : "enableFund"]() : contract.methods[setting.setter](value);
+      var description = setting.type === "disabled" ? (value ? "Disable " : "Enable ") + setting.name : "Set " + setting.name + " to " + Admin.formatSettingValue(web3, setting, value);
+      return await RariSdk.send(web3, method, { from }, { type: "admin", description });
+    },
+
+    /**
+     * Returns the account balance limit of `account` in USD (scaled by 1e18) currently enforced by RariFundManager (the default limit unless an individual limit is set).
+     */
+    getAccountBalanceLimit: async function(web3, addresses, account) {
+      return web3.utils.toBN(await RariSdk.getContracts(web3, addresses).RariFundManager.methods.getAccountBalanceLimit(account).call());
+    },
+
+    /**
+     * Parses `input` (a USD amount string, "0" to restore the default limit, or a negative number to disable deposits) into an individual account balance limit in USD (scaled by 1e18).
+     * Throws if `input` is invalid.
+     */
+    parseAccountBalanceLimit: function(web3, input) {
+      input = String(input).trim();
+      if (/^-\d+(\.\d+)?$/.test(input) && parseFloat(input) < 0) return web3.utils.toBN(-1);
+      if (!/^\d+(\.\d+)?$/.test(input)) throw new Error("Invalid account balance limit.");
+      return web3.utils.toBN(web3.utils.toWei(input, "ether"));
+    },
+
+    /**
+     * Sets the individual account balance limit of `account` to `limitUsdBN` (in USD scaled by 1e18; 0 restores the default limit and any negative value disables deposits) from `from` (the owner of RariFundManager).
+     * Returns the transaction receipt.
+     */
+    setIndividualAccountBalanceLimit: async function(web3, addresses, from, account, limitUsdBN) {
+      var description = "Set account balance limit of " + account + " to " + (limitUsdBN.isZero() ? "the default" : (limitUsdBN.isNeg() ? "$0 (deposits disabled)" : "$" + web3.utils.fromWei(limitUsdBN)));
+      return await RariSdk.send(web3, RariSdk.getContracts(web3, addresses).RariFundManager.methods.setIndividualAccountBalanceLimit(account, limitUsdBN), { from }, { type: "admin", description });
+    },
+
+    /**
+     * Forwards all tokens of `erc20Contract` held by `contractName` (RariFundManager or RariFundProxy) to `to` from `from` (the contract owner).
+     * Returns the transaction receipt.
+     */
+    forwardLostFunds: async function(web3, addresses, from, contractName, erc20Contract, to) {
+      if (["RariFundManager", "RariFundProxy"].indexOf(contractName) < 0) throw new Error("Lost funds can only be forwarded from RariFundManager or RariFundProxy.");
+      var contract = (await Admin.getContracts(web3, addresses))[contractName];
+      var currencyCode = RariSdk.getCurrencyCodeByAddress(erc20Contract);
+      return await RariSdk.send(web3, contract.methods.forwardLostFunds(erc20Contract, to), { from }, { type: "admin", description: "Forward lost " + (currencyCode ? currencyCode : erc20Contract) + " from " + contractName + " to " + to });
+    },
+
+    /**
+     * Get the history of changes to the contracts (see historyEvents) since `fromBlock` (defaults to 0), sorted from newest to oldest.
+     * Each entry contains contract, event, returnValues (event parameters by name), blockNumber, logIndex, transactionHash, timestamp, and description (see describeHistoryEntry).
+     */
+    getHistory: async function(web3, addresses, fromBlock) {
+      var contracts = await Admin.getContracts(web3, addresses);
+      var history = [];
+      var timestamps = {};
+
+      for (const name of Object.keys(Admin.historyEvents)) {
+        var events = await contracts[name].getPastEvents("allEvents", { fromBlock: fromBlock !== undefined ? fromBlock : 0, toBlock: "latest" });
+
+        for (const event of events) {
+          if (Admin.historyEvents[name].indexOf(event.event) < 0) continue;
+          var returnValues = {};
+          for (const key of Object.keys(event.returnValues)) if (isNaN(parseInt(key))) returnValues[key] = event.returnValues[key];
+          if (timestamps[event.blockNumber] === undefined) timestamps[event.blockNumber] = parseInt((await web3.eth.getBlock(event.blockNumber)).timestamp);
+          var entry = { contract: name, event: event.event, returnValues, blockNumber: event.blockNumber, logIndex: event.logIndex, transactionHash: event.transactionHash, timestamp: timestamps[event.blockNumber] };
+          entry.description = Admin.describeHistoryEntry(web3, entry);
+          history.push(entry);
+        }
+      }
+
+      return history.sort((a, b) => a.blockNumber !== b.blockNumber ? b.blockNumber - a.blockNumber : b.logIndex - a.logIndex);
+    },
+
+    /**
+     * Returns a human-readable description of history entry `entry` (see getHistory).
+     */
+    describeHistoryEntry: function(web3, entry) {
+      if (entry.event === "FundDisabled") return "Disabled " + entry.contract;
+      if (entry.event === "FundEnabled") return "Enabled " + entry.contract;
+
+      if (entry.event === "IndividualAccountBalanceLimitSet") {
+        var limitUsdBN = web3.utils.toBN(entry.returnValues.limitUsd);
+        return "Set account balance limit of " + entry.returnValues.account + " to " + (limitUsdBN.isZero() ? "the default" : (limitUsdBN.isNeg() ? "$0 (deposits disabled)" : "$" + web3.utils.fromWei(limitUsdBN)));
+      }
+
+      for (const setting of Admin.settings) if (setting.contract === entry.contract && setting.event === entry.event) return "Set " + setting.name + " to " + Admin.formatSettingValue(web3, setting, Object.values(entry.returnValues)[0]);
+      var values = Object.values(entry.returnValues);
+      return entry.contract + "." + entry.event + (values.length > 0 ? ": " + values.join(", ") : "");
+    }
+  };
+
+  return Admin;
+});
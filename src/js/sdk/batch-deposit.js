@@ -0,0 +1,153 @@
+// Rari Stable Pool batch deposits
+// Plans deposits of several currencies at once (one route per currency, with the approvals they need), summarizes their total value, slippage, and fees, and sends their transactions in order, resuming from the first unsent transaction after a failure
+// In Node.js: const RariBatchDeposit = require("./src/js/sdk/batch-deposit"); in the browser, this file exposes the RariBatchDeposit global (load after src/js/sdk/index.js)
+(function(root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./index"));
+  else root.RariBatchDeposit = factory(root.RariSdk);
+})(typeof self !== "undefined" ? self : this, function(RariSdk) {
+  var BatchDeposit = {
+    /**
+     * Returns the steps (one transaction each) of a batch deposit via `routes` (from getDepositRoute), where `allowanceBNs[i]` is the allowance of the input token of `routes[i]` to its spender (see RariSdk.getDepositSpender).
+     * Each step contains type ("approval" or "deposit"), routeIndex, and (deposits only) legIndex; a route's approval (if its allowance is too low) precedes its deposit legs.
+     */
+    getSteps: function(routes, allowanceBNs) {
+      var steps = [];
+
+      for (var i = 0; i < routes.length; i++) {
+        if (routes[i].inputCurrencyCode !== "ETH" && allowanceBNs[i].lt(routes[i].inputAmountBN)) steps.push({ type: "approval", routeIndex: i });
+        for (var j = 0; j < routes[i].legs.length; j++) steps.push({ type: "deposit", routeIndex: i, legIndex: j });
+      }
+
+      return steps;
+    },
+
+    /**
+     * Returns the totals of a batch deposit via `routes` (from getDepositRoute) at `pricesInUsd` (from RariSdk.getCurrencyPricesInUsd):
+     * depositUsdBN (the USD value of the currencies deposited to the fund, as checked against the account balance limit), slippage (of all exchanges combined, weighted by value; negative if a bonus), totalProtocolFeeBN (total 0x protocol fee in ETH), directCount, and exchangeCount.
+     */
+    getSummary: function(web3, routes, pricesInUsd) {
+      var summary = { depositUsdBN: web3.utils.toBN(0), slippage: 0, totalProtocolFeeBN: web3.utils.toBN(0), directCount: 0, exchangeCount: 0 };
+      var inputUsd = 0;
+
+      for (const route of routes) {
+        var routeUsdBN = RariSdk.getDepositAmountUsdBN(web3, route, pricesInUsd);
+        summary.depositUsdBN.iadd(routeUsdBN);
+        summary.totalProtocolFeeBN.iadd(route.totalProtocolFeeBN);
+        if (route.type === "direct") summary.directCount++;
+        else summary.exchangeCount++;
+
+        // Value the inputs of each route at the value of its outputs before slippage
+        inputUsd += parseFloat(routeUsdBN.toString()) / (1 - route.slippage);
+      }
+
+      if (inputUsd > 0) summary.slippage = 1 - (parseFloat(summary.depositUsdBN.toString()) / inputUsd);
+      return summary;
+    },
+
+    /**
+     * Returns the amounts of each input currency (mapped by currency code) left to deposit by the steps of `batch` (from getBatch) that have not been sent yet.
+     */
+    getRemainingAmountBNs: function(web3, batch) {
+      var amountBNs = {};
+
+      for (var i = batch.nextStep; i < batch.steps.length; i++) {
+        if (batch.steps[i].type !== "deposit") continue;
+        var route = batch.routes[batch.steps[i].routeIndex];
+        if (amountBNs[route.inputCurrencyCode] === undefined) amountBNs[route.inputCurrencyCode] = web3.utils.toBN(0);
+        amountBNs[route.inputCurrencyCode].iadd(route.legs[batch.steps[i].legIndex].inputAmountBN);
+      }
+
+      return amountBNs;
+    },
+
+    /**
+     * Returns a description of step `step` of `batch` (from getBatch).
+     */
+    describeStep: function(batch, step) {
+      var route = batch.routes[step.routeIndex];
+      if (step.type === "deposit") return RariSdk.describeDepositLeg(route, route.legs[step.legIndex]);
+      return "Approve " + RariSdk.toDecimalString(route.inputAmountBN, RariSdk.tokens[route.inputCurrencyCode].decimals) + " " + route.inputCurrencyCode;
+    },
+
+    /**
+     * Plans a batch deposit from `from` of `amountBNs` (mapped by currency code; zero amounts are skipped), minting RSPT to `recipient` if specified and different from `from`.
+     * Throws if any currency cannot be exchanged in full, if `from` does not hold enough of any currency, if the batch would exceed the account balance limit of the recipient, or if any deposit would fail (see RariSdk.simulateDeposit).
+     * Returns { from, recipient, routes, steps, summary, nextStep } (see getSteps and getSummary); pass it to sendBatch to send its steps.
+     * Deposits via exchanges come first, so their 0x quotes are used as soon as possible; batch deposits are never gasless.
+     */
+    getBatch: async function(web3, addresses, amountBNs, from, recipient) {
+      var currencyCodes = Object.keys(amountBNs).filter(currencyCode => !amountBNs[currencyCode].isZero());
+      if (currencyCodes.length == 0) throw new Error("Enter an amount to deposit for at least one currency.");
+      recipient = recipient && recipient.toLowerCase() !== from.toLowerCase() ? RariSdk.checkDepositRecipient(web3, recipient) : null;
+
+      // Get a route for each currency (without an account, so direct routes are never gasless)
+      var routes = [];
+
+      for (const currencyCode of currencyCodes) {
+        var decimals = currencyCode === "ETH" ? 18 : RariSdk.tokens[currencyCode].decimals;
+        var balanceBN = web3.utils.toBN(await (currencyCode === "ETH" ? web3.eth.getBalance(from) : RariSdk.getContract(web3, "ERC20", RariSdk.tokens[currencyCode].address).methods.balanceOf(from).call()));
+        if (amountBNs[currencyCode].gt(balanceBN)) throw new Error("Not enough " + currencyCode + " in your account to deposit " + RariSdk.toDecimalString(amountBNs[currencyCode], decimals) + " " + currencyCode + ". Current balance: " + RariSdk.toDecimalString(balanceBN, decimals) + " " + currencyCode + ".");
+        var route = await RariSdk.getDepositRoute(web3, addresses, currencyCode, amountBNs[currencyCode], undefined, recipient);
+        if (!route.filled) throw new Error("Unable to find enough liquidity to exchange " + currencyCode + " before depositing (up to " + RariSdk.toDecimalString(route.inputFilledAmountBN, decimals) + " " + currencyCode + " can be exchanged).");
+        routes.push(route);
+      }
+
+      routes.sort((a, b) => (a.type === "direct" ? 1 : 0) - (b.type === "direct" ? 1 : 0));
+
+      // Check the total against the account balance limit of the recipient
+      var [accountBalanceLimit, pricesInUsd] = await Promise.all([RariSdk.getAccountBalanceLimit(web3, addresses, recipient !== null ? recipient : from), RariSdk.getCurrencyPricesInUsd(web3, addresses)]);
+      var summary = BatchDeposit.getSummary(web3, routes, pricesInUsd);
+      RariSdk.checkAccountBalanceLimit(web3, accountBalanceLimit, summary.depositUsdBN, recipient);
+
+      // Simulate each deposit and get allowances
+      var allowanceBNs = [];
+
+      for (const route of routes) {
+        await RariSdk.simulateDeposit(web3, addresses, from, route);
+        allowanceBNs.push(route.inputCurrencyCode === "ETH" ? null : web3.utils.toBN(await RariSdk.getContract(web3, "ERC20", RariSdk.tokens[route.inputCurrencyCode].address).methods.allowance(from, RariSdk.getDepositSpender(addresses, route)).call()));
+      }
+
+      return { from, recipient, routes, steps: BatchDeposit.getSteps(routes, allowanceBNs), summary, nextStep: 0 };
+    },
+
+    /**
+     * Sends the steps of `batch` (from getBatch) in order, starting from batch.nextStep (advanced as each step is mined), so calling sendBatch again after a failure resumes from the failed step.
+     * Throws before sending anything if the slippage of any exchange not yet sent (including any increase in the mStable swap fee) exceeds `maxSlippage` (defaults to RariSdk.defaultMaxSlippage).
+     * Calls `onProgress(index, status, result)` (if specified) as each step's status changes to "sending", "mined" (with its receipt, or null if an approval was no longer necessary), or "failed" (with the error, which is then thrown).
+     * Returns the receipts of the steps sent.
+     */
+    sendBatch: async function(web3, addresses, batch, onProgress, maxSlippage) {
+      var receipts = [];
+
+      // Check slippage of the exchanges not yet sent
+      var routeIndexes = [];
+      for (const step of batch.steps.slice(batch.nextStep)) if (step.type === "deposit" && routeIndexes.indexOf(step.routeIndex) < 0) routeIndexes.push(step.routeIndex);
+
+      for (const routeIndex of routeIndexes) if (batch.routes[routeIndex].type !== "direct") {
+        RariSdk.checkSlippage(batch.routes[routeIndex], maxSlippage);
+        await RariSdk.checkMStableSwapFee(web3, batch.routes[routeIndex], maxSlippage);
+      }
+
+      for (var i = batch.nextStep; i < batch.steps.length; i++) {
+        var step = batch.steps[i];
+        var route = batch.routes[step.routeIndex];
+        if (onProgress) onProgress(i, "sending");
+
+        try {
+          var receipt = step.type === "approval" ? await RariSdk.approveDeposit(web3, addresses, batch.from, route) : await RariSdk.sendDepositLeg(web3, addresses, batch.from, route, route.legs[step.legIndex]);
+        } catch (err) {
+          if (onProgress) onProgress(i, "failed", err);
+          throw err;
+        }
+
+        batch.nextStep = i + 1;
+        receipts.push(receipt);
+        if (onProgress) onProgress(i, "mined", receipt);
+      }
+
+      return receipts;
+    }
+  };
+
+  return BatchDeposit;
+});
@@ -0,0 +1,155 @@
+// Rari Stable Pool deposit route planner
+// Pure functions (no network access) that plan how to deposit an amount of an input currency to the fund given the fund's accepted currencies, mStable limits and swap fee, and 0x quotes
+// In Node.js: const DepositPlanner = require("./src/js/sdk/deposit-planner"); in the browser, this file exposes the RariDepositPlanner global (also available as RariSdk.DepositPlanner)
+(function(root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.RariDepositPlanner = factory();
+})(typeof self !== "undefined" ? self : this, function() {
+  var DepositPlanner = {
+    /**
+     * Plans a deposit of `params.amountBN` of `params.inputCurrencyCode` to the fund.
+     * `params` contains:
+     * - inputCurrencyCode: the currency code to deposit (a supported currency, ETH, or any token with a 0x quote)
+     * - amountBN: the input amount to deposit
+     * - decimals: decimal places of each currency code (including the input currency)
+     * - acceptedCurrencies: currency codes accepted by RariFundManager
+     * - mStableSwapFeeBN: mStable swap fee rate (scaled by 1e18); not used when minting mUSD
+     * - mStableLimits: mStable limits of each accepted (output) currency code ({ valid, maxInputBN } from MassetValidationHelper.getMaxSwap, or { valid, maxInputBN, outputAmountBN } from getRedeemValidity if the input currency is mUSD)
+     * - zeroExQuotes: 0x quotes of the full amount for each accepted (output) currency code ({ orders, signatures, inputFillAmountBN, takerAssetFillAmountBN, makerAssetFillAmountBN, protocolFeeBN, gasPrice } from RariSdk.get0xSwapOrders)
+     * - prices (optional): the value of one unit of each accepted currency code in the input currency (defaults to 1, i.e., stablecoins)
+     * - ethPrice (optional): the value of one ETH in the input currency (used to add 0x protocol fees to the total cost; defaults to 0)
+     * Returns an array of plans sorted from lowest to highest total cost (with plans that cannot fill the whole deposit last), each containing:
+     * - type: "direct" (deposit directly to RariFundManager), "mStable" (exchange via mStable), "0x" (exchange via 0x), or "split" (exchange part via mStable up to its limit and the rest via 0x)
+     * - inputCurrencyCode, inputAmountBN: the input currency code and amount
+     * - inputFilledAmountBN: the input amount that can actually be exchanged (less than inputAmountBN if liquidity is insufficient)
+     * - legs: one transaction per leg, each containing type ("direct", "mStable", or "0x"), inputAmountBN, outputCurrencyCode, outputAmountBN, and (for 0x) orders, signatures, takerAssetFillAmountBN, protocolFeeBN, and gasPrice
+     * - totalProtocolFeeBN: total 0x protocol fee in ETH
+     * - filled: true if inputFilledAmountBN is at least inputAmountBN
+     * - slippage: exchange slippage (negative if a bonus)
+     * - totalCost: value of inputs minus value of outputs plus protocol fees (in units of the input currency)
+     */
+    planDeposit: function(web3, params) {
+      // Deposit directly if the input currency is accepted
+      if (params.acceptedCurrencies.indexOf(params.inputCurrencyCode) >= 0) {
+        var plan = DepositPlanner.createPlan(web3, "direct", params);
+        DepositPlanner.addToPlan(plan, { type: "direct", inputAmountBN: params.amountBN, outputCurrencyCode: params.inputCurrencyCode, outputAmountBN: params.amountBN });
+        plan.filled = true;
+        plan.slippage = 0;
+        plan.totalCost = 0;
+        return [plan];
+      }
+
+      var plans = [];
+
+      // mStable (alone if possible, otherwise up to its limit split with 0x for the rest)
+      for (const outputCurrencyCode of params.acceptedCurrencies) {
+        var mStableLimit = params.mStableLimits[outputCurrencyCode];
+        if (!mStableLimit || !mStableLimit.valid) continue;
+        var mStableInputAmountBN = mStableLimit.maxInputBN && mStableLimit.maxInputBN.lt(params.amountBN) ? mStableLimit.maxInputBN : params.amountBN;
+        if (mStableInputAmountBN.isZero()) continue;
+        var mStableLeg = { type: "mStable", inputAmountBN: mStableInputAmountBN, outputCurrencyCode, outputAmountBN: mStableLimit.outputAmountBN && mStableInputAmountBN.eq(params.amountBN) ? mStableLimit.outputAmountBN : DepositPlanner.getMStableOutputAmount(web3, params, outputCurrencyCode, mStableInputAmountBN) };
+
+        if (mStableInputAmountBN.eq(params.amountBN)) {
+          var plan = DepositPlanner.createPlan(web3, "mStable", params);
+          DepositPlanner.addToPlan(plan, mStableLeg);
+          plans.push(plan);
+          continue;
+        }
+
+        // Split with 0x for the rest
+        var remainingAmountBN = params.amountBN.sub(mStableInputAmountBN);
+
+        for (const zeroExOutputCurrencyCode of params.acceptedCurrencies) {
+          var zeroExLeg = DepositPlanner.getZeroExLeg(web3, params, zeroExOutputCurrencyCode, remainingAmountBN);
+          if (!zeroExLeg) continue;
+          var plan = DepositPlanner.createPlan(web3, "split", params);
+          DepositPlanner.addToPlan(plan, mStableLeg);
+          DepositPlanner.addToPlan(plan, zeroExLeg);
+          plans.push(plan);
+        }
+
+        // mStable alone up to its limit (in case 0x liquidity is insufficient)
+        var plan = DepositPlanner.createPlan(web3, "mStable", params);
+        DepositPlanner.addToPlan(plan, mStableLeg);
+        plans.push(plan);
+      }
+
+      // 0x alone
+      for (const outputCurrencyCode of params.acceptedCurrencies) {
+        var zeroExLeg = DepositPlanner.getZeroExLeg(web3, params, outputCurrencyCode, params.amountBN);
+        if (!zeroExLeg) continue;
+        var plan = DepositPlanner.createPlan(web3, "0x", params);
+        DepositPlanner.addToPlan(plan, zeroExLeg);
+        plans.push(plan);
+      }
+
+      // Sort plans from lowest to highest total cost (unfilled plans last)
+      for (const plan of plans) DepositPlanner.setPlanCost(params, plan);
+      plans.sort((a, b) => a.filled !== b.filled ? (a.filled ? -1 : 1) : (a.filled ? a.totalCost - b.totalCost : (b.inputFilledAmountBN.gt(a.inputFilledAmountBN) ? 1 : -1)));
+      return plans;
+    },
+
+    createPlan: function(web3, type, params) {
+      return {
+        type,
+        inputCurrencyCode: params.inputCurrencyCode,
+        inputAmountBN: params.amountBN,
+        inputFilledAmountBN: web3.utils.toBN(0),
+        legs: [],
+        totalProtocolFeeBN: web3.utils.toBN(0),
+        filled: false
+      };
+    },
+
+    addToPlan: function(plan, leg) {
+      plan.legs.push(leg);
+      plan.inputFilledAmountBN.iadd(leg.inputAmountBN);
+      if (leg.protocolFeeBN) plan.totalProtocolFeeBN.iadd(leg.protocolFeeBN);
+      plan.filled = plan.inputFilledAmountBN.gte(plan.inputAmountBN);
+    },
+
+    /**
+     * Returns the output amount of an mStable swap of `inputAmountBN` of the input currency to `outputCurrencyCode` (after the swap fee, unless minting mUSD).
+     */
+    getMStableOutputAmount: function(web3, params, outputCurrencyCode, inputAmountBN) {
+      var outputAmountBeforeFeesBN = inputAmountBN.mul(web3.utils.toBN(10 ** params.decimals[outputCurrencyCode])).div(web3.utils.toBN(10 ** params.decimals[params.inputCurrencyCode]));
+      if (outputCurrencyCode === "mUSD") return outputAmountBeforeFeesBN;
+      return outputAmountBeforeFeesBN.sub(outputAmountBeforeFeesBN.mul(params.mStableSwapFeeBN).div(web3.utils.toBN(1e18)));
+    },
+
+    /**
+     * Returns a 0x leg exchanging up to `inputAmountBN` to `outputCurrencyCode`, scaling down the full-amount quote proportionally (filling the best orders first can only do better), or null if there is no quote.
+     */
+    getZeroExLeg: function(web3, params, outputCurrencyCode, inputAmountBN) {
+      var zeroExQuote = params.zeroExQuotes[outputCurrencyCode];
+      if (!zeroExQuote || zeroExQuote.inputFillAmountBN.isZero()) return null;
+      var leg = { type: "0x", inputAmountBN: zeroExQuote.inputFillAmountBN, outputCurrencyCode, outputAmountBN: zeroExQuote.makerAssetFillAmountBN, orders: zeroExQuote.orders, signatures: zeroExQuote.signatures, takerAssetFillAmountBN: zeroExQuote.takerAssetFillAmountBN, protocolFeeBN: zeroExQuote.protocolFeeBN, gasPrice: zeroExQuote.gasPrice };
+
+      if (zeroExQuote.inputFillAmountBN.gt(inputAmountBN)) {
+        leg.inputAmountBN = inputAmountBN;
+        leg.outputAmountBN = zeroExQuote.makerAssetFillAmountBN.mul(inputAmountBN).div(zeroExQuote.inputFillAmountBN);
+        leg.takerAssetFillAmountBN = zeroExQuote.takerAssetFillAmountBN.mul(inputAmountBN).div(zeroExQuote.inputFillAmountBN);
+      }
+
+      return leg;
+    },
+
+    /**
+     * Sets the slippage and total cost (value of inputs minus value of outputs plus protocol fees in units of the input currency) of `plan`.
+     */
+    setPlanCost: function(params, plan) {
+      var inputAmount = parseFloat(plan.inputFilledAmountBN.toString()) / (10 ** params.decimals[params.inputCurrencyCode]);
+      var outputValue = 0;
+
+      for (const leg of plan.legs) {
+        var price = params.prices && params.prices[leg.outputCurrencyCode] !== undefined ? params.prices[leg.outputCurrencyCode] : 1;
+        outputValue += parseFloat(leg.outputAmountBN.toString()) / (10 ** params.decimals[leg.outputCurrencyCode]) * price;
+      }
+
+      plan.slippage = 1 - (outputValue / inputAmount);
+      plan.totalCost = inputAmount - outputValue + (parseFloat(plan.totalProtocolFeeBN.toString()) / 1e18 * (params.ethPrice ? params.ethPrice : 0));
+    }
+  };
+
+  return DepositPlanner;
+});
@@ -0,0 +1,149 @@
+// Rari Stable Pool interest fees
+// Reads interest fees generated and unclaimed by RariFundManager, projects future fees, builds the history of fee claims, and claims fees on behalf of the master beneficiary (as RSPT or in a chosen currency)
+// In Node.js: const RariFees = require("./src/js/sdk/fees"); in the browser, this file exposes the RariFees global (load after src/js/sdk/index.js)
+(function(root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./index"));
+  else root.RariFees = factory(root.RariSdk);
+})(typeof self !== "undefined" ? self : this, function(RariSdk) {
+  var Fees = {
+    // Extra proportion of unclaimed fees a currency's RariFundController balance must cover when withdrawing fees, since fees keep accruing until the transaction is mined (1%)
+    withdrawalBuffer: 0.01,
+
+    /**
+     * Returns the interest fee rate (scaled by 1e18), interest fees generated (USD scaled by 1e18; negative after losses), interest fees unclaimed, master beneficiary, and RariFundManager rebalancer (the only account allowed to claim fees).
+     * The master beneficiary and rebalancer are null if they cannot be read (i.e., if the deployed RariFundManager predates their getters).
+     */
+    getSummary: async function(web3, addresses) {
+      var fundManager = RariSdk.getContracts(web3, addresses).RariFundManager;
+      var summary = {
+        interestFeeRateBN: web3.utils.toBN(await fundManager.methods.getInterestFeeRate().call()),
+        interestFeesGeneratedBN: web3.utils.toBN(await fundManager.methods.getInterestFeesGenerated().call()),
+        interestFeesUnclaimedBN: web3.utils.toBN(await fundManager.methods.getInterestFeesUnclaimed().call()),
+        masterBeneficiary: null,
+        rebalancer: null
+      };
+
+      try {
+        summary.masterBeneficiary = await fundManager.methods.getInterestFeeMasterBeneficiary().call();
+      } catch (err) {
+        console.error("Failed to get interest fee master beneficiary:", err);
+      }
+
+      try {
+        summary.rebalancer = await fundManager.methods.getFundRebalancer().call();
+      } catch (err) {
+        console.error("Failed to get RariFundManager rebalancer:", err);
+      }
+
+      return summary;
+    },
+
+    /**
+     * Returns the interest fees (USD scaled by 1e18) projected to be generated per day, per 30 days, and per year by `fundBalanceUsdBN` (before fees) at `apyBN` (before fees, e.g. from RariSdk.getCurrentApy) and `interestFeeRateBN` (both scaled by 1e18).
+     * Assumes the APY and fund balance stay constant (and ignores compounding within the year).
+     */
+    getProjectedFees: function(web3, fundBalanceUsdBN, apyBN, interestFeeRateBN) {
+      var yearlyBN = fundBalanceUsdBN.mul(apyBN).div(web3.utils.toBN(1e18)).mul(interestFeeRateBN).div(web3.utils.toBN(1e18));
+      return { dailyBN: yearlyBN.divn(365), monthlyBN: yearlyBN.muln(30).divn(365), yearlyBN };
+    },
+
+    /**
+     * Returns InterestFeeDeposit and InterestFeeWithdrawal events of RariFundManager (newest first), each containing type ("deposit" or "withdrawal"), beneficiary, amountUsdBN, currencyCode and amountBN (withdrawals only), blockNumber, logIndex, transactionHash, and timestamp.
+     */
+    getHistory: async function(web3, addresses, fromBlock) {
+      var fundManager = RariSdk.getContracts(web3, addresses).RariFundManager;
+      var history = [];
+      var timestamps = {};
+
+      for (const eventName of ["InterestFeeDeposit", "InterestFeeWithdrawal"]) {
+        var events = await fundManager.getPastEvents(eventName, { fromBlock: fromBlock !== undefined ? fromBlock : 0, toBlock: "latest" });
+
+        for (const event of events) {
+          if (timestamps[event.blockNumber] === undefined) timestamps[event.blockNumber] = parseInt((await web3.eth.getBlock(event.blockNumber)).timestamp);
+          var entry = { type: eventName === "InterestFeeDeposit" ? "deposit" : "withdrawal", beneficiary: event.returnValues.beneficiary, amountUsdBN: web3.utils.toBN(event.returnValues.amountUsd), blockNumber: event.blockNumber, logIndex: event.logIndex, transactionHash: event.transactionHash, timestamp: timestamps[event.blockNumber] };
+          if (entry.type === "withdrawal") Object.assign(entry, { currencyCode: event.returnValues.currencyCode, amountBN: web3.utils.toBN(event.returnValues.amount) });
+          history.push(entry);
+        }
+      }
+
+      return history.sort((a, b) => a.blockNumber !== b.blockNumber ? b.blockNumber - a.blockNumber : b.logIndex - a.logIndex);
+    },
+
+    /**
+     * Returns the amount of each currency code in `currencyCodes` that withdrawing `amountUsdBN` of fees would transfer at `pricesInUsd` (mapped by currency code, scaled by 1e18) and that amount plus withdrawalBuffer (`requiredBN`), along with its balance held by RariFundController (`contractBalanceBNs`) and its raw fund balance (`rawFundBalanceBNs`).
+     * Each option's `sufficient` property is true if the RariFundController balance covers `requiredBN`; options are sorted with sufficient currencies first, then by USD value of the RariFundController balance (descending).
+     */
+    getWithdrawalOptions: function(web3, amountUsdBN, currencyCodes, pricesInUsd, contractBalanceBNs, rawFundBalanceBNs) {
+      var bufferBN = web3.utils.toBN(Math.round(Fees.withdrawalBuffer * 1e18));
+      var options = [];
+
+      for (const currencyCode of currencyCodes) {
+        var decimalsBN = web3.utils.toBN(10).pow(web3.utils.toBN(RariSdk.tokens[currencyCode].decimals));
+        var amountBN = amountUsdBN.mul(decimalsBN).div(pricesInUsd[currencyCode]);
+        var requiredBN = amountBN.add(amountBN.mul(bufferBN).div(web3.utils.toBN(1e18)));
+        options.push({ currencyCode, amountBN, requiredBN, contractBalanceBN: contractBalanceBNs[currencyCode], rawFundBalanceBN: rawFundBalanceBNs[currencyCode], contractBalanceUsdBN: contractBalanceBNs[currencyCode].mul(pricesInUsd[currencyCode]).div(decimalsBN), sufficient: contractBalanceBNs[currencyCode].gte(requiredBN) });
+      }
+
+      return options.sort((a, b) => a.sufficient !== b.sufficient ? (a.sufficient ? -1 : 1) : b.contractBalanceUsdBN.cmp(a.contractBalanceUsdBN));
+    },
+
+    /**
+     * Get the options for withdrawing all unclaimed fees (see getWithdrawalOptions) from the fund's current balances and prices.
+     */
+    getCurrentWithdrawalOptions: async function(web3, addresses) {
+      var contracts = RariSdk.getContracts(web3, addresses);
+      var amountUsdBN = web3.utils.toBN(await contracts.RariFundManager.methods.getInterestFeesUnclaimed().call());
+      var allBalances = await contracts.RariFundProxy.methods.getRawFundBalancesAndPrices().call();
+      RariSdk.setCurrencies(allBalances["0"], allBalances["2"]);
+      var currencyCodes = [];
+      var pricesInUsd = {};
+      var contractBalanceBNs = {};
+      var rawFundBalanceBNs = {};
+
+      for (var i = 0; i < allBalances["0"].length; i++) {
+        var currencyCode = allBalances["0"][i];
+        if (!RariSdk.currencies[currencyCode]) continue;
+        currencyCodes.push(currencyCode);
+        pricesInUsd[currencyCode] = web3.utils.toBN(allBalances["4"][i]);
+        contractBalanceBNs[currencyCode] = web3.utils.toBN(allBalances["1"][i]);
+        rawFundBalanceBNs[currencyCode] = contractBalanceBNs[currencyCode].clone();
+        for (var j = 0; j < allBalances["3"][i].length; j++) rawFundBalanceBNs[currencyCode].iadd(web3.utils.toBN(allBalances["3"][i][j]));
+      }
+
+      return Fees.getWithdrawalOptions(web3, amountUsdBN, currencyCodes, pricesInUsd, contractBalanceBNs, rawFundBalanceBNs);
+    },
+
+    /**
+     * Returns the currency code of the first sufficient option in `options` (from getWithdrawalOptions), or `preferredCurrencyCode` if specified and sufficient.
+     * Throws if no currency held by RariFundController covers the fees.
+     */
+    pickWithdrawalCurrency: function(options, preferredCurrencyCode) {
+      if (preferredCurrencyCode) {
+        var preferred = options.find(option => option.currencyCode === preferredCurrencyCode);
+        if (!preferred) throw new Error("Invalid currency code " + preferredCurrencyCode + ".");
+        if (preferred.sufficient) return preferredCurrencyCode;
+        throw new Error("RariFundController does not hold enough " + preferredCurrencyCode + " to withdraw the unclaimed fees" + (preferred.rawFundBalanceBN.gte(preferred.requiredBN) ? " (withdraw some from its pools first)." : "."));
+      }
+
+      if (options.length > 0 && options[0].sufficient) return options[0].currencyCode;
+      for (const option of options) if (option.rawFundBalanceBN.gte(option.requiredBN)) throw new Error("RariFundController does not hold enough of any currency to withdraw the unclaimed fees (withdraw some " + option.currencyCode + " from its pools first).");
+      throw new Error("The fund does not hold enough of any single currency to withdraw the unclaimed fees.");
+    },
+
+    /**
+     * Deposits all unclaimed fees back into the fund as RSPT minted to the master beneficiary (`from` must be the RariFundManager rebalancer).
+     */
+    depositFees: async function(web3, addresses, from) {
+      return await RariSdk.send(web3, RariSdk.getContracts(web3, addresses).RariFundManager.methods.depositFees(), { from }, { type: "fees", description: "Deposit interest fees as RSPT" });
+    },
+
+    /**
+     * Withdraws all unclaimed fees to the master beneficiary in `currencyCode` (`from` must be the RariFundManager rebalancer).
+     */
+    withdrawFees: async function(web3, addresses, from, currencyCode) {
+      return await RariSdk.send(web3, RariSdk.getContracts(web3, addresses).RariFundManager.methods.withdrawFees(currencyCode), { from }, { type: "fees", description: "Withdraw interest fees in " + currencyCode });
+    }
+  };
+
+  return Fees;
+});
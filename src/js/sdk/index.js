@@ -0,0 +1,1740 @@
+// Rari Stable Pool JavaScript SDK
+// Headless access to the Rari Stable Pool (fund balances, APY, 0x and mStable exchanges, deposits, withdrawals, and RSPT transfers) for use in the dApp, backend services, and scripts
+// In Node.js: const RariSdk = require("./src/js/sdk"); in the browser, this file exposes the RariSdk global (set RariSdk.abis before calling any function that uses contracts)
+(function(root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("https"), {
+    RariFundManager: require("../../abi/RariFundManager.json"),
+    RariFundProxy: require("../../abi/RariFundProxy.json"),
+    ERC20: require("../../abi/ERC20.json"),
+    MassetValidationHelper: require("../../abi/MassetValidationHelper.json"),
+    SoloMargin: require("../../abi/SoloMargin.json"),
+    CErc20: require("../../abi/CErc20.json"),
+    LendingPool: require("../../abi/LendingPool.json"),
+    SavingsContract: require("../../abi/SavingsContract.json"),
+    RariFundPriceConsumer: require("../../abi/RariFundPriceConsumer.json"),
+    RariFundController: require("../../abi/RariFundController.json"),
+    Masset: require("../../abi/Masset.json")
+  }, require("./deposit-planner"), require("./withdrawal-planner"), require("http"));
+  else root.RariSdk = factory(null, {}, root.RariDepositPlanner, root.RariWithdrawalPlanner, null);
+})(typeof self !== "undefined" ? self : this, function(https, abis, DepositPlanner, WithdrawalPlanner, http) {
+  var RariSdk = {
+    DepositPlanner: DepositPlanner,
+    WithdrawalPlanner: WithdrawalPlanner,
+    abis: abis,
+    networks: {
+      "1": {
+        name: "Ethereum Mainnet",
+        rpcUrl: "https://mainnet.infura.io/v3/c52a3970da0a47978bee0fe7988b67b6",
+        explorerUrl: "https://etherscan.io",
+        addresses: {
+          RariFundManager: "0xC6BF8C8A55f77686720E0a88e2Fd1fEEF58ddf4a",
+          RariFundProxy: "0xD4be7E211680e12c08bbE9054F0dA0D646c45228",
+          RariFundToken: "0x016bf078ABcaCB987f0589a6d3BEAdD4316922B0",
+          MassetValidationHelper: "0xabcc93c3be238884cc3309c19afd128fafc16911",
+          SoloMargin: "0x1E0447b19BB6EcFdAe1e4AE1694b0C3659614e4e",
+          LendingPool: "0x398eC7346DcD622eDc5ae82352F02bE94C62d119",
+          SavingsContract: "0xcf3F73290803Fc04425BEE135a4Caeb2BaB2C2A1"
+        },
+        tokens: {
+          "DAI": { decimals: 18, address: "0x6B175474E89094C44Da98b954EedeAC495271d0F", mStable: true, pools: [0, 1, 2], dydxMarketId: 3, cToken: "0x5d3a536E4D6DbD6114cc1Ead35777bAB948E3643" },
+          "USDC": { decimals: 6, address: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", mStable: true, pools: [0, 1, 2], dydxMarketId: 2, cToken: "0x39AA39c021dfbaE8faC545936693aC917d5E7563" },
+          "USDT": { decimals: 6, address: "0xdAC17F958D2ee523a2206206994597C13D831ec7", mStable: true, pools: [1, 2], cToken: "0xf650C3d88D12dB855b8bf7D11Be6C55A4e07dCC9" },
+          "TUSD": { decimals: 18, address: "0x0000000000085d4780B73119b644AE5ecd22b376", mStable: true, pools: [2] },
+          "BUSD": { decimals: 18, address: "0x4Fabb145d64652a948d72533023f6E7A623C7C53", pools: [2] },
+          "sUSD": { decimals: 18, address: "0x57Ab1ec28D129707052df4dF418D58a2D46d5f51", pools: [2] },
+          "mUSD": { decimals: 18, address: "0xe2f2a5C287993345a840Db3B0845fbC70f5935a5", mStable: true, pools: [3] }
+        }
+      }
+    },
+    // Liquidity pools (indexed by RariFundController.LiquidityPool)
+    pools: [
+      { id: "dydx", name: "dYdX", color: "blue" },
+      { id: "compound", name: "Compound", color: "red" },
+      { id: "aave", name: "Aave", color: "yellow" },
+      { id: "mstable", name: "mStable", color: "purple" }
+    ],
+    currencyColors: ["red", "orange", "yellow", "green", "blue", "purple", "grey"],
+    currencies: {},
+    chainId: 1,
+    addresses: null,
+    tokens: null,
+    supportedCurrencies: [],
+    mStableCurrencies: [],
+    // All currency codes supported by the fund in RariFundManager order (the order of RariFundPriceConsumer prices), including those missing from RariSdk.tokens
+    fundCurrencyCodes: [],
+    zeroExPrices: {},
+    usdPrices: {},
+    usdPricesLastUpdated: 0,
+    // Fall back to HTTP APIs (dYdX, Compound, The Graph) if APYs cannot be read from the protocol contracts
+    apyHttpFallback: true,
+    // Default maximum exchange slippage of deposits and withdrawals (0.5%)
+    defaultMaxSlippage: 0.005,
+    // Base URL of the 0x swap API used on networks without their own zeroExApiUrl (see RariSdk.addNetwork)
+    zeroExApiUrl: "https://api.0x.org",
+    transactionListeners: [],
+
+    /**
+     * Adds (or replaces) the configuration of the network with chain ID `chainId`.
+     * `network` contains name, rpcUrl, explorerUrl (optional), addresses (RariFundManager, RariFundProxy, RariFundToken, and MassetValidationHelper, plus the dYdX SoloMargin, Aave LendingPool, and mStable SavingsContract used for on-chain APYs), tokens (currency codes mapped to { decimals, address }, plus dydxMarketId and cToken if supported by dYdX and Compound), and zeroExApiUrl (optional; the base URL of the 0x swap API to use instead of RariSdk.zeroExApiUrl, e.g. a local stand-in started with npm run zeroex-server).
+     */
+    addNetwork: function(chainId, network) {
+      if (!network.addresses || !network.tokens) throw new Error("Network configuration must include addresses and tokens.");
+      RariSdk.networks[chainId] = network;
+    },
+
+    /**
+     * Adds (or replaces) the configurations in `networks` (chain IDs mapped to network configurations, as in networks.json; see addNetwork).
+     * If the configuration of the current network is replaced, it is selected again (see setNetwork) so RariSdk.addresses and RariSdk.tokens stay up to date.
+     */
+    addNetworks: function(networks) {
+      for (const chainId of Object.keys(networks)) RariSdk.addNetwork(chainId, networks[chainId]);
+      if (networks[RariSdk.chainId]) RariSdk.setNetwork(RariSdk.chainId);
+    },
+
+    /**
+     * Returns the configuration of the network with chain ID `chainId`, or null if not configured.
+     */
+    getNetwork: function(chainId) {
+      return RariSdk.networks[chainId] ? RariSdk.networks[chainId] : null;
+    },
+
+    /**
+     * Returns true if transactions can be sent on chain ID `chainId` (e.g., the chain ID of a wallet; null if unknown): the network is configured and, if `currentChainId` is specified, it is the network in use (the current network's deployments are not on other chains).
+     */
+    isSupportedChain: function(chainId, currentChainId) {
+      if (chainId === null || chainId === undefined || RariSdk.getNetwork(chainId) === null) return false;
+      return currentChainId === undefined || parseInt(chainId) === parseInt(currentChainId);
+    },
+
+    /**
+     * Returns the base URL of the 0x swap API for the current network (its zeroExApiUrl if configured, or RariSdk.zeroExApiUrl).
+     */
+    get0xApiUrl: function() {
+      var network = RariSdk.getNetwork(RariSdk.chainId);
+      return network !== null && network.zeroExApiUrl ? network.zeroExApiUrl : RariSdk.zeroExApiUrl;
+    },
+
+    /**
+     * Sets RariSdk.chainId, RariSdk.addresses (the default addresses used by all functions), and RariSdk.tokens to those of the network with chain ID `chainId`.
+     * Throws if the network is not configured.
+     */
+    setNetwork: function(chainId) {
+      var network = RariSdk.getNetwork(chainId);
+      if (network === null) throw new Error("Chain ID " + chainId + " is not configured.");
+      RariSdk.chainId = parseInt(chainId);
+      RariSdk.addresses = network.addresses;
+      RariSdk.tokens = Object.assign({}, network.tokens);
+      RariSdk.zeroExPrices = {};
+
+      // Default to the supported currencies and pools in the network configuration until loaded from RariFundProxy
+      var currencyCodes = [];
+      var poolsByCurrency = [];
+
+      for (const currencyCode of Object.keys(network.tokens)) if (network.tokens[currencyCode].pools) {
+        currencyCodes.push(currencyCode);
+        poolsByCurrency.push(network.tokens[currencyCode].pools);
+      }
+
+      RariSdk.setCurrencies(currencyCodes, poolsByCurrency);
+    },
+
+    /**
+     * Sets the currency registry (RariSdk.currencies, RariSdk.supportedCurrencies, and RariSdk.mStableCurrencies) from an array of supported currency codes and a corresponding array of arrays of pool indexes (see RariSdk.pools).
+     * Addresses, decimals, and mStable eligibility come from RariSdk.tokens; currencies missing from RariSdk.tokens are skipped.
+     * RariSdk.supportedCurrencies, RariSdk.mStableCurrencies, and RariSdk.fundCurrencyCodes are modified in place so that references to them stay up to date.
+     */
+    setCurrencies: function(currencyCodes, poolsByCurrency) {
+      var currencies = {};
+      var supportedCurrencies = [];
+      var mStableCurrencies = [];
+
+      for (var i = 0; i < currencyCodes.length; i++) {
+        var currencyCode = currencyCodes[i];
+
+        if (!RariSdk.tokens[currencyCode]) {
+          console.error("Currency " + currencyCode + " is supported by the fund but missing from the network configuration.");
+          continue;
+        }
+
+        currencies[currencyCode] = {
+          code: currencyCode,
+          address: RariSdk.tokens[currencyCode].address,
+          decimals: RariSdk.tokens[currencyCode].decimals,
+          mStable: RariSdk.tokens[currencyCode].mStable ? true : false,
+          pools: poolsByCurrency[i].map(pool => parseInt(pool)),
+          color: RariSdk.tokens[currencyCode].color ? RariSdk.tokens[currencyCode].color : RariSdk.currencyColors[supportedCurrencies.length % RariSdk.currencyColors.length]
+        };
+
+        supportedCurrencies.push(currencyCode);
+        if (currencies[currencyCode].mStable) mStableCurrencies.push(currencyCode);
+      }
+
+      RariSdk.currencies = currencies;
+      RariSdk.supportedCurrencies.splice(0, RariSdk.supportedCurrencies.length, ...supportedCurrencies);
+      RariSdk.mStableCurrencies.splice(0, RariSdk.mStableCurrencies.length, ...mStableCurrencies);
+      RariSdk.fundCurrencyCodes.splice(0, RariSdk.fundCurrencyCodes.length, ...currencyCodes);
+    },
+
+    /**
+     * Loads the currency registry from RariFundProxy.getRawFundBalancesAndPrices (see setCurrencies) and returns RariSdk.currencies.
+     */
+    loadCurrencies: async function(web3, addresses) {
+      var allBalances = await RariSdk.getContracts(web3, addresses).RariFundProxy.methods.getRawFundBalancesAndPrices().call();
+      RariSdk.setCurrencies(allBalances["0"], allBalances["2"]);
+      return RariSdk.currencies;
+    },
+
+    /**
+     * Returns the currency codes supported by the pool at index `pool` (see RariSdk.pools).
+     */
+    getPoolCurrencies: function(pool) {
+      return RariSdk.supportedCurrencies.filter(currencyCode => RariSdk.currencies[currencyCode].pools.indexOf(pool) >= 0);
+    },
+
+    /**
+     * GET (or POST if body is specified) JSON from a URL using fetch (browser) or http/https (Node.js).
+     */
+    getJson: function(url, body) {
+      if (typeof fetch === "function") return fetch(url, body !== undefined ? { method: "POST", body: JSON.stringify(body), headers: { "Content-Type": "application/json" } } : undefined).then(function(response) {
+        return response.json();
+      });
+
+      return new Promise((resolve, reject) => {
+        var request = (url.indexOf("http://") === 0 ? http : https).request(url, body !== undefined ? { method: "POST", headers: { "Content-Type": "application/json" } } : { method: "GET" }, (resp) => {
+          let data = '';
+
+          // A chunk of data has been recieved
+          resp.on('data', (chunk) => {
+            data += chunk;
+          });
+
+          // The whole response has been received
+          resp.on('end', () => {
+            try {
+              resolve(JSON.parse(data));
+            } catch (err) {
+              reject(err);
+            }
+          });
+        }).on("error", reject);
+
+        if (body !== undefined) request.write(JSON.stringify(body));
+        request.end();
+      });
+    },
+
+    /**
+     * Returns a web3.js contract for the contract named `name` (using the ABIs in RariSdk.abis) at `address`.
+     */
+    getContract: function(web3, name, address) {
+      if (!RariSdk.abis[name]) throw new Error("ABI for " + name + " has not been loaded.");
+      return new web3.eth.Contract(RariSdk.abis[name], address);
+    },
+
+    /**
+     * Returns web3.js contracts for RariFundManager, RariFundProxy, RariFundToken, and MassetValidationHelper at `addresses` (defaults to the deployments on the current network; see setNetwork).
+     */
+    getContracts: function(web3, addresses) {
+      addresses = addresses || RariSdk.addresses;
+
+      return {
+        RariFundManager: RariSdk.getContract(web3, "RariFundManager", addresses.RariFundManager),
+        RariFundProxy: RariSdk.getContract(web3, "RariFundProxy", addresses.RariFundProxy),
+        RariFundToken: RariSdk.getContract(web3, "ERC20", addresses.RariFundToken),
+        MassetValidationHelper: RariSdk.getContract(web3, "MassetValidationHelper", addresses.MassetValidationHelper)
+      };
+    },
+
+    /**
+     * Returns a web3.js contract for the RariFundController used by RariFundManager at `addresses` (read from RariFundManager.rariFundController).
+     */
+    getFundController: async function(web3, addresses) {
+      return RariSdk.getContract(web3, "RariFundController", await RariSdk.getContracts(web3, addresses).RariFundManager.methods.rariFundController().call());
+    },
+
+    /**
+     * Returns the latest past event of `contract` (a web3.js contract) named in `eventNames`, or null if none was emitted.
+     * RariFundController and RariFundProxy cannot be upgraded to add getters, so their settings are read from the events emitted by their setters.
+     */
+    getLatestEvent: async function(contract, eventNames) {
+      var events = (await contract.getPastEvents("allEvents", { fromBlock: 0, toBlock: "latest" })).filter(event => eventNames.indexOf(event.event) >= 0);
+      if (events.length <= 0) return null;
+      return events.reduce((latest, event) => event.blockNumber > latest.blockNumber || (event.blockNumber === latest.blockNumber && event.logIndex > latest.logIndex) ? event : latest);
+    },
+
+    /**
+     * Adds `listener`, called with { hash, from, nonce, submittedBlockNumber, type, description } as soon as each transaction sent by the SDK is submitted (before it is mined).
+     * `type` is "approval", "deposit", "withdrawal", or "transfer".
+     */
+    onTransaction: function(listener) {
+      RariSdk.transactionListeners.push(listener);
+    },
+
+    // Friendly messages for known revert reasons (keyed by revert reason)
+    revertMessages: {
+      "Making this deposit would cause the balance of this account to exceed the maximum.": "This deposit would bring your balance above the maximum allowed per account. Please try a smaller amount.",
+      "This fund manager contract is disabled. This may be due to an upgrade.": "Deposits and withdrawals are temporarily disabled (the fund may be upgrading). Please try again later.",
+      "This currency is not currently accepted; please convert your funds to an accepted currency before depositing.": "This currency is not currently accepted for direct deposits. Please deposit an accepted currency or exchange your funds first.",
+      "Invalid currency code.": "This currency is not supported by the fund.",
+      "Deposit amount is so small that no RFT would be minted.": "This deposit is too small. Please try a larger amount.",
+      "Withdrawal amount is so small that no RFT would be burned.": "This withdrawal is too small. Please try a larger amount.",
+      "Your RFT balance is too low for a withdrawal of this amount.": "Your balance is too low to withdraw this amount. Please try a smaller amount.",
+      "Available balance not enough to cover amount even after withdrawing from pools.": "The fund does not hold enough of this currency to withdraw this amount. Please try a smaller amount or another currency.",
+      "Fund manager contract not set. This may be due to an upgrade of this proxy contract.": "Exchanges are temporarily unavailable (the fund may be upgrading). Please try again later.",
+      "No 0x orders supplied and exchange not supported via mStable for at least one currency pair.": "This exchange route is no longer available. Please try again.",
+      "Redeemed mUSD amount not equal to input mUSD amount.": "mStable can no longer redeem this amount of mUSD. Please try a smaller amount or try again later.",
+      "ERC20: transfer amount exceeds balance": "Your token balance is too low for this amount.",
+      "ERC20: transfer amount exceeds allowance": "Your token approval is too low for this amount. Please approve the tokens and try again.",
+      "Dai/insufficient-balance": "Your DAI balance is too low for this amount.",
+      "Dai/insufficient-allowance": "Your DAI approval is too low for this amount. Please approve DAI and try again.",
+      "ERC20: burn amount exceeds balance": "Your RSPT balance is too low for this amount.",
+      "ERC20: burn amount exceeds allowance": "RariFundManager is not approved to burn your RSPT. Please approve RSPT and try again.",
+      "ERC20: transfer to the zero address": "You cannot transfer to the zero address.",
+      "No new fees are available to claim.": "There are no unclaimed interest fees to claim yet.",
+      "Master beneficiary cannot be the zero address.": "The interest fee master beneficiary has not been set."
+    },
+
+    /**
+     * Returns the revert reason of `err` (thrown by a web3.js call or send), an empty string if reverted without a reason, or null if `err` is not a revert.
+     * Supports Geth/Infura ("execution reverted: reason" with ABI-encoded Error(string) data) and Ganache ("VM Exception while processing transaction: revert reason") errors.
+     */
+    getRevertReason: function(web3, err) {
+      if (!err) return null;
+      var data = err.data;
+
+      if (data && typeof data === "object") {
+        if (typeof data.data === "string") data = data.data;
+        else for (const key of Object.keys(data)) if (data[key] && data[key].reason !== undefined) return data[key].reason;
+      }
+
+      if (typeof data === "string" && data.substring(0, 10) === "0x08c379a0") return web3.eth.abi.decodeParameter("string", "0x" + data.substring(10));
+      var message = err.message ? err.message : String(err);
+      var match = message.match(/(?:execution reverted|VM Exception while processing transaction: revert)(?::? ([^\n{]*))?/);
+      if (match) return match[1] ? match[1].trim() : "";
+      if (message.indexOf("VM Exception while processing transaction: invalid opcode") >= 0) return "";
+      return null;
+    },
+
+    /**
+     * Returns a message for users explaining a transaction that would revert with `reason` (see revertMessages).
+     */
+    getRevertMessage: function(reason) {
+      if (RariSdk.revertMessages[reason]) return RariSdk.revertMessages[reason];
+      return reason ? "This transaction would fail: " + reason : "This transaction would fail. Please check your balance and approvals and try again.";
+    },
+
+    /**
+     * Simulates the web3.js contract method call `method` with `options` via eth_call.
+     * Throws an error with a message for users (see getRevertMessage) and revertReason set if it would revert; other errors (e.g., network errors) are logged but not thrown.
+     */
+    simulate: async function(web3, method, options) {
+      try {
+        await method.call(options);
+      } catch (err) {
+        var reason = RariSdk.getRevertReason(web3, err);
+        if (reason === null) return console.error("Failed to simulate transaction:", err);
+        var error = new Error(RariSdk.getRevertMessage(reason));
+        error.revertReason = reason;
+        throw error;
+      }
+    },
+
+    /**
+     * Simulates (see simulate) and then sends the web3.js contract method call `method` with `options`, notifying transaction listeners (see onTransaction) of its hash, sender, nonce, and submission block number with `info` ({ type, description }).
+     * The nonce is `options.nonce` if set or the sender's pending transaction count (null if it cannot be retrieved).
+     * Returns the receipt.
+     */
+    send: async function(web3, method, options, info) {
+      await RariSdk.simulate(web3, method, options);
+
+      // Get the nonce before sending so the transaction can be tracked even if the node drops it (e.g., when replaced in the wallet)
+      var nonce = null;
+      var submittedBlockNumber = null;
+
+      try {
+        nonce = options.nonce !== undefined ? parseInt(options.nonce) : await web3.eth.getTransactionCount(options.from, "pending");
+        submittedBlockNumber = await web3.eth.getBlockNumber();
+      } catch (err) {
+        console.error("Failed to get nonce for transaction tracking:", err);
+      }
+
+      return await method.send(options).on("transactionHash", function(hash) {
+        for (const listener of RariSdk.transactionListeners) {
+          try {
+            listener(Object.assign({ hash, from: options.from, nonce, submittedBlockNumber }, info));
+          } catch (err) {
+            console.error("Transaction listener failed:", err);
+          }
+        }
+      });
+    },
+
+    /**
+     * Returns the tokens listed by the 0x swap API (sorted by symbol).
+     */
+    get0xTokens: async function() {
+      var decoded = await RariSdk.getJson(RariSdk.get0xApiUrl() + '/swap/v0/tokens');
+      if (!decoded || !decoded.records) throw new Error("Failed to decode tokens from 0x swap API");
+      decoded.records.sort((a, b) => a.symbol > b.symbol ? 1 : -1);
+      return decoded.records;
+    },
+
+    /**
+     * Get the total balance of the stablecoin fund in USD (scaled by 1e18).
+     */
+    getFundBalance: async function(web3, addresses) {
+      return web3.utils.toBN(await RariSdk.getContracts(web3, addresses).RariFundManager.methods.getFundBalance().call());
+    },
+
+    /**
+     * Get the account balance of `account` in the stablecoin fund in USD (scaled by 1e18).
+     */
+    getAccountBalance: async function(web3, addresses, account) {
+      return web3.utils.toBN(await RariSdk.getContracts(web3, addresses).RariFundManager.methods.balanceOf(account).call());
+    },
+
+    /**
+     * Get the RSPT balance of `account`.
+     */
+    getRsptBalance: async function(web3, addresses, account) {
+      return web3.utils.toBN(await RariSdk.getContracts(web3, addresses).RariFundToken.methods.balanceOf(account).call());
+    },
+
+    /**
+     * Get the account balance limit of `account` in USD (scaled by 1e18) enforced by RariFundManager on deposits, along with the account's current balance and the amount it can still deposit.
+     * Returns { limitUsdBN, balanceUsdBN, remainingUsdBN }; limitUsdBN and remainingUsdBN are null if `account` is exempt from the limit (the owner of RariFundManager or its interest fee master beneficiary).
+     */
+    getAccountBalanceLimit: async function(web3, addresses, account) {
+      var fundManager = RariSdk.getContracts(web3, addresses).RariFundManager;
+      var balanceUsdBN = web3.utils.toBN(await fundManager.methods.balanceOf(account).call());
+      var exemptAccounts = [await fundManager.methods.owner().call()];
+
+      // The deployed RariFundManager predates getInterestFeeMasterBeneficiary, so the call fails (and only the owner is exempt) until it is upgraded
+      try {
+        exemptAccounts.push(await fundManager.methods.getInterestFeeMasterBeneficiary().call());
+      } catch (err) { }
+
+      for (const exemptAccount of exemptAccounts) if (exemptAccount.toLowerCase() === account.toLowerCase()) return { limitUsdBN: null, balanceUsdBN, remainingUsdBN: null };
+      var limitUsdBN = web3.utils.toBN(await fundManager.methods.getAccountBalanceLimit(account).call());
+      return { limitUsdBN, balanceUsdBN, remainingUsdBN: limitUsdBN.gt(balanceUsdBN) ? limitUsdBN.sub(balanceUsdBN) : web3.utils.toBN(0) };
+    },
+
+    /**
+     * Get the Chainlink prices in USD (scaled by 1e18) used by RariFundManager for each currency supported by the fund (mapped by currency code) from RariFundPriceConsumer.getCurrencyPricesInUsd.
+     */
+    getCurrencyPricesInUsd: async function(web3, addresses) {
+      var fundManager = RariSdk.getContracts(web3, addresses).RariFundManager;
+      var priceConsumer = RariSdk.getContract(web3, "RariFundPriceConsumer", await fundManager.methods.rariFundPriceConsumer().call());
+      var prices = await priceConsumer.methods.getCurrencyPricesInUsd().call();
+      var pricesInUsd = {};
+      for (var i = 0; i < prices.length && i < RariSdk.fundCurrencyCodes.length; i++) pricesInUsd[RariSdk.fundCurrencyCodes[i]] = web3.utils.toBN(prices[i]);
+      return pricesInUsd;
+    },
+
+    /**
+     * Returns the USD value (scaled by 1e18) of `amountBN` of `currencyCode` at `pricesInUsd` (from getCurrencyPricesInUsd), or null if the price of `currencyCode` is unknown.
+     */
+    getAmountUsdBN: function(web3, currencyCode, amountBN, pricesInUsd) {
+      if (!pricesInUsd[currencyCode] || !RariSdk.tokens[currencyCode]) return null;
+      return amountBN.mul(pricesInUsd[currencyCode]).div(web3.utils.toBN(10).pow(web3.utils.toBN(RariSdk.tokens[currencyCode].decimals)));
+    },
+
+    /**
+     * Returns the USD value (scaled by 1e18) at `pricesInUsd` (from getCurrencyPricesInUsd) of the currencies deposited to the fund by a deposit via `route` (from getDepositRoute), as checked against the account balance limit by RariFundManager.
+     */
+    getDepositAmountUsdBN: function(web3, route, pricesInUsd) {
+      var amountUsdBN = web3.utils.toBN(0);
+
+      for (const leg of route.legs) {
+        var legAmountUsdBN = RariSdk.getAmountUsdBN(web3, leg.outputCurrencyCode, leg.outputAmountBN, pricesInUsd);
+        if (legAmountUsdBN === null) throw new Error("No price found for " + leg.outputCurrencyCode + ".");
+        amountUsdBN.iadd(legAmountUsdBN);
+      }
+
+      return amountUsdBN;
+    },
+
+    /**
+     * Throws if depositing `amountUsdBN` (in USD scaled by 1e18) would exceed the account balance limit `accountBalanceLimit` (from getAccountBalanceLimit).
+     * If `recipient` is specified, the error refers to the balance of `recipient` rather than the user's own.
+     */
+    checkAccountBalanceLimit: function(web3, accountBalanceLimit, amountUsdBN, recipient) {
+      if (accountBalanceLimit.remainingUsdBN === null || amountUsdBN.lte(accountBalanceLimit.remainingUsdBN)) return;
+      var formatUsd = amountUsdBN => (parseFloat(amountUsdBN.toString()) / 1e18).toFixed(2);
+      if (recipient) throw new Error("This deposit of $" + formatUsd(amountUsdBN) + " would bring the balance of " + recipient + " above its account balance limit of $" + formatUsd(accountBalanceLimit.limitUsdBN) + ". You can deposit up to $" + formatUsd(accountBalanceLimit.remainingUsdBN) + " more to it.");
+      throw new Error("This deposit of $" + formatUsd(amountUsdBN) + " would bring your balance above your account balance limit of $" + formatUsd(accountBalanceLimit.limitUsdBN) + ". You can deposit up to $" + formatUsd(accountBalanceLimit.remainingUsdBN) + " more.");
+    },
+
+    /**
+     * Returns `recipient` (an address to deposit to on behalf of another account) as a checksummed address.
+     * Throws if it is not an address, if it is mixed-case with an invalid checksum, or if it is the zero address.
+     */
+    checkDepositRecipient: function(web3, recipient) {
+      recipient = typeof recipient === "string" ? recipient.trim() : "";
+      if (!/^0x[0-9a-fA-F]{40}$/.test(recipient)) throw new Error("Invalid recipient address.");
+      if (recipient !== recipient.toLowerCase() && recipient.substring(2) !== recipient.substring(2).toUpperCase() && !web3.utils.checkAddressChecksum(recipient)) throw new Error("Invalid recipient address checksum. Please check the address for typos.");
+      if (/^0x0{40}$/.test(recipient)) throw new Error("You cannot deposit to the zero address.");
+      return web3.utils.toChecksumAddress(recipient);
+    },
+
+    /**
+     * Get the currency codes currently accepted for direct deposits.
+     */
+    getAcceptedCurrencies: async function(web3, addresses) {
+      return await RariSdk.getContracts(web3, addresses).RariFundManager.methods.getAcceptedCurrencies().call();
+    },
+
+    /**
+     * Get the raw balance of `currencyCode` held by the fund (in the currency's smallest unit).
+     */
+    getRawFundBalance: async function(web3, addresses, currencyCode) {
+      return web3.utils.toBN(await RariSdk.getContracts(web3, addresses).RariFundManager.methods["getRawFundBalance(string)"](currencyCode).call());
+    },
+
+    /**
+     * Get the current APY of the fund (before fees) along with allocations by currency and pool (all in USD scaled by 1e18) and Chainlink prices in USD.
+     * If the fund balance is zero, apyBN is the highest APY among all pools.
+     */
+    getCurrentApy: async function(web3, addresses) {
+      var factors = [];
+      var totalBalanceUsdBN = web3.utils.toBN(0);
+      var allBalances = await RariSdk.getContracts(web3, addresses).RariFundProxy.methods.getRawFundBalancesAndPrices().call();
+      RariSdk.setCurrencies(allBalances["0"], allBalances["2"]);
+
+      // Get APYs of each currency at each pool
+      var poolApyBNs = await RariSdk.getPoolApyBNs(web3, addresses);
+
+      var allocationsByPool = {};
+      for (var i = 0; i < RariSdk.pools.length; i++) allocationsByPool[i] = web3.utils.toBN(0);
+      var allocationsByCurrency = {};
+      for (const currencyCode of RariSdk.supportedCurrencies) allocationsByCurrency[currencyCode] = web3.utils.toBN(0);
+      var pricesInUsd = {};
+
+      for (var i = 0; i < allBalances["0"].length; i++) {
+        var currencyCode = allBalances["0"][i];
+        if (!RariSdk.currencies[currencyCode]) continue;
+        var priceInUsdBN = web3.utils.toBN(allBalances["4"][i]);
+        pricesInUsd[currencyCode] = priceInUsdBN;
+        var contractBalanceBN = web3.utils.toBN(allBalances["1"][i]);
+        var contractBalanceUsdBN = contractBalanceBN.mul(priceInUsdBN).div(web3.utils.toBN(10 ** RariSdk.tokens[currencyCode].decimals));
+        factors.push([contractBalanceUsdBN, web3.utils.toBN(0)]);
+        totalBalanceUsdBN = totalBalanceUsdBN.add(contractBalanceUsdBN);
+        allocationsByCurrency[currencyCode] = contractBalanceUsdBN;
+        var pools = allBalances["2"][i];
+        var poolBalances = allBalances["3"][i];
+
+        for (var j = 0; j < pools.length; j++) {
+          var pool = parseInt(pools[j]);
+          var poolBalanceBN = web3.utils.toBN(poolBalances[j]);
+          var poolBalanceUsdBN = poolBalanceBN.mul(priceInUsdBN).div(web3.utils.toBN(10 ** RariSdk.tokens[currencyCode].decimals));
+          var apyBN = RariSdk.pools[pool] && poolApyBNs[RariSdk.pools[pool].id][currencyCode] ? poolApyBNs[RariSdk.pools[pool].id][currencyCode] : web3.utils.toBN(0);
+          if (allocationsByPool[pool] === undefined) allocationsByPool[pool] = web3.utils.toBN(0);
+          factors.push([poolBalanceUsdBN, apyBN]);
+          totalBalanceUsdBN = totalBalanceUsdBN.add(poolBalanceUsdBN);
+          allocationsByCurrency[currencyCode].iadd(poolBalanceUsdBN);
+          allocationsByPool[pool].iadd(poolBalanceUsdBN);
+        }
+      }
+
+      var apyBN = web3.utils.toBN(0);
+
+      if (totalBalanceUsdBN.isZero()) {
+        for (var i = 0; i < factors.length; i++) if (factors[i][1].gt(apyBN)) apyBN = factors[i][1];
+      } else {
+        for (var i = 0; i < factors.length; i++) apyBN.iadd(factors[i][0].mul(factors[i][1]).div(totalBalanceUsdBN));
+      }
+
+      return { apyBN, totalBalanceUsdBN, allocationsByCurrency, allocationsByPool, pricesInUsd };
+    },
+
+    /**
+     * Get the current APY (scaled by 1e18) of each currency at each pool, mapped by pool ID (see RariSdk.pools) and then by currency code (Compound APYs include COMP).
+     */
+    getPoolApyBNs: async function(web3, addresses) {
+      var compoundApyBNs = await RariSdk.getCompoundApyBNs(web3, addresses);
+      var poolApyBNs = { dydx: await RariSdk.getDydxApyBNs(web3, addresses), compound: {}, aave: await RariSdk.getAaveApyBNs(web3, addresses), mstable: await RariSdk.getMStableApyBNs(web3, addresses) };
+      for (const currencyCode of Object.keys(compoundApyBNs)) poolApyBNs.compound[currencyCode] = compoundApyBNs[currencyCode][0].add(compoundApyBNs[currencyCode][1]);
+      return poolApyBNs;
+    },
+
+    /**
+     * Returns the result of `getFromContracts()`, falling back to the result of `getFromApi()` if reading from contracts fails and RariSdk.apyHttpFallback is set.
+     */
+    getApyBNsWithFallback: async function(name, getFromContracts, getFromApi) {
+      try {
+        return await getFromContracts();
+      } catch (err) {
+        if (!RariSdk.apyHttpFallback) throw err;
+        console.error("Failed to get " + name + " APYs from contracts, falling back to HTTP API:", err);
+        return await getFromApi();
+      }
+    },
+
+    /**
+     * Get the supply APR (scaled by 1e18) of each currency supported by dYdX from SoloMargin (falling back to the dYdX API).
+     */
+    getDydxApyBNs: async function(web3, addresses) {
+      return await RariSdk.getApyBNsWithFallback("dYdX", () => RariSdk.getDydxApyBNsFromContracts(web3, addresses), () => RariSdk.getDydxApyBNsFromApi(web3));
+    },
+
+    getDydxApyBNsFromContracts: async function(web3, addresses) {
+      addresses = addresses || RariSdk.addresses;
+      var soloMargin = RariSdk.getContract(web3, "SoloMargin", addresses.SoloMargin);
+      var earningsRate = await soloMargin.methods.getEarningsRate().call();
+      var apyBNs = {};
+
+      for (const currencyCode of RariSdk.getPoolCurrencies(0)) {
+        var marketId = RariSdk.tokens[currencyCode].dydxMarketId;
+        if (marketId === undefined) throw new Error("dYdX market ID of " + currencyCode + " is not configured.");
+        var [totalPar, index, interestRate] = await Promise.all([
+          soloMargin.methods.getMarketTotalPar(marketId).call(),
+          soloMargin.methods.getMarketCurrentIndex(marketId).call(),
+          soloMargin.methods.getMarketInterestRate(marketId).call()
+        ]);
+        apyBNs[currencyCode] = RariSdk.getDydxSupplyApyBN(web3, totalPar, index, interestRate, earningsRate);
+      }
+
+      return apyBNs;
+    },
+
+    /**
+     * Returns the dYdX supply APR (scaled by 1e18) of a market given the outputs of SoloMargin.getMarketTotalPar, getMarketCurrentIndex, getMarketInterestRate, and getEarningsRate.
+     * Based on the supply interest rate in Interest.sol of dYdX Solo: borrow rate per second * earnings rate * borrowed wei / supplied wei.
+     */
+    getDydxSupplyApyBN: function(web3, totalPar, index, interestRate, earningsRate) {
+      var borrowWeiBN = web3.utils.toBN(totalPar.borrow).mul(web3.utils.toBN(index.borrow)).div(web3.utils.toBN(1e18));
+      var supplyWeiBN = web3.utils.toBN(totalPar.supply).mul(web3.utils.toBN(index.supply)).div(web3.utils.toBN(1e18));
+      if (supplyWeiBN.isZero()) return web3.utils.toBN(0);
+      var supplyRatePerSecondBN = web3.utils.toBN(interestRate.value).mul(web3.utils.toBN(earningsRate.value)).div(web3.utils.toBN(1e18)).mul(borrowWeiBN).div(supplyWeiBN);
+      return supplyRatePerSecondBN.mul(web3.utils.toBN(365 * 24 * 60 * 60));
+    },
+
+    getDydxApyBNsFromApi: async function(web3) {
+      const data = await RariSdk.getJson("https://api.dydx.exchange/v1/markets");
+      var apyBNs = {};
+
+      for (var i = 0; i < data.markets.length; i++)
+        if (RariSdk.getPoolCurrencies(0).indexOf(data.markets[i].symbol) >= 0)
+          apyBNs[data.markets[i].symbol] = web3.utils.toBN(Math.trunc(parseFloat(data.markets[i].totalSupplyAPR) * 1e18));
+
+      return apyBNs;
+    },
+
+    /**
+     * Get the supply APY and COMP APY (both scaled by 1e18) of each currency supported by Compound.
+     * Supply APYs are read from cToken contracts (falling back to the Compound API); COMP APYs require the Compound API and prices from CoinGecko and default to zero if unavailable.
+     */
+    getCompoundApyBNs: async function(web3, addresses) {
+      return await RariSdk.getApyBNsWithFallback("Compound", async function() {
+        var supplyApyBNs = await RariSdk.getCompoundApyBNsFromContracts(web3);
+        var compApyBNs = {};
+        var apyBNs = {};
+
+        try {
+          compApyBNs = await RariSdk.getCompoundApyBNsFromApi(web3);
+        } catch (err) {
+          console.error("Failed to get COMP APYs from the Compound API:", err);
+        }
+
+        for (const currencyCode of Object.keys(supplyApyBNs)) apyBNs[currencyCode] = [supplyApyBNs[currencyCode], compApyBNs[currencyCode] ? compApyBNs[currencyCode][1] : web3.utils.toBN(0)];
+        return apyBNs;
+      }, () => RariSdk.getCompoundApyBNsFromApi(web3));
+    },
+
+    getCompoundApyBNsFromContracts: async function(web3) {
+      var apyBNs = {};
+
+      for (const currencyCode of RariSdk.getPoolCurrencies(1)) {
+        if (!RariSdk.tokens[currencyCode].cToken) throw new Error("Compound cToken of " + currencyCode + " is not configured.");
+        var supplyRatePerBlock = await RariSdk.getContract(web3, "CErc20", RariSdk.tokens[currencyCode].cToken).methods.supplyRatePerBlock().call();
+        apyBNs[currencyCode] = RariSdk.getCompoundSupplyApyBN(web3, supplyRatePerBlock);
+      }
+
+      return apyBNs;
+    },
+
+    /**
+     * Returns the Compound supply APY (scaled by 1e18) given the output of CErc20.supplyRatePerBlock, compounding daily (see https://compound.finance/docs#protocol-math).
+     */
+    getCompoundSupplyApyBN: function(web3, supplyRatePerBlock) {
+      const BLOCKS_PER_DAY = 6570; // 13.15 seconds per block
+      var supplyApy = ((parseFloat(supplyRatePerBlock) / 1e18 * BLOCKS_PER_DAY + 1) ** 365) - 1;
+      return web3.utils.toBN(Math.trunc(supplyApy * 1e18));
+    },
+
+    getCompoundApyBNsFromApi: async function(web3) {
+      const data = await RariSdk.getJson("https://api.compound.finance/api/v2/ctoken");
+      var apyBNs = {};
+
+      for (var i = 0; i < data.cToken.length; i++) {
+        if (RariSdk.getPoolCurrencies(1).indexOf(data.cToken[i].underlying_symbol) >= 0) {
+          var supplyApy = web3.utils.toBN(Math.trunc(parseFloat(data.cToken[i].supply_rate.value) * 1e18));
+          var compApy = web3.utils.toBN(Math.trunc((await RariSdk.getApyFromComp(data.cToken[i].underlying_symbol, data.cToken)) * 1e18));
+          apyBNs[data.cToken[i].underlying_symbol] = [supplyApy, compApy];
+        }
+      }
+
+      return apyBNs;
+    },
+
+    /**
+     * Get the supply APY (scaled by 1e18) of each currency supported by Aave from LendingPool.getReserveData (falling back to The Graph).
+     */
+    getAaveApyBNs: async function(web3, addresses) {
+      return await RariSdk.getApyBNsWithFallback("Aave", () => RariSdk.getAaveApyBNsFromContracts(web3, addresses), () => RariSdk.getAaveApyBNsFromApi(web3));
+    },
+
+    getAaveApyBNsFromContracts: async function(web3, addresses) {
+      addresses = addresses || RariSdk.addresses;
+      var lendingPool = RariSdk.getContract(web3, "LendingPool", addresses.LendingPool);
+      var apyBNs = {};
+
+      // Liquidity rates are scaled by 1e27 (ray)
+      for (const currencyCode of RariSdk.getPoolCurrencies(2)) {
+        var reserveData = await lendingPool.methods.getReserveData(RariSdk.tokens[currencyCode].address).call();
+        apyBNs[currencyCode] = web3.utils.toBN(reserveData.liquidityRate).div(web3.utils.toBN(1e9));
+      }
+
+      return apyBNs;
+    },
+
+    getAaveApyBNsFromApi: async function(web3) {
+      const data = await RariSdk.getJson("https://api.thegraph.com/subgraphs/name/aave/protocol-multy-raw", { query: `{
+        reserves(where: {
+          symbol_in: ` + JSON.stringify(RariSdk.getPoolCurrencies(2).map(currencyCode => currencyCode === "sUSD" ? "SUSD" : currencyCode)) + `
+        }) {
+          symbol
+          liquidityRate
+        }
+      }` });
+
+      var apyBNs = {};
+
+      for (var i = 0; i < data.data.reserves.length; i++)
+        apyBNs[data.data.reserves[i].symbol == "SUSD" ? "sUSD" : data.data.reserves[i].symbol] = web3.utils.toBN(data.data.reserves[i].liquidityRate).div(web3.utils.toBN(1e9));
+
+      return apyBNs;
+    },
+
+    // Based on calculateApy at https://github.com/mstable/mStable-app/blob/v1.8.1/src/web3/hooks.ts#L84
+    calculateMStableApyBN: function(web3, startTimestamp, startExchangeRate, endTimestamp, endExchangeRate) {
+      const SCALE = 1e18;
+      const YEAR_BN = 365 * 24 * 60 * 60;
+
+      const rateDiff = endExchangeRate * SCALE / startExchangeRate - SCALE;
+      const timeDiff = endTimestamp - startTimestamp;
+
+      const portionOfYear = timeDiff * SCALE / YEAR_BN;
+      const portionsInYear = SCALE / portionOfYear;
+      const rateDecimals = (SCALE + rateDiff) / SCALE;
+
+      if (rateDecimals > 0) {
+          const diff = rateDecimals ** portionsInYear;
+          const parsed = diff * SCALE;
+          return web3.utils.toBN((parsed - SCALE).toFixed(0)) || web3.utils.toBN(0);
+      }
+
+      return web3.utils.toBN(0);
+    },
+
+    /**
+     * Get the 24-hour APY (scaled by 1e18) of mStable savings from the SavingsContract exchange rate now and 24 hours ago (falling back to The Graph).
+     * Reading the exchange rate 24 hours ago requires an archive node (or a fork of one).
+     */
+    getMStableApyBN: async function(web3, addresses) {
+      return await RariSdk.getApyBNsWithFallback("mStable", () => RariSdk.getMStableApyBNFromContracts(web3, addresses), () => RariSdk.getMStableApyBNFromApi(web3));
+    },
+
+    getMStableApyBNFromContracts: async function(web3, addresses) {
+      // TODO: Use instantaneous APY instead of 24-hour APY?
+      addresses = addresses || RariSdk.addresses;
+      var savingsContract = RariSdk.getContract(web3, "SavingsContract", addresses.SavingsContract);
+      var latestBlock = await web3.eth.getBlock("latest");
+      var startBlock = (await RariSdk.getBlocksAtTimestamps(web3, [latestBlock.timestamp - 86400], latestBlock))[0];
+
+      var startExchangeRate = await savingsContract.methods.exchangeRate().call({}, startBlock.number);
+      var endExchangeRate = await savingsContract.methods.exchangeRate().call({}, latestBlock.number);
+      return RariSdk.calculateMStableApyBN(web3, startBlock.timestamp, startExchangeRate, latestBlock.timestamp, endExchangeRate);
+    },
+
+    getMStableApyBNFromApi: async function(web3) {
+      // Calculate APY with calculateApy using exchange rates from The Graph
+      var epochNow = Math.floor((new Date()).getTime() / 1000);
+      var epoch24HrsAgo = epochNow - 86400;
+
+      const data = await RariSdk.getJson("https://api.thegraph.com/subgraphs/name/mstable/mstable-protocol", {
+        "operationName": "ExchangeRates",
+        "variables": { "day0": epoch24HrsAgo, "day1": epochNow },
+        "query": "query ExchangeRates($day0: Int!, $day1: Int!) {\n  day0: exchangeRates(where: {timestamp_lt: $day0}, orderDirection: desc, orderBy: timestamp, first: 1) {\n    ...ER\n    __typename\n  }\n  day1: exchangeRates(where: {timestamp_lt: $day1}, orderDirection: desc, orderBy: timestamp, first: 1) {\n    ...ER\n    __typename\n  }\n}\n\nfragment ER on ExchangeRate {\n  exchangeRate\n  timestamp\n  __typename\n}\n"
+      });
+
+      if (!data || !data.data) throw new Error("Failed to decode exchange rates from The Graph when calculating mStable 24-hour APY");
+      return RariSdk.calculateMStableApyBN(web3, epoch24HrsAgo, data.data.day0[0].exchangeRate, epochNow, data.data.day1[0].exchangeRate);
+    },
+
+    getMStableApyBNs: async function(web3, addresses) {
+      return { "mUSD": await RariSdk.getMStableApyBN(web3, addresses) };
+    },
+
+    /**
+     * Returns the blocks mined at approximately each of `timestamps` (in seconds), estimated from the average block time and corrected once if off by more than an hour.
+     * Blocks are those returned by web3.eth.getBlock (with their actual timestamps). `latestBlock` is optional.
+     */
+    getBlocksAtTimestamps: async function(web3, timestamps, latestBlock) {
+      if (!latestBlock) latestBlock = await web3.eth.getBlock("latest");
+
+      // Get the average block time over the last 100,000 blocks
+      var pastBlock = await web3.eth.getBlock(Math.max(latestBlock.number - 100000, 0));
+      var secondsPerBlock = (latestBlock.timestamp - pastBlock.timestamp) / (latestBlock.number - pastBlock.number);
+
+      return await Promise.all(timestamps.map(async function(timestamp) {
+        var block = await web3.eth.getBlock(Math.min(Math.max(latestBlock.number - Math.round((latestBlock.timestamp - timestamp) / secondsPerBlock), 0), latestBlock.number));
+        if (Math.abs(block.timestamp - timestamp) <= 3600) return block;
+        return await web3.eth.getBlock(Math.min(Math.max(block.number - Math.round((block.timestamp - timestamp) / secondsPerBlock), 0), latestBlock.number));
+      }));
+    },
+
+    /**
+     * Get the RSPT exchange rate (the USD value of one RSPT scaled by 1e18, i.e., RariFundManager.getFundBalance divided by RariFundToken.totalSupply) at `blockNumber` (defaults to the latest block).
+     * Since getFundBalance excludes unclaimed interest fees, the exchange rate grows at the fund's APY net of fees.
+     * Returns null if there is no RSPT supply at the block. Querying past blocks requires an archive node.
+     */
+    getRsptExchangeRateBN: async function(web3, addresses, blockNumber) {
+      var contracts = RariSdk.getContracts(web3, addresses);
+      if (blockNumber === undefined) blockNumber = "latest";
+      var totalSupplyBN = web3.utils.toBN(await contracts.RariFundToken.methods.totalSupply().call({}, blockNumber));
+      if (totalSupplyBN.isZero()) return null;
+      var fundBalanceBN = web3.utils.toBN(await contracts.RariFundManager.methods.getFundBalance().call({}, blockNumber));
+      return fundBalanceBN.mul(web3.utils.toBN(1e18)).div(totalSupplyBN);
+    },
+
+    /**
+     * Get the RSPT exchange rate (see getRsptExchangeRateBN) every `intervalSeconds` (defaults to one day) from `fromTimestamp` to `toTimestamp` (defaults to now), sorted from oldest to newest.
+     * Returns an array of { timestamp, blockNumber, exchangeRateBN }, skipping samples before the fund had any RSPT supply (or before it was deployed).
+     */
+    getRsptExchangeRateHistory: async function(web3, addresses, fromTimestamp, toTimestamp, intervalSeconds) {
+      if (toTimestamp === undefined) toTimestamp = Math.floor((new Date()).getTime() / 1000);
+      if (intervalSeconds === undefined) intervalSeconds = 86400;
+      var timestamps = [];
+      for (var timestamp = toTimestamp; timestamp >= fromTimestamp; timestamp -= intervalSeconds) timestamps.unshift(timestamp);
+      var blocks = await RariSdk.getBlocksAtTimestamps(web3, timestamps);
+
+      var exchangeRateBNs = await Promise.all(blocks.map(async function(block) {
+        try {
+          return await RariSdk.getRsptExchangeRateBN(web3, addresses, block.number);
+        } catch (err) {
+          // Contracts not yet deployed at this block
+          return null;
+        }
+      }));
+
+      var history = [];
+      for (var i = 0; i < blocks.length; i++) if (exchangeRateBNs[i] !== null && (history.length == 0 || blocks[i].number > history[history.length - 1].blockNumber)) history.push({ timestamp: blocks[i].timestamp, blockNumber: blocks[i].number, exchangeRateBN: exchangeRateBNs[i] });
+      return history;
+    },
+
+    /**
+     * Returns the annualized APY (scaled by 1e18) between each pair of consecutive samples in `exchangeRateHistory` (from getRsptExchangeRateHistory) as an array of { timestamp, apyBN } (timestamp being that of the later sample).
+     */
+    getApyHistoryFromExchangeRates: function(web3, exchangeRateHistory) {
+      const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+      var apyHistory = [];
+
+      for (var i = 1; i < exchangeRateHistory.length; i++) {
+        var start = exchangeRateHistory[i - 1];
+        var end = exchangeRateHistory[i];
+        if (end.timestamp <= start.timestamp || start.exchangeRateBN.isZero()) continue;
+        var rateRatio = parseFloat(end.exchangeRateBN.toString()) / parseFloat(start.exchangeRateBN.toString());
+        var apy = (rateRatio ** (SECONDS_PER_YEAR / (end.timestamp - start.timestamp))) - 1;
+        apyHistory.push({ timestamp: end.timestamp, apyBN: web3.utils.toBN((apy * 1e18).toFixed(0)) });
+      }
+
+      return apyHistory;
+    },
+
+    getCurrencyUsdRates: async function(currencyCodes) {
+      var decoded = await RariSdk.getJson('https://api.coingecko.com/api/v3/coins/list');
+      if (!decoded) throw new Error("Failed to decode coins list from CoinGecko");
+      var currencyCodesByCoinGeckoIds = {};
+
+      for (const currencyCode of currencyCodes) {
+        if (currencyCode === "COMP") currencyCodesByCoinGeckoIds["compound-governance-token"] = "COMP";
+        else if (currencyCode === "REP") currencyCodesByCoinGeckoIds["augur"] = "REP";
+        else currencyCodesByCoinGeckoIds[decoded.find(coin => coin.symbol.toLowerCase() === currencyCode.toLowerCase()).id] = currencyCode;
+      }
+
+      decoded = await RariSdk.getJson('https://api.coingecko.com/api/v3/simple/price?vs_currencies=usd&ids=' + Object.keys(currencyCodesByCoinGeckoIds).join('%2C'));
+      if (!decoded) throw new Error("Failed to decode USD exchange rates from CoinGecko");
+      var prices = {};
+      for (const key of Object.keys(decoded)) prices[currencyCodesByCoinGeckoIds[key]] = ["DAI", "USDC", "USDT", "SAI"].indexOf(currencyCodesByCoinGeckoIds[key]) >= 0 ? 1.0 : decoded[key].usd;
+      return prices;
+    },
+
+    getApyFromComp: async function(currencyCode, cTokens) {
+      // Get cToken USD prices
+      var currencyCodes = ["COMP"];
+      var priceMissing = false;
+
+      for (const cToken of cTokens) {
+        currencyCodes.push(cToken.underlying_symbol);
+        if (!RariSdk.usdPrices[cToken.underlying_symbol]) priceMissing = true;
+      }
+
+      var now = (new Date()).getTime() / 1000;
+
+      if (now > RariSdk.usdPricesLastUpdated + 900 || priceMissing) {
+        RariSdk.usdPrices = await RariSdk.getCurrencyUsdRates(currencyCodes); // TODO: Get real USD prices, not DAI prices
+        RariSdk.usdPricesLastUpdated = now;
+      }
+
+      // Get currency APY and total yearly interest
+      var currencyUnderlyingSupply = 0;
+      var currencyBorrowUsd = 0;
+      var totalBorrowUsd = 0;
+
+      for (const cToken of cTokens) {
+        var underlyingBorrow = cToken.total_borrows.value * cToken.exchange_rate.value;
+        var borrowUsd = underlyingBorrow * RariSdk.usdPrices[cToken.underlying_symbol];
+
+        if (cToken.underlying_symbol === currencyCode) {
+          currencyUnderlyingSupply = cToken.total_supply.value * cToken.exchange_rate.value;
+          currencyBorrowUsd = borrowUsd;
+        }
+
+        totalBorrowUsd += borrowUsd;
+      }
+
+      // Get APY from COMP per block for this currency
+      var compPerBlock = 0.5;
+      var marketCompPerBlock = compPerBlock * (currencyBorrowUsd / totalBorrowUsd);
+      var marketSupplierCompPerBlock = marketCompPerBlock / 2;
+      var marketSupplierCompPerBlockPerUsd = marketSupplierCompPerBlock / currencyUnderlyingSupply; // Assumes that the value of currencyCode is $1
+      var marketSupplierUsdFromCompPerBlockPerUsd = marketSupplierCompPerBlockPerUsd * RariSdk.usdPrices["COMP"];
+      return marketSupplierUsdFromCompPerBlockPerUsd * 2102400;
+    },
+
+    get0xPrices: async function(inputTokenSymbol) {
+      var decoded = await RariSdk.getJson(RariSdk.get0xApiUrl() + '/swap/v0/prices?sellToken=' + inputTokenSymbol);
+      if (!decoded) throw new Error("Failed to decode prices from 0x swap API");
+      if (!decoded.records) throw new Error("No prices found on 0x swap API");
+      var prices = {};
+      for (var i = 0; i < decoded.records.length; i++) prices[decoded.records[i].symbol] = decoded.records[i].price;
+      return prices;
+    },
+
+    /**
+     * Same as get0xPrices, but cached for 1 minute.
+     */
+    getCached0xPrices: async function(inputTokenSymbol) {
+      var epochNow = (new Date()).getTime();
+
+      if (!RariSdk.zeroExPrices[inputTokenSymbol] || epochNow > RariSdk.zeroExPrices[inputTokenSymbol]._lastUpdated + (60 * 1000)) {
+        RariSdk.zeroExPrices[inputTokenSymbol] = await RariSdk.get0xPrices(inputTokenSymbol);
+        RariSdk.zeroExPrices[inputTokenSymbol]._lastUpdated = epochNow;
+      }
+
+      return RariSdk.zeroExPrices[inputTokenSymbol];
+    },
+
+    get0xSwapOrders: async function(web3, inputTokenAddress, outputTokenAddress, maxInputAmountBN, maxMakerAssetFillAmountBN) {
+      var decoded = await RariSdk.getJson(RariSdk.get0xApiUrl() + '/swap/v0/quote?sellToken=' + inputTokenAddress + '&buyToken=' + outputTokenAddress + (maxMakerAssetFillAmountBN !== undefined ? '&buyAmount=' + maxMakerAssetFillAmountBN.toString() : '&sellAmount=' + maxInputAmountBN.toString()));
+      if (!decoded) throw new Error("Failed to decode quote from 0x swap API");
+      if (!decoded.orders) throw new Error("No orders found on 0x swap API");
+
+      decoded.orders.sort((a, b) => a.makerAssetAmount / (a.takerAssetAmount + a.takerFee) < b.makerAssetAmount / (b.takerAssetAmount + b.takerFee) ? 1 : -1);
+
+      var orders = [];
+      var inputFilledAmountBN = web3.utils.toBN(0);
+      var takerAssetFilledAmountBN = web3.utils.toBN(0);
+      var makerAssetFilledAmountBN = web3.utils.toBN(0);
+
+      for (var i = 0; i < decoded.orders.length; i++) {
+        if (decoded.orders[i].takerFee > 0 && decoded.orders[i].takerFeeAssetData.toLowerCase() !== "0xf47261b0000000000000000000000000" + inputTokenAddress.toLowerCase()) continue;
+        var takerAssetAmountBN = web3.utils.toBN(decoded.orders[i].takerAssetAmount);
+        var takerFeeBN = web3.utils.toBN(decoded.orders[i].takerFee);
+        var orderInputAmountBN = takerAssetAmountBN.add(takerFeeBN); // Maximum amount we can send to this order including the taker fee
+        var makerAssetAmountBN = web3.utils.toBN(decoded.orders[i].makerAssetAmount);
+
+        if (maxMakerAssetFillAmountBN !== undefined) {
+          // maxMakerAssetFillAmountBN is specified, so use it
+          if (maxMakerAssetFillAmountBN.sub(makerAssetFilledAmountBN).lte(makerAssetAmountBN)) {
+            // Calculate orderTakerAssetFillAmountBN and orderInputFillAmountBN from maxMakerAssetFillAmountBN
+            var orderMakerAssetFillAmountBN = maxMakerAssetFillAmountBN.sub(makerAssetFilledAmountBN);
+            var orderTakerAssetFillAmountBN = orderMakerAssetFillAmountBN.mul(takerAssetAmountBN).div(makerAssetAmountBN);
+            var orderInputFillAmountBN = orderMakerAssetFillAmountBN.mul(orderInputAmountBN).div(makerAssetAmountBN);
+
+            var tries = 0;
+            while (makerAssetAmountBN.mul(orderInputFillAmountBN).div(orderInputAmountBN).lt(orderMakerAssetFillAmountBN)) {
+              if (tries >= 1000) throw new Error("Failed to get increment order input amount to achieve desired output amount");
+              orderInputFillAmountBN.iadd(web3.utils.toBN(1)); // Make sure we have enough input fill amount to achieve this maker asset fill amount
+              tries++;
+            }
+          } else {
+            // Fill whole order
+            var orderMakerAssetFillAmountBN = makerAssetAmountBN;
+            var orderTakerAssetFillAmountBN = takerAssetAmountBN;
+            var orderInputFillAmountBN = orderInputAmountBN;
+          }
+
+          // If this order input amount is higher than the remaining input, calculate orderTakerAssetFillAmountBN and orderMakerAssetFillAmountBN from the remaining maxInputAmountBN as usual
+          if (orderInputFillAmountBN.gt(maxInputAmountBN.sub(inputFilledAmountBN))) {
+            orderInputFillAmountBN = maxInputAmountBN.sub(inputFilledAmountBN);
+            orderTakerAssetFillAmountBN = orderInputFillAmountBN.mul(takerAssetAmountBN).div(orderInputAmountBN);
+            orderMakerAssetFillAmountBN = orderInputFillAmountBN.mul(makerAssetAmountBN).div(orderInputAmountBN);
+          }
+        } else {
+          // maxMakerAssetFillAmountBN is not specified, so use maxInputAmountBN
+          if (maxInputAmountBN.sub(inputFilledAmountBN).lte(orderInputAmountBN)) {
+            // Calculate orderInputFillAmountBN and orderTakerAssetFillAmountBN from the remaining maxInputAmountBN as usual
+            var orderInputFillAmountBN = maxInputAmountBN.sub(inputFilledAmountBN);
+            var orderTakerAssetFillAmountBN = orderInputFillAmountBN.mul(takerAssetAmountBN).div(orderInputAmountBN);
+            var orderMakerAssetFillAmountBN = orderInputFillAmountBN.mul(makerAssetAmountBN).div(orderInputAmountBN);
+          } else {
+            // Fill whole order
+            var orderInputFillAmountBN = orderInputAmountBN;
+            var orderTakerAssetFillAmountBN = takerAssetAmountBN;
+            var orderMakerAssetFillAmountBN = makerAssetAmountBN;
+          }
+        }
+
+        // Add order to returned array
+        orders.push(decoded.orders[i]);
+
+        // Add order fill amounts to total fill amounts
+        inputFilledAmountBN.iadd(orderInputFillAmountBN);
+        takerAssetFilledAmountBN.iadd(orderTakerAssetFillAmountBN);
+        makerAssetFilledAmountBN.iadd(orderMakerAssetFillAmountBN);
+
+        // Check if we have hit maxInputAmountBN or maxTakerAssetFillAmountBN
+        if (inputFilledAmountBN.gte(maxInputAmountBN) || (maxMakerAssetFillAmountBN !== undefined && makerAssetFilledAmountBN.gte(maxMakerAssetFillAmountBN))) break;
+      }
+
+      if (takerAssetFilledAmountBN.isZero()) throw new Error("No orders found on 0x swap API");
+      return [orders, inputFilledAmountBN, decoded.protocolFee, takerAssetFilledAmountBN, makerAssetFilledAmountBN, decoded.gasPrice];
+    },
+
+    /**
+     * Splits orders returned by the 0x swap API into an array of LibOrder.Order structs and an array of signatures.
+     */
+    build0xOrdersAndSignatures: function(orders) {
+      var orderStructs = [];
+      var signatures = [];
+
+      for (var j = 0; j < orders.length; j++) {
+        signatures[j] = orders[j].signature;
+
+        orderStructs[j] = {
+          makerAddress: orders[j].makerAddress,
+          takerAddress: orders[j].takerAddress,
+          feeRecipientAddress: orders[j].feeRecipientAddress,
+          senderAddress: orders[j].senderAddress,
+          makerAssetAmount: orders[j].makerAssetAmount,
+          takerAssetAmount: orders[j].takerAssetAmount,
+          makerFee: orders[j].makerFee,
+          takerFee: orders[j].takerFee,
+          expirationTimeSeconds: orders[j].expirationTimeSeconds,
+          salt: orders[j].salt,
+          makerAssetData: orders[j].makerAssetData,
+          takerAssetData: orders[j].takerAssetData,
+          makerFeeAssetData: orders[j].makerFeeAssetData,
+          takerFeeAssetData: orders[j].takerFeeAssetData
+        };
+      }
+
+      return [orderStructs, signatures];
+    },
+
+    /**
+     * Get the mStable swap fee rate (scaled by 1e18) from mUSD (the mUSD token in RariSdk.tokens).
+     */
+    getMStableSwapFeeBN: async function(web3) {
+      if (!RariSdk.tokens["mUSD"]) throw new Error("mUSD is not configured on this network.");
+      return web3.utils.toBN(await RariSdk.getContract(web3, "Masset", RariSdk.tokens["mUSD"].address).methods.swapFee().call());
+    },
+
+    /**
+     * Returns the slippage of exchanging `inputAmount` of `inputCurrencyCode` for `outputAmount` of `outputCurrencyCode` (negative slippage is a bonus) based on 0x swap API prices.
+     * Falls back to a 1:1 price if both currencies are supported stablecoins and 0x prices are unavailable.
+     */
+    getSlippage: async function(inputCurrencyCode, inputAmount, outputCurrencyCode, outputAmount) {
+      var inputSymbol = inputCurrencyCode === "ETH" ? "WETH" : inputCurrencyCode;
+
+      try {
+        var prices = await RariSdk.getCached0xPrices(inputSymbol);
+      } catch (err) {
+        if (RariSdk.supportedCurrencies.indexOf(inputCurrencyCode) < 0) throw new Error("Failed to get prices from 0x swap API: " + (err.message ? err.message : err));
+      }
+
+      if (prices && prices[outputCurrencyCode]) return 1 - (outputAmount / inputAmount * prices[outputCurrencyCode]);
+      else if (RariSdk.supportedCurrencies.indexOf(inputCurrencyCode) >= 0) return 1 - (outputAmount / inputAmount);
+      throw new Error("Price not found on 0x swap API");
+    },
+
+    /**
+     * Get the inputs to DepositPlanner.planDeposit for a deposit of `amountBN` of `currencyCode` (a supported currency, ETH, or a token in RariSdk.tokens): accepted currencies, mStable limits and swap fee, 0x quotes, and prices.
+     * Save the returned object to check deposit plans offline.
+     */
+    getDepositPlannerParams: async function(web3, addresses, currencyCode, amountBN) {
+      if (currencyCode !== "ETH" && !RariSdk.tokens[currencyCode]) throw new Error("Invalid token!");
+      var contracts = RariSdk.getContracts(web3, addresses);
+      var acceptedCurrencies = await contracts.RariFundManager.methods.getAcceptedCurrencies().call();
+      if (!acceptedCurrencies || acceptedCurrencies.length == 0) throw new Error("No accepted currencies found.");
+      var decimals = { "ETH": 18 };
+      for (const tokenCurrencyCode of Object.keys(RariSdk.tokens)) decimals[tokenCurrencyCode] = RariSdk.tokens[tokenCurrencyCode].decimals;
+      var params = { inputCurrencyCode: currencyCode, amountBN, decimals, acceptedCurrencies, mStableSwapFeeBN: null, mStableLimits: {}, zeroExQuotes: {}, prices: {}, ethPrice: currencyCode === "ETH" ? 1 : 0 };
+
+      // If we can deposit directly, we need nothing else
+      if (acceptedCurrencies.indexOf(currencyCode) >= 0) return params;
+
+      // Get mStable swap fee and limits
+      if (RariSdk.mStableCurrencies.indexOf(currencyCode) >= 0) {
+        for (const outputCurrencyCode of acceptedCurrencies) {
+          if (RariSdk.mStableCurrencies.indexOf(outputCurrencyCode) < 0) continue;
+
+          if (currencyCode === "mUSD") {
+            try {
+              var redeemValidity = await contracts.MassetValidationHelper.methods.getRedeemValidity(RariSdk.tokens["mUSD"].address, amountBN, RariSdk.tokens[outputCurrencyCode].address).call();
+            } catch (err) {
+              console.error("Failed to check mUSD redeem validity:", err);
+              continue;
+            }
+
+            params.mStableLimits[outputCurrencyCode] = { valid: redeemValidity && redeemValidity["0"] ? true : false, maxInputBN: null, outputAmountBN: redeemValidity && redeemValidity["0"] ? web3.utils.toBN(redeemValidity["2"]) : null };
+          } else {
+            try {
+              var maxSwap = await contracts.MassetValidationHelper.methods.getMaxSwap(RariSdk.tokens["mUSD"].address, RariSdk.tokens[currencyCode].address, RariSdk.tokens[outputCurrencyCode].address).call();
+            } catch (err) {
+              console.error("Failed to check mUSD max swap:", err);
+              continue;
+            }
+
+            params.mStableLimits[outputCurrencyCode] = { valid: maxSwap && maxSwap["0"] && !web3.utils.toBN(maxSwap["2"]).isZero() ? true : false, maxInputBN: web3.utils.toBN(maxSwap["2"]) };
+            if (outputCurrencyCode !== "mUSD" && params.mStableLimits[outputCurrencyCode].valid && params.mStableSwapFeeBN === null) params.mStableSwapFeeBN = await RariSdk.getMStableSwapFeeBN(web3);
+          }
+        }
+      }
+
+      // Get 0x quotes of the full amount for each accepted currency
+      var inputSymbol = currencyCode === "ETH" ? "WETH" : currencyCode;
+
+      for (const outputCurrencyCode of acceptedCurrencies) {
+        try {
+          var [orders, inputFilledAmountBN, protocolFee, takerAssetFilledAmountBN, makerAssetFilledAmountBN, gasPrice] = await RariSdk.get0xSwapOrders(web3, currencyCode === "ETH" ? "WETH" : RariSdk.tokens[currencyCode].address, RariSdk.tokens[outputCurrencyCode].address, amountBN);
+          var [orders, signatures] = RariSdk.build0xOrdersAndSignatures(orders);
+          params.zeroExQuotes[outputCurrencyCode] = { orders, signatures, inputFillAmountBN: inputFilledAmountBN, takerAssetFillAmountBN: takerAssetFilledAmountBN, makerAssetFillAmountBN: makerAssetFilledAmountBN, protocolFeeBN: web3.utils.toBN(protocolFee), gasPrice };
+        } catch (err) {
+          console.error("Failed to get swap orders from 0x API for " + outputCurrencyCode + ":", err);
+        }
+      }
+
+      // Get prices of accepted currencies and ETH in the input currency
+      try {
+        var prices = await RariSdk.getCached0xPrices(inputSymbol);
+      } catch (err) {
+        if (RariSdk.supportedCurrencies.indexOf(currencyCode) < 0) throw new Error("Failed to get prices from 0x swap API: " + (err.message ? err.message : err));
+      }
+
+      if (prices) {
+        for (const outputCurrencyCode of acceptedCurrencies) if (prices[outputCurrencyCode]) params.prices[outputCurrencyCode] = prices[outputCurrencyCode];
+        if (!params.ethPrice && prices["WETH"]) params.ethPrice = prices["WETH"];
+      }
+
+      if (RariSdk.supportedCurrencies.indexOf(currencyCode) < 0) for (const outputCurrencyCode of acceptedCurrencies) if (params.prices[outputCurrencyCode] === undefined) throw new Error("Price not found on 0x swap API");
+      return params;
+    },
+
+    /**
+     * Get all deposit plans (see DepositPlanner.planDeposit) for a deposit of `amountBN` of `currencyCode`, sorted from lowest to highest total cost.
+     */
+    getDepositPlans: async function(web3, addresses, currencyCode, amountBN) {
+      return RariSdk.DepositPlanner.planDeposit(web3, await RariSdk.getDepositPlannerParams(web3, addresses, currencyCode, amountBN));
+    },
+
+    /**
+     * Get the lowest-cost route to deposit `amountBN` of `currencyCode` (a supported currency, ETH, or a token in RariSdk.tokens).
+     * Returns a deposit plan (see DepositPlanner.planDeposit): type is "direct", "mStable", "0x", or "split" (one transaction per leg), and inputFilledAmountBN is less than amountBN if exchange liquidity is insufficient.
+     * Direct routes also contain gsnEligible: true if the deposit qualifies for gasless deposit via the GSN (first-time direct deposit of at least 250 tokens).
+     * Routes also contain mStableSwapFeeBN: the mStable swap fee used to plan the route (see checkMStableSwapFee).
+     * If `recipient` is specified and differs from `account`, RSPT is minted to `recipient` instead (route.recipient is its checksummed address, or null if depositing to `account`); depositing to another address is never gasless, and only currencies accepted by the fund can be deposited to another address (RariFundProxy only exchanges and deposits to msg.sender).
+     */
+    getDepositRoute: async function(web3, addresses, currencyCode, amountBN, account, recipient) {
+      var params = await RariSdk.getDepositPlannerParams(web3, addresses, currencyCode, amountBN);
+      var route = RariSdk.DepositPlanner.planDeposit(web3, params)[0];
+      if (!route) throw new Error("No deposit route found for " + currencyCode + ".");
+      route.mStableSwapFeeBN = params.mStableSwapFeeBN;
+      route.recipient = recipient && (account === undefined || recipient.toLowerCase() !== account.toLowerCase()) ? RariSdk.checkDepositRecipient(web3, recipient) : null;
+      if (route.recipient !== null && route.type !== "direct") throw new Error("RariFundProxy cannot exchange " + currencyCode + " and deposit to another address. Please deposit a currency accepted by the fund (" + params.acceptedCurrencies.join(", ") + ") instead.");
+
+      if (route.type === "direct") {
+        route.gsnEligible = false;
+        if (account !== undefined && route.recipient === null && parseFloat(amountBN.toString()) / (10 ** RariSdk.tokens[currencyCode].decimals) >= 250) route.gsnEligible = web3.utils.toBN(await RariSdk.getContracts(web3, addresses).RariFundManager.methods.balanceOf(account).call()).isZero();
+      }
+
+      return route;
+    },
+
+    /**
+     * Returns the address to which input tokens must be approved before depositing via `route`.
+     */
+    getDepositSpender: function(addresses, route) {
+      addresses = addresses || RariSdk.addresses;
+      return route.type === "direct" && !route.gsnEligible ? addresses.RariFundManager : addresses.RariFundProxy;
+    },
+
+    /**
+     * Approves `amountBN` of the ERC20 token at `tokenAddress` from `owner` to `spender` if the current allowance is lower.
+     * Returns the transaction receipt, or null if no approval was necessary.
+     */
+    approve: async function(web3, tokenAddress, owner, spender, amountBN) {
+      var tokenContract = RariSdk.getContract(web3, "ERC20", tokenAddress);
+      var allowanceBN = web3.utils.toBN(await tokenContract.methods.allowance(owner, spender).call());
+      if (allowanceBN.gte(amountBN)) return null;
+      var currencyCode = RariSdk.getCurrencyCodeByAddress(tokenAddress);
+      return await RariSdk.send(web3, tokenContract.methods.approve(spender, amountBN), { from: owner }, { type: "approval", description: "Approve " + (currencyCode ? RariSdk.toDecimalString(amountBN, RariSdk.tokens[currencyCode].decimals) + " " + currencyCode : tokenAddress) });
+    },
+
+    /**
+     * Approves input tokens (if necessary) for a deposit via `route` (from getDepositRoute).
+     */
+    approveDeposit: async function(web3, addresses, from, route) {
+      if (route.inputCurrencyCode === "ETH") return null;
+      return await RariSdk.approve(web3, RariSdk.tokens[route.inputCurrencyCode].address, from, RariSdk.getDepositSpender(addresses, route), route.inputAmountBN);
+    },
+
+    /**
+     * Returns the web3.js contract method call for deposit leg `leg` of `route` (from getDepositRoute), depositing to route.recipient if set (direct deposits only).
+     * GSN-eligible direct deposits are called on RariFundProxy using `gsnWeb3` (if specified).
+     */
+    getDepositMethod: function(web3, addresses, route, leg, gsnWeb3) {
+      var contracts = RariSdk.getContracts(web3, addresses);
+      var inputErc20Contract = route.inputCurrencyCode === "ETH" ? "0x0000000000000000000000000000000000000000" : RariSdk.tokens[route.inputCurrencyCode].address;
+
+      if (leg.type === "direct") {
+        if (route.recipient) return contracts.RariFundManager.methods.depositTo(route.recipient, route.inputCurrencyCode, leg.inputAmountBN);
+        return (route.gsnEligible ? RariSdk.getContracts(gsnWeb3 ? gsnWeb3 : web3, addresses).RariFundProxy : contracts.RariFundManager).methods.deposit(route.inputCurrencyCode, leg.inputAmountBN);
+      }
+
+      if (leg.type === "mStable") {
+        return contracts.RariFundProxy.methods["exchangeAndDeposit(string,uint256,string)"](route.inputCurrencyCode, leg.inputAmountBN, leg.outputCurrencyCode);
+      }
+
+      return contracts.RariFundProxy.methods.exchangeAndDeposit(inputErc20Contract, leg.inputAmountBN, leg.outputCurrencyCode, leg.orders, leg.signatures, leg.takerAssetFillAmountBN);
+    },
+
+    /**
+     * Simulates the first transaction of a deposit via `route` (from getDepositRoute) before input tokens are approved, so users can be told why it would fail before approving.
+     * If input tokens are not yet approved, only known revert reasons checked before tokens are transferred (see revertMessages) are thrown.
+     */
+    simulateDeposit: async function(web3, addresses, from, route) {
+      var leg = route.legs[0];
+      var method = RariSdk.getDepositMethod(web3, addresses, route, leg);
+      var options = { from, value: leg.type === "0x" ? (route.inputCurrencyCode === "ETH" ? leg.protocolFeeBN.add(leg.inputAmountBN).toString() : leg.protocolFeeBN.toString()) : 0 };
+
+      try {
+        await RariSdk.simulate(web3, method, options);
+      } catch (err) {
+        if (route.inputCurrencyCode === "ETH" || RariSdk.revertMessages[err.revertReason] !== undefined) throw err;
+        var allowanceBN = web3.utils.toBN(await RariSdk.getContract(web3, "ERC20", RariSdk.tokens[route.inputCurrencyCode].address).methods.allowance(from, RariSdk.getDepositSpender(addresses, route)).call());
+        if (allowanceBN.gte(route.inputAmountBN)) throw err;
+      }
+    },
+
+    /**
+     * Sends a deposit via `route` (from getDepositRoute) after input tokens have been approved, one transaction per leg (in order).
+     * GSN-eligible direct deposits are sent via RariFundProxy (through the GSN if `gsnWeb3`, a web3 instance using the OpenZeppelin GSN provider, is specified).
+     * Throws before sending anything if the route's slippage (including any increase in the mStable swap fee since the route was planned) exceeds `maxSlippage` (defaults to RariSdk.defaultMaxSlippage).
+     * Returns the receipt of the last transaction.
+     */
+    sendDeposit: async function(web3, addresses, from, route, gsnWeb3, maxSlippage) {
+      var receipt = null;
+
+      // Check slippage against the maximum (0x legs are fill-or-kill at signed order prices, so only mStable legs can fill worse than quoted)
+      if (route.type !== "direct") {
+        RariSdk.checkSlippage(route, maxSlippage);
+        await RariSdk.checkMStableSwapFee(web3, route, maxSlippage);
+      }
+
+      for (const leg of route.legs) receipt = await RariSdk.sendDepositLeg(web3, addresses, from, route, leg, gsnWeb3);
+      return receipt;
+    },
+
+    /**
+     * Returns a description of deposit leg `leg` of `route` (from getDepositRoute) for the transaction tracker.
+     */
+    describeDepositLeg: function(route, leg) {
+      var inputAmount = RariSdk.toDecimalString(leg.inputAmountBN, route.inputCurrencyCode === "ETH" ? 18 : RariSdk.tokens[route.inputCurrencyCode].decimals);
+      var recipientDescription = route.recipient ? " to " + route.recipient : "";
+      if (leg.type === "direct") return "Deposit " + inputAmount + " " + route.inputCurrencyCode + recipientDescription;
+      return "Exchange " + inputAmount + " " + route.inputCurrencyCode + " to " + leg.outputCurrencyCode + " via " + leg.type + " and deposit" + recipientDescription;
+    },
+
+    /**
+     * Sends deposit leg `leg` of `route` (from getDepositRoute) after input tokens have been approved, without checking slippage (see sendDeposit).
+     * Returns the transaction receipt.
+     */
+    sendDepositLeg: async function(web3, addresses, from, route, leg, gsnWeb3) {
+      var method = RariSdk.getDepositMethod(web3, addresses, route, leg, gsnWeb3);
+      var options = leg.type === "0x" ? { from, value: route.inputCurrencyCode === "ETH" ? leg.protocolFeeBN.add(leg.inputAmountBN).toString() : leg.protocolFeeBN.toString(), gasPrice: leg.gasPrice } : { from };
+      return await RariSdk.send(web3, method, options, { type: "deposit", description: RariSdk.describeDepositLeg(route, leg) });
+    },
+
+    /**
+     * Throws if the slippage of `route` (a deposit or withdrawal route) exceeds `maxSlippage` (e.g., 0.005 for 0.5%; defaults to RariSdk.defaultMaxSlippage).
+     */
+    checkSlippage: function(route, maxSlippage) {
+      if (maxSlippage === undefined || maxSlippage === null) maxSlippage = RariSdk.defaultMaxSlippage;
+      if (route.slippage > maxSlippage) throw new Error("Exchange slippage of " + (route.slippage * 100).toFixed(3) + "% exceeds the maximum slippage of " + (maxSlippage * 100).toFixed(3) + "%.");
+    },
+
+    /**
+     * Returns true if `route` (a deposit or withdrawal route) exchanges via mStable with a swap fee (i.e., not minting mUSD).
+     */
+    usesMStableSwapFee: function(route) {
+      if (route.legs) {
+        for (const leg of route.legs) if (leg.type === "mStable" && leg.outputCurrencyCode !== "mUSD") return true;
+        return false;
+      }
+
+      if (route.type !== "exchange" || route.outputCurrencyCode === "mUSD") return false;
+      for (var i = 0; i < route.inputCurrencyCodes.length; i++) if (route.inputCurrencyCodes[i] !== route.outputCurrencyCode && route.allOrders[i].length == 0) return true;
+      return false;
+    },
+
+    /**
+     * mStable exchanges via RariFundProxy have no minimum output parameter, so this re-checks the mStable swap fee before sending `route` (a deposit or withdrawal route).
+     * Throws if the increase in the swap fee since the route was planned (route.mStableSwapFeeBN) would bring its slippage above `maxSlippage` (defaults to RariSdk.defaultMaxSlippage).
+     * Also throws if the current swap fee cannot be read (the route is refused rather than sent unchecked).
+     */
+    checkMStableSwapFee: async function(web3, route, maxSlippage) {
+      if (maxSlippage === undefined || maxSlippage === null) maxSlippage = RariSdk.defaultMaxSlippage;
+      if (!route.mStableSwapFeeBN || !RariSdk.usesMStableSwapFee(route)) return;
+
+      try {
+        var swapFeeBN = await RariSdk.getMStableSwapFeeBN(web3);
+      } catch (err) {
+        throw new Error("Failed to check the current mStable swap fee: " + (err.message ? err.message : err) + ". Please try again.");
+      }
+
+      if (swapFeeBN.lte(route.mStableSwapFeeBN)) return;
+      var worstCaseSlippage = route.slippage + (swapFeeBN.sub(route.mStableSwapFeeBN).toString() / 1e18);
+      if (worstCaseSlippage > maxSlippage) throw new Error("The mStable swap fee has increased to " + (swapFeeBN.toString() / 1e16).toFixed(3) + "%, bringing exchange slippage above the maximum slippage of " + (maxSlippage * 100).toFixed(3) + "%. Please try again.");
+    },
+
+    /**
+     * Get the inputs to WithdrawalPlanner.planWithdrawal for a withdrawal of `amountBN` of `currencyCode` (a supported currency, ETH, or a token in RariSdk.tokens): raw fund balances, mStable limits and swap fee, 0x quotes, and prices.
+     * Save the returned object to check withdrawal plans offline.
+     */
+    getWithdrawalPlannerParams: async function(web3, addresses, currencyCode, amountBN) {
+      if (currencyCode !== "ETH" && !RariSdk.tokens[currencyCode]) throw new Error("Invalid token!");
+      var contracts = RariSdk.getContracts(web3, addresses);
+      var decimals = { "ETH": 18 };
+      for (const tokenCurrencyCode of Object.keys(RariSdk.tokens)) decimals[tokenCurrencyCode] = RariSdk.tokens[tokenCurrencyCode].decimals;
+      var params = { outputCurrencyCode: currencyCode, amountBN, decimals, rawFundBalanceBNs: {}, mStableCurrencies: RariSdk.mStableCurrencies, mStableSwapFeeBN: null, mStableLimits: {}, zeroExQuotes: {}, prices: {}, ethPrice: 0 };
+
+      // Get raw fund balances
+      for (const inputCurrencyCode of RariSdk.supportedCurrencies) params.rawFundBalanceBNs[inputCurrencyCode] = web3.utils.toBN(await contracts.RariFundManager.methods["getRawFundBalance(string)"](inputCurrencyCode).call());
+
+      // If we can withdraw everything directly, we need nothing else
+      var outputRawFundBalanceBN = params.rawFundBalanceBNs[currencyCode] ? params.rawFundBalanceBNs[currencyCode] : web3.utils.toBN(0);
+      if (outputRawFundBalanceBN.gte(amountBN)) return params;
+      var remainingAmountBN = amountBN.sub(outputRawFundBalanceBN);
+
+      // Get mStable swap fee and limits
+      if (RariSdk.mStableCurrencies.indexOf(currencyCode) >= 0) {
+        if (currencyCode !== "mUSD") params.mStableSwapFeeBN = await RariSdk.getMStableSwapFeeBN(web3);
+
+        for (const inputCurrencyCode of RariSdk.mStableCurrencies) {
+          if (inputCurrencyCode === currencyCode || params.rawFundBalanceBNs[inputCurrencyCode].isZero()) continue;
+
+          if (inputCurrencyCode === "mUSD") {
+            // Check redeem validity of the amount of mUSD needed (or all of the fund's mUSD if less)
+            var redeemAmountBN = remainingAmountBN.mul(web3.utils.toBN(1e18)).div(web3.utils.toBN(1e18).sub(params.mStableSwapFeeBN)).mul(web3.utils.toBN(1e18)).div(web3.utils.toBN(10 ** decimals[currencyCode]));
+            if (redeemAmountBN.gt(params.rawFundBalanceBNs["mUSD"])) redeemAmountBN = params.rawFundBalanceBNs["mUSD"];
+
+            try {
+              var redeemValidity = await contracts.MassetValidationHelper.methods.getRedeemValidity(RariSdk.tokens["mUSD"].address, redeemAmountBN, RariSdk.tokens[currencyCode].address).call();
+            } catch (err) {
+              console.error("Failed to check mUSD redeem validity:", err);
+              continue;
+            }
+
+            params.mStableLimits["mUSD"] = { valid: redeemValidity && redeemValidity["0"] ? true : false, maxInputBN: null, maxOutputBN: null };
+          } else {
+            try {
+              var maxSwap = await contracts.MassetValidationHelper.methods.getMaxSwap(RariSdk.tokens["mUSD"].address, RariSdk.tokens[inputCurrencyCode].address, RariSdk.tokens[currencyCode].address).call();
+            } catch (err) {
+              console.error("Failed to check mUSD max swap:", err);
+              continue;
+            }
+
+            params.mStableLimits[inputCurrencyCode] = { valid: maxSwap && maxSwap["0"] && !web3.utils.toBN(maxSwap["2"]).isZero() ? true : false, maxInputBN: web3.utils.toBN(maxSwap["2"]), maxOutputBN: web3.utils.toBN(maxSwap["3"]) };
+          }
+        }
+      }
+
+      // Get 0x quotes and prices for each input currency
+      var outputSymbol = currencyCode === "ETH" ? "WETH" : currencyCode;
+
+      for (const inputCurrencyCode of RariSdk.supportedCurrencies) {
+        if (inputCurrencyCode === currencyCode || params.rawFundBalanceBNs[inputCurrencyCode].isZero()) continue;
+
+        try {
+          var [orders, inputFilledAmountBN, protocolFee, takerAssetFilledAmountBN, makerAssetFilledAmountBN, gasPrice] = await RariSdk.get0xSwapOrders(web3, RariSdk.tokens[inputCurrencyCode].address, currencyCode === "ETH" ? "WETH" : RariSdk.tokens[currencyCode].address, params.rawFundBalanceBNs[inputCurrencyCode], remainingAmountBN);
+          var [orders, signatures] = RariSdk.build0xOrdersAndSignatures(orders);
+          params.zeroExQuotes[inputCurrencyCode] = { orders, signatures, inputFillAmountBN: inputFilledAmountBN, makerAssetFillAmountBN: makerAssetFilledAmountBN, protocolFeeBN: web3.utils.toBN(protocolFee), gasPrice };
+        } catch (err) {
+          console.error("Failed to get swap orders from 0x API for " + inputCurrencyCode + ":", err);
+        }
+
+        try {
+          var prices = await RariSdk.getCached0xPrices(inputCurrencyCode);
+        } catch (err) {
+          throw new Error("Failed to get prices from 0x swap API: " + (err.message ? err.message : err));
+        }
+
+        if (prices[outputSymbol]) params.prices[inputCurrencyCode] = 1 / prices[outputSymbol];
+        else if (RariSdk.supportedCurrencies.indexOf(currencyCode) < 0) throw new Error("Price not found on 0x swap API");
+        if (!params.ethPrice && prices["WETH"]) params.ethPrice = prices["WETH"] * (params.prices[inputCurrencyCode] !== undefined ? params.prices[inputCurrencyCode] : 1);
+      }
+
+      return params;
+    },
+
+    /**
+     * Get all withdrawal plans (see WithdrawalPlanner.planWithdrawal) for a withdrawal of `amountBN` of `currencyCode`, sorted from lowest to highest total cost.
+     */
+    getWithdrawalPlans: async function(web3, addresses, currencyCode, amountBN) {
+      return RariSdk.WithdrawalPlanner.planWithdrawal(web3, await RariSdk.getWithdrawalPlannerParams(web3, addresses, currencyCode, amountBN));
+    },
+
+    /**
+     * Get the lowest-cost route to withdraw `amountBN` of `currencyCode` (a supported currency, ETH, or a token in RariSdk.tokens).
+     * Returns a withdrawal plan (see WithdrawalPlanner.planWithdrawal): type is "direct" (withdraw directly from RariFundManager) or "exchange" (withdraw and exchange with RariFundProxy), and outputAmountBN is less than amountBN if exchange liquidity is insufficient.
+     * Routes also contain mStableSwapFeeBN: the mStable swap fee used to plan the route (see checkMStableSwapFee).
+     */
+    getWithdrawalRoute: async function(web3, addresses, currencyCode, amountBN) {
+      var params = await RariSdk.getWithdrawalPlannerParams(web3, addresses, currencyCode, amountBN);
+      var route = RariSdk.WithdrawalPlanner.planWithdrawal(web3, params)[0];
+      if (!route) throw new Error("No withdrawal route found for " + currencyCode + ".");
+      route.mStableSwapFeeBN = params.mStableSwapFeeBN;
+      return route;
+    },
+
+    /**
+     * Approves unlimited RSPT from `from` to RariFundManager (if not already approved) so that withdrawals can burn RSPT.
+     */
+    approveRspt: async function(web3, addresses, from) {
+      var contracts = RariSdk.getContracts(web3, addresses);
+      var allowanceBN = web3.utils.toBN(await contracts.RariFundToken.methods.allowance(from, contracts.RariFundManager.options.address).call());
+      if (allowanceBN.gte(web3.utils.toBN(2).pow(web3.utils.toBN(255)).subn(1))) return null;
+      return await RariSdk.send(web3, contracts.RariFundToken.methods.approve(contracts.RariFundManager.options.address, web3.utils.toBN(2).pow(web3.utils.toBN(256)).subn(1)), { from }, { type: "approval", description: "Approve RSPT to RariFundManager" });
+    },
+
+    /**
+     * Sends a withdrawal of `amountBN` via `route` (from getWithdrawalRoute) after RSPT has been approved.
+     * Throws before sending if the route's slippage (including any increase in the mStable swap fee since the route was planned) exceeds `maxSlippage` (defaults to RariSdk.defaultMaxSlippage).
+     * 0x exchanges buy exactly `makerAssetFillAmountBNs` (fill-or-kill), so they cannot output less than quoted.
+     */
+    sendWithdrawal: async function(web3, addresses, from, amountBN, route, maxSlippage) {
+      var contracts = RariSdk.getContracts(web3, addresses);
+      var outputAmount = RariSdk.toDecimalString(amountBN, route.outputCurrencyCode === "ETH" ? 18 : RariSdk.tokens[route.outputCurrencyCode].decimals);
+      if (route.type === "direct") return await RariSdk.send(web3, contracts.RariFundManager.methods.withdraw(route.outputCurrencyCode, amountBN), { from }, { type: "withdrawal", description: "Withdraw " + outputAmount + " " + route.outputCurrencyCode });
+
+      // Check slippage against the maximum
+      RariSdk.checkSlippage(route, maxSlippage);
+      await RariSdk.checkMStableSwapFee(web3, route, maxSlippage);
+
+      var inputAmountStrings = [];
+      for (var i = 0; i < route.inputAmountBNs.length; i++) inputAmountStrings[i] = route.inputAmountBNs[i].toString();
+      var makerAssetFillAmountStrings = [];
+      for (var i = 0; i < route.makerAssetFillAmountBNs.length; i++) makerAssetFillAmountStrings[i] = route.makerAssetFillAmountBNs[i].toString();
+      var protocolFeeStrings = [];
+      for (var i = 0; i < route.protocolFeeBNs.length; i++) protocolFeeStrings[i] = route.protocolFeeBNs[i].toString();
+      var outputErc20Contract = route.outputCurrencyCode === "ETH" ? "0x0000000000000000000000000000000000000000" : RariSdk.tokens[route.outputCurrencyCode].address;
+      return await RariSdk.send(web3, contracts.RariFundProxy.methods.withdrawAndExchange(route.inputCurrencyCodes, inputAmountStrings, outputErc20Contract, route.allOrders, route.allSignatures, makerAssetFillAmountStrings, protocolFeeStrings), { from, value: route.totalProtocolFeeBN, gasPrice: route.gasPrice, nonce: await web3.eth.getTransactionCount(from) }, { type: "withdrawal", description: "Withdraw " + route.inputCurrencyCodes.join(", ") + " and exchange to " + outputAmount + " " + route.outputCurrencyCode });
+    },
+
+    /**
+     * Get the inputs to WithdrawalPlanner.planBasketWithdrawal for a withdrawal of `amountUsdBN` (USD scaled by 1e18) split between the supported currencies according to `weights` (optional; see planBasketWithdrawal): raw fund balances and RariFundManager prices.
+     */
+    getBasketWithdrawalParams: async function(web3, addresses, amountUsdBN, weights) {
+      var contracts = RariSdk.getContracts(web3, addresses);
+      var params = { amountUsdBN, decimals: {}, rawFundBalanceBNs: {}, pricesInUsd: await RariSdk.getCurrencyPricesInUsd(web3, addresses), weights: weights ? weights : null };
+
+      for (const currencyCode of RariSdk.supportedCurrencies) {
+        params.decimals[currencyCode] = RariSdk.tokens[currencyCode].decimals;
+        params.rawFundBalanceBNs[currencyCode] = web3.utils.toBN(await contracts.RariFundManager.methods["getRawFundBalance(string)"](currencyCode).call());
+      }
+
+      return params;
+    },
+
+    /**
+     * Get a withdrawal of `amountUsdBN` (USD scaled by 1e18) paid out directly in several currencies, in proportion to the fund's raw balances or according to `weights` (mapped by currency code), so nothing is exchanged.
+     * Returns a basket (see WithdrawalPlanner.planBasketWithdrawal); throws if the fund does not hold enough of a currency to cover its share.
+     */
+    getBasketWithdrawal: async function(web3, addresses, amountUsdBN, weights) {
+      var basket = RariSdk.WithdrawalPlanner.planBasketWithdrawal(web3, await RariSdk.getBasketWithdrawalParams(web3, addresses, amountUsdBN, weights));
+      if (basket.legs.length == 0) throw new Error("No currencies to withdraw. Please enter an amount and at least one weight greater than 0.");
+      if (!basket.filled) throw new Error("The fund does not hold enough " + basket.shortfalls.join(", ") + " to withdraw this basket. Please lower the weight of " + basket.shortfalls.join(", ") + " or withdraw in proportion to the fund's holdings.");
+      return basket;
+    },
+
+    /**
+     * Sends the withdrawals of `basket` (from getBasketWithdrawal) after RSPT has been approved, one RariFundManager.withdraw transaction per leg (in order).
+     * Calls `onProgress(index, status, result)` (if specified) as each leg's status changes to "sending", "mined" (with its receipt), or "failed" (with the error, which is then thrown).
+     * Returns the receipts.
+     */
+    sendBasketWithdrawal: async function(web3, addresses, from, basket, onProgress) {
+      var fundManager = RariSdk.getContracts(web3, addresses).RariFundManager;
+      var receipts = [];
+
+      for (var i = 0; i < basket.legs.length; i++) {
+        var leg = basket.legs[i];
+        if (onProgress) onProgress(i, "sending");
+
+        try {
+          var receipt = await RariSdk.send(web3, fundManager.methods.withdraw(leg.currencyCode, leg.amountBN), { from }, { type: "withdrawal", description: "Withdraw " + RariSdk.toDecimalString(leg.amountBN, RariSdk.tokens[leg.currencyCode].decimals) + " " + leg.currencyCode });
+        } catch (err) {
+          if (onProgress) onProgress(i, "failed", err);
+          throw err;
+        }
+
+        receipts.push(receipt);
+        if (onProgress) onProgress(i, "mined", receipt);
+      }
+
+      return receipts;
+    },
+
+    /**
+     * Returns the RSPT amount equivalent to `amountBN` of `currency` ("USD" scaled by 1e18 or "RSPT").
+     */
+    getRsptTransferAmount: async function(web3, addresses, currency, amountBN) {
+      if (["USD", "RSPT"].indexOf(currency) < 0) throw new Error("Invalid currency!");
+      if (currency === "RSPT") return amountBN;
+      var contracts = RariSdk.getContracts(web3, addresses);
+      var fundBalanceBN = web3.utils.toBN(await contracts.RariFundManager.methods.getFundBalance().call());
+      var rsptTotalSupplyBN = web3.utils.toBN(await contracts.RariFundToken.methods.totalSupply().call());
+      return amountBN.mul(rsptTotalSupplyBN).div(fundBalanceBN);
+    },
+
+    /**
+     * Transfers `amountBN` of `currency` ("USD" scaled by 1e18 or "RSPT") worth of RSPT from `from` to `to`.
+     */
+    transfer: async function(web3, addresses, from, to, currency, amountBN) {
+      var rsptAmountBN = await RariSdk.getRsptTransferAmount(web3, addresses, currency, amountBN);
+      return await RariSdk.send(web3, RariSdk.getContracts(web3, addresses).RariFundToken.methods.transfer(to, rsptAmountBN), { from, gas: 60000 }, { type: "transfer", description: "Transfer " + RariSdk.toDecimalString(rsptAmountBN, 18) + " RSPT to " + to });
+    },
+
+    /**
+     * Returns the currency code of the token at `erc20Contract` (ETH if the zero address), or null if not in RariSdk.tokens.
+     */
+    getCurrencyCodeByAddress: function(erc20Contract) {
+      if (erc20Contract === "0x0000000000000000000000000000000000000000") return "ETH";
+      for (const currencyCode of Object.keys(RariSdk.tokens)) if (RariSdk.tokens[currencyCode].address.toLowerCase() === erc20Contract.toLowerCase()) return currencyCode;
+      return null;
+    },
+
+    /**
+     * Get the transaction history of `account` from `fromBlock` (defaults to 0) to the latest block, sorted from newest to oldest.
+     * Includes RariFundManager Deposit and Withdrawal events (with `account` as sender or payee), RariFundProxy PreDepositExchange and PostWithdrawalExchange events (with `account` as payee), and RSPT transfers (excluding mints and burns, which are covered by deposits and withdrawals).
+     * Returns an array of objects containing:
+     * - type: "Deposit", "Withdrawal", "PreDepositExchange", "PostWithdrawalExchange", or "Transfer"
+     * - blockNumber, logIndex, transactionHash, timestamp (in seconds)
+     * - Deposit/Withdrawal: currencyCode, sender, payee, amountBN, amountUsdBN (scaled by 1e18), rsptAmountBN (RSPT minted or burned)
+     * - PreDepositExchange/PostWithdrawalExchange: inputCurrencyCode, outputCurrencyCode (null if unknown), erc20Contract (the input or output token address), payee, inputAmountBN, outputAmountBN
+     * - Transfer: from, to, rsptAmountBN, amountUsdBN (USD value of the RSPT at the time of transfer, or null if the node cannot return historical state)
+     */
+    getAccountHistory: async function(web3, addresses, account, fromBlock) {
+      var contracts = RariSdk.getContracts(web3, addresses);
+      var options = { fromBlock: fromBlock !== undefined ? fromBlock : 0, toBlock: "latest" };
+
+      // Indexed strings are only logged as hashes, so map hashes back to currency codes
+      var currencyCodesByHash = {};
+      for (const currencyCode of RariSdk.supportedCurrencies.concat(["USD"])) currencyCodesByHash[web3.utils.soliditySha3({ t: "string", v: currencyCode })] = currencyCode;
+
+      // Get events (as sender and as payee)
+      var events = [];
+      for (const eventName of ["Deposit", "Withdrawal"]) for (const filter of [{ sender: account }, { payee: account }]) events = events.concat(await contracts.RariFundManager.getPastEvents(eventName, Object.assign({ filter }, options)));
+      for (const eventName of ["PreDepositExchange", "PostWithdrawalExchange"]) events = events.concat(await contracts.RariFundProxy.getPastEvents(eventName, Object.assign({ filter: { payee: account } }, options)));
+      for (const filter of [{ from: account }, { to: account }]) events = events.concat(await contracts.RariFundToken.getPastEvents("Transfer", Object.assign({ filter }, options)));
+
+      // Remove duplicates (e.g., deposits to self) and sort from newest to oldest
+      var eventsById = {};
+      for (const event of events) eventsById[event.transactionHash + ":" + event.logIndex] = event;
+      events = Object.values(eventsById).sort((a, b) => a.blockNumber !== b.blockNumber ? b.blockNumber - a.blockNumber : b.logIndex - a.logIndex);
+
+      // Build history
+      var history = [];
+      var timestamps = {};
+
+      for (const event of events) {
+        var entry = { type: event.event, blockNumber: event.blockNumber, logIndex: event.logIndex, transactionHash: event.transactionHash };
+
+        if (event.event === "Deposit" || event.event === "Withdrawal") {
+          entry.currencyCode = currencyCodesByHash[event.raw.topics[1]] !== undefined ? currencyCodesByHash[event.raw.topics[1]] : null;
+          entry.sender = event.returnValues.sender;
+          entry.payee = event.returnValues.payee;
+          entry.amountBN = web3.utils.toBN(event.returnValues.amount);
+          entry.amountUsdBN = web3.utils.toBN(event.returnValues.amountUsd);
+          entry.rsptAmountBN = web3.utils.toBN(event.event === "Deposit" ? event.returnValues.rftMinted : event.returnValues.rftBurned);
+        } else if (event.event === "PreDepositExchange") {
+          entry.erc20Contract = event.returnValues.inputErc20Contract;
+          entry.inputCurrencyCode = RariSdk.getCurrencyCodeByAddress(event.returnValues.inputErc20Contract);
+          entry.outputCurrencyCode = currencyCodesByHash[event.raw.topics[2]] !== undefined ? currencyCodesByHash[event.raw.topics[2]] : null;
+          entry.payee = event.returnValues.payee;
+          entry.inputAmountBN = web3.utils.toBN(event.returnValues.makerAssetFilledAmount);
+          entry.outputAmountBN = web3.utils.toBN(event.returnValues.depositAmount);
+        } else if (event.event === "PostWithdrawalExchange") {
+          entry.erc20Contract = event.returnValues.outputErc20Contract;
+          entry.inputCurrencyCode = currencyCodesByHash[event.raw.topics[1]] !== undefined ? currencyCodesByHash[event.raw.topics[1]] : null;
+          entry.outputCurrencyCode = RariSdk.getCurrencyCodeByAddress(event.returnValues.outputErc20Contract);
+          entry.payee = event.returnValues.payee;
+          entry.inputAmountBN = web3.utils.toBN(event.returnValues.withdrawalAmount);
+          entry.outputAmountBN = web3.utils.toBN(event.returnValues.takerAssetFilledAmount);
+        } else {
+          // Skip mints and burns
+          if (event.returnValues.from === "0x0000000000000000000000000000000000000000" || event.returnValues.to === "0x0000000000000000000000000000000000000000") continue;
+          entry.from = event.returnValues.from;
+          entry.to = event.returnValues.to;
+          entry.rsptAmountBN = web3.utils.toBN(event.returnValues.value);
+
+          // Get USD value from the RSPT exchange rate at the time of transfer
+          try {
+            var fundBalanceBN = web3.utils.toBN(await contracts.RariFundManager.methods.getFundBalance().call({}, event.blockNumber));
+            var rsptTotalSupplyBN = web3.utils.toBN(await contracts.RariFundToken.methods.totalSupply().call({}, event.blockNumber));
+            entry.amountUsdBN = rsptTotalSupplyBN.isZero() ? web3.utils.toBN(0) : entry.rsptAmountBN.mul(fundBalanceBN).div(rsptTotalSupplyBN);
+          } catch (err) {
+            console.error("Failed to get historical RSPT exchange rate:", err);
+            entry.amountUsdBN = null;
+          }
+        }
+
+        // Get block timestamp
+        if (timestamps[event.blockNumber] === undefined) timestamps[event.blockNumber] = parseInt((await web3.eth.getBlock(event.blockNumber)).timestamp);
+        entry.timestamp = timestamps[event.blockNumber];
+        history.push(entry);
+      }
+
+      return history;
+    },
+
+    /**
+     * Computes the interest accrued by `account` from its current fund balance `balanceBN` (in USD scaled by 1e18) and its `history` (from getAccountHistory): balance minus deposits (as payee) plus withdrawals (as sender) minus incoming transfers plus outgoing transfers (valued at the time of each transfer).
+     * Returns an object containing interestAccruedBN, balanceBN, depositsUsdBN, withdrawalsUsdBN, transfersInUsdBN, transfersOutUsdBN (all in USD scaled by 1e18), and unvaluedTransfers (the number of transfers whose USD value is unknown and therefore excluded; the result is only exact if 0).
+     */
+    getInterestAccruedFromHistory: function(web3, account, balanceBN, history) {
+      var result = { interestAccruedBN: null, balanceBN, depositsUsdBN: web3.utils.toBN(0), withdrawalsUsdBN: web3.utils.toBN(0), transfersInUsdBN: web3.utils.toBN(0), transfersOutUsdBN: web3.utils.toBN(0), unvaluedTransfers: 0 };
+      account = account.toLowerCase();
+
+      for (const entry of history) {
+        if (entry.type === "Deposit" && entry.payee.toLowerCase() === account) result.depositsUsdBN.iadd(entry.amountUsdBN);
+        else if (entry.type === "Withdrawal" && entry.sender.toLowerCase() === account) result.withdrawalsUsdBN.iadd(entry.amountUsdBN);
+        else if (entry.type === "Transfer" && entry.from.toLowerCase() !== entry.to.toLowerCase()) {
+          if (entry.amountUsdBN === null) result.unvaluedTransfers++;
+          else if (entry.to.toLowerCase() === account) result.transfersInUsdBN.iadd(entry.amountUsdBN);
+          else result.transfersOutUsdBN.iadd(entry.amountUsdBN);
+        }
+      }
+
+      result.interestAccruedBN = balanceBN.sub(result.depositsUsdBN).add(result.withdrawalsUsdBN).sub(result.transfersInUsdBN).add(result.transfersOutUsdBN);
+      return result;
+    },
+
+    /**
+     * Get the interest accrued by `account` in USD (see getInterestAccruedFromHistory for the returned breakdown).
+     * Pass `history` (from getAccountHistory) to avoid fetching it again.
+     */
+    getInterestAccrued: async function(web3, addresses, account, history) {
+      if (history === undefined) history = await RariSdk.getAccountHistory(web3, addresses, account);
+      var balanceBN = await RariSdk.getAccountBalance(web3, addresses, account);
+      return RariSdk.getInterestAccruedFromHistory(web3, account, balanceBN, history);
+    },
+
+    /**
+     * Formats `amountBN` with `decimals` decimal places as a decimal string (without trailing zeros).
+     */
+    toDecimalString: function(amountBN, decimals) {
+      var negative = amountBN.isNeg();
+      var digits = amountBN.abs().toString().padStart(decimals + 1, "0");
+      var fraction = digits.substring(digits.length - decimals).replace(/0+$/, "");
+      return (negative ? "-" : "") + digits.substring(0, digits.length - decimals) + (fraction.length > 0 ? "." + fraction : "");
+    },
+
+    /**
+     * Get one row per event in the history of `account` (from getAccountHistory; fetched if `history` is not specified), sorted from oldest to newest, for accounting exports.
+     * Each row contains timestamp (ISO 8601), blockNumber, transactionHash, type, currencyCode and amount (the input currency and amount for exchanges), outputCurrencyCode and outputAmount (exchanges only), amountUsd, rsptDelta (RSPT minted, burned, or transferred from the perspective of `account`), and runningUsdBalance (the account's fund balance at the end of the block, or null if the node cannot return historical state).
+     * All amounts are decimal strings ("" if not applicable).
+     */
+    getAccountActivity: async function(web3, addresses, account, history) {
+      if (history === undefined) history = await RariSdk.getAccountHistory(web3, addresses, account);
+      var contracts = RariSdk.getContracts(web3, addresses);
+      var rows = [];
+      var balances = {};
+
+      var formatAmount = function(amountBN, currencyCode) {
+        var decimals = currencyCode === "USD" || currencyCode === "ETH" ? 18 : (RariSdk.tokens[currencyCode] ? RariSdk.tokens[currencyCode].decimals : null);
+        return decimals === null ? amountBN.toString() : RariSdk.toDecimalString(amountBN, decimals);
+      };
+
+      // History is sorted from newest to oldest
+      for (const entry of history.slice().reverse()) {
+        var row = { timestamp: new Date(entry.timestamp * 1000).toISOString(), blockNumber: entry.blockNumber, transactionHash: entry.transactionHash, type: entry.type, currencyCode: "", amount: "", outputCurrencyCode: "", outputAmount: "", amountUsd: "", rsptDelta: "", runningUsdBalance: null };
+
+        if (entry.type === "Deposit" || entry.type === "Withdrawal") {
+          row.currencyCode = entry.currencyCode;
+          row.amount = formatAmount(entry.amountBN, entry.currencyCode);
+          row.amountUsd = RariSdk.toDecimalString(entry.amountUsdBN, 18);
+          if (entry.type === "Deposit" ? entry.payee.toLowerCase() === account.toLowerCase() : entry.sender.toLowerCase() === account.toLowerCase()) row.rsptDelta = RariSdk.toDecimalString(entry.type === "Deposit" ? entry.rsptAmountBN : entry.rsptAmountBN.neg(), 18);
+        } else if (entry.type === "PreDepositExchange" || entry.type === "PostWithdrawalExchange") {
+          row.currencyCode = entry.inputCurrencyCode !== null ? entry.inputCurrencyCode : (entry.type === "PreDepositExchange" ? entry.erc20Contract : "");
+          row.amount = formatAmount(entry.inputAmountBN, entry.inputCurrencyCode);
+          row.outputCurrencyCode = entry.outputCurrencyCode !== null ? entry.outputCurrencyCode : (entry.type === "PostWithdrawalExchange" ? entry.erc20Contract : "");
+          row.outputAmount = formatAmount(entry.outputAmountBN, entry.outputCurrencyCode);
+        } else {
+          row.currencyCode = "RSPT";
+          row.amount = RariSdk.toDecimalString(entry.rsptAmountBN, 18);
+          row.amountUsd = entry.amountUsdBN !== null ? RariSdk.toDecimalString(entry.amountUsdBN, 18) : "";
+          row.rsptDelta = RariSdk.toDecimalString(entry.to.toLowerCase() === account.toLowerCase() ? entry.rsptAmountBN : entry.rsptAmountBN.neg(), 18);
+        }
+
+        // Get the account's fund balance at the end of the block
+        if (balances[entry.blockNumber] === undefined) {
+          try {
+            balances[entry.blockNumber] = RariSdk.toDecimalString(web3.utils.toBN(await contracts.RariFundManager.methods.balanceOf(account).call({}, entry.blockNumber)), 18);
+          } catch (err) {
+            console.error("Failed to get historical account balance:", err);
+            balances[entry.blockNumber] = null;
+          }
+        }
+
+        row.runningUsdBalance = balances[entry.blockNumber];
+        rows.push(row);
+      }
+
+      return rows;
+    },
+
+    /**
+     * Converts `rows` (from getAccountActivity) to CSV (with a header row).
+     */
+    accountActivityToCsv: function(rows) {
+      var columns = ["timestamp", "blockNumber", "transactionHash", "type", "currencyCode", "amount", "outputCurrencyCode", "outputAmount", "amountUsd", "rsptDelta", "runningUsdBalance"];
+      var lines = [columns.join(",")];
+
+      for (const row of rows) lines.push(columns.map(function(column) {
+        var value = row[column] === null || row[column] === undefined ? "" : String(row[column]);
+        return /[",\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+      }).join(","));
+
+      return lines.join("\n") + "\n";
+    }
+  };
+
+  // A local ganache fork of mainnet (see scripts/ganache.js) uses the mainnet deployments
+  RariSdk.networks["1337"] = Object.assign({}, RariSdk.networks["1"], { name: "Local Ganache Fork", rpcUrl: "http://localhost:8546", explorerUrl: null });
+  RariSdk.setNetwork(1);
+
+  return RariSdk;
+});
@@ -0,0 +1,216 @@
+// Rari Stable Pool rebalancer console
+// Reads the fund's allocation, previews batches of manual RariFundController moves (pool deposits and withdrawals, approvals, and mStable and 0x exchanges), and sends them in order
+// In Node.js: const RariRebalancer = require("./src/js/sdk/rebalancer"); in the browser, this file exposes the RariRebalancer global (load after src/js/sdk/index.js and set RariSdk.abis.RariFundController)
+(function(root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./index"));
+  else root.RariRebalancer = factory(root.RariSdk);
+})(typeof self !== "undefined" ? self : this, function(RariSdk) {
+  var Rebalancer = {
+    // Types of moves (each sent as one RariFundController transaction) and the move properties they require
+    moveTypes: {
+      approveToPool: ["pool", "currencyCode", "amountBN"],
+      depositToPool: ["pool", "currencyCode", "amountBN"],
+      withdrawFromPool: ["pool", "currencyCode", "amountBN"],
+      withdrawAllFromPool: ["pool", "currencyCode"],
+      approveToMUsd: ["currencyCode", "amountBN"],
+      swapMStable: ["inputCurrencyCode", "outputCurrencyCode", "inputAmountBN", "outputAmountBN"],
+      approveTo0x: ["currencyCode", "amountBN"],
+      marketSell0xOrdersFillOrKill: ["inputCurrencyCode", "outputCurrencyCode", "inputAmountBN", "outputAmountBN", "orders", "signatures", "takerAssetFillAmountBN", "protocolFeeBN"]
+    },
+
+    /**
+     * Returns the rebalancer of RariFundController (the only account allowed to send moves) from its latest FundRebalancerSet event, or null if it was never set.
+     */
+    getRebalancer: async function(web3, addresses) {
+      var event = await RariSdk.getLatestEvent(await RariSdk.getFundController(web3, addresses), ["FundRebalancerSet"]);
+      return event !== null ? event.returnValues.newAddress : null;
+    },
+
+    /**
+     * Get the fund's current allocation from RariFundProxy.getRawFundBalancesAndPrices, mapped by currency code: { priceInUsdBN, contractBalanceBN, poolBalanceBNs } (where poolBalanceBNs maps pool indexes to balances).
+     */
+    getAllocation: async function(web3, addresses) {
+      var allBalances = await RariSdk.getContracts(web3, addresses).RariFundProxy.methods.getRawFundBalancesAndPrices().call();
+      RariSdk.setCurrencies(allBalances["0"], allBalances["2"]);
+      var allocation = {};
+
+      for (var i = 0; i < allBalances["0"].length; i++) {
+        var currencyCode = allBalances["0"][i];
+        if (!RariSdk.currencies[currencyCode]) continue;
+        allocation[currencyCode] = { priceInUsdBN: web3.utils.toBN(allBalances["4"][i]), contractBalanceBN: web3.utils.toBN(allBalances["1"][i]), poolBalanceBNs: {} };
+        for (const pool of RariSdk.currencies[currencyCode].pools) allocation[currencyCode].poolBalanceBNs[pool] = web3.utils.toBN(0);
+        for (var j = 0; j < allBalances["2"][i].length; j++) allocation[currencyCode].poolBalanceBNs[parseInt(allBalances["2"][i][j])] = web3.utils.toBN(allBalances["3"][i][j]);
+      }
+
+      return allocation;
+    },
+
+    /**
+     * Returns a copy of `allocation` (from getAllocation) after applying `moves` in order.
+     * Throws if a move is invalid or would spend more than the balance available to it at that point in the batch.
+     */
+    applyMoves: function(web3, allocation, moves) {
+      var result = {};
+      for (const currencyCode of Object.keys(allocation)) {
+        result[currencyCode] = { priceInUsdBN: allocation[currencyCode].priceInUsdBN, contractBalanceBN: allocation[currencyCode].contractBalanceBN.clone(), poolBalanceBNs: {} };
+        for (const pool of Object.keys(allocation[currencyCode].poolBalanceBNs)) result[currencyCode].poolBalanceBNs[pool] = allocation[currencyCode].poolBalanceBNs[pool].clone();
+      }
+
+      for (var i = 0; i < moves.length; i++) {
+        var move = moves[i];
+
+        try {
+          Rebalancer.checkMove(move);
+        } catch (err) {
+          throw new Error("Move " + (i + 1) + ": " + err.message);
+        }
+
+        try {
+          if (move.type === "depositToPool" || move.type === "withdrawFromPool" || move.type === "withdrawAllFromPool") {
+            if (!result[move.currencyCode] || result[move.currencyCode].poolBalanceBNs[move.pool] === undefined) throw new Error(RariSdk.pools[move.pool].name + " does not support " + move.currencyCode + ".");
+            var currency = result[move.currencyCode];
+            var amountBN = move.type === "withdrawAllFromPool" ? currency.poolBalanceBNs[move.pool] : move.amountBN;
+
+            if (move.type === "depositToPool") {
+              if (amountBN.gt(currency.contractBalanceBN)) throw new Error("Not enough " + move.currencyCode + " held by RariFundController.");
+              currency.contractBalanceBN = currency.contractBalanceBN.sub(amountBN);
+              currency.poolBalanceBNs[move.pool] = currency.poolBalanceBNs[move.pool].add(amountBN);
+            } else {
+              if (amountBN.gt(currency.poolBalanceBNs[move.pool])) throw new Error("Not enough " + move.currencyCode + " in " + RariSdk.pools[move.pool].name + ".");
+              currency.poolBalanceBNs[move.pool] = currency.poolBalanceBNs[move.pool].sub(amountBN);
+              currency.contractBalanceBN = currency.contractBalanceBN.add(amountBN);
+            }
+          } else if (move.type === "swapMStable" || move.type === "marketSell0xOrdersFillOrKill") {
+            if (!result[move.inputCurrencyCode] || !result[move.outputCurrencyCode]) throw new Error("Both currencies must be supported by the fund.");
+            if (move.inputAmountBN.gt(result[move.inputCurrencyCode].contractBalanceBN)) throw new Error("Not enough " + move.inputCurrencyCode + " held by RariFundController.");
+            result[move.inputCurrencyCode].contractBalanceBN = result[move.inputCurrencyCode].contractBalanceBN.sub(move.inputAmountBN);
+            result[move.outputCurrencyCode].contractBalanceBN = result[move.outputCurrencyCode].contractBalanceBN.add(move.outputAmountBN);
+          }
+        } catch (err) {
+          throw new Error("Move " + (i + 1) + " (" + Rebalancer.describeMove(move) + "): " + err.message);
+        }
+      }
+
+      return result;
+    },
+
+    /**
+     * Throws if `move` is of an unknown type or is missing a required property (see moveTypes).
+     */
+    checkMove: function(move) {
+      if (!Rebalancer.moveTypes[move.type]) throw new Error("Unknown move type " + move.type + ".");
+      for (const key of Rebalancer.moveTypes[move.type]) if (move[key] === undefined || move[key] === null) throw new Error("Move is missing " + key + ".");
+    },
+
+    /**
+     * Returns the USD value of `allocation` (from getAllocation or applyMoves) by currency and by pool (all scaled by 1e18), and its blended APY given `poolApyBNs` (from RariSdk.getPoolApyBNs; balances held by RariFundController earn nothing).
+     */
+    getAllocationSummary: function(web3, allocation, poolApyBNs) {
+      var totalBalanceUsdBN = web3.utils.toBN(0);
+      var weightedApySumBN = web3.utils.toBN(0);
+      var allocationsByCurrency = {};
+      var allocationsByPool = {};
+      for (var i = 0; i < RariSdk.pools.length; i++) allocationsByPool[i] = web3.utils.toBN(0);
+
+      for (const currencyCode of Object.keys(allocation)) {
+        var currency = allocation[currencyCode];
+        var decimalsBN = web3.utils.toBN(10).pow(web3.utils.toBN(RariSdk.tokens[currencyCode].decimals));
+        allocationsByCurrency[currencyCode] = currency.contractBalanceBN.mul(currency.priceInUsdBN).div(decimalsBN);
+
+        for (const pool of Object.keys(currency.poolBalanceBNs)) {
+          var poolBalanceUsdBN = currency.poolBalanceBNs[pool].mul(currency.priceInUsdBN).div(decimalsBN);
+          var apyBN = RariSdk.pools[pool] && poolApyBNs[RariSdk.pools[pool].id] && poolApyBNs[RariSdk.pools[pool].id][currencyCode] ? poolApyBNs[RariSdk.pools[pool].id][currencyCode] : web3.utils.toBN(0);
+          allocationsByCurrency[currencyCode].iadd(poolBalanceUsdBN);
+          if (allocationsByPool[pool] === undefined) allocationsByPool[pool] = web3.utils.toBN(0);
+          allocationsByPool[pool].iadd(poolBalanceUsdBN);
+          weightedApySumBN.iadd(poolBalanceUsdBN.mul(apyBN));
+        }
+
+        totalBalanceUsdBN.iadd(allocationsByCurrency[currencyCode]);
+      }
+
+      return { totalBalanceUsdBN, allocationsByCurrency, allocationsByPool, apyBN: totalBalanceUsdBN.isZero() ? web3.utils.toBN(0) : weightedApySumBN.div(totalBalanceUsdBN) };
+    },
+
+    /**
+     * Returns a move exchanging `inputAmountBN` of `inputCurrencyCode` for `outputCurrencyCode` via mStable, with the output amount estimated from `mStableSwapFeeBN` (from RariSdk.getMStableSwapFeeBN).
+     */
+    getMStableMove: function(web3, inputCurrencyCode, outputCurrencyCode, inputAmountBN, mStableSwapFeeBN) {
+      var outputAmountBN = inputAmountBN.mul(web3.utils.toBN(10).pow(web3.utils.toBN(RariSdk.tokens[outputCurrencyCode].decimals))).div(web3.utils.toBN(10).pow(web3.utils.toBN(RariSdk.tokens[inputCurrencyCode].decimals)));
+      if (inputCurrencyCode !== "mUSD" && outputCurrencyCode !== "mUSD") outputAmountBN = outputAmountBN.sub(outputAmountBN.mul(mStableSwapFeeBN).div(web3.utils.toBN(1e18)));
+      return { type: "swapMStable", inputCurrencyCode, outputCurrencyCode, inputAmountBN, outputAmountBN };
+    },
+
+    /**
+     * Returns a move exchanging up to `inputAmountBN` of `inputCurrencyCode` for `outputCurrencyCode` via 0x orders from the 0x swap API (inputAmountBN is lowered to the amount that can be filled).
+     */
+    get0xMove: async function(web3, inputCurrencyCode, outputCurrencyCode, inputAmountBN) {
+      var [orders, inputFilledAmountBN, protocolFee, takerAssetFilledAmountBN, makerAssetFilledAmountBN, gasPrice] = await RariSdk.get0xSwapOrders(web3, RariSdk.tokens[inputCurrencyCode].address, RariSdk.tokens[outputCurrencyCode].address, inputAmountBN);
+      var [orders, signatures] = RariSdk.build0xOrdersAndSignatures(orders);
+      return { type: "marketSell0xOrdersFillOrKill", inputCurrencyCode, outputCurrencyCode, inputAmountBN: inputFilledAmountBN, outputAmountBN: makerAssetFilledAmountBN, orders, signatures, takerAssetFillAmountBN: takerAssetFilledAmountBN, protocolFeeBN: web3.utils.toBN(protocolFee), gasPrice };
+    },
+
+    /**
+     * Returns a human-readable description of `move`.
+     */
+    describeMove: function(move) {
+      var format = function(amountBN, currencyCode) {
+        return (RariSdk.tokens[currencyCode] ? RariSdk.toDecimalString(amountBN, RariSdk.tokens[currencyCode].decimals) : amountBN.toString()) + " " + currencyCode;
+      };
+      var poolName = move.pool !== undefined && RariSdk.pools[move.pool] ? RariSdk.pools[move.pool].name : "pool " + move.pool;
+
+      if (move.type === "approveToPool") return "Approve " + format(move.amountBN, move.currencyCode) + " to " + poolName;
+      if (move.type === "depositToPool") return "Deposit " + format(move.amountBN, move.currencyCode) + " to " + poolName;
+      if (move.type === "withdrawFromPool") return "Withdraw " + format(move.amountBN, move.currencyCode) + " from " + poolName;
+      if (move.type === "withdrawAllFromPool") return "Withdraw all " + move.currencyCode + " from " + poolName;
+      if (move.type === "approveToMUsd") return "Approve " + format(move.amountBN, move.currencyCode) + " to mUSD";
+      if (move.type === "swapMStable") return "Exchange " + format(move.inputAmountBN, move.inputCurrencyCode) + " for ~" + format(move.outputAmountBN, move.outputCurrencyCode) + " via mStable";
+      if (move.type === "approveTo0x") return "Approve " + format(move.amountBN, move.currencyCode) + " to 0x";
+      if (move.type === "marketSell0xOrdersFillOrKill") return "Exchange " + format(move.inputAmountBN, move.inputCurrencyCode) + " for " + format(move.outputAmountBN, move.outputCurrencyCode) + " via 0x";
+      return move.type;
+    },
+
+    /**
+     * Returns the web3.js contract method call and send options for `move` on RariFundController contract `fundController`.
+     */
+    getMoveTransaction: function(fundController, move, from) {
+      Rebalancer.checkMove(move);
+      var methods = fundController.methods;
+      if (move.type === "approveToPool" || move.type === "depositToPool" || move.type === "withdrawFromPool") return { method: methods[move.type](move.pool, move.currencyCode, move.amountBN), options: { from } };
+      if (move.type === "withdrawAllFromPool") return { method: methods.withdrawAllFromPool(move.pool, move.currencyCode), options: { from } };
+      if (move.type === "approveToMUsd") return { method: methods.approveToMUsd(move.currencyCode, move.amountBN), options: { from } };
+      if (move.type === "swapMStable") return { method: methods.swapMStable(move.inputCurrencyCode, move.outputCurrencyCode, move.inputAmountBN), options: { from } };
+      if (move.type === "approveTo0x") return { method: methods.approveTo0x(RariSdk.tokens[move.currencyCode].address, move.amountBN), options: { from } };
+      return { method: methods.marketSell0xOrdersFillOrKill(move.inputCurrencyCode, move.outputCurrencyCode, move.orders, move.signatures, move.takerAssetFillAmountBN), options: { from, value: move.protocolFeeBN.toString(), gasPrice: move.gasPrice } };
+    },
+
+    /**
+     * Sends `moves` from `from` (the rebalancer) in order, one transaction at a time, stopping at the first failure.
+     * Calls `onProgress(index, status, result)` (if specified) as each move is "sending", "mined" (result is the receipt), or "failed" (result is the error; later moves are not sent).
+     * Returns the receipts.
+     */
+    sendMoves: async function(web3, addresses, from, moves, onProgress) {
+      var fundController = await RariSdk.getFundController(web3, addresses);
+      var receipts = [];
+
+      for (var i = 0; i < moves.length; i++) {
+        if (onProgress) onProgress(i, "sending");
+
+        try {
+          var transaction = Rebalancer.getMoveTransaction(fundController, moves[i], from);
+          var receipt = await RariSdk.send(web3, transaction.method, transaction.options, { type: "rebalance", description: Rebalancer.describeMove(moves[i]) });
+        } catch (err) {
+          if (onProgress) onProgress(i, "failed", err);
+          throw err;
+        }
+
+        receipts.push(receipt);
+        if (onProgress) onProgress(i, "mined", receipt);
+      }
+
+      return receipts;
+    }
+  };
+
+  return Rebalancer;
+});
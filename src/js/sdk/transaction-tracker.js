@@ -0,0 +1,159 @@
+// Rari Stable Pool transaction tracker
+// Records submitted transactions in a Storage object (e.g., window.localStorage) and follows each through the pending, mined, replaced (another transaction with the same nonce was mined), and failed (reverted) states
+// In Node.js: const TransactionTracker = require("./src/js/sdk/transaction-tracker"); in the browser, this file exposes the RariTransactionTracker global
+(function(root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.RariTransactionTracker = factory();
+})(typeof self !== "undefined" ? self : this, function() {
+  var TransactionTracker = {
+    storageKey: "rariTransactions",
+    // Maximum number of transactions to keep (oldest are removed first)
+    maxTransactions: 50,
+    // Maximum number of blocks to search for the transaction that replaced a transaction
+    maxReplacementSearchBlocks: 100,
+
+    /**
+     * Returns all tracked transactions in `storage` (newest first), each containing:
+     * - hash, from, chainId, type ("approval", "deposit", "withdrawal", "transfer", "admin", "rebalance", or "fees"), description
+     * - status: "pending", "mined", "replaced", or "failed"
+     * - nonce: the transaction's nonce (recorded at submission if known, then confirmed by the node while it still knows the transaction)
+     * - nonceConfirmed: whether the nonce has been confirmed by the node
+     * - submittedAt: time of submission (in milliseconds since the epoch)
+     * - submittedBlockNumber: the latest block number at submission or when the nonce became known (used to search for replacements)
+     * - blockNumber: the block in which the transaction (or its replacement) was mined
+     * - replacedBy: hash of the replacement transaction (if replaced and found)
+     */
+    load: function(storage) {
+      try {
+        var transactions = JSON.parse(storage.getItem(TransactionTracker.storageKey));
+        return Array.isArray(transactions) ? transactions : [];
+      } catch (err) {
+        return [];
+      }
+    },
+
+    save: function(storage, transactions) {
+      storage.setItem(TransactionTracker.storageKey, JSON.stringify(transactions.slice(0, TransactionTracker.maxTransactions)));
+    },
+
+    /**
+     * Adds a newly submitted transaction (`transaction` contains hash, from, chainId, type, description, and optionally nonce and submittedBlockNumber) to `storage` and returns its record.
+     * Pass the nonce so the transaction can be found to be replaced even if the node drops it (e.g., when sped up in the wallet) before it is first updated.
+     */
+    add: function(storage, transaction) {
+      var nonce = transaction.nonce !== undefined && transaction.nonce !== null ? parseInt(transaction.nonce) : null;
+      var submittedBlockNumber = transaction.submittedBlockNumber !== undefined ? transaction.submittedBlockNumber : null;
+      var record = { hash: transaction.hash, from: transaction.from, chainId: transaction.chainId, type: transaction.type, description: transaction.description, status: "pending", nonce, nonceConfirmed: false, submittedAt: (new Date()).getTime(), submittedBlockNumber, blockNumber: null, replacedBy: null };
+      var transactions = TransactionTracker.load(storage).filter(existing => existing.hash !== record.hash);
+      transactions.unshift(record);
+      TransactionTracker.save(storage, transactions);
+      return record;
+    },
+
+    /**
+     * Removes all transactions that are no longer pending from `storage`.
+     */
+    clearCompleted: function(storage) {
+      TransactionTracker.save(storage, TransactionTracker.load(storage).filter(transaction => transaction.status === "pending"));
+    },
+
+    /**
+     * Returns an updated copy of pending `transaction` given its current state on the network of `web3`.
+     * A transaction is replaced if it has no receipt but its sender's mined nonce has passed its nonce; if found, the replacement's hash and block number are recorded, and the status is "failed" if the replacement reverted.
+     */
+    getUpdatedTransaction: async function(web3, transaction) {
+      var updated = Object.assign({}, transaction);
+      var receipt = await web3.eth.getTransactionReceipt(transaction.hash);
+
+      if (receipt) {
+        updated.status = receipt.status ? "mined" : "failed";
+        updated.blockNumber = receipt.blockNumber;
+        return updated;
+      }
+
+      // Confirm the nonce while the transaction is still known to the node (otherwise, fall back to the nonce recorded at submission)
+      if (!updated.nonceConfirmed) {
+        var tx = await web3.eth.getTransaction(transaction.hash);
+
+        if (tx) {
+          updated.nonce = tx.nonce;
+          updated.nonceConfirmed = true;
+          if (updated.submittedBlockNumber === null) updated.submittedBlockNumber = await web3.eth.getBlockNumber();
+        }
+      }
+
+      if (updated.nonce === null) return updated;
+
+      // Check if another transaction with the same nonce has been mined
+      var minedNonce = await web3.eth.getTransactionCount(transaction.from, "latest");
+      if (minedNonce <= updated.nonce) return updated;
+
+      // Check for a receipt again in case the transaction was mined since we checked
+      receipt = await web3.eth.getTransactionReceipt(transaction.hash);
+
+      if (receipt) {
+        updated.status = receipt.status ? "mined" : "failed";
+        updated.blockNumber = receipt.blockNumber;
+        return updated;
+      }
+
+      updated.status = "replaced";
+      var replacement = await TransactionTracker.findReplacement(web3, updated);
+
+      if (replacement) {
+        updated.replacedBy = replacement.hash;
+        updated.blockNumber = replacement.blockNumber;
+        var replacementReceipt = await web3.eth.getTransactionReceipt(replacement.hash);
+        if (replacementReceipt && !replacementReceipt.status) updated.status = "failed";
+      }
+
+      return updated;
+    },
+
+    /**
+     * Returns the mined transaction from `transaction.from` with `transaction.nonce` (searching up to maxReplacementSearchBlocks blocks from transaction.submittedBlockNumber), or null if not found.
+     */
+    findReplacement: async function(web3, transaction) {
+      var latestBlockNumber = await web3.eth.getBlockNumber();
+      var fromBlockNumber = transaction.submittedBlockNumber !== null ? Math.max(transaction.submittedBlockNumber - 1, 0) : latestBlockNumber - TransactionTracker.maxReplacementSearchBlocks;
+      var toBlockNumber = Math.min(latestBlockNumber, fromBlockNumber + TransactionTracker.maxReplacementSearchBlocks);
+
+      for (var blockNumber = fromBlockNumber; blockNumber <= toBlockNumber; blockNumber++) {
+        var block = await web3.eth.getBlock(blockNumber, true);
+        if (!block) continue;
+        for (const tx of block.transactions) if (tx.from.toLowerCase() === transaction.from.toLowerCase() && tx.nonce === transaction.nonce) return tx;
+      }
+
+      return null;
+    },
+
+    /**
+     * Updates all pending transactions on chain `chainId` in `storage` given their current state on the network of `web3`.
+     * Returns the updated records whose status changed.
+     */
+    updatePending: async function(web3, storage, chainId) {
+      var changed = [];
+
+      for (const transaction of TransactionTracker.load(storage)) {
+        if (transaction.status !== "pending" || transaction.chainId != chainId) continue;
+
+        try {
+          var updated = await TransactionTracker.getUpdatedTransaction(web3, transaction);
+        } catch (err) {
+          console.error("Failed to update transaction " + transaction.hash + ":", err);
+          continue;
+        }
+
+        // Reload before saving in case transactions were added while we were waiting on the network
+        var transactions = TransactionTracker.load(storage);
+        for (var i = 0; i < transactions.length; i++) if (transactions[i].hash === updated.hash) transactions[i] = updated;
+        TransactionTracker.save(storage, transactions);
+        if (updated.status !== transaction.status) changed.push(updated);
+      }
+
+      return changed;
+    }
+  };
+
+  return TransactionTracker;
+});
@@ -0,0 +1,306 @@
+// Rari Stable Pool withdrawal route planner
+// Pure functions (no network access) that plan how to withdraw an amount of an output currency from the fund given the fund's raw balances, mStable limits and swap fee, and 0x quotes, or how to split a withdrawal between several currencies withdrawn directly
+// In Node.js: const WithdrawalPlanner = require("./src/js/sdk/withdrawal-planner"); in the browser, this file exposes the RariWithdrawalPlanner global (also available as RariSdk.WithdrawalPlanner)
+(function(root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.RariWithdrawalPlanner = factory();
+})(typeof self !== "undefined" ? self : this, function() {
+  var WithdrawalPlanner = {
+    /**
+     * Strategies tried by planWithdrawal. All strategies withdraw as much as possible of the output currency directly first.
+     * - greedy: exchange currencies with the lowest fund balances first via mStable, then fill the rest via 0x (the dApp's original algorithm)
+     * - greedy-largest-first: same as greedy, but exchange currencies with the highest fund balances first via mStable (fewer exchanges)
+     * - mstable-only: only exchange via mStable
+     * - 0x-only: only exchange via 0x
+     */
+    strategies: [
+      { name: "greedy", useMStable: true, useZeroEx: true, mStableLargestFirst: false },
+      { name: "greedy-largest-first", useMStable: true, useZeroEx: true, mStableLargestFirst: true },
+      { name: "mstable-only", useMStable: true, useZeroEx: false, mStableLargestFirst: false },
+      { name: "0x-only", useMStable: false, useZeroEx: true, mStableLargestFirst: false }
+    ],
+
+    /**
+     * Plans a withdrawal of `params.amountBN` of `params.outputCurrencyCode` from the fund.
+     * `params` contains:
+     * - outputCurrencyCode: the currency code to withdraw (a supported currency, ETH, or any token with a 0x quote)
+     * - amountBN: the output amount to withdraw
+     * - decimals: decimal places of each currency code (including the output currency)
+     * - rawFundBalanceBNs: raw fund balances (RariFundManager.getRawFundBalance) of each supported currency code
+     * - mStableCurrencies: currency codes exchangeable via mStable
+     * - mStableSwapFeeBN: mStable swap fee rate (scaled by 1e18); not used if the output currency is mUSD
+     * - mStableLimits: mStable limits of each input currency code ({ valid, maxInputBN, maxOutputBN } from MassetValidationHelper.getMaxSwap; maxInputBN and maxOutputBN may be null if validated with getRedeemValidity)
+     * - zeroExQuotes: 0x quotes of each input currency code ({ orders, signatures, inputFillAmountBN, makerAssetFillAmountBN, protocolFeeBN, gasPrice } from RariSdk.get0xSwapOrders)
+     * - prices (optional): the value of one unit of each input currency code in the output currency (defaults to 1, i.e., stablecoins)
+     * - ethPrice (optional): the value of one ETH in the output currency (used to add 0x protocol fees to the total cost; defaults to 0)
+     * Returns an array of plans (one per distinct result of each strategy) sorted from lowest to highest total cost (with plans that cannot fill the withdrawal last), each containing:
+     * - type: "direct" (withdraw directly from RariFundManager) or "exchange" (withdraw and exchange with RariFundProxy)
+     * - strategy: the name of the strategy used
+     * - inputCurrencyCodes, inputAmountBNs, allOrders, allSignatures, makerAssetFillAmountBNs, protocolFeeBNs: parameters for RariFundProxy.withdrawAndExchange
+     * - totalProtocolFeeBN, gasPrice: 0x protocol fee in ETH (to send as value) and gas price to use
+     * - outputAmountBN: the total output amount
+     * - filled: true if outputAmountBN is at least amountBN
+     * - slippage: exchange slippage (negative if a bonus)
+     * - totalCost: value of inputs minus output plus protocol fees (in units of the output currency)
+     */
+    planWithdrawal: function(web3, params) {
+      // If we can withdraw everything directly, do so
+      var outputRawFundBalanceBN = params.rawFundBalanceBNs[params.outputCurrencyCode];
+
+      if (outputRawFundBalanceBN && outputRawFundBalanceBN.gte(params.amountBN)) {
+        var plan = WithdrawalPlanner.createPlan(web3, "direct", params.outputCurrencyCode);
+        plan.type = "direct";
+        WithdrawalPlanner.addToPlan(plan, params.outputCurrencyCode, params.amountBN, params.amountBN);
+        plan.filled = true;
+        plan.slippage = 0;
+        plan.totalCost = 0;
+        return [plan];
+      }
+
+      // Build a plan with each strategy, skipping duplicates
+      var plans = [];
+      var planKeys = [];
+
+      for (const strategy of WithdrawalPlanner.strategies) {
+        var plan = WithdrawalPlanner.buildPlan(web3, params, strategy);
+        var planKey = plan.inputCurrencyCodes.join() + "/" + plan.inputAmountBNs.join();
+        if (planKeys.indexOf(planKey) >= 0) continue;
+        planKeys.push(planKey);
+        WithdrawalPlanner.setPlanCost(params, plan);
+        plans.push(plan);
+      }
+
+      // Sort plans from lowest to highest total cost (unfilled plans last)
+      plans.sort((a, b) => a.filled !== b.filled ? (a.filled ? -1 : 1) : (a.filled ? a.totalCost - b.totalCost : (b.outputAmountBN.gt(a.outputAmountBN) ? 1 : -1)));
+      return plans;
+    },
+
+    createPlan: function(web3, strategyName, outputCurrencyCode) {
+      return {
+        type: "exchange",
+        strategy: strategyName,
+        outputCurrencyCode,
+        inputCurrencyCodes: [],
+        inputAmountBNs: [],
+        allOrders: [],
+        allSignatures: [],
+        makerAssetFillAmountBNs: [],
+        protocolFeeBNs: [],
+        totalProtocolFeeBN: web3.utils.toBN(0),
+        gasPrice: undefined,
+        outputAmountBN: web3.utils.toBN(0)
+      };
+    },
+
+    addToPlan: function(plan, inputCurrencyCode, inputAmountBN, outputAmountBN, zeroExQuote, makerAssetFillAmountBN) {
+      plan.inputCurrencyCodes.push(inputCurrencyCode);
+      plan.inputAmountBNs.push(inputAmountBN);
+      plan.allOrders.push(zeroExQuote ? zeroExQuote.orders : []);
+      plan.allSignatures.push(zeroExQuote ? zeroExQuote.signatures : []);
+      plan.makerAssetFillAmountBNs.push(zeroExQuote ? makerAssetFillAmountBN : 0);
+      plan.protocolFeeBNs.push(zeroExQuote ? zeroExQuote.protocolFeeBN : 0);
+      plan.outputAmountBN.iadd(outputAmountBN);
+
+      if (zeroExQuote) {
+        plan.totalProtocolFeeBN.iadd(zeroExQuote.protocolFeeBN);
+
+        // Use the lowest gas price quoted (0x refunds excess protocol fees)
+        if (plan.gasPrice === undefined || parseFloat(zeroExQuote.gasPrice) < parseFloat(plan.gasPrice)) plan.gasPrice = zeroExQuote.gasPrice;
+      }
+    },
+
+    /**
+     * Returns the output amount of an mStable swap of `inputAmountBN` of `inputCurrencyCode` to the output currency (after the swap fee, unless minting mUSD).
+     */
+    getMStableOutputAmount: function(web3, params, inputCurrencyCode, inputAmountBN) {
+      var outputAmountBeforeFeesBN = inputAmountBN.mul(web3.utils.toBN(10 ** params.decimals[params.outputCurrencyCode])).div(web3.utils.toBN(10 ** params.decimals[inputCurrencyCode]));
+      if (params.outputCurrencyCode === "mUSD") return outputAmountBeforeFeesBN;
+      return outputAmountBeforeFeesBN.sub(outputAmountBeforeFeesBN.mul(params.mStableSwapFeeBN).div(web3.utils.toBN(1e18)));
+    },
+
+    /**
+     * Builds a withdrawal plan using `strategy` (see WithdrawalPlanner.strategies).
+     */
+    buildPlan: function(web3, params, strategy) {
+      var amountBN = params.amountBN;
+      var plan = WithdrawalPlanner.createPlan(web3, strategy.name, params.outputCurrencyCode);
+
+      // Withdraw as much as we can of the output currency first
+      var outputRawFundBalanceBN = params.rawFundBalanceBNs[params.outputCurrencyCode];
+      if (outputRawFundBalanceBN && outputRawFundBalanceBN.gt(web3.utils.toBN(0))) WithdrawalPlanner.addToPlan(plan, params.outputCurrencyCode, outputRawFundBalanceBN, outputRawFundBalanceBN);
+
+      // Get input candidates
+      var inputCandidates = [];
+
+      for (const currencyCode of Object.keys(params.rawFundBalanceBNs))
+        if (currencyCode !== params.outputCurrencyCode && params.rawFundBalanceBNs[currencyCode].gt(web3.utils.toBN(0)))
+          inputCandidates.push({ currencyCode, rawFundBalanceBN: params.rawFundBalanceBNs[currencyCode].clone() });
+
+      // Sort candidates from lowest to highest rawFundBalanceBN
+      inputCandidates.sort((a, b) => a.rawFundBalanceBN.gt(b.rawFundBalanceBN) ? 1 : -1);
+
+      // mStable
+      if (strategy.useMStable && params.mStableCurrencies.indexOf(params.outputCurrencyCode) >= 0) {
+        var mStableCandidates = [];
+        for (const inputCandidate of inputCandidates) if (params.mStableCurrencies.indexOf(inputCandidate.currencyCode) >= 0 && params.mStableLimits[inputCandidate.currencyCode] && params.mStableLimits[inputCandidate.currencyCode].valid) mStableCandidates.push(inputCandidate);
+        if (strategy.mStableLargestFirst) mStableCandidates.reverse();
+
+        for (const inputCandidate of mStableCandidates) {
+          // Calculate input amount needed to fill output amount
+          var remainingAmountBN = amountBN.sub(plan.outputAmountBN);
+          var mStableSwapFeeBN = params.outputCurrencyCode === "mUSD" ? web3.utils.toBN(0) : params.mStableSwapFeeBN;
+          var inputAmountBN = remainingAmountBN.mul(web3.utils.toBN(1e18)).div(web3.utils.toBN(1e18).sub(mStableSwapFeeBN)).mul(web3.utils.toBN(10 ** params.decimals[inputCandidate.currencyCode])).div(web3.utils.toBN(10 ** params.decimals[params.outputCurrencyCode]));
+          var outputAmountBN = WithdrawalPlanner.getMStableOutputAmount(web3, params, inputCandidate.currencyCode, inputAmountBN);
+
+          var tries = 0;
+          while (outputAmountBN.lt(remainingAmountBN)) {
+            if (tries >= 1000) throw new Error("Failed to get increment order input amount to achieve desired output amount");
+            inputAmountBN.iadd(web3.utils.toBN(1)); // Make sure we have enough input amount to receive remainingAmountBN
+            outputAmountBN = WithdrawalPlanner.getMStableOutputAmount(web3, params, inputCandidate.currencyCode, inputAmountBN);
+            tries++;
+          }
+
+          // Limit input to the fund's raw balance and the mStable max swap
+          if (inputAmountBN.gt(inputCandidate.rawFundBalanceBN)) {
+            inputAmountBN = inputCandidate.rawFundBalanceBN.clone();
+            outputAmountBN = WithdrawalPlanner.getMStableOutputAmount(web3, params, inputCandidate.currencyCode, inputAmountBN);
+          }
+
+          var mStableLimit = params.mStableLimits[inputCandidate.currencyCode];
+
+          if (mStableLimit.maxInputBN && inputAmountBN.gt(mStableLimit.maxInputBN)) {
+            inputAmountBN = mStableLimit.maxInputBN;
+            outputAmountBN = mStableLimit.maxOutputBN ? mStableLimit.maxOutputBN : WithdrawalPlanner.getMStableOutputAmount(web3, params, inputCandidate.currencyCode, inputAmountBN);
+          }
+
+          if (inputAmountBN.isZero()) continue;
+          WithdrawalPlanner.addToPlan(plan, inputCandidate.currencyCode, inputAmountBN, outputAmountBN);
+          inputCandidate.rawFundBalanceBN.isub(inputAmountBN);
+
+          // Stop if we have filled the withdrawal
+          if (plan.outputAmountBN.gte(amountBN)) break;
+        }
+      }
+
+      // Use 0x if necessary
+      if (strategy.useZeroEx && plan.outputAmountBN.lt(amountBN) && params.zeroExQuotes) {
+        var zeroExCandidates = [];
+
+        for (const inputCandidate of inputCandidates) {
+          var zeroExQuote = params.zeroExQuotes[inputCandidate.currencyCode];
+          if (!zeroExQuote || inputCandidate.rawFundBalanceBN.isZero() || zeroExQuote.makerAssetFillAmountBN.isZero()) continue;
+          var inputFillAmountBN = zeroExQuote.inputFillAmountBN;
+          var makerAssetFillAmountBN = zeroExQuote.makerAssetFillAmountBN;
+
+          // Scale down quote if some of the input currency has already been exchanged via mStable
+          if (inputFillAmountBN.gt(inputCandidate.rawFundBalanceBN)) {
+            makerAssetFillAmountBN = makerAssetFillAmountBN.mul(inputCandidate.rawFundBalanceBN).div(inputFillAmountBN);
+            inputFillAmountBN = inputCandidate.rawFundBalanceBN;
+          }
+
+          zeroExCandidates.push({ currencyCode: inputCandidate.currencyCode, zeroExQuote, inputFillAmountBN, makerAssetFillAmountBN });
+        }
+
+        // Sort candidates from lowest to highest makerAssetFillAmountBN
+        zeroExCandidates.sort((a, b) => a.makerAssetFillAmountBN.gt(b.makerAssetFillAmountBN) ? 1 : -1);
+
+        // Loop through input currency candidates until we fill the withdrawal
+        for (var i = 0; i < zeroExCandidates.length; i++) {
+          var remainingAmountBN = amountBN.sub(plan.outputAmountBN);
+
+          // If there are enough 0x orders to fulfill the rest of the withdrawal amount, withdraw and exchange
+          if (zeroExCandidates[i].makerAssetFillAmountBN.gte(remainingAmountBN)) {
+            var thisInputAmountBN = zeroExCandidates[i].inputFillAmountBN.mul(remainingAmountBN).div(zeroExCandidates[i].makerAssetFillAmountBN);
+
+            var tries = 0;
+            while (zeroExCandidates[i].makerAssetFillAmountBN.mul(thisInputAmountBN).div(zeroExCandidates[i].inputFillAmountBN).lt(remainingAmountBN)) {
+              if (tries >= 1000) throw new Error("Failed to get increment order input amount to achieve desired output amount");
+              thisInputAmountBN.iadd(web3.utils.toBN(1)); // Make sure we have enough input fill amount to achieve this maker asset fill amount
+              tries++;
+            }
+
+            WithdrawalPlanner.addToPlan(plan, zeroExCandidates[i].currencyCode, thisInputAmountBN, remainingAmountBN, zeroExCandidates[i].zeroExQuote, remainingAmountBN);
+            break;
+          }
+
+          // Add all that we can of the last one, then go through them again
+          if (i == zeroExCandidates.length - 1) {
+            WithdrawalPlanner.addToPlan(plan, zeroExCandidates[i].currencyCode, zeroExCandidates[i].inputFillAmountBN, zeroExCandidates[i].makerAssetFillAmountBN, zeroExCandidates[i].zeroExQuote, zeroExCandidates[i].makerAssetFillAmountBN);
+            i = -1;
+            zeroExCandidates.pop();
+          }
+        }
+      }
+
+      plan.filled = plan.outputAmountBN.gte(amountBN);
+      return plan;
+    },
+
+    /**
+     * Sets the slippage and total cost (value of inputs minus output plus protocol fees in units of the output currency) of `plan`.
+     */
+    setPlanCost: function(params, plan) {
+      var inputValue = 0;
+
+      for (var i = 0; i < plan.inputCurrencyCodes.length; i++) {
+        var inputCurrencyCode = plan.inputCurrencyCodes[i];
+        var price = inputCurrencyCode === params.outputCurrencyCode ? 1 : (params.prices && params.prices[inputCurrencyCode] !== undefined ? params.prices[inputCurrencyCode] : 1);
+        inputValue += parseFloat(plan.inputAmountBNs[i].toString()) / (10 ** params.decimals[inputCurrencyCode]) * price;
+      }
+
+      var amount = parseFloat(params.amountBN.toString()) / (10 ** params.decimals[params.outputCurrencyCode]);
+      var outputAmount = parseFloat(plan.outputAmountBN.toString()) / (10 ** params.decimals[params.outputCurrencyCode]);
+      plan.slippage = 1 - (amount / inputValue);
+      plan.totalCost = inputValue - outputAmount + (parseFloat(plan.totalProtocolFeeBN.toString()) / 1e18 * (params.ethPrice ? params.ethPrice : 0));
+    },
+
+    /**
+     * Plans a withdrawal of `params.amountUsdBN` (USD scaled by 1e18) paid out directly (without exchanges) in several currencies.
+     * `params` contains:
+     * - amountUsdBN: the USD value to withdraw
+     * - decimals: decimal places of each currency code
+     * - rawFundBalanceBNs: raw fund balances (RariFundManager.getRawFundBalance) of each supported currency code
+     * - pricesInUsd: the price in USD (scaled by 1e18) of each supported currency code used by RariFundManager (currencies without a price are skipped)
+     * - weights (optional): the share of the withdrawal to pay out in each currency code (any positive numbers, e.g. percentages; currencies without a weight are skipped); defaults to the USD value of the fund's raw balance of each currency
+     * Returns a basket containing:
+     * - legs: one RariFundManager.withdraw transaction per currency, each containing currencyCode, amountBN, amountUsdBN, and rawFundBalanceBN (sorted by USD value, descending)
+     * - amountUsdBN: the total USD value of the legs (slightly less than params.amountUsdBN since amounts are rounded down)
+     * - filled: true if the fund's raw balance of each currency covers its leg
+     * - shortfalls: currency codes whose raw fund balance does not cover their leg
+     */
+    planBasketWithdrawal: function(web3, params) {
+      var currencyCodes = Object.keys(params.rawFundBalanceBNs).filter(currencyCode => params.pricesInUsd[currencyCode]);
+      var scaleBNs = {};
+      var weightBNs = {};
+      var totalWeightBN = web3.utils.toBN(0);
+
+      for (const currencyCode of currencyCodes) {
+        scaleBNs[currencyCode] = web3.utils.toBN(10).pow(web3.utils.toBN(params.decimals[currencyCode]));
+        if (params.weights) weightBNs[currencyCode] = web3.utils.toBN(Math.round((params.weights[currencyCode] > 0 ? params.weights[currencyCode] : 0) * 1e6));
+        else weightBNs[currencyCode] = params.rawFundBalanceBNs[currencyCode].mul(params.pricesInUsd[currencyCode]).div(scaleBNs[currencyCode]);
+        totalWeightBN.iadd(weightBNs[currencyCode]);
+      }
+
+      var basket = { legs: [], amountUsdBN: web3.utils.toBN(0), filled: true, shortfalls: [] };
+      if (totalWeightBN.isZero()) return basket;
+
+      for (const currencyCode of currencyCodes) {
+        var amountBN = params.amountUsdBN.mul(weightBNs[currencyCode]).div(totalWeightBN).mul(scaleBNs[currencyCode]).div(params.pricesInUsd[currencyCode]);
+        if (amountBN.isZero()) continue;
+        var leg = { currencyCode, amountBN, amountUsdBN: amountBN.mul(params.pricesInUsd[currencyCode]).div(scaleBNs[currencyCode]), rawFundBalanceBN: params.rawFundBalanceBNs[currencyCode] };
+        basket.legs.push(leg);
+        basket.amountUsdBN.iadd(leg.amountUsdBN);
+
+        if (amountBN.gt(leg.rawFundBalanceBN)) {
+          basket.filled = false;
+          basket.shortfalls.push(currencyCode);
+        }
+      }
+
+      basket.legs.sort((a, b) => b.amountUsdBN.cmp(a.amountUsdBN));
+      return basket;
+    }
+  };
+
+  return WithdrawalPlanner;
+});
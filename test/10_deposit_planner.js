@@ -0,0 +1,116 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const currencies = require('./fixtures/currencies.json');
+
+const DepositPlanner = require('../src/js/sdk/deposit-planner.js');
+
+function getParams(inputCurrencyCode, amount, acceptedCurrencies) {
+  var decimals = { "ETH": 18 };
+  for (const currencyCode of Object.keys(currencies)) decimals[currencyCode] = currencies[currencyCode].decimals;
+
+  return {
+    inputCurrencyCode,
+    amountBN: web3.utils.toBN(Math.trunc(amount * 1e6)).mul(web3.utils.toBN(10 ** (decimals[inputCurrencyCode] - 6))),
+    decimals,
+    acceptedCurrencies,
+    mStableSwapFeeBN: web3.utils.toBN(1e15),
+    mStableLimits: {},
+    zeroExQuotes: {}
+  };
+}
+
+function getZeroExQuote(params, outputCurrencyCode, inputAmount, outputAmount, protocolFee) {
+  var inputFillAmountBN = web3.utils.toBN(Math.trunc(inputAmount * 1e6)).mul(web3.utils.toBN(10 ** (params.decimals[params.inputCurrencyCode] - 6)));
+
+  return {
+    orders: [{ salt: outputCurrencyCode }],
+    signatures: ["0x"],
+    inputFillAmountBN,
+    takerAssetFillAmountBN: inputFillAmountBN,
+    makerAssetFillAmountBN: web3.utils.toBN(Math.trunc(outputAmount * 1e6)).mul(web3.utils.toBN(10 ** (params.decimals[outputCurrencyCode] - 6))),
+    protocolFeeBN: web3.utils.toBN(protocolFee),
+    gasPrice: "50000000000"
+  };
+}
+
+describe("DepositPlanner", () => {
+  it("should deposit directly if the input currency is accepted", async () => {
+    var params = getParams("USDC", 100, ["DAI", "USDC"]);
+    var plans = DepositPlanner.planDeposit(web3, params);
+    assert.equal(plans.length, 1);
+    assert.equal(plans[0].type, "direct");
+    assert.equal(plans[0].legs.length, 1);
+    assert(plans[0].legs[0].inputAmountBN.eq(params.amountBN));
+    assert.equal(plans[0].totalCost, 0);
+  });
+
+  it("should exchange via mStable alone if the amount is within its max swap", async () => {
+    var params = getParams("USDT", 100, ["DAI"]);
+    params.mStableLimits["DAI"] = { valid: true, maxInputBN: web3.utils.toBN(1000e6) };
+    params.zeroExQuotes["DAI"] = getZeroExQuote(params, "DAI", 100, 99.5, 1e15);
+    params.ethPrice = 400;
+    var plans = DepositPlanner.planDeposit(web3, params);
+    assert.equal(plans[0].type, "mStable");
+    assert(plans[0].filled);
+    assert(plans[0].legs[0].outputAmountBN.eq(web3.utils.toBN(100).mul(web3.utils.toBN(1e18)).mul(web3.utils.toBN(999)).div(web3.utils.toBN(1000))));
+    assert(plans[0].totalProtocolFeeBN.isZero());
+  });
+
+  it("should split a deposit above the mStable max swap between mStable and 0x", async () => {
+    var params = getParams("USDT", 1000, ["DAI", "USDC"]);
+    params.mStableLimits["DAI"] = { valid: true, maxInputBN: web3.utils.toBN(400e6) };
+    params.zeroExQuotes["USDC"] = getZeroExQuote(params, "USDC", 1000, 980, 1e15);
+    params.ethPrice = 400;
+    var plans = DepositPlanner.planDeposit(web3, params);
+    assert.equal(plans[0].type, "split");
+    assert(plans[0].filled);
+    assert.equal(plans[0].legs[0].type, "mStable");
+    assert(plans[0].legs[0].inputAmountBN.eq(web3.utils.toBN(400e6)));
+    assert.equal(plans[0].legs[1].type, "0x");
+    assert.equal(plans[0].legs[1].outputCurrencyCode, "USDC");
+    assert(plans[0].legs[1].inputAmountBN.eq(web3.utils.toBN(600e6)));
+    assert(plans[0].legs[1].takerAssetFillAmountBN.eq(web3.utils.toBN(600e6)));
+    assert(plans[0].legs[1].outputAmountBN.eq(web3.utils.toBN(588e6)));
+    assert(plans[0].inputFilledAmountBN.eq(params.amountBN));
+
+    // mStable alone cannot fill the deposit
+    assert.equal(plans.find(plan => plan.type === "mStable").filled, false);
+    assert.equal(plans[plans.length - 1].type, "mStable");
+  });
+
+  it("should rank plans by slippage plus 0x protocol fees", async () => {
+    var params = getParams("USDT", 1000, ["DAI"]);
+    params.mStableSwapFeeBN = web3.utils.toBN(5e15); // 0.5% mStable swap fee
+    params.mStableLimits["DAI"] = { valid: true, maxInputBN: web3.utils.toBN(500e6) };
+    params.zeroExQuotes["DAI"] = getZeroExQuote(params, "DAI", 1000, 999, 1e15);
+    params.ethPrice = 400;
+    var plans = DepositPlanner.planDeposit(web3, params);
+    assert.equal(plans[0].type, "0x");
+    assert(Math.abs(plans[0].totalCost - (1 + 0.4)) < 1e-9);
+    for (var i = 1; i < plans.length; i++) if (plans[i].filled) assert(plans[i].totalCost >= plans[i - 1].totalCost);
+
+    // Make 0x slippage higher than the mStable swap fee
+    params.zeroExQuotes["DAI"] = getZeroExQuote(params, "DAI", 1000, 980, 1e15);
+    plans = DepositPlanner.planDeposit(web3, params);
+    assert.equal(plans[0].type, "split");
+    assert(Math.abs(plans[0].totalCost - (2.5 + 10 + 0.4)) < 1e-9);
+  });
+
+  it("should account for output currency prices when comparing plans", async () => {
+    var params = getParams("ETH", 10, ["DAI", "USDC"]);
+    params.zeroExQuotes["DAI"] = getZeroExQuote(params, "DAI", 10, 4000, 1e15);
+    params.zeroExQuotes["USDC"] = getZeroExQuote(params, "USDC", 10, 3990, 1e15);
+    params.prices = { "DAI": 1 / 410, "USDC": 1 / 390 };
+    params.ethPrice = 1;
+    var plans = DepositPlanner.planDeposit(web3, params);
+    assert.equal(plans[0].legs[0].outputCurrencyCode, "USDC");
+    assert(plans[0].slippage < plans[1].slippage);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const RariSdk = require('../src/js/sdk');
+
+function usd(amount) {
+  return web3.utils.toBN(amount).mul(web3.utils.toBN(1e18));
+}
+
+describe("RariSdk.getInterestAccruedFromHistory", () => {
+  var account = "0x1111111111111111111111111111111111111111";
+  var other = "0x2222222222222222222222222222222222222222";
+  var proxy = RariSdk.addresses.RariFundProxy;
+
+  it("should subtract deposits and add withdrawals", async () => {
+    var history = [
+      { type: "Deposit", sender: account, payee: account, amountUsdBN: usd(1000) },
+      { type: "Deposit", sender: proxy, payee: account, amountUsdBN: usd(500) },
+      { type: "Withdrawal", sender: account, payee: proxy, amountUsdBN: usd(200) }
+    ];
+    var result = RariSdk.getInterestAccruedFromHistory(web3, account, usd(1350), history);
+    assert(result.depositsUsdBN.eq(usd(1500)));
+    assert(result.withdrawalsUsdBN.eq(usd(200)));
+    assert(result.interestAccruedBN.eq(usd(50)));
+    assert.equal(result.unvaluedTransfers, 0);
+  });
+
+  it("should ignore deposits to other accounts and withdrawals from other accounts", async () => {
+    var history = [
+      { type: "Deposit", sender: account, payee: account, amountUsdBN: usd(1000) },
+      { type: "Deposit", sender: account, payee: other, amountUsdBN: usd(300) },
+      { type: "Withdrawal", sender: other, payee: account, amountUsdBN: usd(100) }
+    ];
+    var result = RariSdk.getInterestAccruedFromHistory(web3, account, usd(1010), history);
+    assert(result.interestAccruedBN.eq(usd(10)));
+  });
+
+  it("should value RSPT transfers at the time of each transfer", async () => {
+    var history = [
+      { type: "Deposit", sender: account, payee: account, amountUsdBN: usd(1000) },
+      { type: "Transfer", from: other, to: account, rsptAmountBN: usd(90), amountUsdBN: usd(100) },
+      { type: "Transfer", from: account, to: other, rsptAmountBN: usd(40), amountUsdBN: usd(50) },
+      { type: "Transfer", from: account, to: other, rsptAmountBN: usd(1), amountUsdBN: null }
+    ];
+    var result = RariSdk.getInterestAccruedFromHistory(web3, account, usd(1070), history);
+    assert(result.transfersInUsdBN.eq(usd(100)));
+    assert(result.transfersOutUsdBN.eq(usd(50)));
+    assert(result.interestAccruedBN.eq(usd(20)));
+    assert.equal(result.unvaluedTransfers, 1);
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const RariSdk = require('../src/js/sdk');
+
+describe("RariSdk account activity export", () => {
+  it("should format amounts as exact decimal strings", async () => {
+    assert.equal(RariSdk.toDecimalString(web3.utils.toBN("1500000"), 6), "1.5");
+    assert.equal(RariSdk.toDecimalString(web3.utils.toBN("1000000000000000000"), 18), "1");
+    assert.equal(RariSdk.toDecimalString(web3.utils.toBN("123456789012345678901"), 18), "123.456789012345678901");
+    assert.equal(RariSdk.toDecimalString(web3.utils.toBN("-5"), 18), "-0.000000000000000005");
+    assert.equal(RariSdk.toDecimalString(web3.utils.toBN(0), 6), "0");
+  });
+
+  it("should write one CSV row per event with a header row", async () => {
+    var rows = [
+      { timestamp: "2020-10-01T00:00:00.000Z", blockNumber: 11000000, transactionHash: "0xabc", type: "Deposit", currencyCode: "USDC", amount: "100", outputCurrencyCode: "", outputAmount: "", amountUsd: "100", rsptDelta: "99.5", runningUsdBalance: "100" },
+      { timestamp: "2020-10-02T00:00:00.000Z", blockNumber: 11000100, transactionHash: "0xdef", type: "Transfer", currencyCode: "RSPT", amount: "1", outputCurrencyCode: "", outputAmount: "", amountUsd: "", rsptDelta: "-1", runningUsdBalance: null }
+    ];
+    var lines = RariSdk.accountActivityToCsv(rows).trim().split("\n");
+    assert.equal(lines.length, 3);
+    assert.equal(lines[0], "timestamp,blockNumber,transactionHash,type,currencyCode,amount,outputCurrencyCode,outputAmount,amountUsd,rsptDelta,runningUsdBalance");
+    assert.equal(lines[1], "2020-10-01T00:00:00.000Z,11000000,0xabc,Deposit,USDC,100,,,100,99.5,100");
+    assert.equal(lines[2], "2020-10-02T00:00:00.000Z,11000100,0xdef,Transfer,RSPT,1,,,,-1,");
+  });
+
+  it("should quote CSV values containing commas or quotes", async () => {
+    var lines = RariSdk.accountActivityToCsv([{ type: 'a,"b"' }]).trim().split("\n");
+    assert.equal(lines[1], ',,,"a,""b""",,,,,,,');
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const RariSdk = require('../src/js/sdk');
+
+describe("RariSdk currency registry", () => {
+  afterEach(() => {
+    RariSdk.setNetwork(1);
+  });
+
+  it("should default to the currencies and pools in the network configuration", async () => {
+    assert.deepEqual(RariSdk.supportedCurrencies, ["DAI", "USDC", "USDT", "TUSD", "BUSD", "sUSD", "mUSD"]);
+    assert.deepEqual(RariSdk.mStableCurrencies, ["DAI", "USDC", "USDT", "TUSD", "mUSD"]);
+    assert.deepEqual(RariSdk.getPoolCurrencies(3), ["mUSD"]);
+    assert.equal(RariSdk.currencies["USDC"].decimals, 6);
+  });
+
+  it("should update supported currencies in place from RariFundProxy.getRawFundBalancesAndPrices output", async () => {
+    var supportedCurrencies = RariSdk.supportedCurrencies;
+    RariSdk.setCurrencies(["DAI", "mUSD"], [["0", "2"], ["3"]]);
+    assert.strictEqual(RariSdk.supportedCurrencies, supportedCurrencies);
+    assert.deepEqual(supportedCurrencies, ["DAI", "mUSD"]);
+    assert.deepEqual(RariSdk.currencies["DAI"].pools, [0, 2]);
+    assert.deepEqual(RariSdk.getPoolCurrencies(1), []);
+  });
+
+  it("should skip currencies missing from the network configuration", async () => {
+    RariSdk.setCurrencies(["DAI", "XYZ"], [["0"], ["2"]]);
+    assert.deepEqual(RariSdk.supportedCurrencies, ["DAI"]);
+    assert.equal(RariSdk.currencies["XYZ"], undefined);
+  });
+
+  it("should add currencies configured for a new network", async () => {
+    var tokens = Object.assign({}, RariSdk.networks["1"].tokens, { "GUSD": { decimals: 2, address: "0x056Fd409E1d7A124BD7017459dFEa2F387b6d5Cd", pools: [2], color: "green" } });
+    RariSdk.addNetwork(31337, Object.assign({}, RariSdk.networks["1"], { name: "Test", tokens }));
+    RariSdk.setNetwork(31337);
+    assert.equal(RariSdk.supportedCurrencies[RariSdk.supportedCurrencies.length - 1], "GUSD");
+    assert.equal(RariSdk.currencies["GUSD"].color, "green");
+    assert(RariSdk.getPoolCurrencies(2).indexOf("GUSD") >= 0);
+    delete RariSdk.networks[31337];
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const RariSdk = require('../src/js/sdk');
+
+describe("RariSdk on-chain APYs", () => {
+  it("should calculate the dYdX supply APR from SoloMargin market data", async () => {
+    // 50% utilization at a 10% borrow APR with a 90% earnings rate (at market indexes of 1.0)
+    var interestRate = { value: web3.utils.toBN(1e17).div(web3.utils.toBN(365 * 24 * 60 * 60)).toString() };
+    var totalPar = { borrow: web3.utils.toBN(500e6).toString(), supply: web3.utils.toBN(1000e6).toString() };
+    var index = { borrow: web3.utils.toBN(1e18).toString(), supply: web3.utils.toBN(1e18).toString(), lastUpdate: "0" };
+    var apyBN = RariSdk.getDydxSupplyApyBN(web3, totalPar, index, interestRate, { value: web3.utils.toBN(9e17).toString() });
+    assert(Math.abs(parseFloat(apyBN.toString()) / 1e18 - 0.045) < 1e-9);
+  });
+
+  it("should return a zero dYdX supply APR if nothing is supplied", async () => {
+    var apyBN = RariSdk.getDydxSupplyApyBN(web3, { borrow: "0", supply: "0" }, { borrow: "1000000000000000000", supply: "1000000000000000000" }, { value: "1000000000" }, { value: "900000000000000000" });
+    assert(apyBN.isZero());
+  });
+
+  it("should calculate the Compound supply APY from CErc20.supplyRatePerBlock", async () => {
+    // A 1% daily-compounded APR
+    var supplyRatePerBlock = Math.trunc(0.01 / 365 / 6570 * 1e18).toString();
+    var apyBN = RariSdk.getCompoundSupplyApyBN(web3, supplyRatePerBlock);
+    assert(Math.abs(parseFloat(apyBN.toString()) / 1e18 - ((1 + 0.01 / 365) ** 365 - 1)) < 1e-9);
+  });
+
+  it("should fall back to HTTP APIs only if enabled", async () => {
+    var apyBNs = await RariSdk.getApyBNsWithFallback("test", async () => { throw new Error("No archive node"); }, async () => ({ "mUSD": web3.utils.toBN(1) }));
+    assert(apyBNs["mUSD"].eqn(1));
+
+    RariSdk.apyHttpFallback = false;
+
+    try {
+      await RariSdk.getApyBNsWithFallback("test", async () => { throw new Error("No archive node"); }, async () => ({}));
+      assert.fail("Expected the contract error to be thrown");
+    } catch (err) {
+      assert.equal(err.message, "No archive node");
+    } finally {
+      RariSdk.apyHttpFallback = true;
+    }
+  });
+});
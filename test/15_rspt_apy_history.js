@@ -0,0 +1,42 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const RariSdk = require('../src/js/sdk');
+
+describe("RariSdk RSPT APY history", () => {
+  it("should annualize the growth of the RSPT exchange rate between samples", async () => {
+    var history = [
+      { timestamp: 1600000000, blockNumber: 100, exchangeRateBN: web3.utils.toBN(1e18) },
+      { timestamp: 1600086400, blockNumber: 200, exchangeRateBN: web3.utils.toBN("1000200000000000000") },
+      { timestamp: 1600172800, blockNumber: 300, exchangeRateBN: web3.utils.toBN("1000200000000000000") }
+    ];
+    var apyHistory = RariSdk.getApyHistoryFromExchangeRates(web3, history);
+    assert.equal(apyHistory.length, 2);
+    assert.equal(apyHistory[0].timestamp, 1600086400);
+    assert(Math.abs(parseFloat(apyHistory[0].apyBN.toString()) / 1e18 - (1.0002 ** 365 - 1)) < 1e-9);
+    assert(apyHistory[1].apyBN.isZero());
+  });
+
+  it("should return negative APYs if the exchange rate falls", async () => {
+    var history = [
+      { timestamp: 1600000000, blockNumber: 100, exchangeRateBN: web3.utils.toBN(1e18) },
+      { timestamp: 1600086400, blockNumber: 200, exchangeRateBN: web3.utils.toBN("999900000000000000") }
+    ];
+    var apyHistory = RariSdk.getApyHistoryFromExchangeRates(web3, history);
+    assert(apyHistory[0].apyBN.isNeg());
+  });
+
+  it("should skip samples that are out of order", async () => {
+    var history = [
+      { timestamp: 1600086400, blockNumber: 200, exchangeRateBN: web3.utils.toBN(1e18) },
+      { timestamp: 1600086400, blockNumber: 200, exchangeRateBN: web3.utils.toBN(1e18) }
+    ];
+    assert.deepEqual(RariSdk.getApyHistoryFromExchangeRates(web3, history), []);
+  });
+});
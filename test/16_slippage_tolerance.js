@@ -0,0 +1,74 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const RariSdk = require('../src/js/sdk');
+
+describe("RariSdk slippage tolerance", () => {
+  var getMStableSwapFeeBN = RariSdk.getMStableSwapFeeBN;
+
+  afterEach(() => {
+    RariSdk.getMStableSwapFeeBN = getMStableSwapFeeBN;
+  });
+
+  it("should refuse routes with slippage above the maximum", async () => {
+    RariSdk.checkSlippage({ slippage: 0.004 }, 0.005);
+    RariSdk.checkSlippage({ slippage: -0.01 }, 0);
+    assert.throws(() => RariSdk.checkSlippage({ slippage: 0.006 }, 0.005), /exceeds the maximum slippage of 0\.500%/);
+    assert.throws(() => RariSdk.checkSlippage({ slippage: RariSdk.defaultMaxSlippage + 0.001 }));
+  });
+
+  it("should only check the mStable swap fee of routes that pay it", async () => {
+    assert(RariSdk.usesMStableSwapFee({ type: "split", legs: [{ type: "mStable", outputCurrencyCode: "USDC" }, { type: "0x", outputCurrencyCode: "DAI" }] }));
+    assert(!RariSdk.usesMStableSwapFee({ type: "mStable", legs: [{ type: "mStable", outputCurrencyCode: "mUSD" }] }));
+    assert(RariSdk.usesMStableSwapFee({ type: "exchange", outputCurrencyCode: "DAI", inputCurrencyCodes: ["DAI", "USDC"], allOrders: [[], []] }));
+    assert(!RariSdk.usesMStableSwapFee({ type: "exchange", outputCurrencyCode: "DAI", inputCurrencyCodes: ["DAI", "USDC"], allOrders: [[], [{}]] }));
+  });
+
+  it("should refuse routes if the mStable swap fee increased beyond the maximum slippage", async () => {
+    var route = { type: "mStable", slippage: 0.001, mStableSwapFeeBN: web3.utils.toBN(1e15), legs: [{ type: "mStable", outputCurrencyCode: "USDC" }] };
+
+    RariSdk.getMStableSwapFeeBN = async () => web3.utils.toBN(3e15);
+    await RariSdk.checkMStableSwapFee(web3, route, 0.005);
+
+    RariSdk.getMStableSwapFeeBN = async () => web3.utils.toBN(6e15);
+
+    try {
+      await RariSdk.checkMStableSwapFee(web3, route, 0.005);
+      assert.fail("Expected the swap fee increase to be refused");
+    } catch (err) {
+      assert.include(err.message, "mStable swap fee has increased to 0.600%");
+    }
+  });
+
+  it("should read the mStable swap fee from mUSD", async () => {
+    var fakeWeb3 = {
+      utils: web3.utils,
+      eth: {
+        Contract: function(abi, address) {
+          assert.equal(address, RariSdk.tokens["mUSD"].address);
+          this.methods = { swapFee: () => ({ call: async () => "4000000000000000" }) };
+        }
+      }
+    };
+
+    assert((await RariSdk.getMStableSwapFeeBN(fakeWeb3)).eq(web3.utils.toBN(4e15)));
+  });
+
+  it("should refuse routes if the current mStable swap fee cannot be read", async () => {
+    var route = { type: "mStable", slippage: 0.001, mStableSwapFeeBN: web3.utils.toBN(1e15), legs: [{ type: "mStable", outputCurrencyCode: "USDC" }] };
+    RariSdk.getMStableSwapFeeBN = async () => { throw new Error("Invalid JSON RPC response: \"\""); };
+
+    try {
+      await RariSdk.checkMStableSwapFee(web3, route, 0.005);
+      assert.fail("Expected the route to be refused");
+    } catch (err) {
+      assert.include(err.message, "Failed to check the current mStable swap fee: Invalid JSON RPC response");
+    }
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const TransactionTracker = require('../src/js/sdk/transaction-tracker');
+
+// In-memory replacement for window.localStorage
+function createStorage() {
+  var items = {};
+  return { getItem: key => items[key] !== undefined ? items[key] : null, setItem: (key, value) => { items[key] = value; } };
+}
+
+// Minimal stand-in for web3.eth with the given transactions, receipts, mined nonces, and blocks
+function createChain(state) {
+  return {
+    eth: {
+      getTransactionReceipt: async hash => state.receipts[hash] || null,
+      getTransaction: async hash => state.transactions[hash] || null,
+      getTransactionCount: async from => state.nonces[from] || 0,
+      getBlockNumber: async () => state.blockNumber,
+      getBlock: async blockNumber => state.blocks[blockNumber] || null
+    }
+  };
+}
+
+describe("TransactionTracker", () => {
+  var from = "0x0000000000000000000000000000000000000001";
+
+  it("should restore tracked transactions from storage", async () => {
+    var storage = createStorage();
+    TransactionTracker.add(storage, { hash: "0xa", from, chainId: 1, type: "deposit", description: "Deposit 1 DAI" });
+    TransactionTracker.add(storage, { hash: "0xb", from, chainId: 1, type: "transfer", description: "Transfer 1 RSPT" });
+    var transactions = TransactionTracker.load(storage);
+    assert.deepEqual(transactions.map(transaction => transaction.hash), ["0xb", "0xa"]);
+    assert.equal(transactions[1].status, "pending");
+  });
+
+  it("should follow transactions through pending, mined, and failed states", async () => {
+    var storage = createStorage();
+    TransactionTracker.add(storage, { hash: "0xa", from, chainId: 1, type: "deposit", description: "Deposit 1 DAI" });
+    TransactionTracker.add(storage, { hash: "0xb", from, chainId: 1, type: "withdrawal", description: "Withdraw 1 DAI" });
+    var state = { receipts: {}, transactions: { "0xa": { nonce: 5 }, "0xb": { nonce: 6 } }, nonces: { [from]: 5 }, blockNumber: 100, blocks: {} };
+
+    assert.deepEqual(await TransactionTracker.updatePending(createChain(state), storage, 1), []);
+    assert.equal(TransactionTracker.load(storage)[1].nonce, 5);
+
+    state.receipts["0xa"] = { status: true, blockNumber: 101 };
+    state.receipts["0xb"] = { status: false, blockNumber: 102 };
+    var changed = await TransactionTracker.updatePending(createChain(state), storage, 1);
+    assert.deepEqual(changed.map(transaction => transaction.status), ["failed", "mined"]);
+    assert.equal(TransactionTracker.load(storage)[1].blockNumber, 101);
+  });
+
+  it("should detect transactions replaced with the same nonce", async () => {
+    var storage = createStorage();
+    TransactionTracker.add(storage, { hash: "0xa", from, chainId: 1, type: "deposit", description: "Deposit 1 DAI" });
+    var state = { receipts: {}, transactions: { "0xa": { nonce: 5 } }, nonces: { [from]: 5 }, blockNumber: 100, blocks: {} };
+    await TransactionTracker.updatePending(createChain(state), storage, 1);
+
+    // Sped up in the wallet: another transaction with nonce 5 is mined in block 101
+    delete state.transactions["0xa"];
+    state.nonces[from] = 6;
+    state.blockNumber = 102;
+    state.blocks[101] = { transactions: [{ hash: "0xc", from, nonce: 5, blockNumber: 101 }] };
+    state.receipts["0xc"] = { status: true, blockNumber: 101 };
+    var changed = await TransactionTracker.updatePending(createChain(state), storage, 1);
+    assert.equal(changed.length, 1);
+    assert.equal(changed[0].status, "replaced");
+    assert.equal(changed[0].replacedBy, "0xc");
+    assert.equal(changed[0].blockNumber, 101);
+  });
+
+  it("should detect replacement using the nonce recorded at submission if the node no longer knows the original transaction", async () => {
+    var storage = createStorage();
+    TransactionTracker.add(storage, { hash: "0xa", from, chainId: 1, type: "deposit", description: "Deposit 1 DAI", nonce: 5, submittedBlockNumber: 100 });
+
+    // Sped up in the wallet after the tab was closed: the node dropped 0xa before it was ever polled
+    var state = { receipts: { "0xc": { status: true, blockNumber: 101 } }, transactions: {}, nonces: { [from]: 6 }, blockNumber: 102, blocks: { 101: { transactions: [{ hash: "0xc", from, nonce: 5, blockNumber: 101 }] } } };
+    var changed = await TransactionTracker.updatePending(createChain(state), storage, 1);
+    assert.equal(changed.length, 1);
+    assert.equal(changed[0].status, "replaced");
+    assert.equal(changed[0].replacedBy, "0xc");
+    assert.equal(changed[0].blockNumber, 101);
+    assert.isFalse(changed[0].nonceConfirmed);
+  });
+
+  it("should correct the nonce recorded at submission with the node's", async () => {
+    var storage = createStorage();
+    TransactionTracker.add(storage, { hash: "0xa", from, chainId: 1, type: "deposit", description: "Deposit 1 DAI", nonce: 5, submittedBlockNumber: 100 });
+    var state = { receipts: {}, transactions: { "0xa": { nonce: 7 } }, nonces: { [from]: 6 }, blockNumber: 100, blocks: {} };
+    assert.deepEqual(await TransactionTracker.updatePending(createChain(state), storage, 1), []);
+    assert.equal(TransactionTracker.load(storage)[0].nonce, 7);
+    assert.isTrue(TransactionTracker.load(storage)[0].nonceConfirmed);
+  });
+
+  it("should only update transactions on the given chain and clear completed ones", async () => {
+    var storage = createStorage();
+    TransactionTracker.add(storage, { hash: "0xa", from, chainId: 1, type: "deposit", description: "Deposit 1 DAI" });
+    TransactionTracker.add(storage, { hash: "0xb", from, chainId: 1337, type: "deposit", description: "Deposit 2 DAI" });
+    var state = { receipts: { "0xa": { status: true, blockNumber: 1 }, "0xb": { status: true, blockNumber: 1 } }, transactions: {}, nonces: {}, blockNumber: 1, blocks: {} };
+    var changed = await TransactionTracker.updatePending(createChain(state), storage, 1);
+    assert.deepEqual(changed.map(transaction => transaction.hash), ["0xa"]);
+    TransactionTracker.clearCompleted(storage);
+    assert.deepEqual(TransactionTracker.load(storage).map(transaction => transaction.hash), ["0xb"]);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const RariSdk = require('../src/js/sdk');
+
+describe("RariSdk revert reasons", () => {
+  it("should decode revert reasons from Geth and Ganache errors", async () => {
+    var reason = "Making this deposit would cause the balance of this account to exceed the maximum.";
+    assert.equal(RariSdk.getRevertReason(web3, new Error("Returned error: execution reverted: " + reason)), reason);
+    assert.equal(RariSdk.getRevertReason(web3, new Error("Returned error: VM Exception while processing transaction: revert " + reason)), reason);
+    assert.equal(RariSdk.getRevertReason(web3, { message: "execution reverted", data: "0x08c379a0" + web3.eth.abi.encodeParameter("string", reason).substring(2) }), reason);
+    assert.equal(RariSdk.getRevertReason(web3, { message: "VM Exception", data: { "0x1234": { error: "revert", reason } } }), reason);
+    assert.equal(RariSdk.getRevertReason(web3, new Error("Returned error: execution reverted")), "");
+    assert.strictEqual(RariSdk.getRevertReason(web3, new Error("Invalid JSON RPC response: \"\"")), null);
+  });
+
+  it("should explain known revert reasons", async () => {
+    assert.equal(RariSdk.getRevertMessage("Your RFT balance is too low for a withdrawal of this amount."), RariSdk.revertMessages["Your RFT balance is too low for a withdrawal of this amount."]);
+    assert.equal(RariSdk.getRevertMessage("Some other reason."), "This transaction would fail: Some other reason.");
+    assert(RariSdk.getRevertMessage("").length > 0);
+  });
+
+  it("should refuse to send transactions that would revert", async () => {
+    var sent = false;
+    var method = { call: async () => { throw new Error("Returned error: execution reverted: ERC20: transfer to the zero address"); }, send: () => { sent = true; } };
+
+    try {
+      await RariSdk.send(web3, method, {}, { type: "transfer", description: "Transfer" });
+      assert.fail("Expected send to throw");
+    } catch (err) {
+      assert.equal(err.message, RariSdk.revertMessages["ERC20: transfer to the zero address"]);
+      assert.equal(err.revertReason, "ERC20: transfer to the zero address");
+    }
+
+    assert(!sent);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const RariSdk = require('../src/js/sdk');
+
+describe("RariSdk account balance limit", () => {
+  var pricesInUsd = { "DAI": web3.utils.toBN(1e18), "USDC": web3.utils.toBN("1010000000000000000") };
+
+  it("should value deposits at Chainlink prices", async () => {
+    assert.equal(RariSdk.getAmountUsdBN(web3, "USDC", web3.utils.toBN(100e6), pricesInUsd).toString(), "101000000000000000000");
+    assert.strictEqual(RariSdk.getAmountUsdBN(web3, "TUSD", web3.utils.toBN(1e18), pricesInUsd), null);
+
+    // A split deposit is valued by the currencies it deposits to the fund, not its input currency
+    var route = { type: "split", inputCurrencyCode: "ETH", legs: [{ type: "mStable", outputCurrencyCode: "DAI", outputAmountBN: web3.utils.toBN(50).mul(web3.utils.toBN(1e18)) }, { type: "0x", outputCurrencyCode: "USDC", outputAmountBN: web3.utils.toBN(100e6) }] };
+    assert.equal(RariSdk.getDepositAmountUsdBN(web3, route, pricesInUsd).toString(), "151000000000000000000");
+  });
+
+  it("should refuse deposits exceeding the remaining account balance limit", async () => {
+    var limit = { limitUsdBN: web3.utils.toBN(1000).mul(web3.utils.toBN(1e18)), balanceUsdBN: web3.utils.toBN(900).mul(web3.utils.toBN(1e18)), remainingUsdBN: web3.utils.toBN(100).mul(web3.utils.toBN(1e18)) };
+    RariSdk.checkAccountBalanceLimit(web3, limit, web3.utils.toBN(100).mul(web3.utils.toBN(1e18)));
+    assert.throws(() => RariSdk.checkAccountBalanceLimit(web3, limit, web3.utils.toBN(101).mul(web3.utils.toBN(1e18))), /limit of \$1000\.00\. You can deposit up to \$100\.00 more/);
+
+    // Accounts exempt from the limit can deposit any amount
+    RariSdk.checkAccountBalanceLimit(web3, { limitUsdBN: null, balanceUsdBN: web3.utils.toBN(0), remainingUsdBN: null }, web3.utils.toBN(10).pow(web3.utils.toBN(30)));
+  });
+
+  it("should exempt the owner and the interest fee master beneficiary from the limit", async () => {
+    var owner = "0x1111111111111111111111111111111111111111";
+    var beneficiary = "0x2222222222222222222222222222222222222222";
+    var user = "0x3333333333333333333333333333333333333333";
+    var call = value => ({ call: async () => value });
+    var getBeneficiary = () => call(beneficiary);
+    var fundManager = {
+      methods: {
+        balanceOf: () => call(web3.utils.toBN(900).mul(web3.utils.toBN(1e18)).toString()),
+        owner: () => call(owner),
+        getInterestFeeMasterBeneficiary: () => getBeneficiary(),
+        getAccountBalanceLimit: () => call(web3.utils.toBN(1000).mul(web3.utils.toBN(1e18)).toString())
+      }
+    };
+    var getContracts = RariSdk.getContracts;
+    RariSdk.getContracts = () => ({ RariFundManager: fundManager });
+
+    try {
+      for (const account of [owner, beneficiary]) {
+        var exemptLimit = await RariSdk.getAccountBalanceLimit(web3, RariSdk.addresses, account);
+        assert.strictEqual(exemptLimit.limitUsdBN, null);
+        assert.strictEqual(exemptLimit.remainingUsdBN, null);
+        RariSdk.checkAccountBalanceLimit(web3, exemptLimit, web3.utils.toBN(10).pow(web3.utils.toBN(30)));
+      }
+
+      var limit = await RariSdk.getAccountBalanceLimit(web3, RariSdk.addresses, user);
+      assert(limit.remainingUsdBN.eq(web3.utils.toBN(100).mul(web3.utils.toBN(1e18))));
+      assert.throws(() => RariSdk.checkAccountBalanceLimit(web3, limit, web3.utils.toBN(101).mul(web3.utils.toBN(1e18))), /account balance limit/);
+
+      // The deployed RariFundManager predates getInterestFeeMasterBeneficiary, so only the owner is exempt (without logging an error)
+      getBeneficiary = () => ({ call: async () => { throw new Error("Returned values aren't valid, did it run Out of Gas?"); } });
+      var consoleError = console.error;
+      var errorsLogged = 0;
+      console.error = () => errorsLogged++;
+
+      try {
+        limit = await RariSdk.getAccountBalanceLimit(web3, RariSdk.addresses, beneficiary);
+        assert(limit.remainingUsdBN.eq(web3.utils.toBN(100).mul(web3.utils.toBN(1e18))));
+        assert.strictEqual((await RariSdk.getAccountBalanceLimit(web3, RariSdk.addresses, owner)).limitUsdBN, null);
+      } finally {
+        console.error = consoleError;
+      }
+
+      assert.equal(errorsLogged, 0);
+    } finally {
+      RariSdk.getContracts = getContracts;
+    }
+  });
+});
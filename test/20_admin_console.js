@@ -0,0 +1,64 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const RariAdmin = require('../src/js/sdk/admin');
+
+describe("RariAdmin", () => {
+  it("should parse and format owner settings", async () => {
+    var interestFeeRate = RariAdmin.getSetting("interestFeeRate");
+    assert.equal(RariAdmin.parseSettingValue(web3, interestFeeRate, "9.5").toString(), "95000000000000000");
+    assert.equal(RariAdmin.formatSettingValue(web3, interestFeeRate, web3.utils.toBN("95000000000000000")), "9.5%");
+    assert.throws(() => RariAdmin.parseSettingValue(web3, interestFeeRate, "101"), /greater than 100%/);
+    assert.throws(() => RariAdmin.parseSettingValue(web3, interestFeeRate, "abc"), /Invalid value/);
+
+    var defaultAccountBalanceLimit = RariAdmin.getSetting("defaultAccountBalanceLimit");
+    assert.equal(RariAdmin.parseSettingValue(web3, defaultAccountBalanceLimit, "350").toString(), web3.utils.toWei("350"));
+    assert.equal(RariAdmin.formatSettingValue(web3, defaultAccountBalanceLimit, null), "Unknown");
+
+    var gsnTrustedSigner = RariAdmin.getSetting("gsnTrustedSigner");
+    assert.equal(RariAdmin.parseSettingValue(web3, gsnTrustedSigner, "0x0000000000085d4780b73119b644ae5ecd22b376"), "0x0000000000085d4780B73119b644AE5ecd22b376");
+    assert.throws(() => RariAdmin.parseSettingValue(web3, gsnTrustedSigner, "0x0000000000000000000000000000000000000000"), /Invalid address/);
+
+    assert.strictEqual(RariAdmin.parseSettingValue(web3, RariAdmin.getSetting("fundManagerDisabled"), "true"), true);
+  });
+
+  it("should parse individual account balance limits", async () => {
+    assert(RariAdmin.parseAccountBalanceLimit(web3, "0").isZero());
+    assert.equal(RariAdmin.parseAccountBalanceLimit(web3, "-1").toString(), "-1");
+    assert.equal(RariAdmin.parseAccountBalanceLimit(web3, "1000.5").toString(), web3.utils.toWei("1000.5"));
+    assert.throws(() => RariAdmin.parseAccountBalanceLimit(web3, "1e6"), /Invalid account balance limit/);
+  });
+
+  it("should read settings without getters from the latest events", async () => {
+    var events = [];
+    var contract = { getPastEvents: async (eventName, options) => events };
+
+    // Settings that were never set have their initial values
+    assert.strictEqual(await RariAdmin.getSettingFromEvents(web3, contract, RariAdmin.getSetting("fundControllerDisabled")), false);
+    assert.equal(await RariAdmin.getSettingFromEvents(web3, contract, RariAdmin.getSetting("gsnTrustedSigner")), "0x0000000000000000000000000000000000000000");
+
+    events = [
+      { event: "FundDisabled", blockNumber: 100, logIndex: 0, returnValues: {} },
+      { event: "GsnTrustedSignerSet", blockNumber: 100, logIndex: 1, returnValues: { 0: "0x1111111111111111111111111111111111111111", newAddress: "0x1111111111111111111111111111111111111111" } },
+      { event: "FundEnabled", blockNumber: 200, logIndex: 0, returnValues: {} },
+      { event: "GsnTrustedSignerSet", blockNumber: 200, logIndex: 3, returnValues: { 0: "0x2222222222222222222222222222222222222222", newAddress: "0x2222222222222222222222222222222222222222" } },
+      { event: "FundDisabled", blockNumber: 200, logIndex: 1, returnValues: {} }
+    ];
+    assert.strictEqual(await RariAdmin.getSettingFromEvents(web3, contract, RariAdmin.getSetting("fundControllerDisabled")), true);
+    assert.equal(await RariAdmin.getSettingFromEvents(web3, contract, RariAdmin.getSetting("gsnTrustedSigner")), "0x2222222222222222222222222222222222222222");
+  });
+
+  it("should describe the history of changes", async () => {
+    assert.equal(RariAdmin.describeHistoryEntry(web3, { contract: "RariFundManager", event: "InterestFeeRateSet", returnValues: { rate: "200000000000000000" } }), "Set Interest fee rate to 20%");
+    assert.equal(RariAdmin.describeHistoryEntry(web3, { contract: "RariFundController", event: "FundDisabled", returnValues: {} }), "Disabled RariFundController");
+    assert.equal(RariAdmin.describeHistoryEntry(web3, { contract: "RariFundManager", event: "IndividualAccountBalanceLimitSet", returnValues: { account: "0x1111111111111111111111111111111111111111", limitUsd: "-1" } }), "Set account balance limit of 0x1111111111111111111111111111111111111111 to $0 (deposits disabled)");
+    assert.equal(RariAdmin.describeHistoryEntry(web3, { contract: "RariFundController", event: "FundRebalancerSet", returnValues: { newAddress: "0x1111111111111111111111111111111111111111" } }), "Set RariFundController rebalancer to 0x1111111111111111111111111111111111111111");
+    assert.equal(RariAdmin.describeHistoryEntry(web3, { contract: "RariFundProxy", event: "FundManagerSet", returnValues: { newContract: "0x1111111111111111111111111111111111111111" } }), "RariFundProxy.FundManagerSet: 0x1111111111111111111111111111111111111111");
+  });
+});
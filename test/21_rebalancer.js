@@ -0,0 +1,85 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const RariSdk = require('../src/js/sdk');
+const RariRebalancer = require('../src/js/sdk/rebalancer');
+
+describe("RariRebalancer", () => {
+  var getAllocation = function() {
+    return {
+      "DAI": { priceInUsdBN: web3.utils.toBN(1e18), contractBalanceBN: web3.utils.toBN(web3.utils.toWei("100")), poolBalanceBNs: { 0: web3.utils.toBN(web3.utils.toWei("200")), 1: web3.utils.toBN(0) } },
+      "USDC": { priceInUsdBN: web3.utils.toBN(1e18), contractBalanceBN: web3.utils.toBN(0), poolBalanceBNs: { 1: web3.utils.toBN(700e6) } }
+    };
+  };
+
+  it("should apply staged moves to a copy of the allocation", async () => {
+    var allocation = getAllocation();
+    var result = RariRebalancer.applyMoves(web3, allocation, [
+      { type: "withdrawAllFromPool", pool: 0, currencyCode: "DAI" },
+      { type: "depositToPool", pool: 1, currencyCode: "DAI", amountBN: web3.utils.toBN(web3.utils.toWei("250")) },
+      { type: "withdrawFromPool", pool: 1, currencyCode: "USDC", amountBN: web3.utils.toBN(100e6) },
+      { type: "swapMStable", inputCurrencyCode: "USDC", outputCurrencyCode: "DAI", inputAmountBN: web3.utils.toBN(100e6), outputAmountBN: web3.utils.toBN(web3.utils.toWei("99.9")) }
+    ]);
+
+    assert.equal(result["DAI"].contractBalanceBN.toString(), web3.utils.toWei("149.9"));
+    assert(result["DAI"].poolBalanceBNs[0].isZero());
+    assert.equal(result["DAI"].poolBalanceBNs[1].toString(), web3.utils.toWei("250"));
+    assert(result["USDC"].contractBalanceBN.isZero());
+    assert.equal(result["USDC"].poolBalanceBNs[1].toString(), "600000000");
+
+    // Original allocation is left untouched
+    assert.equal(allocation["DAI"].poolBalanceBNs[0].toString(), web3.utils.toWei("200"));
+  });
+
+  it("should reject invalid moves with their position in the batch", async () => {
+    var allocation = getAllocation();
+    assert.throws(() => RariRebalancer.applyMoves(web3, allocation, [{ type: "depositToPool", pool: 0, currencyCode: "DAI", amountBN: web3.utils.toBN(web3.utils.toWei("101")) }]), /^Move 1 \(Deposit 101 DAI to dYdX\): Not enough DAI held by RariFundController\.$/);
+    assert.throws(() => RariRebalancer.applyMoves(web3, allocation, [{ type: "withdrawAllFromPool", pool: 0, currencyCode: "DAI" }, { type: "depositToPool", pool: 0, currencyCode: "USDC", amountBN: web3.utils.toBN(1) }]), /^Move 2 .*dYdX does not support USDC\.$/);
+    assert.throws(() => RariRebalancer.applyMoves(web3, allocation, [{ type: "depositToPool", pool: 1, currencyCode: "DAI" }]), /Move is missing amountBN/);
+    assert.throws(() => RariRebalancer.applyMoves(web3, allocation, [{ type: "rebalanceEverything" }]), /Unknown move type/);
+  });
+
+  it("should summarize the allocation and its blended APY", async () => {
+    var poolApyBNs = { dydx: { "DAI": web3.utils.toBN(web3.utils.toWei("0.06")) }, compound: { "DAI": web3.utils.toBN(web3.utils.toWei("0.1")), "USDC": web3.utils.toBN(web3.utils.toWei("0.08")) } };
+    var summary = RariRebalancer.getAllocationSummary(web3, getAllocation(), poolApyBNs);
+    assert.equal(summary.totalBalanceUsdBN.toString(), web3.utils.toWei("1000"));
+    assert.equal(summary.allocationsByCurrency["USDC"].toString(), web3.utils.toWei("700"));
+    assert.equal(summary.allocationsByPool[1].toString(), web3.utils.toWei("700"));
+
+    // (200 * 6% + 700 * 8%) / 1000 (the 100 DAI held by RariFundController earns nothing)
+    assert.equal(summary.apyBN.toString(), web3.utils.toWei("0.068"));
+  });
+
+  it("should describe moves and estimate mStable output", async () => {
+    var move = RariRebalancer.getMStableMove(web3, "USDC", "DAI", web3.utils.toBN(100e6), web3.utils.toBN(web3.utils.toWei("0.001")));
+    assert.equal(move.outputAmountBN.toString(), web3.utils.toWei("99.9"));
+    assert.equal(RariRebalancer.describeMove(move), "Exchange 100 USDC for ~99.9 DAI via mStable");
+    assert.equal(RariRebalancer.describeMove({ type: "withdrawAllFromPool", pool: 2, currencyCode: "USDT" }), "Withdraw all USDT from Aave");
+  });
+
+  it("should read the rebalancer from the latest FundRebalancerSet event of RariFundController", async () => {
+    var getFundController = RariSdk.getFundController;
+    var events = [];
+
+    // RariFundController has no getter for its rebalancer (so the stand-in has no methods)
+    RariSdk.getFundController = async () => ({ getPastEvents: async (eventName, options) => events, methods: {} });
+
+    try {
+      assert.strictEqual(await RariRebalancer.getRebalancer(web3), null);
+      events = [
+        { event: "FundRebalancerSet", blockNumber: 300, logIndex: 0, returnValues: { 0: "0x3333333333333333333333333333333333333333", newAddress: "0x3333333333333333333333333333333333333333" } },
+        { event: "FundManagerSet", blockNumber: 400, logIndex: 0, returnValues: { 0: "0x4444444444444444444444444444444444444444", newAddress: "0x4444444444444444444444444444444444444444" } },
+        { event: "FundRebalancerSet", blockNumber: 100, logIndex: 2, returnValues: { 0: "0x1111111111111111111111111111111111111111", newAddress: "0x1111111111111111111111111111111111111111" } }
+      ];
+      assert.equal(await RariRebalancer.getRebalancer(web3), "0x3333333333333333333333333333333333333333");
+    } finally {
+      RariSdk.getFundController = getFundController;
+    }
+  });
+});
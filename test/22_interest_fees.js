@@ -0,0 +1,39 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const RariFees = require('../src/js/sdk/fees');
+
+describe("RariFees", () => {
+  it("should project fees at the current APY", async () => {
+    // $1,000,000 at 10% APY with a 20% interest fee rate
+    var projected = RariFees.getProjectedFees(web3, web3.utils.toBN(web3.utils.toWei("1000000")), web3.utils.toBN(web3.utils.toWei("0.1")), web3.utils.toBN(web3.utils.toWei("0.2")));
+    assert.equal(projected.yearlyBN.toString(), web3.utils.toWei("20000"));
+    assert.equal(projected.dailyBN.toString(), web3.utils.toBN(web3.utils.toWei("20000")).divn(365).toString());
+    assert.equal(projected.monthlyBN.toString(), web3.utils.toBN(web3.utils.toWei("20000")).muln(30).divn(365).toString());
+  });
+
+  it("should pick a currency held by RariFundController in a sufficient amount", async () => {
+    var pricesInUsd = { "DAI": web3.utils.toBN(web3.utils.toWei("1")), "USDC": web3.utils.toBN(web3.utils.toWei("1")), "USDT": web3.utils.toBN(web3.utils.toWei("1")) };
+    var contractBalanceBNs = { "DAI": web3.utils.toBN(web3.utils.toWei("50")), "USDC": web3.utils.toBN(101e6), "USDT": web3.utils.toBN(500e6) };
+    var rawFundBalanceBNs = { "DAI": web3.utils.toBN(web3.utils.toWei("5000")), "USDC": web3.utils.toBN(101e6), "USDT": web3.utils.toBN(500e6) };
+    var options = RariFees.getWithdrawalOptions(web3, web3.utils.toBN(web3.utils.toWei("100")), ["DAI", "USDC", "USDT"], pricesInUsd, contractBalanceBNs, rawFundBalanceBNs);
+    assert.deepEqual(options.map(option => option.currencyCode), ["USDT", "USDC", "DAI"]);
+    assert.equal(options[1].amountBN.toString(), "100000000");
+    assert.equal(RariFees.pickWithdrawalCurrency(options), "USDT");
+    assert.equal(RariFees.pickWithdrawalCurrency(options, "USDC"), "USDC");
+    assert.throws(() => RariFees.pickWithdrawalCurrency(options, "DAI"), /does not hold enough DAI.*withdraw some from its pools first/);
+
+    // Fees keep accruing until the withdrawal is mined, so balances barely covering them are not sufficient
+    options = RariFees.getWithdrawalOptions(web3, web3.utils.toBN(web3.utils.toWei("100")), ["DAI", "USDC"], pricesInUsd, { "DAI": web3.utils.toBN(web3.utils.toWei("100")), "USDC": web3.utils.toBN(0) }, { "DAI": web3.utils.toBN(web3.utils.toWei("100")), "USDC": web3.utils.toBN(200e6) });
+    assert(!options[0].sufficient);
+    assert.throws(() => RariFees.pickWithdrawalCurrency(options), /withdraw some USDC from its pools first/);
+    options = RariFees.getWithdrawalOptions(web3, web3.utils.toBN(web3.utils.toWei("100")), ["DAI"], pricesInUsd, { "DAI": web3.utils.toBN(web3.utils.toWei("100")) }, { "DAI": web3.utils.toBN(web3.utils.toWei("100")) });
+    assert.throws(() => RariFees.pickWithdrawalCurrency(options), /does not hold enough of any single currency/);
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const RariSdk = require('../src/js/sdk');
+
+describe("RariSdk deposits to another address", () => {
+  it("should validate recipient addresses and checksums", async () => {
+    assert.equal(RariSdk.checkDepositRecipient(web3, " 0x52908400098527886e0f7030069857d2e4169ee7 "), "0x52908400098527886E0F7030069857D2E4169EE7");
+    assert.equal(RariSdk.checkDepositRecipient(web3, "0x8617E340B3D01FA5F11F306F4090FD50E238070D"), "0x8617E340B3D01FA5F11F306F4090FD50E238070D");
+    assert.equal(RariSdk.checkDepositRecipient(web3, "0xde709f2102306220921060314715629080e2fb77"), "0xde709f2102306220921060314715629080e2fb77");
+    assert.throws(() => RariSdk.checkDepositRecipient(web3, "0xDe709f2102306220921060314715629080e2fb77"), /Invalid recipient address checksum/);
+    assert.throws(() => RariSdk.checkDepositRecipient(web3, "0x1234"), /Invalid recipient address\.$/);
+    assert.throws(() => RariSdk.checkDepositRecipient(web3, "0x0000000000000000000000000000000000000000"), /zero address/);
+  });
+
+  it("should refer to the recipient when a deposit exceeds its account balance limit", async () => {
+    var limit = { limitUsdBN: web3.utils.toBN(web3.utils.toWei("350")), balanceUsdBN: web3.utils.toBN(web3.utils.toWei("300")), remainingUsdBN: web3.utils.toBN(web3.utils.toWei("50")) };
+    assert.throws(() => RariSdk.checkAccountBalanceLimit(web3, limit, web3.utils.toBN(web3.utils.toWei("100")), "0x52908400098527886E0F7030069857D2E4169EE7"), /^This deposit of \$100\.00 would bring the balance of 0x52908400098527886E0F7030069857D2E4169EE7 above its account balance limit of \$350\.00\. You can deposit up to \$50\.00 more to it\.$/);
+    RariSdk.checkAccountBalanceLimit(web3, limit, web3.utils.toBN(web3.utils.toWei("50")), "0x52908400098527886E0F7030069857D2E4169EE7");
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const RariSdk = require('../src/js/sdk');
+const RariBatchDeposit = require('../src/js/sdk/batch-deposit');
+
+function getRoute(type, inputCurrencyCode, legs, slippage, totalProtocolFeeBN) {
+  var inputAmountBN = web3.utils.toBN(0);
+  for (const leg of legs) inputAmountBN.iadd(leg.inputAmountBN);
+  return { type, inputCurrencyCode, inputAmountBN, legs, slippage, totalProtocolFeeBN: totalProtocolFeeBN ? totalProtocolFeeBN : web3.utils.toBN(0), recipient: null };
+}
+
+describe("RariBatchDeposit", () => {
+  var pricesInUsd = { "DAI": web3.utils.toBN(web3.utils.toWei("1")), "USDC": web3.utils.toBN(web3.utils.toWei("1")), "USDT": web3.utils.toBN(web3.utils.toWei("1")) };
+  var routes = [
+    getRoute("split", "USDT", [{ type: "mStable", inputAmountBN: web3.utils.toBN(60e6), outputCurrencyCode: "USDC", outputAmountBN: web3.utils.toBN(59.94e6) }, { type: "0x", inputAmountBN: web3.utils.toBN(40e6), outputCurrencyCode: "DAI", outputAmountBN: web3.utils.toBN(web3.utils.toWei("39.86")), protocolFeeBN: web3.utils.toBN(web3.utils.toWei("0.003")) }], 0.002, web3.utils.toBN(web3.utils.toWei("0.003"))),
+    getRoute("direct", "DAI", [{ type: "direct", inputAmountBN: web3.utils.toBN(web3.utils.toWei("300")), outputCurrencyCode: "DAI", outputAmountBN: web3.utils.toBN(web3.utils.toWei("300")) }], 0),
+    getRoute("direct", "USDC", [{ type: "direct", inputAmountBN: web3.utils.toBN(100e6), outputCurrencyCode: "USDC", outputAmountBN: web3.utils.toBN(100e6) }], 0)
+  ];
+
+  it("should approve only tokens with insufficient allowances before their deposits", async () => {
+    var steps = RariBatchDeposit.getSteps(routes, [web3.utils.toBN(0), web3.utils.toBN(web3.utils.toWei("300")), web3.utils.toBN(50e6)]);
+    assert.deepEqual(steps, [
+      { type: "approval", routeIndex: 0 },
+      { type: "deposit", routeIndex: 0, legIndex: 0 },
+      { type: "deposit", routeIndex: 0, legIndex: 1 },
+      { type: "deposit", routeIndex: 1, legIndex: 0 },
+      { type: "approval", routeIndex: 2 },
+      { type: "deposit", routeIndex: 2, legIndex: 0 }
+    ]);
+  });
+
+  it("should combine the value, slippage, and fees of all routes", async () => {
+    var summary = RariBatchDeposit.getSummary(web3, routes, pricesInUsd);
+    assert.equal(summary.depositUsdBN.toString(), web3.utils.toWei("499.8"));
+    assert.equal(summary.totalProtocolFeeBN.toString(), web3.utils.toWei("0.003"));
+    assert.equal(summary.directCount, 2);
+    assert.equal(summary.exchangeCount, 1);
+
+    // $0.20 of slippage on $500 of inputs
+    assert.approximately(summary.slippage, 0.2 / 500, 1e-9);
+  });
+
+  it("should describe the remaining amounts and steps of a partially sent batch", async () => {
+    var batch = { from: "0x0000000000000000000000000000000000000001", recipient: null, routes, steps: RariBatchDeposit.getSteps(routes, [web3.utils.toBN(0), web3.utils.toBN(0), web3.utils.toBN(0)]), nextStep: 2 };
+    var remainingAmountBNs = RariBatchDeposit.getRemainingAmountBNs(web3, batch);
+    assert.deepEqual(Object.keys(remainingAmountBNs), ["USDT", "DAI", "USDC"]);
+    assert.equal(remainingAmountBNs["USDT"].toString(), "40000000");
+    assert.equal(remainingAmountBNs["DAI"].toString(), web3.utils.toWei("300"));
+    assert.equal(RariBatchDeposit.describeStep(batch, batch.steps[batch.nextStep]), "Exchange 40 USDT to DAI via 0x and deposit");
+    assert.equal(RariBatchDeposit.describeStep(batch, batch.steps[3]), "Approve 300 DAI");
+  });
+
+  it("should resume sending from the step that failed", async () => {
+    var send = RariSdk.send;
+    var sent = [];
+    var failures = 1;
+
+    // All tokens are approved already, so the steps are the USDT mStable and 0x legs and the DAI and USDC deposits
+    var batch = { from: "0x0000000000000000000000000000000000000001", recipient: null, routes, steps: RariBatchDeposit.getSteps(routes, [web3.utils.toBN(100e6), web3.utils.toBN(web3.utils.toWei("300")), web3.utils.toBN(100e6)]), nextStep: 0 };
+    assert.equal(batch.steps.length, 4);
+
+    // The first attempt to send the 0x leg fails
+    RariSdk.send = async (web3, method, options, info) => {
+      if (info.description.indexOf("via 0x") >= 0 && failures-- > 0) throw new Error("Transaction was not mined within 750 seconds");
+      sent.push(info.description);
+      return { transactionHash: "0x" + sent.length };
+    };
+
+    try {
+      var progress = [];
+      var onProgress = (index, status) => progress.push(index + " " + status);
+
+      try {
+        await RariBatchDeposit.sendBatch(web3, RariSdk.addresses, batch, onProgress);
+        assert.fail("Expected the batch to fail");
+      } catch (err) {
+        assert.include(err.message, "not mined");
+      }
+
+      assert.equal(batch.nextStep, 1);
+      assert.deepEqual(sent, ["Exchange 60 USDT to USDC via mStable and deposit"]);
+      assert.deepEqual(progress, ["0 sending", "0 mined", "1 sending", "1 failed"]);
+
+      // Sending again resumes from the failed step
+      progress = [];
+      var receipts = await RariBatchDeposit.sendBatch(web3, RariSdk.addresses, batch, onProgress);
+      assert.equal(receipts.length, 3);
+      assert.equal(batch.nextStep, 4);
+      assert.deepEqual(sent, ["Exchange 60 USDT to USDC via mStable and deposit", "Exchange 40 USDT to DAI via 0x and deposit", "Deposit 300 DAI", "Deposit 100 USDC"]);
+      assert.deepEqual(progress, ["1 sending", "1 mined", "2 sending", "2 mined", "3 sending", "3 mined"]);
+    } finally {
+      RariSdk.send = send;
+    }
+  });
+});
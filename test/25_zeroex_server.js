@@ -0,0 +1,78 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const ZeroExServer = require('./exchanges/0x-server.js');
+
+const tokens = {
+  "DAI": { address: "0x6B175474E89094C44Da98b954EedeAC495271d0F", decimals: 18 },
+  "USDC": { address: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", decimals: 6 }
+};
+
+function toUnitsBN(amount, decimals) {
+  return web3.utils.toBN(Math.trunc(amount * 1e6)).mul(web3.utils.toBN(10).pow(web3.utils.toBN(decimals - 6)));
+}
+
+function sumBN(orders, field) {
+  return orders.reduce((sumBN, order) => sumBN.add(web3.utils.toBN(order[field])), web3.utils.toBN(0));
+}
+
+describe("ZeroExServer", () => {
+  var server = new ZeroExServer(web3, { tokens, usdPrices: { "WETH": 400 }, spread: 0.001, chainId: 1 });
+  var usdc = server.getToken("USDC");
+  var dai = server.getToken(tokens["DAI"].address.toLowerCase());
+  var makerBalanceBNs = { "0x0000000000000000000000000000000000000001": toUnitsBN(500, 18), "0x0000000000000000000000000000000000000002": toUnitsBN(1000, 18) };
+
+  it("should look up tokens by symbol or address and quote prices in units of the sell token", async () => {
+    assert.equal(dai.symbol, "DAI");
+    assert.equal(server.getToken("ETH").symbol, "WETH");
+    assert.isNull(server.getToken("XYZ"));
+    var records = server.getPriceRecords("USDC");
+    assert.equal(records.find(record => record.symbol === "WETH").price, "400");
+    assert.equal(records.find(record => record.symbol === "DAI").price, "1");
+    assert.equal(server.getPriceRecords("WETH").find(record => record.symbol === "USDC").price, "0.0025");
+    assert.equal(server.getAssetData(tokens["USDC"].address), "0xf47261b0000000000000000000000000a0b86991c6218b36c1d19d4a2e9eb0ce3606eb48");
+  });
+
+  it("should split sells across makers (largest balances first) without trading below the rate", async () => {
+    var rateBN = server.getRateBN(usdc, dai);
+    assert(rateBN.eq(web3.utils.toBN(999e15)));
+    var sellAmountBN = toUnitsBN(1200, 6);
+    var orders = server.buildOrders(usdc, dai, rateBN, makerBalanceBNs, sellAmountBN, null, 1600000000);
+
+    assert.equal(orders.length, 2);
+    assert.equal(orders[0].makerAddress, "0x0000000000000000000000000000000000000002");
+    assert.equal(orders[0].makerAssetAmount, toUnitsBN(1000, 18).toString());
+    assert(sumBN(orders, "takerAssetAmount").eq(sellAmountBN));
+    assert.equal(orders[0].makerAssetData, server.getAssetData(tokens["DAI"].address));
+    assert.equal(orders[0].takerAssetData, server.getAssetData(tokens["USDC"].address));
+    assert.equal(orders[0].expirationTimeSeconds, "1600000000");
+
+    // Maker amount (scaled by 1e18) / taker amount (scaled by 1e6) <= rate
+    for (const order of orders) assert(web3.utils.toBN(order.makerAssetAmount).mul(web3.utils.toBN(1e6)).lte(web3.utils.toBN(order.takerAssetAmount).mul(rateBN)));
+  });
+
+  it("should round taker amounts up on buys and stop at maker balances", async () => {
+    var rateBN = server.getRateBN(usdc, dai);
+    var orders = server.buildOrders(usdc, dai, rateBN, makerBalanceBNs, null, toUnitsBN(1200, 18), 1600000000);
+    assert(sumBN(orders, "makerAssetAmount").eq(toUnitsBN(1200, 18)));
+    assert.equal(orders[1].takerAssetAmount, "200200201"); // 200 / 0.999 = 200.2002002...
+    for (const order of orders) assert(web3.utils.toBN(order.makerAssetAmount).mul(web3.utils.toBN(1e6)).lte(web3.utils.toBN(order.takerAssetAmount).mul(rateBN)));
+
+    orders = server.buildOrders(usdc, dai, rateBN, makerBalanceBNs, null, toUnitsBN(2000, 18), 1600000000);
+    assert(sumBN(orders, "makerAssetAmount").eq(toUnitsBN(1500, 18)));
+    assert.equal(server.buildOrders(usdc, dai, rateBN, {}, toUnitsBN(1, 6), null, 1600000000).length, 0);
+  });
+
+  it("should convert eth_sign signatures to 0x EthSign signatures", async () => {
+    var r = "11".repeat(32);
+    var s = "22".repeat(32);
+    assert.equal(server.formatSignature("0x" + r + s + "1b"), "0x1b" + r + s + "03");
+    assert.equal(server.formatSignature("0x" + r + s + "01"), "0x1c" + r + s + "03");
+  });
+});
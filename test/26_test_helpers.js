@@ -0,0 +1,59 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const helpers = require('./helpers');
+
+describe("Test helpers", () => {
+  it("should convert whole token amounts to units and USD", async () => {
+    assert.equal(helpers.toUnitsBN("DAI", "0.1").toString(), "100000000000000000");
+    assert.equal(helpers.toUnitsBN("USDC", 1.5).toString(), "1500000");
+    assert.throws(() => helpers.toUnitsBN("XYZ", 1), "Invalid currency code");
+
+    // Prices are ordered as in RariFundPriceConsumer.getCurrencyPricesInUsd (DAI, USDC, USDT, ...)
+    var currencyPricesInUsd = [web3.utils.toBN(1e18), web3.utils.toBN(0.99e18), web3.utils.toBN(1.01e18)];
+    assert.equal(helpers.toUsdBN("USDC", web3.utils.toBN(2e6), currencyPricesInUsd).toString(), web3.utils.toBN(1.98e18).toString());
+    assert.equal(helpers.toUsdBN("USDT", web3.utils.toBN(1e6), currencyPricesInUsd).toString(), web3.utils.toBN(1.01e18).toString());
+    assert.equal(helpers.getPoolIndex("Aave"), 2);
+  });
+
+  it("should assert BN values with tolerance", async () => {
+    var expectedBN = web3.utils.toBN(1e18);
+    helpers.assertGteWithTolerance(web3.utils.toBN(0.999999e18), expectedBN);
+    assert.throws(() => helpers.assertGteWithTolerance(web3.utils.toBN(0.999998e18), expectedBN));
+    helpers.assertGteWithTolerance(web3.utils.toBN(0.99e18), expectedBN, 0.01);
+    helpers.assertApproxEqual(web3.utils.toBN(1.000001e18), expectedBN);
+    assert.throws(() => helpers.assertApproxEqual(web3.utils.toBN(1.000002e18), expectedBN), "to be within");
+  });
+
+  it("should expect reverts", async () => {
+    var error = await helpers.expectRevert(Promise.reject(new Error("Returned error: VM Exception while processing transaction: revert Amount is zero.")), "Amount is zero.");
+    assert.include(error.message, "revert");
+    await helpers.expectRevert(Promise.reject(new Error("Returned error: VM Exception while processing transaction: revert")));
+
+    try {
+      await helpers.expectRevert(Promise.resolve(), "Amount is zero.");
+    } catch (error) {
+      assert.include(error.message, "Expected revert");
+      return;
+    }
+
+    assert.fail();
+  });
+
+  it("should not mistake other errors for reverts", async () => {
+    try {
+      await helpers.expectRevert(Promise.reject(new TypeError("fundManagerInstance.depositt is not a function")));
+    } catch (error) {
+      assert.include(error.message, "Expected revert but got: fundManagerInstance.depositt is not a function");
+      return;
+    }
+
+    assert.fail();
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const harness = require('./fuzz/harness');
+
+// A toy account model whose `withdraw` ignores the balance check once `bug` is set
+const actions = {
+  "deposit": { weight: 3, generate: random => ({ amount: 1 + random.int(100) }), simplify: params => [{ amount: 1 }] },
+  "withdraw": { weight: 2, generate: random => ({ proportion: random.next() }), simplify: params => [{ proportion: 0 }, { proportion: 1 }] },
+  "breakBalanceCheck": { weight: 1 }
+};
+
+function createModel() {
+  var model = { balance: 0, bug: false };
+
+  model.executeStep = async function(step) {
+    if (step.type === "deposit") model.balance += step.params.amount;
+    else if (step.type === "withdraw") model.balance -= model.bug ? Math.ceil(model.balance * step.params.proportion) + 1 : Math.floor(model.balance * step.params.proportion);
+    else if (step.type === "breakBalanceCheck") model.bug = true;
+  };
+
+  model.checkInvariants = async function() {
+    assert(model.balance >= 0, "Balance is negative");
+  };
+
+  model.reset = async function() {
+    model.balance = 0;
+    model.bug = false;
+  };
+
+  return model;
+}
+
+describe("Fuzz harness", () => {
+  it("should generate the same sequences from the same seed", async () => {
+    var a = harness.generateSequence(harness.createRandom(42), 20, actions);
+    var b = harness.generateSequence(harness.createRandom(42), 20, actions);
+    var c = harness.generateSequence(harness.createRandom(43), 20, actions);
+    assert.deepEqual(a, b);
+    assert.notDeepEqual(a, c);
+    assert.sameMembers(Object.keys(actions), Array.from(new Set(harness.generateSequence(harness.createRandom(1), 100, actions).map(step => step.type))));
+  });
+
+  it("should pass sequences that keep the invariants", async () => {
+    var model = createModel();
+    var safeActions = { "deposit": actions["deposit"], "withdraw": actions["withdraw"] };
+    await harness.fuzz({ seed: 1, runs: 20, length: 30, actions: safeActions, reset: model.reset, executeStep: model.executeStep, checkInvariants: model.checkInvariants });
+  });
+
+  it("should shrink a failing sequence to a minimal reproduction", async () => {
+    var model = createModel();
+
+    try {
+      await harness.fuzz({ seed: 7, runs: 20, length: 30, actions, reset: model.reset, executeStep: model.executeStep, checkInvariants: model.checkInvariants });
+    } catch (error) {
+      assert.include(error.message, "Invariant violated (seed 7");
+      assert.include(error.message, "Balance is negative");
+      assert.deepEqual(error.steps, [{ type: "breakBalanceCheck", params: {} }, { type: "withdraw", params: { proportion: 0 } }]);
+
+      // The minimal sequence reproduces the failure when replayed
+      var failure = await harness.runSequence(error.steps, model.executeStep, model.checkInvariants, model.reset);
+      assert.equal(failure.index, 1);
+      return;
+    }
+
+    assert.fail();
+  });
+});
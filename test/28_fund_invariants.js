@@ -0,0 +1,232 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const currencies = require('./fixtures/currencies.json');
+const pools = require('./fixtures/pools.json');
+const helpers = require('./helpers');
+const harness = require('./fuzz/harness');
+
+const RariFundController = artifacts.require("RariFundController");
+const RariFundManager = artifacts.require("RariFundManager");
+const RariFundToken = artifacts.require("RariFundToken");
+const RariFundPriceConsumer = artifacts.require("RariFundPriceConsumer");
+
+// Configure with FUZZ_SEED, FUZZ_RUNS, and FUZZ_STEPS; replay a (minimal) failing sequence by setting FUZZ_SEQUENCE to its JSON
+const FUZZ_SEED = parseInt(process.env.FUZZ_SEED ? process.env.FUZZ_SEED : "1");
+const FUZZ_RUNS = parseInt(process.env.FUZZ_RUNS ? process.env.FUZZ_RUNS : "2");
+const FUZZ_STEPS = parseInt(process.env.FUZZ_STEPS ? process.env.FUZZ_STEPS : "12");
+
+// Currencies deposited and withdrawn by the harness (held by the development accounts on both the fork and the mock network)
+const FUZZ_CURRENCIES = ["DAI", "USDC", "USDT"];
+
+// Margin of error in USD (scaled by 1e18) per step for pool rounding (dYdX and mStable round balances)
+const USD_MARGIN_PER_STEP_BN = web3.utils.toBN(1e13);
+
+function rpc(method, params) {
+  return new Promise((resolve, reject) => web3.currentProvider.send({ jsonrpc: "2.0", id: new Date().getTime(), method, params }, (err, response) => err ? reject(err) : response.error ? reject(new Error(response.error.message)) : resolve(response.result)));
+}
+
+function fromUsdBN(currencyCode, amountUsdBN, currencyPricesInUsd) {
+  return amountUsdBN.mul(web3.utils.toBN(10).pow(web3.utils.toBN(currencies[currencyCode].decimals))).div(currencyPricesInUsd[Object.keys(currencies).indexOf(currencyCode)]);
+}
+
+function proportionOf(amountBN, proportion) {
+  return amountBN.mul(web3.utils.toBN(Math.floor(proportion * 1e6))).div(web3.utils.toBN(1e6));
+}
+
+function getEvent(result, name) {
+  for (const log of result.logs) if (log.event === name) return log.args;
+  throw new Error("No " + name + " event emitted");
+}
+
+// These tests expect the owner, the fund rebalancer, and the interest fee master beneficiary of RariFundManager to be set to process.env.DEVELOPMENT_ADDRESS
+contract("RariFundManager, RariFundToken", accounts => {
+  it("should maintain deposit, withdrawal, and RFT accounting invariants across random sequences of operations", async () => {
+    let fundControllerInstance = await RariFundController.deployed();
+    let fundManagerInstance = await RariFundManager.deployed();
+    let fundTokenInstance = await RariFundToken.deployed();
+    let fundPriceConsumerInstance = await RariFundPriceConsumer.deployed();
+
+    // Actors: the development accounts and a third account funded with tokens from DEVELOPMENT_ADDRESS
+    var actors = [process.env.DEVELOPMENT_ADDRESS, process.env.DEVELOPMENT_ADDRESS_SECONDARY, accounts.find(account => helpers.getFundedAccounts().indexOf(account) < 0)];
+    for (const currencyCode of FUZZ_CURRENCIES) await helpers.fundAccount(actors[2], currencyCode, helpers.toUnitsBN(currencyCode, 500));
+
+    // Holders: all accounts that may hold RFT (actors, the interest fee master beneficiary, and any upgraded holders)
+    var holders = actors.slice();
+    var beneficiary = await fundManagerInstance.getInterestFeeMasterBeneficiary.call();
+    if (holders.indexOf(beneficiary) < 0) holders.push(beneficiary);
+    if (parseInt(process.env.UPGRADE_FROM_LAST_VERSION) > 0) for (const holder of process.env.GANACHE_UPGRADE_FUND_TOKEN_HOLDERS.split(",")) if (holders.indexOf(holder) < 0) holders.push(holder);
+
+    // Approve tokens and RFT to RariFundManager
+    for (const actor of actors) {
+      for (const currencyCode of FUZZ_CURRENCIES) await helpers.approveToken(currencyCode, RariFundManager.address, actor);
+      await fundTokenInstance.approve(RariFundManager.address, helpers.getMaxUint256BN(), await helpers.txOptions(actor));
+    }
+
+    // Model of each holder's USD flows since the start of the sequence
+    var model;
+    var snapshotId = await rpc("evm_snapshot", []);
+
+    async function reset() {
+      await rpc("evm_revert", [snapshotId]);
+      snapshotId = await rpc("evm_snapshot", []);
+      model = { step: 0, interestAccruedAtStart: await fundManagerInstance.getInterestAccrued.call(), holders: {} };
+      for (const holder of holders) model.holders[holder] = { initialBalanceUsd: await fundManagerInstance.balanceOf.call(holder), depositedUsd: web3.utils.toBN(0), withdrawnUsd: web3.utils.toBN(0), transferredInUsd: web3.utils.toBN(0), transferredOutUsd: web3.utils.toBN(0) };
+    }
+
+    var actions = {
+      "deposit": {
+        weight: 4,
+        generate: random => ({ actor: random.int(actors.length), currencyCode: random.pick(FUZZ_CURRENCIES), amount: 1 + random.int(100) }),
+        simplify: params => [{ actor: 0, currencyCode: params.currencyCode, amount: params.amount }, { actor: params.actor, currencyCode: "DAI", amount: params.amount }, { actor: params.actor, currencyCode: params.currencyCode, amount: 1 }]
+      },
+      "withdraw": {
+        weight: 3,
+        generate: random => ({ actor: random.int(actors.length), currencyCode: random.pick(FUZZ_CURRENCIES), proportion: random.next() }),
+        simplify: params => [{ actor: 0, currencyCode: params.currencyCode, proportion: params.proportion }, { actor: params.actor, currencyCode: "DAI", proportion: params.proportion }, { actor: params.actor, currencyCode: params.currencyCode, proportion: 1 }]
+      },
+      "transfer": {
+        weight: 2,
+        generate: random => ({ from: random.int(actors.length), to: random.int(actors.length), proportion: random.next() }),
+        simplify: params => [{ from: params.from, to: params.to, proportion: 1 }]
+      },
+      "poolMove": {
+        weight: 3,
+        generate: random => ({ currencyCode: random.pick(FUZZ_CURRENCIES), pool: random.int(1000), withdraw: random.next() < 0.5, proportion: random.next() }),
+        simplify: params => [Object.assign({}, params, { proportion: 1 }), Object.assign({}, params, { currencyCode: "DAI" })]
+      },
+      "timeJump": {
+        weight: 2,
+        generate: random => ({ seconds: 1 + random.int(30 * 86400) }),
+        simplify: params => [{ seconds: 1 }]
+      },
+      "depositFees": {
+        weight: 1
+      }
+    };
+
+    async function executeStep(step) {
+      var params = step.params;
+      model.step++;
+
+      if (step.type === "deposit") {
+        // Deposit a whole number of tokens (capped at the actor's token balance) and check RFT minted against amountUsd * totalSupply / fundBalance
+        var actor = actors[params.actor];
+        var amountBN = web3.utils.BN.min(helpers.toUnitsBN(params.currencyCode, params.amount), web3.utils.toBN(await helpers.getTokenContract(params.currencyCode).methods.balanceOf(actor).call()));
+        if (amountBN.isZero()) return;
+        var rftTotalSupplyBN = await fundTokenInstance.totalSupply.call();
+        var fundBalanceBN = await fundManagerInstance.getFundBalance.call();
+        var event = getEvent(await helpers.deposit(fundManagerInstance, actor, params.currencyCode, amountBN), "Deposit");
+        helpers.assertApproxEqual(event.rftMinted, rftTotalSupplyBN.isZero() || fundBalanceBN.isZero() ? event.amountUsd : event.amountUsd.mul(rftTotalSupplyBN).div(fundBalanceBN), undefined, "RFT minted on deposit");
+        model.holders[actor].depositedUsd.iadd(event.amountUsd);
+      } else if (step.type === "withdraw") {
+        // Withdraw a proportion of the actor's balance (capped at the fund's balance of the currency) and check RFT burned against amountUsd * totalSupply / fundBalance
+        var actor = actors[params.actor];
+        var currencyPricesInUsd = await fundPriceConsumerInstance.getCurrencyPricesInUsd.call();
+        var maxAmountBN = fromUsdBN(params.currencyCode, proportionOf(await fundManagerInstance.balanceOf.call(actor), 0.999999), currencyPricesInUsd);
+        maxAmountBN = web3.utils.BN.min(maxAmountBN, proportionOf(await fundManagerInstance.methods["getRawFundBalance(string)"].call(params.currencyCode), 0.999));
+        var amountBN = proportionOf(maxAmountBN, params.proportion);
+        if (amountBN.isZero()) return;
+        var rftTotalSupplyBN = await fundTokenInstance.totalSupply.call();
+        var fundBalanceBN = await fundManagerInstance.getFundBalance.call();
+        var event = getEvent(await fundManagerInstance.withdraw(params.currencyCode, amountBN, await helpers.txOptions(actor)), "Withdrawal");
+        helpers.assertApproxEqual(event.rftBurned, event.amountUsd.mul(rftTotalSupplyBN).div(fundBalanceBN), undefined, "RFT burned on withdrawal");
+        model.holders[actor].withdrawnUsd.iadd(event.amountUsd);
+      } else if (step.type === "transfer") {
+        // Transfer a proportion of RFT between actors
+        var from = actors[params.from];
+        var to = actors[params.to];
+        var rftAmountBN = proportionOf(await fundTokenInstance.balanceOf.call(from), params.proportion);
+        if (rftAmountBN.isZero() || from === to) return;
+        var amountUsdBN = rftAmountBN.mul(await fundManagerInstance.getFundBalance.call()).div(await fundTokenInstance.totalSupply.call());
+        await fundTokenInstance.transfer(to, rftAmountBN, await helpers.txOptions(from));
+        model.holders[from].transferredOutUsd.iadd(amountUsdBN);
+        model.holders[to].transferredInUsd.iadd(amountUsdBN);
+      } else if (step.type === "poolMove") {
+        // Deposit a proportion of RariFundController's balance to a pool or withdraw a proportion of the pool balance (as the rebalancer); the fund balance should not change
+        var poolNames = Object.keys(pools).filter(poolName => pools[poolName].currencies[params.currencyCode] !== undefined);
+        var poolName = poolNames[params.pool % poolNames.length];
+        var fundBalanceBN = await fundManagerInstance.getFundBalance.call();
+
+        if (params.withdraw) {
+          var amountBN = proportionOf(await fundControllerInstance.getPoolBalance.call(helpers.getPoolIndex(poolName), params.currencyCode), params.proportion);
+          if (amountBN.isZero()) return;
+          await fundControllerInstance.withdrawFromPool(helpers.getPoolIndex(poolName), params.currencyCode, amountBN, await helpers.txOptions(process.env.DEVELOPMENT_ADDRESS));
+        } else {
+          var amountBN = proportionOf(web3.utils.toBN(await helpers.getTokenContract(params.currencyCode).methods.balanceOf(RariFundController.address).call()), params.proportion);
+          if (amountBN.isZero()) return;
+          await helpers.depositToPool(fundControllerInstance, poolName, params.currencyCode, amountBN);
+        }
+
+        // Allow for pool rounding and interest accrued in the meantime
+        var fundBalanceChangeBN = (await fundManagerInstance.getFundBalance.call()).sub(fundBalanceBN);
+        assert(fundBalanceChangeBN.gte(USD_MARGIN_PER_STEP_BN.neg()) && fundBalanceChangeBN.lte(fundBalanceBN.divn(1e6).add(USD_MARGIN_PER_STEP_BN)), "Fund balance changed by " + fundBalanceChangeBN.toString() + " after moving funds between RariFundController and " + poolName);
+      } else if (step.type === "timeJump") {
+        await rpc("evm_increaseTime", [params.seconds]);
+        await rpc("evm_mine", []);
+      } else if (step.type === "depositFees") {
+        // Deposit unclaimed interest fees as RFT to the master beneficiary; other holders' balances should not change
+        if ((await fundManagerInstance.getInterestFeesUnclaimed.call()).isZero()) return;
+        var otherBalancesBN = [];
+        for (const holder of holders) if (holder !== beneficiary) otherBalancesBN.push(await fundManagerInstance.balanceOf.call(holder));
+
+        try {
+          var event = getEvent(await fundManagerInstance.depositFees(await helpers.txOptions(process.env.DEVELOPMENT_ADDRESS)), "Deposit");
+        } catch (error) {
+          if (error.message.indexOf("Deposit amount is so small that no RFT would be minted.") >= 0) return;
+          throw error;
+        }
+
+        model.holders[beneficiary].depositedUsd.iadd(event.amountUsd);
+        for (const holder of holders) if (holder !== beneficiary) helpers.assertGteWithTolerance(await fundManagerInstance.balanceOf.call(holder), otherBalancesBN.shift(), undefined, "Balance of " + holder + " after depositing fees");
+      }
+    }
+
+    async function checkInvariants() {
+      // RFT balances of all holders add up to the total supply
+      var rftTotalSupplyBN = await fundTokenInstance.totalSupply.call();
+      var rftBalanceSumBN = web3.utils.toBN(0);
+      for (const holder of holders) rftBalanceSumBN.iadd(await fundTokenInstance.balanceOf.call(holder));
+      assert(rftBalanceSumBN.eq(rftTotalSupplyBN), "Sum of RFT balances " + rftBalanceSumBN.toString() + " does not equal RFT total supply " + rftTotalSupplyBN.toString());
+
+      // USD balances of all holders add up to the fund balance (less up to 1 unit of rounding per holder)
+      var fundBalanceBN = await fundManagerInstance.getFundBalance.call();
+      var balancesUsdBN = {};
+      var balanceSumBN = web3.utils.toBN(0);
+
+      for (const holder of holders) {
+        balancesUsdBN[holder] = await fundManagerInstance.balanceOf.call(holder);
+        balanceSumBN.iadd(balancesUsdBN[holder]);
+      }
+
+      if (rftTotalSupplyBN.gt(web3.utils.toBN(0))) assert(balanceSumBN.lte(fundBalanceBN) && balanceSumBN.gte(fundBalanceBN.subn(holders.length)), "Sum of account balances " + balanceSumBN.toString() + " does not equal fund balance " + fundBalanceBN.toString());
+
+      // No holder has gotten more USD out than they put in plus (at most) all interest accrued by the fund
+      var interestAccruedBN = (await fundManagerInstance.getInterestAccrued.call()).sub(model.interestAccruedAtStart);
+      if (interestAccruedBN.isNeg()) interestAccruedBN = web3.utils.toBN(0);
+
+      for (const holder of holders) {
+        var flows = model.holders[holder];
+        var outUsdBN = flows.withdrawnUsd.add(balancesUsdBN[holder]).add(flows.transferredOutUsd);
+        var inUsdBN = flows.initialBalanceUsd.add(flows.depositedUsd).add(flows.transferredInUsd).add(interestAccruedBN).add(USD_MARGIN_PER_STEP_BN.muln(model.step));
+        assert(outUsdBN.lte(inUsdBN), "Holder " + holder + " has " + outUsdBN.toString() + " USD out (withdrawn, transferred out, or current balance) but only " + inUsdBN.toString() + " USD in (including interest and margin of error)");
+      }
+    }
+
+    var options = { seed: FUZZ_SEED, runs: FUZZ_RUNS, length: FUZZ_STEPS, actions, reset, executeStep, checkInvariants };
+
+    if (process.env.FUZZ_SEQUENCE) {
+      var failure = await harness.runSequence(JSON.parse(process.env.FUZZ_SEQUENCE), executeStep, checkInvariants, reset);
+      if (failure) throw new Error("Invariant violated at step " + failure.index + " (" + JSON.stringify(failure.step) + "): " + failure.error.message);
+    } else await harness.fuzz(options);
+
+    // Restore the state from before the sequences
+    await rpc("evm_revert", [snapshotId]);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const GasReporter = require('./gas/reporter');
+
+describe("Gas reporter", () => {
+  it("should compute gas statistics by method", async () => {
+    var stats = GasReporter.getStats({ "RariFundManager.withdraw": [90000, 110000, 100000], "RariFundManager.deposit": [150000] });
+    assert.deepEqual(Object.keys(stats), ["RariFundManager.deposit", "RariFundManager.withdraw"]);
+    assert.deepEqual(stats["RariFundManager.withdraw"], { calls: 3, min: 90000, avg: 100000, max: 110000 });
+    assert.deepEqual(stats["RariFundManager.deposit"], { calls: 1, min: 150000, avg: 150000, max: 150000 });
+  });
+
+  it("should diff against the baseline and flag regressions beyond thresholds", async () => {
+    var baseline = {
+      "RariFundController.depositToPool": { calls: 2, min: 200000, avg: 200000, max: 200000 },
+      "RariFundManager.deposit": { calls: 1, min: 150000, avg: 150000, max: 150000 },
+      "RariFundManager.withdraw": { calls: 1, min: 100000, avg: 100000, max: 100000 },
+      "RariFundToken.approve": { calls: 1, min: 45000, avg: 45000, max: 45000 }
+    };
+    var stats = {
+      "RariFundController.depositToPool": { calls: 2, min: 209000, avg: 220000, max: 231000 }, // +10%: regression
+      "RariFundManager.deposit": { calls: 1, min: 155000, avg: 155000, max: 155000 }, // +3.3%: within threshold
+      "RariFundManager.withdraw": { calls: 1, min: 90000, avg: 90000, max: 90000 }, // -10%: improvement
+      "RariFundProxy.withdrawAndExchange": { calls: 1, min: 3000000, avg: 3000000, max: 3000000 } // New
+    };
+
+    var comparison = GasReporter.compareToBaseline(stats, baseline);
+    assert.equal(comparison.regressions.length, 1);
+    assert.include(comparison.regressions[0], "RariFundController.depositToPool");
+    assert.deepEqual(comparison.rows.map(row => row[0]), ["RariFundController.depositToPool", "RariFundManager.deposit", "RariFundManager.withdraw", "RariFundProxy.withdrawAndExchange", "RariFundToken.approve"]);
+    assert.equal(comparison.rows[0][6], "+20000 (+10.00%)");
+    assert.equal(comparison.rows[2][6], "-10000 (-10.00%)");
+    assert.equal(comparison.rows[3][6], "new");
+    assert.equal(comparison.rows[4][6], "removed");
+
+    // Small absolute increases are ignored even if they exceed the threshold
+    var smallStats = { "RariFundToken.approve": { calls: 1, min: 45900, avg: 45900, max: 45900 } };
+    assert.equal(GasReporter.compareToBaseline(smallStats, { "RariFundToken.approve": baseline["RariFundToken.approve"] }).regressions.length, 0);
+  });
+});
@@ -7,6 +7,7 @@
  * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
  */
 
+const http = require('http');
 const https = require('https');
 
 const erc20Abi = require('./abi/ERC20.json');
@@ -17,9 +18,11 @@ const RariFundManager = artifacts.require("RariFundManager");
 const RariFundToken = artifacts.require("RariFundToken");
 const RariFundProxy = artifacts.require("RariFundProxy");
 
+const ZEROEX_API_URL = process.env.ZEROEX_API_URL ? process.env.ZEROEX_API_URL : 'https://api.0x.org';
+
 function get0xSwapOrders(inputTokenAddress, outputTokenAddress, maxInputAmountBN, maxMakerAssetFillAmountBN) {
   return new Promise((resolve, reject) => {
-    https.get('https://api.0x.org/swap/v0/quote?sellToken=' + inputTokenAddress + '&buyToken=' + outputTokenAddress + (maxMakerAssetFillAmountBN !== undefined ? '&buyAmount=' + maxMakerAssetFillAmountBN.toString() : '&sellAmount=' + maxInputAmountBN.toString()), (resp) => {
+    (ZEROEX_API_URL.indexOf('http://') === 0 ? http : https).get(ZEROEX_API_URL + '/swap/v0/quote?sellToken=' + inputTokenAddress + '&buyToken=' + outputTokenAddress + (maxMakerAssetFillAmountBN !== undefined ? '&buyAmount=' + maxMakerAssetFillAmountBN.toString() : '&sellAmount=' + maxInputAmountBN.toString()), (resp) => {
       let data = '';
 
       // A chunk of data has been recieved
@@ -0,0 +1,102 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const RariSdk = require('../src/js/sdk');
+
+function usd(amount) {
+  return web3.utils.toBN(amount).mul(web3.utils.toBN(1e18));
+}
+
+function event(name, blockNumber, logIndex, returnValues, currencyCode) {
+  var topics = ["0x0", currencyCode !== undefined ? web3.utils.soliditySha3({ t: "string", v: currencyCode }) : "0x0"];
+  return { event: name, blockNumber, logIndex, transactionHash: "0x" + web3.utils.padLeft(blockNumber.toString(16), 64), returnValues, raw: { topics } };
+}
+
+// Returns a stand-in for a web3.js contract whose getPastEvents filters `events` like an Ethereum node
+function contract(events, methods) {
+  return {
+    getPastEvents: async (eventName, options) => events.filter(event => event.event === eventName && Object.keys(options.filter).every(key => event.returnValues[key].toLowerCase() === options.filter[key].toLowerCase())),
+    methods
+  };
+}
+
+describe("RariSdk.getAccountHistory", () => {
+  var account = "0x1111111111111111111111111111111111111111";
+  var other = "0x2222222222222222222222222222222222222222";
+  var zero = "0x0000000000000000000000000000000000000000";
+  var fakeWeb3 = { utils: web3.utils, eth: { getBlock: async blockNumber => ({ timestamp: 1600000000 + blockNumber }) } };
+  var getContracts = RariSdk.getContracts;
+
+  before(() => {
+    // At block 200, 1800 RSPT are worth $2000
+    var fundManagerEvents = [
+      event("Deposit", 100, 0, { sender: account, payee: account, amount: usd(1000).toString(), amountUsd: usd(1000).toString(), rftMinted: usd(990).toString() }, "DAI"),
+      event("Deposit", 150, 0, { sender: other, payee: other, amount: usd(500).toString(), amountUsd: usd(500).toString(), rftMinted: usd(495).toString() }, "DAI"),
+      event("Withdrawal", 300, 1, { sender: account, payee: account, amount: "500000000", amountUsd: usd(500).toString(), rftBurned: usd(450).toString() }, "USDC")
+    ];
+    var fundTokenEvents = [
+      event("Transfer", 100, 1, { from: zero, to: account, value: usd(990).toString() }),
+      event("Transfer", 200, 3, { from: account, to: other, value: usd(90).toString() }),
+      event("Transfer", 200, 5, { from: other, to: account, value: usd(9).toString() }),
+      event("Transfer", 300, 0, { from: account, to: zero, value: usd(450).toString() })
+    ];
+    var call = value => ({ call: async () => value });
+
+    RariSdk.getContracts = () => ({
+      RariFundManager: contract(fundManagerEvents, { getFundBalance: () => call(usd(2000).toString()) }),
+      RariFundProxy: contract([], {}),
+      RariFundToken: contract(fundTokenEvents, { totalSupply: () => call(usd(1800).toString()) })
+    });
+  });
+
+  after(() => {
+    RariSdk.getContracts = getContracts;
+  });
+
+  it("should list deposits, withdrawals, and transfers of the account from newest to oldest", async () => {
+    var history = await RariSdk.getAccountHistory(fakeWeb3, RariSdk.addresses, account);
+    assert.deepEqual(history.map(entry => [entry.type, entry.blockNumber, entry.logIndex]), [["Withdrawal", 300, 1], ["Transfer", 200, 5], ["Transfer", 200, 3], ["Deposit", 100, 0]]);
+    assert.deepEqual(history.map(entry => entry.timestamp), [1600000300, 1600000200, 1600000200, 1600000100]);
+  });
+
+  it("should include currencies, amounts, and senders and recipients of deposits and withdrawals", async () => {
+    var history = await RariSdk.getAccountHistory(fakeWeb3, RariSdk.addresses, account);
+    var withdrawal = history[0];
+    assert.equal(withdrawal.currencyCode, "USDC");
+    assert.equal(withdrawal.sender, account);
+    assert.equal(withdrawal.payee, account);
+    assert(withdrawal.amountBN.eq(web3.utils.toBN(500e6)));
+    assert(withdrawal.amountUsdBN.eq(usd(500)));
+    assert(withdrawal.rsptAmountBN.eq(usd(450)));
+
+    var deposit = history[3];
+    assert.equal(deposit.currencyCode, "DAI");
+    assert.equal(deposit.sender, account);
+    assert.equal(deposit.payee, account);
+    assert(deposit.amountBN.eq(usd(1000)));
+    assert(deposit.amountUsdBN.eq(usd(1000)));
+    assert(deposit.rsptAmountBN.eq(usd(990)));
+  });
+
+  it("should value RSPT transfers at the exchange rate at the time and skip mints and burns", async () => {
+    var history = await RariSdk.getAccountHistory(fakeWeb3, RariSdk.addresses, account);
+    var transfers = history.filter(entry => entry.type === "Transfer");
+    assert.equal(transfers.length, 2);
+
+    assert.equal(transfers[0].from, other);
+    assert.equal(transfers[0].to, account);
+    assert(transfers[0].rsptAmountBN.eq(usd(9)));
+    assert(transfers[0].amountUsdBN.eq(usd(10)));
+
+    assert.equal(transfers[1].from, account);
+    assert.equal(transfers[1].to, other);
+    assert(transfers[1].rsptAmountBN.eq(usd(90)));
+    assert(transfers[1].amountUsdBN.eq(usd(100)));
+  });
+});
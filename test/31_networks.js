@@ -0,0 +1,69 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const RariSdk = require('../src/js/sdk');
+
+describe("RariSdk networks", () => {
+  var networks = Object.assign({}, RariSdk.networks);
+
+  afterEach(() => {
+    for (const chainId of Object.keys(RariSdk.networks)) delete RariSdk.networks[chainId];
+    Object.assign(RariSdk.networks, networks);
+    RariSdk.setNetwork(1);
+  });
+
+  it("should only support configured chains", async () => {
+    assert(RariSdk.isSupportedChain(1));
+    assert(RariSdk.isSupportedChain("1"));
+    assert(RariSdk.isSupportedChain(1337));
+    assert(!RariSdk.isSupportedChain(5));
+    assert(!RariSdk.isSupportedChain(null));
+  });
+
+  it("should only send transactions on the network in use", async () => {
+    assert(RariSdk.isSupportedChain(1, 1));
+    assert(RariSdk.isSupportedChain("1337", 1337));
+    assert(!RariSdk.isSupportedChain(1337, 1));
+    assert(!RariSdk.isSupportedChain(5, 5));
+    assert(!RariSdk.isSupportedChain(null, 1));
+  });
+
+  it("should merge networks.json into the default networks", async () => {
+    var addresses = Object.assign({}, RariSdk.networks["1"].addresses, { RariFundManager: "0x1111111111111111111111111111111111111111" });
+    RariSdk.addNetworks({
+      "1337": Object.assign({}, RariSdk.networks["1337"], { addresses }),
+      "31337": Object.assign({}, RariSdk.networks["1"], { name: "Hardhat", addresses })
+    });
+
+    // New networks are supported, overridden networks use the new configuration, and other networks are unchanged
+    assert(RariSdk.isSupportedChain(31337));
+    assert.equal(RariSdk.getNetwork(31337).name, "Hardhat");
+    assert.equal(RariSdk.getNetwork(1337).name, "Local Ganache Fork");
+    assert.equal(RariSdk.getNetwork(1337).addresses.RariFundManager, "0x1111111111111111111111111111111111111111");
+    assert.equal(RariSdk.getNetwork(1).addresses.RariFundManager, networks["1"].addresses.RariFundManager);
+
+    RariSdk.setNetwork(1337);
+    assert.equal(RariSdk.addresses.RariFundManager, "0x1111111111111111111111111111111111111111");
+    assert(RariSdk.isSupportedChain(1337, RariSdk.chainId));
+    assert(!RariSdk.isSupportedChain(1, RariSdk.chainId));
+  });
+
+  it("should update the current network if networks.json overrides it", async () => {
+    RariSdk.setNetwork(1337);
+    var addresses = Object.assign({}, RariSdk.networks["1337"].addresses, { RariFundProxy: "0x2222222222222222222222222222222222222222" });
+    RariSdk.addNetworks({ "1337": Object.assign({}, RariSdk.networks["1337"], { addresses }) });
+    assert.equal(RariSdk.addresses.RariFundProxy, "0x2222222222222222222222222222222222222222");
+    assert.equal(RariSdk.chainId, 1337);
+  });
+
+  it("should refuse network configurations without addresses or tokens", async () => {
+    assert.throws(() => RariSdk.addNetworks({ "5": { name: "Goerli", rpcUrl: "http://localhost:8545" } }), /must include addresses and tokens/);
+    assert(!RariSdk.isSupportedChain(5));
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const erc20Abi = require('./abi/ERC20.json');
+
+const currencies = require('./fixtures/currencies.json');
+
+const RariFundManager = artifacts.require("RariFundManager");
+const RariFundToken = artifacts.require("RariFundToken");
+
+// These tests expect process.env.DEVELOPMENT_ADDRESS to hold DAI
+contract("RariFundManager", accounts => {
+  it("should deposit to another address via RariFundManager.depositTo", async () => {
+    let fundManagerInstance = await RariFundManager.deployed();
+    let fundTokenInstance = await RariFundToken.deployed();
+    var recipient = accounts[1] !== process.env.DEVELOPMENT_ADDRESS ? accounts[1] : accounts[2];
+
+    // Approve tokens to RariFundManager
+    var amountBN = web3.utils.toBN(10 ** (currencies["DAI"].decimals - 1));
+    var erc20Contract = new web3.eth.Contract(erc20Abi, currencies["DAI"].tokenAddress);
+    await erc20Contract.methods.approve(RariFundManager.address, amountBN.toString()).send({ from: process.env.DEVELOPMENT_ADDRESS });
+
+    // RariFundManager.depositTo: tokens come from the sender, RFT goes to the recipient
+    let initialSenderRftBalance = await fundTokenInstance.balanceOf.call(process.env.DEVELOPMENT_ADDRESS);
+    let initialRecipientRftBalance = await fundTokenInstance.balanceOf.call(recipient);
+    let initialRecipientBalance = await fundManagerInstance.balanceOf.call(recipient);
+    await fundManagerInstance.depositTo(recipient, "DAI", amountBN, { from: process.env.DEVELOPMENT_ADDRESS });
+    assert((await fundTokenInstance.balanceOf.call(process.env.DEVELOPMENT_ADDRESS)).eq(initialSenderRftBalance));
+    assert((await fundTokenInstance.balanceOf.call(recipient)).gt(initialRecipientRftBalance));
+    assert((await fundManagerInstance.balanceOf.call(recipient)).gt(initialRecipientBalance));
+  });
+});
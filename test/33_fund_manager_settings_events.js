@@ -0,0 +1,46 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const RariFundManager = artifacts.require("RariFundManager");
+
+// Asserts that `result` (returned by a truffle contract transaction) includes `eventName` with `args` (mapped by parameter name; addresses are compared case-insensitively)
+function assertEvent(result, eventName, args) {
+  var logs = result.logs.filter(log => log.event === eventName);
+  assert.equal(logs.length, 1, "Expected one " + eventName + " event");
+  for (const key of Object.keys(args)) assert.equal(logs[0].args[key].toString().toLowerCase(), args[key].toString().toLowerCase(), eventName + "." + key);
+}
+
+// These tests expect the owner of RariFundManager to be set to process.env.DEVELOPMENT_ADDRESS
+contract("RariFundManager", accounts => {
+  it("should emit events when owner settings are set", async () => {
+    let fundManagerInstance = await RariFundManager.deployed();
+
+    // RariFundManager.setInterestFeeRate
+    var initialInterestFeeRate = await fundManagerInstance.getInterestFeeRate.call();
+    var interestFeeRateBN = initialInterestFeeRate.eq(web3.utils.toBN(1e17)) ? web3.utils.toBN(2e17) : web3.utils.toBN(1e17);
+    assertEvent(await fundManagerInstance.setInterestFeeRate(interestFeeRateBN, { from: process.env.DEVELOPMENT_ADDRESS }), "InterestFeeRateSet", { rate: interestFeeRateBN });
+    await fundManagerInstance.setInterestFeeRate(initialInterestFeeRate, { from: process.env.DEVELOPMENT_ADDRESS });
+
+    // RariFundManager.setDefaultAccountBalanceLimit
+    var initialDefaultAccountBalanceLimit = await fundManagerInstance.getDefaultAccountBalanceLimit.call();
+    var defaultAccountBalanceLimitUsdBN = web3.utils.toBN(350e18);
+    assertEvent(await fundManagerInstance.setDefaultAccountBalanceLimit(defaultAccountBalanceLimitUsdBN, { from: process.env.DEVELOPMENT_ADDRESS }), "DefaultAccountBalanceLimitSet", { limitUsd: defaultAccountBalanceLimitUsdBN });
+    await fundManagerInstance.setDefaultAccountBalanceLimit(initialDefaultAccountBalanceLimit, { from: process.env.DEVELOPMENT_ADDRESS });
+
+    // RariFundManager.setIndividualAccountBalanceLimit (including negative limits, which disable deposits)
+    assertEvent(await fundManagerInstance.setIndividualAccountBalanceLimit(process.env.DEVELOPMENT_ADDRESS_SECONDARY, web3.utils.toBN(-1), { from: process.env.DEVELOPMENT_ADDRESS }), "IndividualAccountBalanceLimitSet", { account: process.env.DEVELOPMENT_ADDRESS_SECONDARY, limitUsd: -1 });
+    assertEvent(await fundManagerInstance.setIndividualAccountBalanceLimit(process.env.DEVELOPMENT_ADDRESS_SECONDARY, web3.utils.toBN(0), { from: process.env.DEVELOPMENT_ADDRESS }), "IndividualAccountBalanceLimitSet", { account: process.env.DEVELOPMENT_ADDRESS_SECONDARY, limitUsd: 0 });
+
+    // RariFundManager.setInterestFeeMasterBeneficiary
+    var initialInterestFeeMasterBeneficiary = await fundManagerInstance.getInterestFeeMasterBeneficiary.call();
+    assertEvent(await fundManagerInstance.setInterestFeeMasterBeneficiary(process.env.DEVELOPMENT_ADDRESS_SECONDARY, { from: process.env.DEVELOPMENT_ADDRESS }), "InterestFeeMasterBeneficiarySet", { beneficiary: process.env.DEVELOPMENT_ADDRESS_SECONDARY });
+    assert.equal((await fundManagerInstance.getInterestFeeMasterBeneficiary.call()).toLowerCase(), process.env.DEVELOPMENT_ADDRESS_SECONDARY.toLowerCase());
+    await fundManagerInstance.setInterestFeeMasterBeneficiary(initialInterestFeeMasterBeneficiary, { from: process.env.DEVELOPMENT_ADDRESS });
+  });
+});
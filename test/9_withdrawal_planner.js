@@ -0,0 +1,138 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+const currencies = require('./fixtures/currencies.json');
+
+const WithdrawalPlanner = require('../src/js/sdk/withdrawal-planner.js');
+
+function getParams(outputCurrencyCode, amount, rawFundBalances) {
+  var decimals = {};
+  for (const currencyCode of Object.keys(currencies)) decimals[currencyCode] = currencies[currencyCode].decimals;
+  var rawFundBalanceBNs = {};
+  for (const currencyCode of Object.keys(currencies)) rawFundBalanceBNs[currencyCode] = web3.utils.toBN(Math.trunc((rawFundBalances[currencyCode] ? rawFundBalances[currencyCode] : 0) * 1e6)).mul(web3.utils.toBN(10 ** (decimals[currencyCode] - 6)));
+
+  return {
+    outputCurrencyCode,
+    amountBN: web3.utils.toBN(Math.trunc(amount * 1e6)).mul(web3.utils.toBN(10 ** (decimals[outputCurrencyCode] - 6))),
+    decimals,
+    rawFundBalanceBNs,
+    mStableCurrencies: ["DAI", "USDC", "USDT", "TUSD", "mUSD"],
+    mStableSwapFeeBN: web3.utils.toBN(1e15),
+    mStableLimits: {},
+    zeroExQuotes: {}
+  };
+}
+
+function getZeroExQuote(params, inputCurrencyCode, inputAmount, outputAmount, protocolFee) {
+  return {
+    orders: [{ salt: inputCurrencyCode }],
+    signatures: ["0x"],
+    inputFillAmountBN: web3.utils.toBN(Math.trunc(inputAmount * 1e6)).mul(web3.utils.toBN(10 ** (params.decimals[inputCurrencyCode] - 6))),
+    makerAssetFillAmountBN: web3.utils.toBN(Math.trunc(outputAmount * 1e6)).mul(web3.utils.toBN(10 ** (params.decimals[params.outputCurrencyCode] - 6))),
+    protocolFeeBN: web3.utils.toBN(protocolFee),
+    gasPrice: "50000000000"
+  };
+}
+
+describe("WithdrawalPlanner", () => {
+  it("should withdraw directly if the fund holds enough of the output currency", async () => {
+    var params = getParams("DAI", 100, { "DAI": 150, "USDC": 1000 });
+    var plans = WithdrawalPlanner.planWithdrawal(web3, params);
+    assert.equal(plans.length, 1);
+    assert.equal(plans[0].type, "direct");
+    assert.deepEqual(plans[0].inputCurrencyCodes, ["DAI"]);
+    assert(plans[0].outputAmountBN.eq(params.amountBN));
+    assert.equal(plans[0].totalCost, 0);
+  });
+
+  it("should drain the output currency first, then exchange via mStable up to its max swap, then fill the rest via 0x", async () => {
+    var params = getParams("DAI", 100, { "DAI": 30, "USDC": 20, "BUSD": 500 });
+    params.mStableLimits["USDC"] = { valid: true, maxInputBN: web3.utils.toBN(10e6), maxOutputBN: web3.utils.toBN(10).mul(web3.utils.toBN(1e18)).mul(web3.utils.toBN(999)).div(web3.utils.toBN(1000)) };
+    params.zeroExQuotes["BUSD"] = getZeroExQuote(params, "BUSD", 61, 60.5, 1e15);
+    var plans = WithdrawalPlanner.planWithdrawal(web3, params);
+    var greedyPlan = plans.find(plan => plan.strategy === "greedy");
+    assert.deepEqual(greedyPlan.inputCurrencyCodes, ["DAI", "USDC", "BUSD"]);
+    assert(greedyPlan.inputAmountBNs[1].eq(web3.utils.toBN(10e6)));
+    assert(greedyPlan.filled);
+    assert(greedyPlan.outputAmountBN.gte(params.amountBN));
+    assert(greedyPlan.totalProtocolFeeBN.eq(web3.utils.toBN(1e15)));
+    assert.equal(greedyPlan.allOrders[2][0].salt, "BUSD");
+    assert(greedyPlan.makerAssetFillAmountBNs[2].eq(params.amountBN.sub(greedyPlan.outputAmountBN.sub(greedyPlan.makerAssetFillAmountBNs[2]))));
+
+    // Input amounts must never exceed the fund's raw balances
+    for (const plan of plans) for (var i = 0; i < plan.inputCurrencyCodes.length; i++) assert(plan.inputAmountBNs[i].lte(params.rawFundBalanceBNs[plan.inputCurrencyCodes[i]]));
+  });
+
+  it("should never exchange the same balance via both mStable and 0x", async () => {
+    var params = getParams("DAI", 100, { "USDC": 60 });
+    params.mStableLimits["USDC"] = { valid: true, maxInputBN: web3.utils.toBN(40e6), maxOutputBN: null };
+    params.zeroExQuotes["USDC"] = getZeroExQuote(params, "USDC", 60, 59.5, 0);
+    var plans = WithdrawalPlanner.planWithdrawal(web3, params);
+    var greedyPlan = plans.find(plan => plan.strategy === "greedy");
+    var totalInputBN = web3.utils.toBN(0);
+    for (const inputAmountBN of greedyPlan.inputAmountBNs) totalInputBN.iadd(inputAmountBN);
+    assert(totalInputBN.lte(params.rawFundBalanceBNs["USDC"]));
+    assert(!greedyPlan.filled);
+  });
+
+  it("should rank plans by total cost including 0x protocol fees", async () => {
+    var params = getParams("DAI", 100, { "USDC": 200 });
+    params.mStableSwapFeeBN = web3.utils.toBN(5e16); // 5% mStable swap fee
+    params.mStableLimits["USDC"] = { valid: true, maxInputBN: web3.utils.toBN(200e6), maxOutputBN: null };
+    params.zeroExQuotes["USDC"] = getZeroExQuote(params, "USDC", 100.2, 100, 1e15);
+    params.ethPrice = 400;
+    var plans = WithdrawalPlanner.planWithdrawal(web3, params);
+    assert.equal(plans[0].strategy, "0x-only");
+    assert(plans[0].filled);
+    for (var i = 1; i < plans.length; i++) if (plans[i].filled) assert(plans[i].totalCost >= plans[i - 1].totalCost);
+
+    // Make 0x protocol fees more expensive than the mStable swap fee
+    params.ethPrice = 10000;
+    plans = WithdrawalPlanner.planWithdrawal(web3, params);
+    assert.notEqual(plans[0].strategy, "0x-only");
+    assert.equal(plans[0].inputCurrencyCodes.length, 1);
+    assert(plans[0].totalProtocolFeeBN.isZero());
+  });
+
+  it("should put plans that cannot fill the withdrawal last", async () => {
+    var params = getParams("USDC", 100, { "DAI": 50, "TUSD": 1000 });
+    params.mStableLimits["DAI"] = { valid: true, maxInputBN: web3.utils.toBN(50).mul(web3.utils.toBN(1e18)), maxOutputBN: null };
+    params.zeroExQuotes["TUSD"] = getZeroExQuote(params, "TUSD", 101, 100, 1e15);
+    var plans = WithdrawalPlanner.planWithdrawal(web3, params);
+    assert(plans[0].filled);
+    assert(!plans[plans.length - 1].filled);
+    assert.equal(plans.find(plan => plan.strategy === "mstable-only").filled, false);
+  });
+
+  it("should split a basket withdrawal in proportion to the fund's raw balances or according to weights", async () => {
+    var params = getParams("DAI", 0, { "DAI": 600, "USDC": 300, "USDT": 100 });
+    params.amountUsdBN = web3.utils.toBN(web3.utils.toWei("100"));
+    params.pricesInUsd = { "DAI": web3.utils.toBN(web3.utils.toWei("1")), "USDC": web3.utils.toBN(web3.utils.toWei("1")), "USDT": web3.utils.toBN(web3.utils.toWei("1")) };
+    var basket = WithdrawalPlanner.planBasketWithdrawal(web3, params);
+    assert.deepEqual(basket.legs.map(leg => leg.currencyCode), ["DAI", "USDC", "USDT"]);
+    assert.equal(basket.legs[0].amountBN.toString(), web3.utils.toWei("60"));
+    assert.equal(basket.legs[1].amountBN.toString(), "30000000");
+    assert.equal(basket.legs[2].amountBN.toString(), "10000000");
+    assert(basket.filled);
+    assert(basket.amountUsdBN.lte(params.amountUsdBN));
+
+    // Currencies without a price (e.g., not supported by RariFundManager) are never withdrawn
+    params.weights = { "DAI": 25, "USDT": 75, "TUSD": 50 };
+    basket = WithdrawalPlanner.planBasketWithdrawal(web3, params);
+    assert.deepEqual(basket.legs.map(leg => leg.currencyCode), ["USDT", "DAI"]);
+    assert.equal(basket.legs[0].amountBN.toString(), "75000000");
+    assert(basket.filled);
+
+    // Weights can ask for more of a currency than the fund holds
+    params.amountUsdBN = web3.utils.toBN(web3.utils.toWei("200"));
+    basket = WithdrawalPlanner.planBasketWithdrawal(web3, params);
+    assert(!basket.filled);
+    assert.deepEqual(basket.shortfalls, ["USDT"]);
+  });
+});
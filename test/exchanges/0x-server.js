@@ -0,0 +1,305 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+// Local stand-in for the 0x swap API (https://api.0x.org) for tests and development on a ganache mainnet fork (see scripts/zeroex-server.js)
+// Serves /swap/v0/quote, /swap/v0/prices, and /swap/v0/tokens in the same response format, quoting 0x v3 orders signed by ganache accounts at fixed USD prices and fillable by the forked 0x Exchange
+const http = require("http");
+const url = require("url");
+
+// 0x v3 contracts on mainnet (and so on a mainnet fork)
+const EXCHANGE_ADDRESS = "0x61935CbDd02287B511119DDb11Aeb42F1593b7Ef";
+const ERC20_PROXY_ADDRESS = "0x95E6F48254609A6ee006F7D493c8e5fB97094ceF";
+const WETH_ADDRESS = "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2";
+const NULL_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// keccak256 of empty bytes (web3.utils.keccak256 returns null instead)
+const EMPTY_BYTES_HASH = "0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470";
+
+const erc20Abi = require("../abi/ERC20.json");
+const wethAbi = [{ "constant": false, "inputs": [], "name": "deposit", "outputs": [], "payable": true, "stateMutability": "payable", "type": "function" }];
+const exchangeAbi = [
+  { "constant": true, "inputs": [], "name": "protocolFeeMultiplier", "outputs": [{ "name": "", "type": "uint256" }], "payable": false, "stateMutability": "view", "type": "function" }
+];
+const orderComponents = [
+  { "name": "makerAddress", "type": "address" }, { "name": "takerAddress", "type": "address" }, { "name": "feeRecipientAddress", "type": "address" }, { "name": "senderAddress", "type": "address" },
+  { "name": "makerAssetAmount", "type": "uint256" }, { "name": "takerAssetAmount", "type": "uint256" }, { "name": "makerFee", "type": "uint256" }, { "name": "takerFee", "type": "uint256" },
+  { "name": "expirationTimeSeconds", "type": "uint256" }, { "name": "salt", "type": "uint256" },
+  { "name": "makerAssetData", "type": "bytes" }, { "name": "takerAssetData", "type": "bytes" }, { "name": "makerFeeAssetData", "type": "bytes" }, { "name": "takerFeeAssetData", "type": "bytes" }
+];
+
+class ZeroExServer {
+  /**
+   * `options` contains:
+   * - tokens: tokens to quote (symbols mapped to { address, decimals }); WETH is always added
+   * - usdPrices: USD prices of token symbols (defaults to 1, i.e., stablecoins)
+   * - spread: proportion of each quote kept by makers (defaults to 0.001, i.e. 0.1%)
+   * - makers: addresses of ganache accounts (whose private keys ganache holds, so they can sign orders) that make orders
+   * - funders: unlocked accounts holding tokens to transfer to makers (see prepare)
+   * - makerBalance: amount of each token (in whole units) to give each maker in prepare (defaults to 10000; 100 for WETH)
+   * - orderTtl: seconds until orders expire (defaults to 3600)
+   * - chainId: chain ID in the EIP-712 domain of the 0x Exchange (defaults to 1, the chain on which the forked Exchange was deployed)
+   */
+  constructor(web3, options) {
+    this.web3 = web3;
+    this.tokens = Object.assign({}, options.tokens, { "WETH": { address: WETH_ADDRESS, decimals: 18 } });
+    this.usdPrices = options.usdPrices ? options.usdPrices : {};
+    this.spread = options.spread !== undefined ? options.spread : 0.001;
+    this.makers = options.makers ? options.makers : [];
+    this.funders = options.funders ? options.funders.filter(funder => funder) : [];
+    this.makerBalance = options.makerBalance !== undefined ? options.makerBalance : 10000;
+    this.orderTtl = options.orderTtl !== undefined ? options.orderTtl : 3600;
+    this.chainId = options.chainId !== undefined ? options.chainId : 1;
+    this.server = null;
+  }
+
+  /**
+   * Returns the token (with its symbol) for a symbol or address, or null if not quoted.
+   */
+  getToken(symbolOrAddress) {
+    if (!symbolOrAddress) return null;
+    if (symbolOrAddress === "ETH") symbolOrAddress = "WETH";
+    for (const symbol of Object.keys(this.tokens)) if (symbol === symbolOrAddress || this.tokens[symbol].address.toLowerCase() === symbolOrAddress.toLowerCase()) return Object.assign({ symbol }, this.tokens[symbol]);
+    return null;
+  }
+
+  getUsdPrice(symbol) {
+    return this.usdPrices[symbol] !== undefined ? this.usdPrices[symbol] : 1;
+  }
+
+  /**
+   * Returns /swap/v0/prices records: the price of each token in units of `sellSymbol`.
+   */
+  getPriceRecords(sellSymbol) {
+    return Object.keys(this.tokens).map(symbol => ({ symbol, price: String(this.getUsdPrice(symbol) / this.getUsdPrice(sellSymbol)) }));
+  }
+
+  /**
+   * Returns /swap/v0/tokens records.
+   */
+  getTokenRecords() {
+    return Object.keys(this.tokens).map(symbol => ({ symbol, address: this.tokens[symbol].address, name: symbol, decimals: this.tokens[symbol].decimals }));
+  }
+
+  /**
+   * Returns the ERC20 asset data of the token at `address`.
+   */
+  getAssetData(address) {
+    return "0xf47261b0" + address.toLowerCase().substring(2).padStart(64, "0");
+  }
+
+  /**
+   * Returns the units of `buyToken` makers give per unit of `sellToken` (scaled by 1e18) after the spread.
+   */
+  getRateBN(sellToken, buyToken) {
+    var rate = this.getUsdPrice(sellToken.symbol) / this.getUsdPrice(buyToken.symbol) * (1 - this.spread);
+    return this.web3.utils.toBN(Math.floor(rate * 1e9)).mul(this.web3.utils.toBN(1e9));
+  }
+
+  /**
+   * Builds unsigned orders (one per maker, largest balances first) selling `buyToken` for `sellToken` at `rateBN` (see getRateBN), limited by `makerBalanceBNs` (mapped by maker address).
+   * Exactly one of `sellAmountBN` (the taker amount to sell) and `buyAmountBN` (the maker amount to buy) must be specified; orders fill as much as maker balances allow.
+   * Taker amounts are rounded up and maker amounts down, so makers never trade below `rateBN`.
+   */
+  buildOrders(sellToken, buyToken, rateBN, makerBalanceBNs, sellAmountBN, buyAmountBN, expirationTimeSeconds) {
+    var utils = this.web3.utils;
+    var scaleBN = utils.toBN(1e18).mul(utils.toBN(10).pow(utils.toBN(sellToken.decimals)));
+    var buyScaleBN = rateBN.mul(utils.toBN(10).pow(utils.toBN(buyToken.decimals)));
+    var getMakerAmountBN = takerAmountBN => takerAmountBN.mul(buyScaleBN).div(scaleBN);
+    var getTakerAmountBN = makerAmountBN => makerAmountBN.mul(scaleBN).add(buyScaleBN).subn(1).div(buyScaleBN);
+    var makers = Object.keys(makerBalanceBNs).sort((a, b) => makerBalanceBNs[b].cmp(makerBalanceBNs[a]));
+    var remainingBN = sellAmountBN ? sellAmountBN.clone() : buyAmountBN.clone();
+    var orders = [];
+
+    for (const maker of makers) {
+      if (remainingBN.isZero()) break;
+      var makerAmountBN, takerAmountBN;
+
+      if (sellAmountBN) {
+        takerAmountBN = utils.BN.min(remainingBN, getTakerAmountBN(makerBalanceBNs[maker])).clone();
+        makerAmountBN = utils.BN.min(getMakerAmountBN(takerAmountBN), makerBalanceBNs[maker]);
+      } else {
+        makerAmountBN = utils.BN.min(remainingBN, makerBalanceBNs[maker]).clone();
+        takerAmountBN = getTakerAmountBN(makerAmountBN);
+      }
+
+      if (makerAmountBN.isZero() || takerAmountBN.isZero()) continue;
+      remainingBN.isub(sellAmountBN ? takerAmountBN : makerAmountBN);
+
+      orders.push({
+        makerAddress: maker,
+        takerAddress: NULL_ADDRESS,
+        feeRecipientAddress: NULL_ADDRESS,
+        senderAddress: NULL_ADDRESS,
+        makerAssetAmount: makerAmountBN.toString(),
+        takerAssetAmount: takerAmountBN.toString(),
+        makerFee: "0",
+        takerFee: "0",
+        expirationTimeSeconds: String(expirationTimeSeconds),
+        salt: utils.toBN(utils.randomHex(32)).toString(),
+        makerAssetData: this.getAssetData(buyToken.address),
+        takerAssetData: this.getAssetData(sellToken.address),
+        makerFeeAssetData: "0x",
+        takerFeeAssetData: "0x",
+        chainId: this.chainId,
+        exchangeAddress: EXCHANGE_ADDRESS.toLowerCase()
+      });
+    }
+
+    return orders;
+  }
+
+  /**
+   * Returns the EIP-712 hash of `order` as computed by the 0x v3 Exchange.
+   */
+  getOrderHash(order) {
+    var utils = this.web3.utils;
+    var domainHash = utils.soliditySha3(
+      { t: "bytes32", v: utils.keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)") },
+      { t: "bytes32", v: utils.keccak256("0x Protocol") },
+      { t: "bytes32", v: utils.keccak256("3.0.0") },
+      { t: "uint256", v: String(this.chainId) },
+      { t: "uint256", v: utils.toBN(EXCHANGE_ADDRESS).toString() }
+    );
+
+    // Static values are ABI-encoded as 32-byte words (so addresses as uint256) and dynamic bytes as their hashes
+    var orderSchema = "Order(" + orderComponents.map(component => component.type + " " + component.name).join(",") + ")";
+    var values = [{ t: "bytes32", v: utils.keccak256(orderSchema) }];
+    for (const component of orderComponents) values.push(component.type === "bytes" ? { t: "bytes32", v: utils.keccak256(order[component.name]) || EMPTY_BYTES_HASH } : { t: "uint256", v: component.type === "address" ? utils.toBN(order[component.name]).toString() : order[component.name] });
+    return utils.soliditySha3({ t: "bytes2", v: "0x1901" }, { t: "bytes32", v: domainHash }, { t: "bytes32", v: utils.soliditySha3(...values) });
+  }
+
+  /**
+   * Converts an eth_sign signature (r, s, v) to a 0x EthSign signature (v, r, s, and signature type 3).
+   */
+  formatSignature(signature) {
+    var v = parseInt(signature.substring(130, 132), 16);
+    if (v < 27) v += 27;
+    return "0x" + v.toString(16).padStart(2, "0") + signature.substring(2, 66) + signature.substring(66, 130) + "03";
+  }
+
+  /**
+   * Gives each maker `makerBalance` of each token (wrapping ETH for WETH and transferring other tokens from the first funder holding enough) and approves the 0x ERC20Proxy to spend them.
+   */
+  async prepare() {
+    var utils = this.web3.utils;
+    var maxBN = utils.toBN(2).pow(utils.toBN(256)).subn(1);
+
+    for (const symbol of Object.keys(this.tokens)) {
+      var token = new this.web3.eth.Contract(erc20Abi, this.tokens[symbol].address);
+      var targetBN = utils.toBN(symbol === "WETH" ? 100 : this.makerBalance).mul(utils.toBN(10).pow(utils.toBN(this.tokens[symbol].decimals)));
+
+      for (const maker of this.makers) {
+        var balanceBN = utils.toBN(await token.methods.balanceOf(maker).call());
+
+        if (balanceBN.lt(targetBN)) {
+          var amountBN = targetBN.sub(balanceBN);
+
+          if (symbol === "WETH") await new this.web3.eth.Contract(wethAbi, WETH_ADDRESS).methods.deposit().send({ from: maker, value: amountBN.toString() });
+          else {
+            var funder = null;
+
+            for (const candidate of this.funders) if (utils.toBN(await token.methods.balanceOf(candidate).call()).gte(amountBN)) {
+              funder = candidate;
+              break;
+            }
+
+            if (funder !== null) await token.methods.transfer(maker, amountBN.toString()).send({ from: funder });
+            else console.warn("No funder holds enough " + symbol + " to fund maker " + maker + ".");
+          }
+        }
+
+        // Some tokens (e.g., USDT) require the allowance to be reset to 0 first
+        var allowanceBN = utils.toBN(await token.methods.allowance(maker, ERC20_PROXY_ADDRESS).call());
+        if (allowanceBN.gte(maxBN.divn(2))) continue;
+        if (!allowanceBN.isZero()) await token.methods.approve(ERC20_PROXY_ADDRESS, "0").send({ from: maker });
+        await token.methods.approve(ERC20_PROXY_ADDRESS, maxBN.toString()).send({ from: maker });
+      }
+    }
+  }
+
+  /**
+   * Returns a /swap/v0/quote response for `query` (sellToken, buyToken, and sellAmount or buyAmount), or throws { status, body } with a 0x API validation error.
+   */
+  async getQuote(query) {
+    var utils = this.web3.utils;
+    var sellToken = this.getToken(query.sellToken);
+    var buyToken = this.getToken(query.buyToken);
+    var validationErrors = [];
+    if (!sellToken) validationErrors.push({ field: "sellToken", code: 1004, reason: "TOKEN_NOT_SUPPORTED" });
+    if (!buyToken) validationErrors.push({ field: "buyToken", code: 1004, reason: "TOKEN_NOT_SUPPORTED" });
+    if ((query.sellAmount === undefined) === (query.buyAmount === undefined) || !/^[0-9]+$/.test(query.sellAmount !== undefined ? query.sellAmount : query.buyAmount)) validationErrors.push({ field: query.buyAmount !== undefined ? "buyAmount" : "sellAmount", code: 1001, reason: "INCORRECT_FORMAT" });
+    if (validationErrors.length > 0) throw { status: 400, body: { code: 100, reason: "Validation Failed", validationErrors } };
+
+    // Build and sign orders limited by the maker balances
+    var makerBalanceBNs = {};
+    var buyTokenContract = new this.web3.eth.Contract(erc20Abi, buyToken.address);
+    for (const maker of this.makers) makerBalanceBNs[maker] = utils.toBN(await buyTokenContract.methods.balanceOf(maker).call());
+    var expirationTimeSeconds = parseInt((await this.web3.eth.getBlock("latest")).timestamp) + this.orderTtl;
+    var orders = this.buildOrders(sellToken, buyToken, this.getRateBN(sellToken, buyToken), makerBalanceBNs, query.sellAmount !== undefined ? utils.toBN(query.sellAmount) : null, query.buyAmount !== undefined ? utils.toBN(query.buyAmount) : null, expirationTimeSeconds);
+    if (orders.length == 0) throw { status: 400, body: { code: 100, reason: "Validation Failed", validationErrors: [{ field: query.buyAmount !== undefined ? "buyAmount" : "sellAmount", code: 1004, reason: "INSUFFICIENT_ASSET_LIQUIDITY" }] } };
+    for (const order of orders) order.signature = this.formatSignature(await this.web3.eth.sign(this.getOrderHash(order), order.makerAddress));
+
+    // Protocol fees are charged per order filled at the gas price of the fill
+    var gasPrice = await this.web3.eth.getGasPrice();
+    var protocolFeeMultiplier = await new this.web3.eth.Contract(exchangeAbi, EXCHANGE_ADDRESS).methods.protocolFeeMultiplier().call();
+    var protocolFeeBN = utils.toBN(protocolFeeMultiplier).mul(utils.toBN(gasPrice)).muln(orders.length);
+    var sellAmountBN = utils.toBN(0);
+    var buyAmountBN = utils.toBN(0);
+
+    for (const order of orders) {
+      sellAmountBN.iadd(utils.toBN(order.takerAssetAmount));
+      buyAmountBN.iadd(utils.toBN(order.makerAssetAmount));
+    }
+
+    var price = String(parseFloat(buyAmountBN.toString()) / (10 ** buyToken.decimals) / (parseFloat(sellAmountBN.toString()) / (10 ** sellToken.decimals)));
+    var data = this.web3.eth.abi.encodeFunctionCall({ name: query.buyAmount !== undefined ? "marketBuyOrdersFillOrKill" : "marketSellOrdersFillOrKill", type: "function", inputs: [{ name: "orders", type: "tuple[]", components: orderComponents }, { name: query.buyAmount !== undefined ? "makerAssetFillAmount" : "takerAssetFillAmount", type: "uint256" }, { name: "signatures", type: "bytes[]" }] }, [orders.map(order => orderComponents.map(component => order[component.name])), query.buyAmount !== undefined ? buyAmountBN.toString() : sellAmountBN.toString(), orders.map(order => order.signature)]);
+    return { price, guaranteedPrice: price, to: EXCHANGE_ADDRESS.toLowerCase(), data, value: protocolFeeBN.toString(), gas: "500000", gasPrice: String(gasPrice), protocolFee: protocolFeeBN.toString(), buyTokenAddress: buyToken.address.toLowerCase(), sellTokenAddress: sellToken.address.toLowerCase(), buyAmount: buyAmountBN.toString(), sellAmount: sellAmountBN.toString(), orders };
+  }
+
+  /**
+   * Handles an HTTP request, responding with JSON.
+   */
+  async handleRequest(request, response) {
+    var parsed = url.parse(request.url, true);
+    var status = 200;
+    var body;
+
+    try {
+      if (parsed.pathname === "/swap/v0/quote") body = await this.getQuote(parsed.query);
+      else if (parsed.pathname === "/swap/v0/prices") {
+        var sellToken = this.getToken(parsed.query.sellToken);
+        if (!sellToken) throw { status: 400, body: { code: 100, reason: "Validation Failed", validationErrors: [{ field: "sellToken", code: 1004, reason: "TOKEN_NOT_SUPPORTED" }] } };
+        body = { records: this.getPriceRecords(sellToken.symbol) };
+      }
+      else if (parsed.pathname === "/swap/v0/tokens") body = { records: this.getTokenRecords() };
+      else throw { status: 404, body: { code: 404, reason: "Not Found" } };
+    } catch (err) {
+      if (err.status === undefined) console.error(err);
+      status = err.status !== undefined ? err.status : 500;
+      body = err.body !== undefined ? err.body : { code: 500, reason: err.message ? err.message : String(err) };
+    }
+
+    response.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+    response.end(JSON.stringify(body));
+  }
+
+  /**
+   * Starts listening on `port`; resolves once listening.
+   */
+  listen(port) {
+    this.server = http.createServer((request, response) => this.handleRequest(request, response));
+    return new Promise(resolve => this.server.listen(port, resolve));
+  }
+
+  close() {
+    if (this.server) this.server.close();
+  }
+}
+
+module.exports = ZeroExServer;
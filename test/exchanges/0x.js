@@ -3,14 +3,18 @@ var __importDefault = (this && this.__importDefault) || function (mod) {
     return (mod && mod.__esModule) ? mod : { "default": mod };
 };
 Object.defineProperty(exports, "__esModule", { value: true });
+const http_1 = __importDefault(require("http"));
 const https_1 = __importDefault(require("https"));
+// Point ZEROEX_API_URL at a local stand-in (see 0x-server.js) to quote orders on a fork without the live API
+const ZEROEX_API_URL = process.env.ZEROEX_API_URL ? process.env.ZEROEX_API_URL : 'https://api.0x.org';
+const zeroExApiClient = ZEROEX_API_URL.indexOf('http://') === 0 ? http_1.default : https_1.default;
 class ZeroExExchange {
     constructor(web3) {
         this.web3 = web3;
     }
     getPrice(inputTokenSymbol, outputTokenSymbol) {
         return new Promise((resolve, reject) => {
-            https_1.default.get('https://api.0x.org/swap/v0/prices?sellToken=' + inputTokenSymbol, (resp) => {
+            zeroExApiClient.get(ZEROEX_API_URL + '/swap/v0/prices?sellToken=' + inputTokenSymbol, (resp) => {
                 let data = '';
                 // A chunk of data has been recieved
                 resp.on('data', (chunk) => {
@@ -35,7 +39,7 @@ class ZeroExExchange {
     }
     getSwapOrders(inputTokenAddress, inputTokenDecimals, outputTokenAddress, maxInputAmountBN, minMarginalOutputAmountBN) {
         return new Promise((resolve, reject) => {
-            https_1.default.get('https://api.0x.org/swap/v0/quote?sellToken=' + inputTokenAddress + '&buyToken=' + outputTokenAddress + '&sellAmount=' + maxInputAmountBN.toString(), (resp) => {
+            zeroExApiClient.get(ZEROEX_API_URL + '/swap/v0/quote?sellToken=' + inputTokenAddress + '&buyToken=' + outputTokenAddress + '&sellAmount=' + maxInputAmountBN.toString(), (resp) => {
                 let data = '';
                 // A chunk of data has been recieved
                 resp.on('data', (chunk) => {
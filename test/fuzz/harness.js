@@ -0,0 +1,165 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+// Randomized sequence testing: generates sequences of steps from a seed, runs them while checking invariants after every step, and shrinks failing sequences to a minimal reproduction
+// A step is a JSON-serializable object { type, params }; steps must be replayable from a fresh state (so parameters should be proportions of the current state rather than absolute amounts)
+
+/**
+ * Returns a deterministic pseudorandom number generator (mulberry32) seeded with `seed` (an integer).
+ */
+function createRandom(seed) {
+  var state = seed >>> 0;
+
+  var random = {
+    next: function() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      var t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+    int: function(max) {
+      return Math.floor(random.next() * max);
+    },
+    pick: function(array) {
+      return array[random.int(array.length)];
+    }
+  };
+
+  return random;
+}
+
+/**
+ * Generates a sequence of `length` steps using `random`.
+ * `actions` maps each step type to { weight, generate(random) } where `generate` returns the step's params.
+ */
+function generateSequence(random, length, actions) {
+  var types = Object.keys(actions);
+  var totalWeight = types.reduce((sum, type) => sum + (actions[type].weight !== undefined ? actions[type].weight : 1), 0);
+  var steps = [];
+
+  for (var i = 0; i < length; i++) {
+    var r = random.next() * totalWeight;
+    var type = types[types.length - 1];
+
+    for (const t of types) {
+      r -= actions[t].weight !== undefined ? actions[t].weight : 1;
+      if (r < 0) {
+        type = t;
+        break;
+      }
+    }
+
+    steps.push({ type, params: actions[type].generate ? actions[type].generate(random) : {} });
+  }
+
+  return steps;
+}
+
+/**
+ * Restores the initial state via `reset` and executes `steps` via `executeStep(step, i)`, checking invariants via `checkInvariants(step, i)` after each step.
+ * Returns the first failure ({ index, step, error }) or null.
+ */
+async function runSequence(steps, executeStep, checkInvariants, reset) {
+  if (reset) await reset();
+
+  for (var i = 0; i < steps.length; i++) {
+    try {
+      await executeStep(steps[i], i);
+      await checkInvariants(steps[i], i);
+    } catch (error) {
+      return { index: i, step: steps[i], error };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Shrinks failing `steps` to a smaller sequence that still fails according to `fails(steps)` (which returns a failure or null).
+ * Removes chunks of steps (halving the chunk size down to single steps), then tries simpler params via `actions[type].simplify(params)` (which returns candidate params).
+ * Returns { steps, failure } for the smallest failing sequence found.
+ */
+async function shrinkSequence(steps, failure, fails, actions, maxAttempts) {
+  var attempts = 0;
+  if (maxAttempts === undefined) maxAttempts = 200;
+
+  // Steps after the failing step are irrelevant
+  steps = steps.slice(0, failure.index + 1);
+
+  // Remove chunks of steps
+  for (var chunkSize = Math.max(1, Math.floor(steps.length / 2)); chunkSize >= 1; chunkSize = Math.floor(chunkSize / 2)) {
+    for (var start = 0; start + chunkSize <= steps.length && attempts < maxAttempts; ) {
+      var candidate = steps.slice(0, start).concat(steps.slice(start + chunkSize));
+      attempts++;
+      var candidateFailure = candidate.length > 0 ? await fails(candidate) : null;
+
+      if (candidateFailure) {
+        steps = candidate.slice(0, candidateFailure.index + 1);
+        failure = candidateFailure;
+      } else start += chunkSize;
+    }
+  }
+
+  // Simplify params
+  for (var i = 0; i < steps.length && attempts < maxAttempts; i++) {
+    var action = actions[steps[i].type];
+    if (!action || !action.simplify) continue;
+
+    for (const params of action.simplify(steps[i].params)) {
+      if (JSON.stringify(params) === JSON.stringify(steps[i].params)) continue;
+      var candidate = steps.slice();
+      candidate[i] = { type: steps[i].type, params };
+      attempts++;
+      var candidateFailure = await fails(candidate);
+
+      if (candidateFailure) {
+        steps = candidate.slice(0, candidateFailure.index + 1);
+        failure = candidateFailure;
+        break;
+      }
+
+      if (attempts >= maxAttempts) break;
+    }
+  }
+
+  return { steps, failure };
+}
+
+/**
+ * Runs `options.runs` random sequences of `options.length` steps (generated from `options.seed`) with `options.actions`.
+ * `options.reset()` restores the initial state, `options.executeStep(step, i)` executes a step, and `options.checkInvariants(step, i)` throws if an invariant does not hold.
+ * On failure, shrinks the sequence and throws an error including the seed, run, and minimal sequence (as JSON).
+ */
+async function fuzz(options) {
+  var random = createRandom(options.seed);
+  var fails = steps => runSequence(steps, options.executeStep, options.checkInvariants, options.reset);
+
+  for (var run = 0; run < options.runs; run++) {
+    var steps = generateSequence(random, options.length, options.actions);
+    var failure = await fails(steps);
+    if (!failure) continue;
+
+    var shrunk = await shrinkSequence(steps, failure, fails, options.actions, options.maxShrinkAttempts);
+    var error = new Error("Invariant violated (seed " + options.seed + ", run " + run + ") at step " + shrunk.failure.index + " of minimal sequence " + JSON.stringify(shrunk.steps) + ": " + shrunk.failure.error.message);
+    error.seed = options.seed;
+    error.run = run;
+    error.steps = shrunk.steps;
+    error.cause = shrunk.failure.error;
+    throw error;
+  }
+}
+
+module.exports = {
+  createRandom,
+  generateSequence,
+  runSequence,
+  shrinkSequence,
+  fuzz
+};
@@ -0,0 +1,183 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+// Gas reporter for `truffle test` (loaded with the rest of the test directory): records gas used by every successful transaction sent during each test by contract and method, prints a per-method report against a baseline after the suite, and fails if any method's average gas usage regressed beyond its threshold (see thresholds.json)
+// Set GAS_REPORT=0 to disable, GAS_REPORT_BASELINE to use another baseline file, and GAS_REPORT_UPDATE_BASELINE=1 to write the baseline from this run's figures (`npm run gas-baseline` or `npm run gas-baseline-mock`); without a baseline, the report only warns
+const fs = require('fs');
+const path = require('path');
+
+const erc20Abi = require('../abi/ERC20.json');
+
+const currencies = require('../fixtures/currencies.json');
+const thresholds = require('./thresholds.json');
+
+const CONTRACT_NAMES = ["RariFundController", "RariFundManager", "RariFundToken", "RariFundTokenUpgrader", "RariFundPriceConsumer", "RariFundProxy"];
+
+const BASELINE_PATH = process.env.GAS_REPORT_BASELINE ? path.resolve(process.env.GAS_REPORT_BASELINE) : path.join(__dirname, "baseline.json");
+
+/**
+ * Returns `abi`'s functions by selector, named by name or, if overloaded, by signature (e.g., `exchangeAndDeposit(string,uint256,string)`).
+ */
+function getMethodsBySelector(abi) {
+  var functions = abi.filter(item => item.type === "function");
+  var methods = {};
+
+  for (const item of functions) {
+    var overloaded = functions.filter(other => other.name === item.name).length > 1;
+    methods[web3.eth.abi.encodeFunctionSignature(item)] = overloaded ? item.name + "(" + item.inputs.map(input => input.type).join(",") + ")" : item.name;
+  }
+
+  return methods;
+}
+
+/**
+ * Returns gas statistics ({ calls, min, avg, max }) for each method in `gasUsedByMethod`.
+ */
+function getStats(gasUsedByMethod) {
+  var stats = {};
+
+  for (const method of Object.keys(gasUsedByMethod).sort()) {
+    var gasUsed = gasUsedByMethod[method];
+    stats[method] = { calls: gasUsed.length, min: Math.min.apply(null, gasUsed), avg: Math.round(gasUsed.reduce((a, b) => a + b, 0) / gasUsed.length), max: Math.max.apply(null, gasUsed) };
+  }
+
+  return stats;
+}
+
+/**
+ * Compares `stats` to `baseline`, returning a row for each method and the regressions exceeding thresholds.
+ */
+function compareToBaseline(stats, baseline) {
+  var rows = [];
+  var regressions = [];
+
+  for (const method of Array.from(new Set(Object.keys(stats).concat(Object.keys(baseline)))).sort()) {
+    if (!stats[method]) {
+      rows.push([method, "-", "-", "-", "-", baseline[method].avg, "removed"]);
+      continue;
+    }
+
+    var row = [method, stats[method].calls, stats[method].min, stats[method].avg, stats[method].max];
+
+    if (!baseline[method]) {
+      rows.push(row.concat(["-", "new"]));
+      continue;
+    }
+
+    var change = stats[method].avg - baseline[method].avg;
+    var proportion = baseline[method].avg > 0 ? change / baseline[method].avg : 0;
+    rows.push(row.concat([baseline[method].avg, (change >= 0 ? "+" : "") + change + " (" + (change >= 0 ? "+" : "") + (proportion * 100).toFixed(2) + "%)"]));
+    var threshold = thresholds.methods[method] !== undefined ? thresholds.methods[method] : thresholds.default;
+    if (proportion > threshold && change > thresholds.minIncrease) regressions.push(method + ": average gas usage " + stats[method].avg + " exceeds baseline " + baseline[method].avg + " by more than " + (threshold * 100) + "%");
+  }
+
+  return { rows, regressions };
+}
+
+function printTable(rows) {
+  var header = ["Method", "Calls", "Min", "Avg", "Max", "Baseline avg", "Change"];
+  var widths = header.map((title, i) => Math.max.apply(null, [title.length].concat(rows.map(row => String(row[i]).length))));
+  var format = row => row.map((cell, i) => i > 0 ? String(cell).padStart(widths[i]) : String(cell).padEnd(widths[i])).join("  ");
+  console.log("\nGas usage by method:\n");
+  console.log(format(header));
+  for (const row of rows) console.log(format(row));
+  console.log();
+}
+
+if (typeof artifacts !== "undefined" && process.env.GAS_REPORT !== "0") {
+  var contractsByAddress = {};
+  var methodsByContractName = {};
+  var gasUsedByMethod = {};
+  var testStartBlockNumber;
+
+  function getMethods(contractName, abi) {
+    if (!methodsByContractName[contractName]) methodsByContractName[contractName] = getMethodsBySelector(abi);
+    return methodsByContractName[contractName];
+  }
+
+  async function updateContracts() {
+    for (const contractName of CONTRACT_NAMES) {
+      var artifact = artifacts.require(contractName);
+      if (artifact.isDeployed()) contractsByAddress[artifact.address.toLowerCase()] = { name: contractName, methods: getMethods(contractName, artifact.abi) };
+    }
+
+    for (const currencyCode of Object.keys(currencies)) contractsByAddress[currencies[currencyCode].tokenAddress.toLowerCase()] = { name: "ERC20(" + currencyCode + ")", methods: getMethods("ERC20", erc20Abi) };
+  }
+
+  async function getCreatedContract(address) {
+    var code = (await web3.eth.getCode(address)).toLowerCase();
+
+    for (const contractName of CONTRACT_NAMES) {
+      var artifact = artifacts.require(contractName);
+      if (artifact.deployedBytecode && artifact.deployedBytecode.toLowerCase() === code) return { name: contractName, methods: getMethods(contractName, artifact.abi) };
+    }
+  }
+
+  function record(method, gasUsed) {
+    if (!gasUsedByMethod[method]) gasUsedByMethod[method] = [];
+    gasUsedByMethod[method].push(gasUsed);
+  }
+
+  beforeEach(async () => {
+    testStartBlockNumber = await web3.eth.getBlockNumber();
+  });
+
+  // Record transactions mined during the test (before any later evm_revert discards them)
+  // These are root hooks, so they do not inherit the timeouts of truffle's contract() suites
+  afterEach(async function() {
+    this.timeout(60000);
+    await updateContracts();
+    var latestBlockNumber = await web3.eth.getBlockNumber();
+
+    for (var i = testStartBlockNumber + 1; i <= latestBlockNumber; i++) for (const tx of (await web3.eth.getBlock(i, true)).transactions) {
+      var receipt = await web3.eth.getTransactionReceipt(tx.hash);
+      if (!receipt.status) continue;
+
+      if (!tx.to) {
+        // Contract creation
+        var created = await getCreatedContract(receipt.contractAddress);
+        if (!created) continue;
+        contractsByAddress[receipt.contractAddress.toLowerCase()] = created;
+        record(created.name + ".(deployment)", receipt.gasUsed);
+      } else {
+        var contract = contractsByAddress[tx.to.toLowerCase()];
+        if (!contract || tx.input.length < 10) continue;
+        var selector = tx.input.substring(0, 10).toLowerCase();
+        record(contract.name + "." + (contract.methods[selector] ? contract.methods[selector] : selector), receipt.gasUsed);
+      }
+    }
+  });
+
+  after(async () => {
+    var stats = getStats(gasUsedByMethod);
+    if (Object.keys(stats).length <= 0) return;
+    var baseline = fs.existsSync(BASELINE_PATH) ? JSON.parse(fs.readFileSync(BASELINE_PATH, "utf8")) : null;
+    var comparison = compareToBaseline(stats, baseline ? baseline : {});
+    printTable(comparison.rows);
+
+    if (process.env.GAS_REPORT_UPDATE_BASELINE === "1") {
+      fs.writeFileSync(BASELINE_PATH, JSON.stringify(stats, null, 2) + "\n");
+      console.log("Wrote gas baseline to " + BASELINE_PATH);
+      return;
+    }
+
+    if (!baseline) {
+      console.warn("Gas baseline " + BASELINE_PATH + " does not exist, so gas usage was not checked for regressions: generate it with `npm run gas-baseline` (or `npm run gas-baseline-mock` for the mock network)");
+      return;
+    }
+
+    if (comparison.regressions.length > 0) throw new Error("Gas usage regressed:\n" + comparison.regressions.join("\n"));
+  });
+}
+
+module.exports = {
+  getMethodsBySelector,
+  getStats,
+  compareToBaseline
+};
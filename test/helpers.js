@@ -0,0 +1,173 @@
+/**
+ * COPYRIGHT © 2020 RARI CAPITAL, INC. ALL RIGHTS RESERVED.
+ * Anyone is free to integrate the public (i.e., non-administrative) application programming interfaces (APIs) of the official Ethereum smart contract instances deployed by Rari Capital, Inc. in any application (commercial or noncommercial and under any license), provided that the application does not abuse the APIs or act against the interests of Rari Capital, Inc.
+ * Anyone is free to study, review, and analyze the source code contained in this package.
+ * Reuse (including deployment of smart contracts other than private testing on a private network), modification, redistribution, or sublicensing of any source code contained in this package is not permitted without the explicit permission of David Lucid of Rari Capital, Inc.
+ * No one is permitted to use the software for any purpose other than those allowed by this license.
+ * This license is liable to change at any time at the sole discretion of David Lucid of Rari Capital, Inc.
+ */
+
+// Shared helpers for tests (uses the global web3 and assert provided by truffle test)
+const erc20Abi = require('./abi/ERC20.json');
+
+const currencies = require('./fixtures/currencies.json');
+
+const POOL_NAMES = ["dYdX", "Compound", "Aave", "mStable"];
+
+// Default tolerance of USD value assertions (accounts for rounding in RariFundManager)
+const DEFAULT_TOLERANCE = 1e-6;
+
+function getMaxUint256BN() {
+  return web3.utils.toBN(2).pow(web3.utils.toBN(256)).subn(1);
+}
+
+/**
+ * Returns the development accounts funded with ETH and tokens (DEVELOPMENT_ADDRESS and DEVELOPMENT_ADDRESS_SECONDARY).
+ */
+function getFundedAccounts() {
+  return [process.env.DEVELOPMENT_ADDRESS, process.env.DEVELOPMENT_ADDRESS_SECONDARY];
+}
+
+/**
+ * Returns transaction options sending from `from` with an explicit nonce (avoids nonce reuse when a test sends transactions from several accounts).
+ */
+async function txOptions(from, options) {
+  return Object.assign({ from, nonce: await web3.eth.getTransactionCount(from) }, options);
+}
+
+/**
+ * Returns a web3 contract for the ERC20 token of `currencyCode`.
+ */
+function getTokenContract(currencyCode) {
+  if (!currencies[currencyCode]) throw new Error("Invalid currency code: " + currencyCode);
+  return new web3.eth.Contract(erc20Abi, currencies[currencyCode].tokenAddress);
+}
+
+/**
+ * Converts `amount` (a number or decimal string of whole tokens) to the smallest units of `currencyCode`.
+ */
+function toUnitsBN(currencyCode, amount) {
+  if (!currencies[currencyCode]) throw new Error("Invalid currency code: " + currencyCode);
+  return web3.utils.toBN(web3.utils.toWei(String(amount))).div(web3.utils.toBN(10).pow(web3.utils.toBN(18 - currencies[currencyCode].decimals)));
+}
+
+/**
+ * Returns the USD value (scaled by 1e18) of `amountBN` of `currencyCode` given `currencyPricesInUsd` as returned by RariFundPriceConsumer.getCurrencyPricesInUsd.
+ */
+function toUsdBN(currencyCode, amountBN, currencyPricesInUsd) {
+  var i = Object.keys(currencies).indexOf(currencyCode);
+  if (i < 0) throw new Error("Invalid currency code: " + currencyCode);
+  return amountBN.mul(currencyPricesInUsd[i]).div(web3.utils.toBN(10).pow(web3.utils.toBN(currencies[currencyCode].decimals)));
+}
+
+/**
+ * Returns the RariFundController pool index of `poolName`.
+ */
+function getPoolIndex(poolName) {
+  var i = POOL_NAMES.indexOf(poolName);
+  if (i < 0) throw new Error("Invalid pool name: " + poolName);
+  return i;
+}
+
+/**
+ * Approves `spender` to spend `amountBN` (all tokens by default) of `currencyCode` from `from`.
+ */
+async function approveToken(currencyCode, spender, from, amountBN) {
+  await getTokenContract(currencyCode).methods.approve(spender, (amountBN ? amountBN : getMaxUint256BN()).toString()).send(await txOptions(from));
+}
+
+/**
+ * Transfers `amountBN` of `currencyCode` to `to` from `from` (DEVELOPMENT_ADDRESS by default) so `to` can be used as a funded account.
+ */
+async function fundAccount(to, currencyCode, amountBN, from) {
+  await getTokenContract(currencyCode).methods.transfer(to, amountBN.toString()).send(await txOptions(from ? from : process.env.DEVELOPMENT_ADDRESS));
+}
+
+/**
+ * Approves and deposits `amountBN` of `currencyCode` from `from` to RariFundManager (to `to` via depositTo if specified).
+ */
+async function deposit(fundManagerInstance, from, currencyCode, amountBN, to) {
+  await approveToken(currencyCode, fundManagerInstance.address, from, amountBN);
+  if (to) return await fundManagerInstance.depositTo(to, currencyCode, amountBN, await txOptions(from));
+  return await fundManagerInstance.deposit(currencyCode, amountBN, await txOptions(from));
+}
+
+/**
+ * Approves RFT to RariFundManager and withdraws `amountBN` of `currencyCode` to `from`.
+ */
+async function withdraw(fundManagerInstance, fundTokenInstance, from, currencyCode, amountBN) {
+  await fundTokenInstance.approve(fundManagerInstance.address, getMaxUint256BN(), await txOptions(from));
+  return await fundManagerInstance.withdraw(currencyCode, amountBN, await txOptions(from));
+}
+
+/**
+ * Approves and deposits `amountBN` of `currencyCode` from RariFundController to `poolName` (as the fund rebalancer).
+ */
+async function depositToPool(fundControllerInstance, poolName, currencyCode, amountBN, from) {
+  await fundControllerInstance.approveToPool(getPoolIndex(poolName), currencyCode, amountBN, await txOptions(from ? from : process.env.DEVELOPMENT_ADDRESS));
+  return await fundControllerInstance.depositToPool(getPoolIndex(poolName), currencyCode, amountBN, await txOptions(from ? from : process.env.DEVELOPMENT_ADDRESS));
+}
+
+/**
+ * Waits `ms` milliseconds (1 second by default) and mines a block so pools accrue interest.
+ */
+async function accrueInterest(ms) {
+  await new Promise(resolve => setTimeout(resolve, ms !== undefined ? ms : 1000));
+  await web3.eth.sendTransaction({ from: process.env.DEVELOPMENT_ADDRESS, to: process.env.DEVELOPMENT_ADDRESS, value: 0 });
+}
+
+function scaleByTolerance(amountBN, tolerance) {
+  return amountBN.mul(web3.utils.toBN(Math.round(tolerance * 1e9))).div(web3.utils.toBN(1e9));
+}
+
+/**
+ * Asserts that `actualBN` is at least `expectedBN` less `tolerance` (a proportion of `expectedBN`; 1e-6 by default).
+ */
+function assertGteWithTolerance(actualBN, expectedBN, tolerance, message) {
+  var minimumBN = expectedBN.sub(scaleByTolerance(expectedBN, tolerance !== undefined ? tolerance : DEFAULT_TOLERANCE));
+  assert(actualBN.gte(minimumBN), (message ? message + ": " : "") + "expected " + actualBN.toString() + " to be at least " + minimumBN.toString());
+}
+
+/**
+ * Asserts that `actualBN` is within `tolerance` (a proportion of `expectedBN`; 1e-6 by default) of `expectedBN`.
+ */
+function assertApproxEqual(actualBN, expectedBN, tolerance, message) {
+  var marginBN = scaleByTolerance(expectedBN.abs(), tolerance !== undefined ? tolerance : DEFAULT_TOLERANCE);
+  assert(actualBN.sub(expectedBN).abs().lte(marginBN), (message ? message + ": " : "") + "expected " + actualBN.toString() + " to be within " + marginBN.toString() + " of " + expectedBN.toString());
+}
+
+/**
+ * Asserts that `promise` (e.g., a transaction) is rejected with a revert (with an error including `reason` if specified).
+ * Other rejections (e.g., a TypeError or a network error) fail the assertion.
+ */
+async function expectRevert(promise, reason) {
+  try {
+    await promise;
+  } catch (error) {
+    assert.match(error.message, /revert/, "Expected revert but got: " + error.message);
+    if (reason !== undefined) assert.include(error.message, reason);
+    return error;
+  }
+
+  assert.fail("Expected revert" + (reason !== undefined ? " with reason: " + reason : ""));
+}
+
+module.exports = {
+  POOL_NAMES,
+  getMaxUint256BN,
+  getFundedAccounts,
+  txOptions,
+  getTokenContract,
+  toUnitsBN,
+  toUsdBN,
+  getPoolIndex,
+  approveToken,
+  fundAccount,
+  deposit,
+  withdraw,
+  depositToPool,
+  accrueInterest,
+  assertGteWithTolerance,
+  assertApproxEqual,
+  expectRevert
+};
@@ -12,6 +12,13 @@ module.exports = {
       gasPrice: 1e6,
       from: process.env.DEVELOPMENT_ADDRESS
     },
+    mock: {
+      host: "127.0.0.1",
+      port: "8546",
+      network_id: "*",
+      gasPrice: 1e6,
+      from: process.env.DEVELOPMENT_ADDRESS
+    },
     live: {
       provider: function() {
         var keys = [process.env.LIVE_DEPLOYER_PRIVATE_KEY];